@@ -1,11 +1,42 @@
 /* ABQ Incidents Dashboard — app.js
-   Orchestrates: data loading, filtering pipeline, and delegates rendering to:
-   - map-module.js (Leaflet + dots/heat/zips + region draw)
+   Orchestrates: data loading (through a data source, see data-sources.js), filtering pipeline,
+   and delegates rendering to:
+   - map-module.js (Leaflet + dots/heat/area choropleth + region draw)
    - trends-module.js (legend + charts + KPIs + DOW/hour mini-filters)
 */
 
 import { createMapController } from "./map-module.js";
 import { createTrendsController } from "./trends-module.js";
+import { createHistoryCache } from "./history-cache.js";
+import { createQueryEngine } from "./query-engine.js";
+import { createArcGISSource, parseTimestamp } from "./data-sources.js";
+import { createSourceImporter } from "./source-import.js";
+import { createFieldSettings } from "./field-settings.js";
+import { createDimensionFilters } from "./dimension-filters.js";
+import { createSearchFilter } from "./search-filter.js";
+import { createRegionPanel } from "./region-panel.js";
+import { createRegionImport } from "./region-import.js";
+import { DEFAULT_BOUNDARY_SET, createBoundaryRegistry } from "./boundaries.js";
+import { createBoundaryPicker } from "./boundary-picker.js";
+import { DEFAULT_CLASSING, DEFAULT_NORMALIZATION, NORMALIZATIONS } from "./choropleth.js";
+import { parsePopulationEdits } from "./population.js";
+import {
+  CHANGE_MEASURES,
+  COMPARISONS,
+  DEFAULT_CHANGE_MEASURE,
+  DEFAULT_COMPARISON,
+  baselineWindow,
+  windowLoaded,
+} from "./comparison.js";
+import { DEFAULT_GRID, GRID_SHAPES } from "./grid-bins.js";
+import { createPopulationEditor } from "./population-editor.js";
+import { createTaxonomy, defaultTaxonomy, parseTaxonomy } from "./taxonomy.js";
+import { createTaxonomyEditor } from "./taxonomy-editor.js";
+import { createDataQuality } from "./data-quality.js";
+import { createQualityPanel } from "./quality-panel.js";
+import { DEFAULT_TIME_ZONE, getTimeZone, isValidTimeZone, systemTimeZone } from "./tz.js";
+import { decodeUrlState, encodeUrlState, urlTimeZone, withUrlTimeZone } from "./url-state.js";
+import { createSavedViews, parseSavedViews } from "./saved-views.js";
 
 let appReadyToRender = false;
 
@@ -14,12 +45,29 @@ window.addEventListener("DOMContentLoaded", () => {
   const INCIDENTS_SERVICE_BASE =
     "https://coageo.cabq.gov/cabqgeo/rest/services/Incidents/MapServer/0";
 
-  const ZIP_QUERY_URL = "./abq-zips.json";
     const INITIAL_DAYS = 30;        // initial fetch size (fast first render)
   const DEFAULT_VIEW_DAYS = 30;   // default slider window shown to user
   const MAX_YEARS_BACK = 2;       // total history cap
   const BACKFILL_STEP_DAYS = 30;  // background chunk size
   const PAGE_SIZE = 2000;
+  const CACHE_DB_NAME = "abq-incidents-history"; // IndexedDB database for cached days
+  const CACHE_RESYNC_DAYS = 7;    // cached days this recent (at sync time) are re-fetched; API lags ~6 days
+  const FETCH_MAX_RETRIES = 4;    // extra attempts per ArcGIS request before its range is marked failed
+  const RETRY_BASE_MS = 1000;     // first backoff delay; doubles per attempt (jittered)
+  const RETRY_MAX_MS = 20000;     // backoff cap
+  const LIVE_POLL_MS = 60 * 1000; // live mode: how often to look for new incidents
+  const LIVE_OVERLAP_MS = 60 * 60 * 1000; // live polls re-query this far before the newest incident
+  const LIVE_STORAGE_KEY = "abq-incidents-live"; // localStorage: live mode on/off survives reloads
+  const FIELD_OVERRIDE_KEY = "abq-incidents-fields"; // localStorage prefix: field mapping override per source
+  const TAXONOMY_STORAGE_KEY = "abq-incidents-taxonomy"; // localStorage: edited call-type taxonomy
+  // Data quality (see data-quality.js): points outside this box are flagged as out of area; a coordinate
+  // shared by STACK_MIN_POINTS+ incidents with STACK_MIN_ADDRESSES+ distinct addresses is "stacked".
+  const ANALYSIS_BOUNDS = { south: 34.85, west: -107.0, north: 35.35, east: -106.35 }; // ABQ metro, generous
+  const STACK_MIN_POINTS = 25;
+  const STACK_MIN_ADDRESSES = 10;
+  const TIME_ZONE_STORAGE_KEY = "abq-incidents-tz"; // localStorage: analysis time zone (IANA name)
+  const VIEWS_STORAGE_KEY = "abq-incidents-views"; // localStorage: named saved views
+  const POPULATION_STORAGE_KEY = "abq-incidents-population"; // localStorage: residents per area, edited
 
   const DAY_MS = 24 * 60 * 60 * 1000;
 
@@ -27,6 +75,9 @@ window.addEventListener("DOMContentLoaded", () => {
 /**
  * Notes for future development:
  * - All time values in this file are **epoch milliseconds**.
+ * - Calendar math (days, DOW/hour, chart buckets, labels) happens in the *analysis time zone*
+ *   (`zone`, tz.js; America/Denver unless changed under "Time zone"), never the browser's zone.
+ *   The query spec carries `timeZone` so the worker buckets the same way.
  * - The ArcGIS `time=` query param expects `[start,end]` in ms; we treat ranges as inclusive
  *   on both ends by snapping to `startOfDay()` / `endOfDay()`.
  * - If the upstream service changes its time semantics (inclusive/exclusive), adjust the
@@ -36,6 +87,12 @@ window.addEventListener("DOMContentLoaded", () => {
  * - INITIAL_DAYS controls "time to first paint".
  * - MAX_YEARS_BACK is the hard history cap (also clamped by layer metadata when available).
  * - BACKFILL_STEP_DAYS and PAGE_SIZE trade off latency vs. request count.
+ * - CACHE_RESYNC_DAYS decides when a cached day is "settled": a day is only trusted from cache once it
+ *   was synced at least this many days after it ended (the service back-fills recent days late).
+ * - FETCH_MAX_RETRIES / RETRY_BASE_MS / RETRY_MAX_MS shape per-request retries (exponential backoff
+ *   with jitter). A range that still fails is recorded in `failedRanges` instead of stopping the load.
+ * - LIVE_POLL_MS is the live-mode cadence. LIVE_OVERLAP_MS covers incidents that show up late with an
+ *   older timestamp; re-fetched ones are dropped by mergePoints' OBJECTID dedup.
  */
 
   // ------------------ DOM helpers ------------------
@@ -74,20 +131,41 @@ window.addEventListener("DOMContentLoaded", () => {
   const controlsEl = requireEl("controls");
 
   const modeHeatBtn = requireEl("mode-heat");
-  const modeZipBtn = requireEl("mode-zip");
+  const modeAreasBtn = requireEl("mode-areas");
   const modeDotsBtn = requireEl("mode-dots");
+  const modeGridBtn = requireEl("mode-grid");
 
   const heatOpacityPanel = requireEl("heat-opacity-panel");
   const heatOpacityEl = requireEl("heat-opacity");
   const heatOpacityValEl = requireEl("heat-opacity-val");
 
+  const gridPanel = requireEl("grid-panel");
+  const gridShapeEl = requireEl("grid-shape");
+  const gridSizeEl = requireEl("grid-size");
+
   // const drawRegionBtn = requireEl("draw-region-btn");
   const clearRegionBtn = requireEl("clear-region-btn");
   const loadedRangeChip = requireEl("loaded-range-chip");
+  const cacheChip = requireEl("cache-chip");
+  const clearCacheBtn = requireEl("clear-cache-btn");
+  const pauseLoadingBtn = requireEl("pause-loading-btn");
+  const copyLinkBtn = requireEl("copy-link-btn");
+  const retryMissingBtn = requireEl("retry-missing-btn");
+
+  // Data source line + file import
+  const sourceLinkEl = requireEl("source-link");
+  const importFileBtn = requireEl("import-file-btn");
+  const useArcgisBtn = requireEl("use-arcgis-btn");
+  const importDialog = requireEl("import-dialog");
+  const fieldSettingsBtn = requireEl("field-settings-btn");
+  const liveBtn = requireEl("live-btn");
+  const newIncidentsBadge = requireEl("new-incidents-badge");
+  const areaFilterChip = requireEl("area-filter-chip");
 
   // KPI elements
   const kpiTotalEl = requireEl("kpi-total");
   const kpiRangeEl = requireEl("kpi-range");
+  const kpiChangeEl = requireEl("kpi-change");
   const kpiTopTypeEl = requireEl("kpi-toptype");
   const kpiTopTypeSubEl = requireEl("kpi-toptype-sub");
   const kpiPeakEl = requireEl("kpi-peakday");
@@ -102,13 +180,27 @@ window.addEventListener("DOMContentLoaded", () => {
   const hourClearBtn = requireEl("hour-clear");
 
   // ------------------ State ------------------
-  /** pointsSorted: { ts:number(ms), type:string, category:string, addr:string, lat:number, lon:number } */
+  /** pointsSorted: { id:number|null, ts:number(ms), type:string, category:string, addr:string, lat:number, lon:number } */
   let pointsSorted = [];
 
+  // Dedup index over every point in `pointsSorted`: pointKey -> point. Grows with each merge, never rebuilt.
+  const pointKeys = new Map();
+
+  // Dropped-record counts and per-point quality flags (`point.q`); reset with the dataset.
+  const dataQuality = createDataQuality({
+    bounds: ANALYSIS_BOUNDS,
+    stackMinPoints: STACK_MIN_POINTS,
+    stackMinAddresses: STACK_MIN_ADDRESSES,
+  });
+
   /**
    * Invariant: `pointsSorted` must remain sorted ascending by `ts` after any merge.
    * Many rendering and range operations assume this ordering for fast scans and stable charts.
+   *
+   * Invariant: `pointsSorted` is never mutated in place. Merges build a new array and bump
+   * `pointsVersion`, so in-flight pipeline results (indices into an older array) stay valid.
    */
+  let pointsVersion = 0;
 
   let loadedMinTime = null;
   let loadedMaxTime = null;
@@ -119,275 +211,172 @@ window.addEventListener("DOMContentLoaded", () => {
   let absoluteMinAllowed = null;
   let absoluteMaxAllowed = null;
 
-  // ArcGIS field detection
-  let dateFieldName = null;
-  let typeFieldName = null;
-  let addrFieldName = null;
-
-  // Layer metadata (optional)
-  let layerTimeExtentStart = null;
-  let layerTimeExtentEnd = null;
-
   // Slider
   let slider = null;
   let currentlyFetchingOlder = false;
   let backgroundPreloadRunning = false;
 
+  // History cache: day keys (startOfDay ms) that are settled for this session, either restored
+  // from IndexedDB or fetched since boot. Anything else in range still needs a network fetch.
+  let syncedDays = new Set();
+
+  // Coverage: day keys whose incidents are in `pointsSorted` (restored or fetched), and day ranges
+  // whose fetch still failed after retries ({ start, end, error }). Drives the loaded-range chip.
+  let loadedDays = new Set();
+  let failedRanges = [];
+
+  // Cancellation: each kind of in-flight work owns an AbortController while it runs.
+  let preloadCtl = null;        // loadAllHistoryInBackground()
+  let backfillCtl = null;       // backfillOlderChunk()
+  let renderCtl = null;         // the latest async map render from redrawAll()
+  let renderCtlMode = null;
+  let loadAbortReason = "";     // shown in the status bar when a load is cancelled
+  let loadingPaused = false;    // user pressed "Pause loading"
+  let resumeOnVisible = false;  // loading was interrupted by hiding the tab
+
+  // Live mode (see pollLatest()).
+  let liveEnabled = false;
+  let liveTimer = null;
+  let liveCtl = null;           // the in-flight poll
+  let newSinceLook = 0;         // incidents added by live polls since the badge was last dismissed
+  let pendingFlash = new Set(); // new points to highlight once the next dots render completes
+
   // Heat (slider is 10..100)
   let heatOpacity = (+heatOpacityEl.value || 75) / 100;
   heatOpacityValEl.textContent = `${Math.round(heatOpacity * 100)}%`;
 
   // View
-  let viewMode = "dots"; // dots | heat | zips
+  let viewMode = "dots"; // dots | heat | areas
+  let lastFiltered = [];  // points of the latest completed query, for "Zoom to matches"
+
+  // Shareable links (see "URL state"). A link's time window may start before what's loaded yet;
+  // `pendingRange` holds it until background loading reaches it (or the user moves the slider).
+  let urlPushPending = false;   // the next URL write records a user action (pushState)
+  let applyingUrlState = false; // restoring a link / history entry: don't write the URL meanwhile
+  let pendingRange = null;
 
   // ------------------ Utilities ------------------
   function clamp(v, min, max) {
     return Math.max(min, Math.min(max, v));
   }
 
+  // ------------------ Analysis time zone ------------------
+  // A reload applies a new zone: loaded days, cache keys and the slider are all day-aligned to it.
+  // A link's zone (`tz`, see url-state.js) wins over the saved setting, so its days mean what they
+  // meant to the sender.
+  function readTimeZoneSetting() {
+    try {
+      const saved = localStorage.getItem(TIME_ZONE_STORAGE_KEY);
+      if (saved && isValidTimeZone(saved)) return saved;
+    } catch {}
+    return DEFAULT_TIME_ZONE;
+  }
+
+  const zone = getTimeZone(urlTimeZone(location.search) || readTimeZoneSetting());
+
+  const TIME_ZONE_CHOICES = [
+    DEFAULT_TIME_ZONE, "America/Phoenix", "America/Los_Angeles", "America/Chicago", "America/New_York", "UTC",
+  ];
+
+  function initTimeZoneSelect(selectEl) {
+    const choices = new Set([DEFAULT_TIME_ZONE, zone.timeZone, systemTimeZone(), ...TIME_ZONE_CHOICES]);
+    for (const tz of choices) {
+      const label = tz === DEFAULT_TIME_ZONE ? `${tz} (Albuquerque)` : tz === systemTimeZone() ? `${tz} (this computer)` : tz;
+      selectEl.append(new Option(label, tz));
+    }
+    selectEl.value = zone.timeZone;
+    selectEl.addEventListener("change", () => {
+      try {
+        if (selectEl.value === DEFAULT_TIME_ZONE) localStorage.removeItem(TIME_ZONE_STORAGE_KEY);
+        else localStorage.setItem(TIME_ZONE_STORAGE_KEY, selectEl.value);
+      } catch {}
+      // The link names the zone too; rewrite it (same days) so the reload doesn't switch back.
+      const current = appReadyToRender ? encodeUrlState(currentUrlState(), zone) : location.search;
+      const qs = withUrlTimeZone(current, selectEl.value);
+      history.replaceState(null, "", `${location.pathname}${qs ? `?${qs}` : ""}${location.hash}`);
+      location.reload();
+    });
+  }
+
   function startOfDay(ms) {
-    const d = new Date(ms);
-    d.setHours(0, 0, 0, 0);
-    return d.getTime();
+    return zone.startOfDay(ms);
   }
 
   function endOfDay(ms) {
-    const d = new Date(ms);
-    d.setHours(23, 59, 59, 999);
-    return d.getTime();
+    return zone.endOfDay(ms);
   }
 
   function formatDate(ms) {
-    return new Date(ms).toLocaleDateString(undefined, {
-      year: "numeric",
-      month: "short",
-      day: "numeric",
-    });
+    return zone.format(ms, { year: "numeric", month: "short", day: "numeric" });
+  }
+
+  function formatDateTime(ms) {
+    return zone.format(ms, { year: "numeric", month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
   }
 
   function formatRange(minMs, maxMs) {
     return `${formatDate(minMs)} → ${formatDate(maxMs)}`;
   }
 
-  function yearsBackMs(years) {
-    const d = new Date();
-    d.setFullYear(d.getFullYear() - years);
-    return d.getTime();
+  function formatBytes(n) {
+    if (!isFiniteNum(n)) return "—";
+    if (n < 1024 * 1024) return `${Math.max(1, Math.round(n / 1024))} KB`;
+    return `${(n / (1024 * 1024)).toFixed(1)} MB`;
   }
 
-  function isFiniteNum(x) {
-    return typeof x === "number" && Number.isFinite(x);
+  // Iterate calendar days in the analysis zone (DST days are 23h/25h long).
+  function nextDay(dayStartMs) {
+    return zone.nextDay(dayStartMs);
   }
 
-  function getLatLon(feature) {
-    const g = feature?.geometry;
-    if (!g) return null;
-    if (isFiniteNum(g.x) && isFiniteNum(g.y)) return { lon: g.x, lat: g.y };
-    if (Array.isArray(g.points) && g.points[0]?.length >= 2) {
-      return { lon: g.points[0][0], lat: g.points[0][1] };
-    }
-    return null;
+  function yearsBackMs(years) {
+    const p = zone.parts(Date.now());
+    return zone.fromLocal(p.year - years, p.month, p.day, p.hour, p.minute, p.second);
   }
 
-  function findField(attributes, candidates) {
-    const keys = Object.keys(attributes || {});
-    for (const c of candidates) {
-      const exact = keys.find((k) => k.toLowerCase() === c.toLowerCase());
-      if (exact) return exact;
-    }
-    for (const c of candidates) {
-      const partial = keys.find((k) => k.toLowerCase().includes(c.toLowerCase()));
-      if (partial) return partial;
-    }
-    return null;
+  function isAbortError(e) {
+    return e?.name === "AbortError";
   }
 
-  // ------------------ Categories + icon/color semantics ------------------
-  // Primary mapping is by UNM PD call-code (e.g. "31", "39-1", "27-6C").
-  // We also keep a small keyword fallback for any unmapped / messy strings.
-  const BIG_CATEGORIES = [
-    "Violent Crime",
-    "Property Crime",
-    "Suspicious & Investigation",
-    "Disorder / Nuisance",
-    "Traffic & Road Safety",
-    "Medical & Welfare",
-    "Fire & Life Safety",
-    "Alarms & Security",
-    "Missing / Wanted",
-    "Admin / Officer Activity",
-    "Animal",
-    "Other",
-  ];
-
-  function normalizeTypeString(type) {
-    return (type ?? "")
-      .toString()
-      .replace(/^\s*ONSITE\s+/i, "")   // treat "Onsite" as context, not taxonomy
-      .replace(/\s+/g, " ")
-      .trim();
+  function throwIfAborted(signal) {
+    if (signal?.aborted) throw new DOMException("Cancelled", "AbortError");
   }
 
-  function extractCallCode(typeStr) {
-    const s = (typeStr || "").trim().toUpperCase();
-    if (!s) return null;
-
-    // 1) Hyphenated codes FIRST (e.g., 27-4, 27-3I, 27-5A, 39-1, 27-7W)
-    let m = /^(\d{1,2}-\d{1,2}[A-Z0-9]*)\b/.exec(s);
-    if (m) return m[1];
-
-    // 2) Letter-suffix numeric codes (e.g., 31S, 31D, 39S, 7S)
-    m = /^(\d{1,2}[A-Z])\b/.exec(s);
-    if (m) return m[1];
-
-    // 3) Plain numeric codes (e.g., 31, 39, 55, 43, 33, 65, 80)
-    m = /^(\d{1,2})\b/.exec(s);
-    if (m) return m[1];
-
-    // 4) Pure alpha codes (e.g., SS)
-    m = /^([A-Z]{2,3})\b/.exec(s);
-    if (m) return m[1];
-
-    return null;
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const t = setTimeout(resolve, ms);
+      signal?.addEventListener("abort", () => {
+        clearTimeout(t);
+        reject(new DOMException("Cancelled", "AbortError"));
+      }, { once: true });
+    });
   }
 
+  function isFiniteNum(x) {
+    return typeof x === "number" && Number.isFinite(x);
+  }
 
+  // ------------------ Categories + icon/color semantics ------------------
+  // The call-type taxonomy (code -> category, category colors/icons) lives in taxonomy.js and is
+  // editable under "Edit categories…". An edited taxonomy is kept in localStorage.
+  function readSavedTaxonomy() {
+    try {
+      const raw = localStorage.getItem(TAXONOMY_STORAGE_KEY);
+      return raw ? parseTaxonomy(JSON.parse(raw)) : defaultTaxonomy();
+    } catch (e) {
+      console.warn("Saved taxonomy ignored:", e);
+      return defaultTaxonomy();
+    }
+  }
 
-  // Code-first rules (most reliable)
-  const CODE_CATEGORY_RULES = [
-    // ----- Violent Crime -----
-    {
-      category: "Violent Crime",
-      patterns: [
-        /^27-1\b/,                 // 27-1 HOMICIDE
-        /^27-4\b/,                 // 27-4 AGGR ASSAULT/BAT
-        /^27-8\b/,                 // 27-8 SHOOTING
-        /^27-9\b/,                 // 27-9 STABBING
-        /^39-3\b/,                 // 39-3 SHOTS FIRED
-        /^27-3[A-Z0-9]*\b/,        // 27-3 ROBBERY + 27-3I/27-3C/27-3R/27-3A variants
-        /^65\b/,                   // 65 KID/ABDUCT/HOSTA
-      ],
-    },
-
-    // ----- Property Crime -----
-    {
-      category: "Property Crime",
-      patterns: [
-        /^27-0\b/,                 // 27-0 FORGERY/CC/CHECK
-        /^27-5[A-Z0-9]*\b/,        // 27-5 BURGLARY + 27-5A/27-5R/27-5C variants
-        /^27-6[A-Z0-9]*\b/,        // 27-6 THEFT/FRAUD/EMBE + 27-6M etc
-        /^27-7[A-Z0-9]*\b/,        // 27-7 AUTO THEFT + 27-7W etc
-        /^7S\b/,                   // 7S ONSITE AUTO THEFT
-        /^37\b/,                   // 37 SHOPLIFTING
-        /^38\b/,                   // 38 VANDALISM
-        /^38M\b/,                   // 38 VANDALISM
-      ],
-    },
-
-    // ----- Suspicious & Investigation -----
-    {
-      category: "Suspicious & Investigation",
-      patterns: [
-        /^31S\b/,                  // 31S ONSITE SUSPICIOUS
-        /^31D\b/,                  // 31D SUSP/INTOX PERS
-        /^31\b/,                   // 31 SUSP PERS/VEHS
-        /^35\b/,                   // 35 PROWLER
-      ],
-    },
-
-    // ----- Disorder / Nuisance -----
-    {
-      category: "Disorder / Nuisance",
-      patterns: [
-        /^39-1\b/,                 // 39-1 LOUD MUSIC
-        /^39-2\b/,                 // 39-2 LOUD PARTY
-        /^39-5\b/,                 // 39-5 PANHANDLERS
-        /^39S\b/,                  // 39S ONSITE DISTURBAN
-        /^39\b/,                   // 39 DISTURBANCE
-        /^41\b/,                   // 41 NEIGHBOR TROUBLE
-        /^80\b/,                   // 80 DEMONSTRATION
-        /^32\b/,                   // 32 FIGHT INPROGRESS (move elsewhere if you prefer)
-        /^57\b/,                   // 57 NARCOTICS (move elsewhere if you prefer)
-      ],
-    },
-
-    // ----- Missing / Wanted -----
-    {
-      category: "Missing / Wanted",
-      patterns: [
-        /^28\b/,                   // 28 MISSING PERSON
-        /^29\b/,                   // 29 WANTED PERSON
-      ],
-    },
-
-    // ----- Medical & Welfare -----
-    {
-      category: "Medical & Welfare",
-      patterns: [
-        /^43\b/,                   // 43 RESCUE CALL
-        /^55\b/,                   // 55 AMBULANCE CALL
-      ],
-    },
-
-    // ----- Fire & Life Safety -----
-    {
-      category: "Fire & Life Safety",
-      patterns: [
-        /^33\b/,                   // 33 FIRE CALL
-      ],
-    },
-
-    // ----- Admin / Officer Activity -----
-    {
-      category: "Admin / Officer Activity",
-      patterns: [
-        /^14\b/,                   // 14 ESCORT
-        /^16\b/,                   // 16 PRISONER PU/INCU
-        /^SS\b/,                   // SS SUBJECT STOP
-      ],
-    },
-
-    // ----- Animal -----
-    {
-      category: "Animal",
-      patterns: [
-        /^11\b/,                   // 11 ANIMAL CALL
-      ],
-    },
-  ];
+  const taxonomy = createTaxonomy(readSavedTaxonomy());
 
   function categoryForType(type) {
-    const t = normalizeTypeString(type);
-    const code = extractCallCode(t);
-
-    if (code) {
-      for (const rule of CODE_CATEGORY_RULES) {
-        for (const re of rule.patterns) {
-          if (re.test(code)) return rule.category;
-        }
-      }
-    }
-
-    return "Other";
-  }
-
-  const CATEGORY_COLORS = {
-    "Suspicious & Investigation": "#2a9d8f",
-    "Disorder / Nuisance": "#a855f7",
-    "Violent Crime": "#dd1616",
-    "Property Crime": "#f59e0b",
-    "Traffic & Road Safety": "#eab308",
-    "Medical & Welfare": "#0ea5e9",
-    "Fire & Life Safety": "#f97316",
-    "Alarms & Security": "#14b8a6",
-    "Missing / Wanted": "#2e3d94",
-    "Admin / Officer Activity": "#6d5238",
-    "Animal": "#da0edd",
-    "Other": "#94a3b8",
-  };
+    return taxonomy.categoryForType(type);
+  }
 
   function colorForCategory(cat) {
-    return CATEGORY_COLORS[cat] || CATEGORY_COLORS["Other"];
+    return taxonomy.colorForCategory(cat);
   }
 
   // --- Bootstrap Icons (canvas sprites) ---
@@ -401,24 +390,8 @@ window.addEventListener("DOMContentLoaded", () => {
       ICON_GLYPH_PX = window.innerWidth < 600 ? 7 : 12;
     });
 
-  const CATEGORY_STYLE = {
-    "Violent Crime":              { iconClass: "bi-shield-exclamation" },
-    "Property Crime":             { iconClass: "bi-house-lock" },
-    "Suspicious & Investigation": { iconClass: "bi-eye" },
-    "Disorder / Nuisance":        { iconClass: "bi-megaphone" },
-    "Traffic & Road Safety":      { iconClass: "bi-car-front" },
-    "Medical & Welfare":          { iconClass: "bi-heart-pulse" },
-    "Fire & Life Safety":         { iconClass: "bi-fire" },
-    "Alarms & Security":          { iconClass: "bi-bell" },
-    "Missing / Wanted":           { iconClass: "bi-search" },
-    "Admin / Officer Activity":   { iconClass: "bi-clipboard-check" },
-    "Animal":                     { iconClass: "bi-bug" },
-    "Other":                      { iconClass: "bi-question-circle" },
-  };
-
-
   function iconClassForCategory(cat) {
-    return (CATEGORY_STYLE[cat] || CATEGORY_STYLE.Other).iconClass;
+    return taxonomy.iconClassForCategory(cat);
   }
 
   function glyphFromBootstrapClass(iconClass) {
@@ -535,55 +508,104 @@ window.addEventListener("DOMContentLoaded", () => {
   }
 
   // ------------------ Data normalization ------------------
-  function normalizeFeatures(features) {
+  // Turns a data source's raw IncidentRecords (see data-sources.js) into points. Every source goes
+  // through here, so the validation rules are the same for ArcGIS, CSV and GeoJSON.
+  function normalizeFeatures(records) {
     const out = [];
-    for (const f of features || []) {
-      const attrs = f.attributes || {};
-      const ll = getLatLon(f);
-      if (!ll) continue;
+    for (const r of records || []) {
+      const lat = typeof r.lat === "number" ? r.lat : parseFloat(r.lat);
+      const lon = typeof r.lon === "number" ? r.lon : parseFloat(r.lon);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+        dataQuality.recordDrop("no-coords", r);
+        continue;
+      }
 
-      const raw = attrs[dateFieldName];
-      const ts = typeof raw === "number" ? raw : Date.parse(raw);
-      if (!Number.isFinite(ts)) continue;
+      const ts = parseTimestamp(r.date, zone);
+      if (!Number.isFinite(ts)) {
+        dataQuality.recordDrop("bad-date", r);
+        continue;
+      }
 
-      const type = (attrs[typeFieldName] ?? "Unknown").toString().trim() || "Unknown";
-      const addr = addrFieldName ? (attrs[addrFieldName] ?? "").toString() : "";
+      const type = (r.type ?? "Unknown").toString().trim() || "Unknown";
+      const addr = (r.addr ?? "").toString();
       const category = categoryForType(type);
 
-      out.push({ ts, type, category, addr, lat: ll.lat, lon: ll.lon });
+      const id = r.id == null || r.id === "" ? null : r.id;
+
+      const p = { id, ts, type, category, addr, lat, lon };
+      if (r.extra) p.extra = r.extra; // extra filter dimensions (dataSource.extraFields)
+      out.push(p);
     }
     return out;
   }
 
-  function mergePoints(newPts) {
+  // Dedup key: the ArcGIS OBJECTID when we have one. The composite fallback only applies to points
+  // without an id, where two separate calls at the same place and second can't be told apart.
+  function pointKey(p) {
+    return p.id != null ? p.id : `${p.ts}|${p.type}|${p.lat.toFixed(6)}|${p.lon.toFixed(6)}`;
+  }
 
-/**
- * Dedup strategy:
- * ArcGIS features do not always provide a stable unique id across paged/time queries,
- * so we approximate uniqueness using (ts,type,lat,lon) rounded to 6 decimals.
- *
- * If you notice duplicates or accidental drops:
- * - Prefer adding a true unique key (e.g., OBJECTID + dateField) to the normalized shape.
- * - Or increase/decrease rounding precision depending on how noisy coordinates are.
- */
-    if (!newPts?.length) return;
-    const key = (p) => `${p.ts}|${p.type}|${p.lat.toFixed(6)}|${p.lon.toFixed(6)}`;
-
-    const existing = new Set(pointsSorted.map(key));
-    for (const p of newPts) {
-      const k = key(p);
-      if (!existing.has(k)) {
-        existing.add(k);
-        pointsSorted.push(p);
+  // Same incident, same content: nothing to replace.
+  function samePoint(a, b) {
+    return a.ts === b.ts && a.type === b.type && a.addr === b.addr && a.lat === b.lat && a.lon === b.lon &&
+      JSON.stringify(a.extra ?? null) === JSON.stringify(b.extra ?? null);
+  }
+
+  // Merge a chunk into `pointsSorted`: a point already present (by pointKey) is replaced when the
+  // chunk's copy differs, since the chunk is the newer fetch (a re-synced day, a live poll) and the
+  // record may have been edited or re-geocoded since. Sort only the incoming points, then do one
+  // linear merge of the two sorted runs into a fresh array.
+  // Returns the points that were actually added (sorted by ts); replacements aren't included.
+  function mergePoints(newPts) {
+    if (!newPts?.length) return [];
+
+    const incoming = new Map(); // a chunk can repeat a record (paging overlap); the last copy wins
+    for (const p of newPts) incoming.set(pointKey(p), p);
+
+    const fresh = [];
+    const added = [];
+    const stale = new Set();
+    for (const [k, p] of incoming) {
+      const prev = pointKeys.get(k);
+      if (prev && (prev === p || samePoint(prev, p))) continue;
+      if (prev) stale.add(prev);
+      else added.push(p);
+      pointKeys.set(k, p);
+      fresh.push(p);
+    }
+    if (!fresh.length) return [];
+    fresh.sort((a, b) => a.ts - b.ts);
+    added.sort((a, b) => a.ts - b.ts);
+    if (stale.size) dataQuality.untrack(stale);
+    dataQuality.track(fresh);
+
+    const old = stale.size ? pointsSorted.filter((p) => !stale.has(p)) : pointsSorted;
+    let merged;
+    if (!old.length || old[old.length - 1].ts <= fresh[0].ts) {
+      merged = old.concat(fresh); // live/forward fetches: pure append
+    } else if (fresh[fresh.length - 1].ts < old[0].ts) {
+      merged = fresh.concat(old); // backfill: pure prepend
+    } else {
+      merged = new Array(old.length + fresh.length);
+      let i = 0, j = 0, k = 0;
+      while (i < old.length && j < fresh.length) {
+        merged[k++] = old[i].ts <= fresh[j].ts ? old[i++] : fresh[j++];
       }
+      while (i < old.length) merged[k++] = old[i++];
+      while (j < fresh.length) merged[k++] = fresh[j++];
     }
-    pointsSorted.sort((a, b) => a.ts - b.ts);
+
+    pointsSorted = merged;
+    pointsVersion++;
+    return added;
   }
 
   // ------------------ ArcGIS (robust) ------------------
-  async function arcgisFetch(url, label) {
+  // `opts.signal` aborts the request; the rejection is an AbortError (see isAbortError).
+  async function arcgisFetch(url, label, { signal } = {}) {
+    throwIfAborted(signal);
     setStatus(label);
-    const res = await fetch(url, { cache: "no-store" });
+    const res = await fetch(url, { cache: "no-store", signal });
     const text = await res.text();
 
     let data;
@@ -595,147 +617,199 @@ window.addEventListener("DOMContentLoaded", () => {
 
     if (data?.error) {
       const details = Array.isArray(data.error.details) ? data.error.details.join(" | ") : "";
-      throw new Error(`${data.error.message || "ArcGIS error"}${details ? " — " + details : ""}`);
+      const err = new Error(`${data.error.message || "ArcGIS error"}${details ? " — " + details : ""}`);
+      err.retryable = isRetryableStatus(data.error.code);
+      throw err;
     }
 
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status}`);
+      err.retryable = isRetryableStatus(res.status);
+      throw err;
+    }
     return data;
   }
 
-  async function fetchLayerInfo() {
+  // A 4xx means the request itself is wrong, so retrying won't help (timeouts and rate limits aside).
+  function isRetryableStatus(code) {
+    return !(code >= 400 && code < 500) || code === 408 || code === 429;
+  }
 
-/**
- * Reads ArcGIS layer metadata (best-effort).
- * If the service publishes `timeInfo.timeExtent`, we use it to clamp history bounds so
- * the slider doesn't offer ranges the service can't satisfy.
- */
-    try {
-      const url = `${INCIDENTS_SERVICE_BASE}?f=json`;
-      const info = await arcgisFetch(url, "Reading layer metadata…");
-      const extent = info?.timeInfo?.timeExtent;
-      if (Array.isArray(extent) && extent.length >= 2) {
-        layerTimeExtentStart = extent[0];
-        layerTimeExtentEnd = extent[1];
+  // Exponential backoff with jitter: a random delay in [0.5, 1] × base·2^attempt, capped.
+  function backoffDelay(attempt) {
+    const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+    return Math.round(ceiling * (0.5 + Math.random() * 0.5));
+  }
+
+  // arcgisFetch with retries. Network errors, non-JSON bodies and 5xx/ArcGIS server errors are
+  // retried; aborts and errors flagged `retryable: false` are rethrown immediately.
+  async function arcgisFetchWithRetry(url, label, { signal } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await arcgisFetch(url, label, { signal });
+      } catch (e) {
+        if (isAbortError(e) || e.retryable === false || attempt >= FETCH_MAX_RETRIES) throw e;
+
+        const wait = backoffDelay(attempt);
+        console.warn(`${label} failed (attempt ${attempt + 1}/${FETCH_MAX_RETRIES + 1}), retrying in ${wait} ms:`, e);
+        setStatus(`${label} — ${e.message}; retrying in ${Math.ceil(wait / 1000)}s…`);
+        throwIfAborted(signal);
+        await sleep(wait, signal);
       }
-    } catch (e) {
-      console.warn("Layer metadata read failed (continuing):", e);
     }
   }
 
-  async function discoverFieldsIfNeeded() {
+  // ------------------ Data sources ------------------
+  // The CABQ layer is the default source; imported files replace it until "Back to CABQ Open Data".
+  const arcgisSource = createArcGISSource({
+    id: "cabq-incidents",
+    label: "City of Albuquerque (CABQ) Open Data",
+    serviceBase: INCIDENTS_SERVICE_BASE,
+    pageSize: PAGE_SIZE,
+    arcgisFetch,
+    arcgisFetchWithRetry,
+  });
+  let dataSource = arcgisSource;
 
-/**
- * Schema discovery (best-effort).
- * The incidents layer fields have historically changed naming/casing; we probe a single
- * feature and pick the best match from candidate lists.
- *
- * If the layer schema changes again:
- * - Add new candidates to the lists below.
- * - Consider switching to the layer's `fields` metadata instead of sampling a feature.
- */
-    if (dateFieldName && typeFieldName) return;
-
-    const url = `${INCIDENTS_SERVICE_BASE}/query?` + new URLSearchParams({
-      where: "1=1",
-      outFields: "*",
-      returnGeometry: "false",
-      resultRecordCount: "1",
-      f: "json",
-    }).toString();
-
-    const data = await arcgisFetch(url, "Discovering fields…");
-    const first = data?.features?.[0];
-    if (!first?.attributes) throw new Error("Could not discover fields (no features returned).");
-
-    const attrs = first.attributes;
-
-    dateFieldName = findField(attrs, [
-      "ReportDateTime",
-      "reportdatetime",
-      "reportdate",
-      "date",
-      "Date_",
-      "incidentdate",
-      "cvincidentdate",
-    ]);
+  // ------------------ History cache (IndexedDB) ------------------
+  const historyCache = createHistoryCache({ dbName: CACHE_DB_NAME, startOfDay, DAY_MS, timeZone: zone.timeZone });
 
-    typeFieldName = findField(attrs, [
-      "IncidentType",
-      "incidenttype",
-      "type",
-      "offense",
-      "cvincidenttype",
-    ]);
+  // A cached day is trusted only if it had CACHE_RESYNC_DAYS to settle before it was synced.
+  function isSettled(day, syncedAt) {
+    return endOfDay(day) + CACHE_RESYNC_DAYS * DAY_MS <= syncedAt;
+  }
 
-    addrFieldName = findField(attrs, [
-      "BlockAddress",
-      "blockaddress",
-      "address",
-      "location",
-    ]);
+  // Load every cached day inside the allowed window into `pointsSorted`.
+  // Settled days are marked synced; recent ones are shown now but re-fetched below.
+  async function restoreFromCache() {
+    if (!(await historyCache.open())) return;
 
-    if (!dateFieldName) throw new Error("Could not detect a date field.");
-    if (!typeFieldName) throw new Error("Could not detect an incident type field.");
-  }
+    setStatus("Reading cached history…");
+    const records = await historyCache.readRange(absoluteMinAllowed, absoluteMaxAllowed);
 
-  async function arcgisQueryPaged(paramsBase, labelPrefix) {
+    const cached = [];
+    for (const r of records) {
+      if (!Array.isArray(r?.points)) continue;
+      for (const p of r.points) {
+        p.category = categoryForType(p.type); // cached under whatever taxonomy was current then
+        cached.push(p);
+      }
+      loadedDays.add(r.day);
+      if (isSettled(r.day, r.syncedAt)) syncedDays.add(r.day);
 
-/**
- * Paged query helper.
- *
- * Why this exists:
- * - ArcGIS services often cap `resultRecordCount`.
- * - We page with `resultOffset` and merge results client-side.
- *
- * Safeguards:
- * - The `page > 600` break is a circuit breaker against infinite loops if the service
- *   ignores offsets or always returns PAGE_SIZE records.
- */
-    let resultOffset = 0;
-    let merged = [];
-    let page = 1;
-
-    while (true) {
-      const params = new URLSearchParams({
-        ...paramsBase,
-        resultRecordCount: String(PAGE_SIZE),
-        resultOffset: String(resultOffset),
-        orderByFields: "OBJECTID",
-      });
+      loadedMinTime = loadedMinTime == null ? r.day : Math.min(loadedMinTime, r.day);
+      loadedMaxTime = loadedMaxTime == null ? endOfDay(r.day) : Math.max(loadedMaxTime, endOfDay(r.day));
+    }
+    mergePoints(cached);
+  }
 
-      const url = `${INCIDENTS_SERVICE_BASE}/query?${params.toString()}`;
-      const data = await arcgisFetch(url, `${labelPrefix} (page ${page})`);
+  // Split [startMs, endMs] into day-aligned runs of days not yet synced, at most `maxDays` long.
+  function unsyncedRuns(startMs, endMs, maxDays) {
+    const runs = [];
+    let run = null;
+    for (let day = startOfDay(startMs); day <= endMs; day = nextDay(day)) {
+      if (syncedDays.has(day)) {
+        run = null;
+        continue;
+      }
+      if (!run || run.days >= maxDays) {
+        run = { start: day, end: endOfDay(day), days: 0 };
+        runs.push(run);
+      }
+      run.end = endOfDay(day);
+      run.days += 1;
+    }
+    return runs;
+  }
 
-      const feats = data.features || [];
-      merged = merged.concat(feats);
+  // Fetch a day-aligned range, merge it into `pointsSorted`, and persist it day-by-day.
+  // A cancelled fetch rejects before anything is merged, so the range simply stays unsynced.
+  // Any other failure (after retries) is recorded in `failedRanges` and rethrown.
+  async function fetchDaysAndCache(startMs, endMs, label, signal) {
+    const source = dataSource;
+    let records;
+    try {
+      records = await source.fetchRange(startMs, endMs, label, signal);
+    } catch (e) {
+      if (!isAbortError(e)) recordFailedRange(startMs, endMs, e);
+      throw e;
+    }
+    const pts = normalizeFeatures(records);
+    mergePoints(pts);
 
-      if (feats.length < PAGE_SIZE) break;
-      resultOffset += PAGE_SIZE;
-      page += 1;
-      if (page > 600) break;
+    for (let day = startOfDay(startMs); day <= endMs; day = nextDay(day)) {
+      syncedDays.add(day);
+      loadedDays.add(day);
     }
+    failedRanges = failedRanges.filter((r) => r.end < startMs || r.start > endMs || !isRangeLoaded(r));
+    updateLoadedRangeChip();
 
-    return merged;
+    if (!source.cacheable) return pts;
+    try {
+      await historyCache.writeRange(startMs, endMs, pts);
+    } catch (e) {
+      console.warn("History cache write failed (continuing):", e);
+    }
+    updateCacheChip();
+    return pts;
   }
 
-  async function fetchRange(startMs, endMs, label) {
-    await discoverFieldsIfNeeded();
+  // ------------------ Coverage + failed ranges ------------------
+  // Replaces any recorded failure overlapping [startMs, endMs] with this one.
+  function recordFailedRange(startMs, endMs, err) {
+    failedRanges = failedRanges.filter((r) => r.end < startMs || r.start > endMs);
+    failedRanges.push({ start: startMs, end: endMs, error: err?.message || String(err) });
+    failedRanges.sort((a, b) => a.start - b.start);
+    updateLoadedRangeChip();
+  }
 
-    const outFields = ["OBJECTID", dateFieldName, typeFieldName, addrFieldName]
-      .filter(Boolean)
-      .join(",");
+  function isRangeLoaded(range) {
+    for (let day = startOfDay(range.start); day <= range.end; day = nextDay(day)) {
+      if (!loadedDays.has(day)) return false;
+    }
+    return true;
+  }
 
-    return await arcgisQueryPaged(
-      {
-        where: "1=1",
-        time: `${startMs},${endMs}`,
-        outFields,
-        returnGeometry: "true",
-        outSR: "4326",
-        f: "json",
-      },
-      label
-    );
+  // Contiguous runs of loaded days within the allowed window: [{ start, end, days }].
+  function coverageSpans() {
+    const spans = [];
+    if (absoluteMinAllowed == null || absoluteMaxAllowed == null) return spans;
+
+    let span = null;
+    for (let day = startOfDay(absoluteMinAllowed); day <= absoluteMaxAllowed; day = nextDay(day)) {
+      if (!loadedDays.has(day)) {
+        span = null;
+        continue;
+      }
+      if (!span) {
+        span = { start: day, end: endOfDay(day), days: 0 };
+        spans.push(span);
+      }
+      span.end = endOfDay(day);
+      span.days += 1;
+    }
+    return spans;
+  }
+
+  async function updateCacheChip() {
+    if (!dataSource.cacheable) {
+      cacheChip.textContent = "Cache: not used";
+      cacheChip.title = "Imported files are kept in memory only.";
+      return;
+    }
+    const s = await historyCache.stats();
+    if (!s.available) {
+      cacheChip.textContent = "Cache: off";
+      cacheChip.title = "IndexedDB is unavailable in this browser session.";
+      return;
+    }
+    cacheChip.textContent = s.days
+      ? `Cached: ${s.days.toLocaleString()} days · ${s.incidents.toLocaleString()} incidents${s.bytes == null ? "" : ` · ~${formatBytes(s.bytes)}`}`
+      : "Cache: empty";
+    cacheChip.title = [
+      s.lastSyncAt ? `Last sync: ${formatDateTime(s.lastSyncAt)}` : "",
+      s.bytes == null ? "" : "Size estimated from the cached records.",
+    ].filter(Boolean).join("\n");
   }
 
   // ------------------ Slider + background preload ------------------
@@ -759,16 +833,21 @@ window.addEventListener("DOMContentLoaded", () => {
     currentMaxTime = loadedMaxTime;
     dateLabelEl.textContent = formatRange(currentMinTime, currentMaxTime);
 
+    // Steps are a fixed DAY_MS, so across a DST change a handle sits an hour off a day boundary;
+    // snap both ends back onto the analysis zone's days.
     slider.on("update", (values) => {
-      currentMinTime = parseInt(values[0], 10);
-      currentMaxTime = parseInt(values[1], 10);
+      currentMinTime = startOfDay(parseInt(values[0], 10) + DAY_MS / 2);
+      currentMaxTime = endOfDay(parseInt(values[1], 10) - DAY_MS / 2);
       dateLabelEl.textContent = formatRange(currentMinTime, currentMaxTime);
 
       // If user drags near left edge, pull older chunks immediately (still supported)
       maybeBackfillOlder(currentMinTime);
     });
 
-    slider.on("change", () => redrawAll());
+    slider.on("change", () => {
+      pendingRange = null;
+      userChanged();
+    });
   }
 
   function updateSliderRange(minTime, maxTime, keepValues = true) {
@@ -782,20 +861,48 @@ window.addEventListener("DOMContentLoaded", () => {
       clamp(currentVals[0], minTime, maxTime),
       clamp(currentVals[1], minTime, maxTime),
     ]);
+    if (pendingRange) applyTimeRange(pendingRange);
+  }
+
+  // Move the slider to [min, max] (epoch ms, day-aligned), clamped to what's loaded. If the window
+  // starts before the loaded data, the rest is applied as background loading reaches it.
+  function applyTimeRange({ min, max }) {
+    if (!slider || loadedMinTime == null) return;
+    const target = absoluteMinAllowed == null ? min : Math.max(min, absoluteMinAllowed);
+    pendingRange = target < loadedMinTime ? { min: target, max } : null;
+    slider.set([clamp(target, loadedMinTime, loadedMaxTime), clamp(max, loadedMinTime, loadedMaxTime)]);
   }
 
   function maybeBackfillOlder(currentMin) {
-    if (currentlyFetchingOlder) return;
+    if (currentlyFetchingOlder || loadingPaused) return;
     if (loadedMinTime == null) return;
     if (currentMin <= loadedMinTime + 7 * DAY_MS) backfillOlderChunk(false);
   }
 
+  // Shows what is actually loaded: one span reads as a date range, gaps read as "N days in K spans".
+  // The tooltip lists every span and every failed range.
   function updateLoadedRangeChip() {
-    if (!loadedMinTime || !loadedMaxTime) {
-      loadedRangeChip.textContent = "Loaded: —";
+    const spans = coverageSpans();
+    retryMissingBtn.hidden = !failedRanges.length;
+    loadedRangeChip.classList.toggle("chip-warn", failedRanges.length > 0);
+
+    if (!spans.length) {
+      loadedRangeChip.textContent = failedRanges.length ? `Loaded: — · ${failedRanges.length} failed` : "Loaded: —";
+      loadedRangeChip.title = failedRanges.map((r) => `Failed: ${formatRange(r.start, r.end)} (${r.error})`).join("\n");
       return;
     }
-    loadedRangeChip.textContent = `Loaded: ${formatRange(loadedMinTime, loadedMaxTime)}`;
+
+    const days = spans.reduce((sum, s) => sum + s.days, 0);
+    let text = spans.length === 1
+      ? `Loaded: ${formatRange(spans[0].start, spans[0].end)}`
+      : `Loaded: ${days.toLocaleString()} days in ${spans.length} spans`;
+    if (failedRanges.length) text += ` · ${failedRanges.length} failed`;
+    loadedRangeChip.textContent = text;
+
+    loadedRangeChip.title = [
+      ...spans.map((s) => `Loaded: ${formatRange(s.start, s.end)}`),
+      ...failedRanges.map((r) => `Failed: ${formatRange(r.start, r.end)} (${r.error})`),
+    ].join("\n");
   }
 
   async function backfillOlderChunk(quiet) {
@@ -803,28 +910,37 @@ window.addEventListener("DOMContentLoaded", () => {
     if (loadedMinTime == null || absoluteMinAllowed == null) return;
     if (loadedMinTime <= absoluteMinAllowed + DAY_MS) return;
 
-    const olderEnd = loadedMinTime;
-    const olderStart = Math.max(absoluteMinAllowed, olderEnd - BACKFILL_STEP_DAYS * DAY_MS);
+    // loadedMinTime is always a day start, so the chunk ends on the previous day's last ms.
+    const olderEnd = loadedMinTime - 1;
+    const olderStart = Math.max(absoluteMinAllowed, zone.addDays(olderEnd, -(BACKFILL_STEP_DAYS - 1)));
     if (olderStart >= olderEnd) return;
 
+    // Don't re-hit a range that just failed every retry on each slider move; "Retry missing" does that.
+    if (failedRanges.some((r) => r.start <= olderEnd && r.end >= olderStart)) return;
+
     currentlyFetchingOlder = true;
+    backfillCtl = new AbortController();
     try {
-      const feats = await fetchRange(
+      await fetchDaysAndCache(
         olderStart,
         olderEnd,
-        quiet ? "Loading more history…" : `Backfilling… ${formatRange(olderStart, olderEnd)}`
+        quiet ? "Loading more history…" : `Backfilling… ${formatRange(olderStart, olderEnd)}`,
+        backfillCtl.signal
       );
-      const pts = normalizeFeatures(feats);
-      mergePoints(pts);
 
       loadedMinTime = olderStart;
 
       updateLoadedRangeChip();
       updateSliderRange(loadedMinTime, loadedMaxTime, true);
     } catch (e) {
+      if (isAbortError(e)) {
+        setStatus(`Cancelled backfill of ${formatRange(olderStart, olderEnd)} (${loadAbortReason}).`);
+        return;
+      }
       console.error(e);
       setStatus(`Backfill failed: ${e.message}`);
     } finally {
+      backfillCtl = null;
       currentlyFetchingOlder = false;
       if (!quiet) redrawAll();
     }
@@ -838,45 +954,163 @@ window.addEventListener("DOMContentLoaded", () => {
  * UX goal: keep the default view (e.g. last 30 days) responsive while progressively
  * warming the in-memory cache for deep time exploration.
  *
+ * Only days missing from the IndexedDB cache (or too recent to trust) are fetched; each
+ * fetched chunk is written back to the cache so the next reload can skip it.
+ *
+ * Cancellation: `abortLoading()` (tab hidden, "Pause loading") aborts the in-flight chunk.
+ * Nothing partial is merged, and since runs are recomputed from `syncedDays` on every start,
+ * calling this again simply resumes where it stopped.
+ *
+ * Failures: a run that still fails after per-page retries is recorded in `failedRanges` and
+ * skipped; the remaining runs keep loading. "Retry missing" calls this again to pick them up.
+ *
  * Considerations for future enhancements:
- * - Add an AbortController so you can stop preloading on tab hide / navigation.
- * - Persist results in IndexedDB to avoid re-fetching on reload.
  * - Defer `redrawAll()` to a requestAnimationFrame / debounced cadence for very large sets.
  */
-    if (backgroundPreloadRunning) return;
+    if (backgroundPreloadRunning || loadingPaused) return;
     backgroundPreloadRunning = true;
+    preloadCtl = new AbortController();
+    const { signal } = preloadCtl;
 
+    let run = null;
     try {
-      let cursor = absoluteMinAllowed;
-      const end = absoluteMaxAllowed;
-
-      while (cursor < end) {
-        const next = Math.min(end, cursor + BACKFILL_STEP_DAYS * DAY_MS);
-        const feats = await fetchRange(cursor, next, `Loading history… ${formatRange(cursor, next)}`);
-        const pts = normalizeFeatures(feats);
-        mergePoints(pts);
+      const runs = unsyncedRuns(absoluteMinAllowed, absoluteMaxAllowed, BACKFILL_STEP_DAYS);
+
+      for (run of runs) {
+        try {
+          await fetchDaysAndCache(run.start, run.end, `Loading history… ${formatRange(run.start, run.end)}`, signal);
+        } catch (e) {
+          if (isAbortError(e)) throw e;
+          console.error(`History load failed for ${formatRange(run.start, run.end)}:`, e);
+          continue;
+        }
 
-        loadedMinTime = loadedMinTime == null ? cursor : Math.min(loadedMinTime, cursor);
-        loadedMaxTime = loadedMaxTime == null ? next : Math.max(loadedMaxTime, next);
+        loadedMinTime = loadedMinTime == null ? run.start : Math.min(loadedMinTime, run.start);
+        loadedMaxTime = loadedMaxTime == null ? run.end : Math.max(loadedMaxTime, run.end);
 
         updateLoadedRangeChip();
 
         if (slider) updateSliderRange(loadedMinTime, loadedMaxTime, true);
 
         redrawAll();
-        await new Promise((r) => setTimeout(r, 40));
-        cursor = next;
+        await sleep(40, signal);
       }
 
-      setStatus("Up to date.");
+      if (failedRanges.length) {
+        setStatus(`History loaded with ${failedRanges.length} failed range(s). Use “Retry missing” to try again.`);
+      } else {
+        setStatus(runs.length ? "Up to date." : "Up to date (history restored from cache).");
+      }
     } catch (e) {
+      if (isAbortError(e)) {
+        const what = run ? ` of ${formatRange(run.start, run.end)}` : "";
+        setStatus(`Cancelled history load${what} (${loadAbortReason}).`);
+        return;
+      }
       console.error(e);
       setStatus(`History load failed: ${e.message}`);
     } finally {
+      preloadCtl = null;
       backgroundPreloadRunning = false;
     }
   }
 
+  // ------------------ Live mode ------------------
+  /**
+   * Live polling for wall displays: every LIVE_POLL_MS, fetch incidents newer than the newest one we
+   * hold, merge them, and move `absoluteMaxAllowed` / `loadedMaxTime` (and the slider's upper bound)
+   * forward. If the slider's right handle was at the end ("viewing latest"), the window slides along.
+   *
+   * Live results are not written to the history cache: today's day record would only hold the new
+   * points, and recent days are re-synced on the next load anyway (CACHE_RESYNC_DAYS).
+   */
+  async function pollLatest() {
+    if (!liveEnabled || liveCtl || document.hidden || !appReadyToRender || !dataSource.live) return;
+    liveCtl = new AbortController();
+    const { signal } = liveCtl;
+
+    try {
+      const now = Date.now();
+      const newest = pointsSorted.length ? pointsSorted[pointsSorted.length - 1].ts : startOfDay(now);
+      const since = Math.max(absoluteMinAllowed, Math.min(newest, now) - LIVE_OVERLAP_MS);
+
+      const records = await dataSource.fetchRange(since, now, "Checking for new incidents…", signal);
+      const version = pointsVersion;
+      const added = mergePoints(normalizeFeatures(records));
+      const changed = pointsVersion !== version; // added, or an edited record replaced
+
+      const wasFollowing = currentMaxTime != null && currentMaxTime >= loadedMaxTime - DAY_MS / 2;
+      absoluteMaxAllowed = Math.max(absoluteMaxAllowed, now);
+      for (let day = startOfDay(since); day <= now; day = nextDay(day)) loadedDays.add(day);
+
+      const newMax = endOfDay(now);
+      const extended = newMax > loadedMaxTime;
+      if (extended) {
+        const shift = newMax - loadedMaxTime;
+        loadedMaxTime = newMax;
+        updateSliderRange(loadedMinTime, loadedMaxTime, true);
+        if (wasFollowing && slider) slider.set([currentMinTime + shift, loadedMaxTime]);
+      }
+      updateLoadedRangeChip();
+      liveBtn.title = `Last checked ${zone.format(now, { hour: "numeric", minute: "2-digit", second: "2-digit" })}`;
+
+      if (added.length) {
+        newSinceLook += added.length;
+        for (const p of added) pendingFlash.add(p);
+        updateNewIncidentsBadge();
+      }
+      if (changed || extended) redrawAll();
+    } catch (e) {
+      if (isAbortError(e)) return;
+      console.warn("Live refresh failed (will try again next poll):", e);
+      setStatus(`Live refresh failed: ${e.message}`);
+    } finally {
+      liveCtl = null;
+    }
+  }
+
+  function setLiveEnabled(on) {
+    liveEnabled = on;
+    try { localStorage.setItem(LIVE_STORAGE_KEY, on ? "1" : "0"); } catch {}
+
+    liveBtn.textContent = on ? "Live: on" : "Live: off";
+    liveBtn.classList.toggle("btn-on", on);
+
+    clearInterval(liveTimer);
+    liveTimer = null;
+    if (on) {
+      liveTimer = setInterval(pollLatest, LIVE_POLL_MS);
+      pollLatest();
+    } else {
+      liveCtl?.abort();
+    }
+  }
+
+  function readLiveSetting() {
+    try { return localStorage.getItem(LIVE_STORAGE_KEY) === "1"; } catch { return false; }
+  }
+
+  function updateNewIncidentsBadge() {
+    newIncidentsBadge.hidden = newSinceLook === 0;
+    newIncidentsBadge.textContent =
+      `${newSinceLook.toLocaleString()} new incident${newSinceLook === 1 ? "" : "s"} since you last looked`;
+  }
+
+  // Abort background preload + backfill. `reason` is echoed in the status bar.
+  // Returns true when something was actually running.
+  function abortLoading(reason) {
+    const wasRunning = !!(preloadCtl || backfillCtl);
+    loadAbortReason = reason;
+    preloadCtl?.abort();
+    backfillCtl?.abort();
+    return wasRunning;
+  }
+
+  function updatePauseLoadingBtn() {
+    pauseLoadingBtn.textContent = loadingPaused ? "Resume loading" : "Pause loading";
+    pauseLoadingBtn.classList.toggle("btn-on", loadingPaused);
+  }
+
   function setDefaultMonthView() {
     if (!slider || loadedMaxTime == null) return;
 
@@ -886,20 +1120,38 @@ window.addEventListener("DOMContentLoaded", () => {
   }
 
   // ------------------ Controllers ------------------
+  // Boundary sets the Areas map can count into (ZIP codes built in; more via boundaries.js or a file).
+  const boundaries = createBoundaryRegistry();
+
+  // Residents per area typed in under "Population…", by boundary set: { setId: { areaId: n } }.
+  function readSavedPopulationEdits() {
+    try {
+      return parsePopulationEdits(JSON.parse(localStorage.getItem(POPULATION_STORAGE_KEY) || "{}"));
+    } catch (e) {
+      console.warn("Saved population figures ignored:", e);
+      return {};
+    }
+  }
+
+  let populationEdits = readSavedPopulationEdits();
+
   const mapCtl = createMapController({
     mapDiv,
     overlayEl,
     topCardEl,
     modeDotsBtn,
     modeHeatBtn,
-    modeZipBtn,
+    modeAreasBtn,
+    modeGridBtn,
     heatOpacityPanel,
+    gridPanel,
     heatOpacityEl,
     heatOpacityValEl,
     // drawRegionBtn,
     clearRegionBtn,
     setStatus,
-    ZIP_QUERY_URL,
+    boundaries,
+    getPopulationEdits: (setId) => populationEdits[setId] || {},
     arcgisFetch, // re-use robust fetch + status
     iconFontReadyRef: () => iconFontReady,
     ensureIconFontReady,
@@ -907,6 +1159,7 @@ window.addEventListener("DOMContentLoaded", () => {
     iconGlyphForCategory,
     spriteForCategory,
     shadeForType, // IMPORTANT: needed for pie slices
+    formatDateTime,
   });
 
   const trendsCtl = createTrendsController({
@@ -922,8 +1175,11 @@ window.addEventListener("DOMContentLoaded", () => {
     hourFilterChip,
     dowClearBtn,
     hourClearBtn,
+    dowPresetsEl: $("dow-presets"),
+    hourPresetsEl: $("hour-presets"),
     kpiTotalEl,
     kpiRangeEl,
+    kpiChangeEl,
     kpiTopTypeEl,
     kpiTopTypeSubEl,
     kpiPeakEl,
@@ -932,57 +1188,333 @@ window.addEventListener("DOMContentLoaded", () => {
     kpiFiltersSubEl,
     formatRange,
     formatDate,
-    DAY_MS,
+    zone,
     categoryForType,
     colorForCategory,
     iconClassForCategory,
     shadeForType,
   });
 
-  // Wire legend/DOW/hour invalidation to ZIP cache (as trends-module expects)
-  trendsCtl.invalidateZipCacheHook = () => mapCtl.invalidateZipCache();
+  // Wire legend/DOW/hour invalidation to the area-count cache (as trends-module expects)
+  trendsCtl.invalidateAreaCacheHook = () => mapCtl.invalidateAreaCache();
 
-  // ------------------ Filter pipeline ------------------
-  function passesTimeFilter(p) {
-    return p.ts >= currentMinTime && p.ts <= currentMaxTime;
+  // Extra-field filters (beat, disposition, …) chosen under "Fields…"
+  const dimensionFilters = createDimensionFilters({
+    panelEl: requireEl("dimension-panel"),
+    listEl: requireEl("dimension-items"),
+    onFiltersChanged: () => userChanged(),
+  });
+
+  // ------------------ Region list ------------------
+  // Edits go through mapCtl, which owns the shapes and fires onRegionChanged.
+  const regionPanel = createRegionPanel({
+    panelEl: requireEl("region-panel"),
+    listEl: requireEl("region-items"),
+    onUpdate: (id, patch) => mapCtl.updateRegion(id, patch),
+    onRemove: (id) => mapCtl.removeRegion(id),
+    onZoom: (id) => mapCtl.zoomToRegion(id),
+  });
+
+  // ------------------ Boundary sets ------------------
+  // Picking a set (or adding one from a file) switches the map to it.
+  const boundaryPicker = createBoundaryPicker({
+    registry: boundaries,
+    selectEl: requireEl("boundary-set"),
+    addBtn: requireEl("boundary-add-btn"),
+    fileInput: requireEl("boundary-file-input"),
+    dialogEl: requireEl("boundary-dialog"),
+    subEl: requireEl("boundary-sub"),
+    nameEl: requireEl("boundary-name"),
+    idFieldEl: requireEl("boundary-id-field"),
+    labelFieldEl: requireEl("boundary-label-field"),
+    errorEl: requireEl("boundary-error"),
+    confirmBtn: requireEl("boundary-confirm"),
+    cancelBtn: requireEl("boundary-cancel"),
+    setStatus,
+    onSelect: (id) => {
+      mapCtl.setBoundarySet(id);
+      viewMode = "areas";
+      mapCtl.setModeUI(viewMode);
+      userChanged();
+    },
+  });
+  boundaryPicker.render(mapCtl.boundarySet);
+
+  // ------------------ Area normalization ------------------
+  // What the Areas map colors by (choropleth.js). Picking a normalization switches to the Areas map,
+  // like picking a boundary set; "Share of a category" also shows the category selector.
+  const areaNormEl = requireEl("area-norm");
+  const areaNormCategoryEl = requireEl("area-norm-category");
+  areaNormEl.replaceChildren(...NORMALIZATIONS.map((n) => new Option(n.label, n.id)));
+
+  // Keeps the selectors in step with mapCtl.areaNormalization; category options follow the taxonomy.
+  function renderAreaNormControls() {
+    const { mode, category } = mapCtl.areaNormalization;
+    areaNormEl.value = mode;
+    const names = taxonomy.categoryNames();
+    if (category && !names.includes(category)) names.push(category); // e.g. renamed since the link was made
+    areaNormCategoryEl.replaceChildren(...names.map((n) => new Option(n, n)));
+    areaNormCategoryEl.value = category || "";
+    areaNormCategoryEl.hidden = mode !== "share";
+  }
+
+  function areaNormChanged() {
+    const mode = areaNormEl.value;
+    const category = mode === "share" ? areaNormCategoryEl.value || taxonomy.categoryNames()[0] : null;
+    mapCtl.setAreaNormalization({ mode, category });
+    viewMode = "areas";
+    mapCtl.setModeUI(viewMode);
+    userChanged();
+  }
+
+  areaNormEl.addEventListener("change", areaNormChanged);
+  areaNormCategoryEl.addEventListener("change", areaNormChanged);
+
+  // ------------------ Comparison ------------------
+  // Period-over-period (comparison.js): the Areas map colors by the change and the KPI cards show
+  // it. Unlike the normalization this doesn't switch to the Areas map, since the KPIs compare too.
+  const compareEl = requireEl("compare");
+  const changeMeasureEl = requireEl("change-measure");
+  compareEl.replaceChildren(...COMPARISONS.map((c) => new Option(c.label, c.id)));
+  changeMeasureEl.replaceChildren(...CHANGE_MEASURES.map((m) => new Option(m.label, m.id)));
+
+  function renderComparisonControls() {
+    const { kind, measure } = mapCtl.areaComparison;
+    compareEl.value = kind;
+    changeMeasureEl.value = measure;
+    changeMeasureEl.hidden = kind === "none";
+  }
+
+  function comparisonChanged() {
+    mapCtl.setAreaComparison({ kind: compareEl.value, measure: changeMeasureEl.value });
+    userChanged();
+  }
+
+  compareEl.addEventListener("change", comparisonChanged);
+  changeMeasureEl.addEventListener("change", comparisonChanged);
+
+  // Baseline window of the current slider window: { kind, min, max, loaded, label }, or null.
+  function currentBaseline() {
+    const { kind } = mapCtl.areaComparison;
+    if (kind === "none" || currentMinTime == null) return null;
+    const win = baselineWindow(currentMinTime, currentMaxTime, kind, zone);
+    return {
+      kind,
+      ...win,
+      loaded: windowLoaded(win, loadedMinTime, loadedMaxTime),
+      label: formatRange(win.min, win.max),
+    };
+  }
+
+  const populationEditor = createPopulationEditor({
+    dialogEl: requireEl("population-dialog"),
+    subEl: requireEl("population-sub"),
+    listEl: requireEl("population-list"),
+    errorEl: requireEl("population-error"),
+    resetBtn: requireEl("population-reset"),
+    importBtn: requireEl("population-import"),
+    fileInput: requireEl("population-file-input"),
+    closeBtn: requireEl("population-close"),
+    loadAreas: (signal) => mapCtl.loadAreaPopulation(signal),
+    getEdits: (setId) => populationEdits[setId] || {},
+    onChange: (setId, edits) => {
+      populationEdits = { ...populationEdits, [setId]: edits };
+      if (!Object.keys(edits).length) delete populationEdits[setId];
+      try { localStorage.setItem(POPULATION_STORAGE_KEY, JSON.stringify(populationEdits)); } catch {}
+      if (viewMode === "areas") redrawAll(); // restyle only: counts are cached
+    },
+    setStatus,
+  });
+  requireEl("population-btn").addEventListener("click", () => populationEditor.open());
+
+  // Boundary files in (as regions) and the current regions out (GeoJSON).
+  createRegionImport({
+    dialogEl: requireEl("region-import-dialog"),
+    titleEl: requireEl("region-import-title"),
+    subEl: requireEl("region-import-sub"),
+    nameFieldEl: requireEl("region-import-name"),
+    opEl: requireEl("region-import-op"),
+    filterEl: requireEl("region-import-filter"),
+    selectAllBtn: requireEl("region-import-all"),
+    selectNoneBtn: requireEl("region-import-none"),
+    listEl: requireEl("region-import-list"),
+    warningsEl: requireEl("region-import-warnings"),
+    confirmBtn: requireEl("region-import-confirm"),
+    cancelBtn: requireEl("region-import-cancel"),
+    fileInput: requireEl("region-file-input"),
+    importBtn: requireEl("import-regions-btn"),
+    exportBtn: requireEl("export-regions-btn"),
+    setStatus,
+    getShapes: () => mapCtl.regionShapes,
+    onRegions: (shapes) => mapCtl.addRegionShapes(shapes),
+  });
+
+  // ------------------ Free-text search ------------------
+  // Autocomplete counts are a pass over every point, so they're kept until the data changes.
+  let observedValues = { version: -1, type: null, addr: null };
+  function observedValueCounts(field) {
+    if (observedValues.version !== pointsVersion) {
+      const type = new Map();
+      const addr = new Map();
+      for (const p of pointsSorted) {
+        type.set(p.type, (type.get(p.type) || 0) + 1);
+        if (p.addr) addr.set(p.addr, (addr.get(p.addr) || 0) + 1);
+      }
+      observedValues = { version: pointsVersion, type, addr };
+    }
+    return observedValues[field] || new Map();
+  }
+
+  const searchFilter = createSearchFilter({
+    inputEl: requireEl("search-input"),
+    modeEl: requireEl("search-mode"),
+    fieldEl: requireEl("search-field"),
+    suggestionsEl: requireEl("search-suggestions"),
+    errorEl: requireEl("search-error"),
+    zoomBtn: requireEl("search-zoom"),
+    clearBtn: requireEl("search-clear"),
+    getObservedValues: observedValueCounts,
+    onSearchChanged: () => userChanged(),
+    onZoomToMatches: () => {
+      if (!mapCtl.fitToPoints(lastFiltered)) setStatus("No incidents match the search in the current window.");
+    },
+  });
+
+  // ------------------ Taxonomy editor ------------------
+  // Call types currently loaded, with incident counts (what the editor lists as "observed").
+  function observedTypeCounts() {
+    const counts = new Map();
+    for (const p of pointsSorted) counts.set(p.type, (counts.get(p.type) || 0) + 1);
+    return counts;
   }
 
-  function buildSliceForLegend() {
+  // A taxonomy edit changes point categories, colors and icons: re-tag every loaded point (the worker
+  // picks that up through pointsVersion), drop cached sprites, and select all categories again since
+  // the old selection may name categories that no longer exist.
+  function applyTaxonomyChange() {
+    try { localStorage.setItem(TAXONOMY_STORAGE_KEY, JSON.stringify(taxonomy.toJSON())); } catch {}
+
+    for (const p of pointsSorted) p.category = categoryForType(p.type);
+    dataQuality.tagAll(pointsSorted); // "Other" flags follow the categories
+    pointsVersion++;
+    iconSpriteCache.clear();
+    trendsCtl.resetCategorySelection();
+    mapCtl.invalidateAreaCache();
+    redrawAll();
+  }
+
+  const taxonomyEditor = createTaxonomyEditor({
+    dialogEl: requireEl("taxonomy-dialog"),
+    summaryEl: requireEl("taxonomy-summary"),
+    categoriesEl: requireEl("taxonomy-categories"),
+    codesEl: requireEl("taxonomy-codes"),
+    codeSearchEl: requireEl("taxonomy-search"),
+    onlyOtherEl: requireEl("taxonomy-only-other"),
+    errorEl: requireEl("taxonomy-error"),
+    addCategoryBtn: requireEl("taxonomy-add"),
+    importBtn: requireEl("taxonomy-import"),
+    exportBtn: requireEl("taxonomy-export"),
+    resetBtn: requireEl("taxonomy-reset"),
+    closeBtn: requireEl("taxonomy-close"),
+    fileInput: requireEl("taxonomy-file-input"),
+    taxonomy,
+    defaultTaxonomy,
+    getObservedTypes: observedTypeCounts,
+    onChange: applyTaxonomyChange,
+  });
+
+  requireEl("taxonomy-btn").addEventListener("click", () => taxonomyEditor.open());
+
+  // ------------------ Data quality panel ------------------
+  const qualityPanel = createQualityPanel({
+    bodyEl: requireEl("quality-body"),
+    chipEl: requireEl("quality-chip"),
+    onExcludeChanged: () => userChanged(),
+  });
+
+  // The summary is a pass over every point, so only redo it when the tracker changed.
+  let qualityRenderedRevision = -1;
+  function renderQualityPanel() {
+    if (qualityRenderedRevision === dataQuality.revision) return;
+    qualityPanel.render(dataQuality.summarize(pointsSorted));
+    qualityRenderedRevision = dataQuality.revision;
+  }
+
+  // ------------------ Filter pipeline ------------------
 
 /**
+ * The pipeline itself lives in query-core.js and normally runs in the query worker.
+ * Per redraw we send one spec (time window, region, DOW/hour, legend selection, chart grouping)
+ * and get back legend slice counts, the filtered indices, chart buckets, KPIs and, in area mode,
+ * per-area counts.
+ *
  * Legend counts are intentionally computed on a slice that:
- * - respects time + region + DOW/hour mini-filters
+ * - respects time + region + DOW/hour mini-filters + free-text search
  * - ignores legend filters themselves
  *
  * This prevents "self-filtering" where the legend would re-count only what is currently
  * checked, making it hard to see what you are excluding.
  */
-    // Slice ignores legend filters (so counts remain correct), but includes time/region/dow/hour
-    const out = [];
-    for (const p of pointsSorted) {
-      if (!passesTimeFilter(p)) continue;
-      if (!mapCtl.passesRegionFilter(p)) continue;
-      if (!trendsCtl.passesDOWFilter(p.ts)) continue;
-      if (!trendsCtl.passesHourFilter(p.ts)) continue;
-      out.push(p);
-    }
-    return out;
+  const queryEngine = createQueryEngine({
+    workerUrl: new URL("./query-worker.js", import.meta.url),
+    onFallback: (reason) => setStatus(`Background query worker stopped (${reason}); filtering on the main thread.`),
+  });
+
+  // The worker's copy of the data is refreshed lazily, at most once per redraw.
+  let engineVersion = -1;
+  let areasSetInEngine = null; // boundary set id whose polygons the engine has
+
+  function syncQueryEngine() {
+    if (engineVersion === pointsVersion) return;
+    if (dataQuality.needsRetag) dataQuality.tagAll(pointsSorted);
+    queryEngine.setPoints(pointsSorted, { dimensions: dataSource.extraFields.map((d) => d.key) });
+    engineVersion = pointsVersion;
   }
 
-  function buildFilteredPoints(opts = {}) {
-    const ignoreDOW = !!opts.ignoreDOW;
-    const ignoreHour = !!opts.ignoreHour;
+  // The area filter chip: shown while areas are selected on the choropleth; clicking it clears them.
+  function renderAreaFilterChip() {
+    const label = mapCtl.areaSummary();
+    areaFilterChip.hidden = !label;
+    areaFilterChip.textContent = label ? `${label} ✕` : "";
+  }
 
-    const out = [];
-    for (const p of pointsSorted) {
-      if (!passesTimeFilter(p)) continue;
-      if (!mapCtl.passesRegionFilter(p)) continue;
-      if (!ignoreDOW && !trendsCtl.passesDOWFilter(p.ts)) continue;
-      if (!ignoreHour && !trendsCtl.passesHourFilter(p.ts)) continue;
-      if (!trendsCtl.legendAllowsPoint(p)) continue;
-      out.push(p);
-    }
-    return out;
+  // The worker holds the polygons of one boundary set at a time; resend them when the set changes.
+  async function ensureAreasInEngine(signal) {
+    if (areasSetInEngine === mapCtl.boundarySet) return;
+    const { setId, polygons } = await mapCtl.loadAreaPolygons(signal);
+    queryEngine.setAreaPolygons(polygons);
+    areasSetInEngine = setId;
+  }
+
+  // Category whose per-area counts the "share" normalization needs, or null.
+  function shareCategory() {
+    const { mode, category } = mapCtl.areaNormalization;
+    return mode === "share" ? category : null;
+  }
+
+  function buildAreaKeyObj() {
+    return {
+      boundarySet: mapCtl.boundarySet,
+      min: currentMinTime,
+      max: currentMaxTime,
+      dow: trendsCtl.dowKey,
+      hour: trendsCtl.hourKey,
+      regionKey: mapCtl.regionKey,
+      legendKey: trendsCtl.showAllTypes ? trendsCtl.activeTypeKey : trendsCtl.activeCategoryKey,
+      showAllTypes: trendsCtl.showAllTypes,
+      dimsKey: JSON.stringify(dimensionFilters.filterSpec().dims),
+      excludeFlags: qualityPanel.filterSpec().excludeFlags,
+      searchKey: searchFilter.key,
+      dataVersion: pointsVersion,
+      shareCategory: shareCategory(),
+      compareKey: compareKey(),
+    };
+  }
+
+  // The baseline window changes the counts; the change measure only restyles.
+  function compareKey() {
+    const b = currentBaseline();
+    return b ? `${b.kind}:${b.min}:${b.max}:${b.loaded ? 1 : 0}` : "";
   }
 
   function clearAllLayersAndStatusEmpty() {
@@ -993,7 +1525,22 @@ window.addEventListener("DOMContentLoaded", () => {
   function redrawAll() {
     if (!appReadyToRender) return;
 
+    // Any query/render still in flight is now stale: cancel it before it paints.
+    let cancelledNote = "";
+    if (renderCtl) {
+      renderCtl.abort();
+      cancelledNote = ` Cancelled stale ${renderCtlMode.toUpperCase()} render.`;
+      renderCtl = null;
+    }
+
     trendsCtl.syncShowAllTypesFromUI();
+    regionPanel.render(mapCtl.regions);
+    renderAreaFilterChip();
+    renderAreaNormControls();
+    renderComparisonControls();
+    renderGridControls();
+    syncUrl();
+    if (viewsPanelEl.open) savedViews.syncSaveControls();
 
     if (!pointsSorted.length || currentMinTime == null || currentMaxTime == null) {
       clearAllLayersAndStatusEmpty();
@@ -1002,74 +1549,321 @@ window.addEventListener("DOMContentLoaded", () => {
 
     trendsCtl.updateMiniFilterChipsUI();
 
-    // 1) build “slice” for legend (accurate counts)
-    const sliceForLegend = buildSliceForLegend();
+    // Result indices refer to this exact array; mergePoints() swaps in a new one rather than mutating.
+    syncQueryEngine();
+    const snapshot = pointsSorted;
+    const minTime = currentMinTime;
+    const maxTime = currentMaxTime;
+    const mode = viewMode;
+    const baseline = currentBaseline();
+
+// The query + render run in an async IIFE so input handlers return immediately.
+// Its AbortSignal is handed to the engine and mapCtl.draw*; the next redrawAll() aborts it.
+    const ctl = new AbortController();
+    const { signal } = ctl;
+    renderCtl = ctl;
+    renderCtlMode = mode;
 
-    // 2) render legend once
-    trendsCtl.renderLegend(sliceForLegend);
-
-    // 3) apply legend filters + everything else
-    const filtered = buildFilteredPoints();
-
-    trendsCtl.updateKPIs({
-      filtered,
-      currentMinTime,
-      currentMaxTime,
-      hasRegion: mapCtl.hasRegion(),
-      legendIsNarrowed: trendsCtl.legendIsNarrowed(),
-    });
-
-    trendsCtl.renderAllCharts({
-      filtered,
-      pointsForDow: buildFilteredPoints({ ignoreDOW: true }),
-      pointsForHour: buildFilteredPoints({ ignoreHour: true }),
-      currentMinTime,
-      currentMaxTime,
-    });
+    (async () => {
+      try {
+        let areaKey = null;
+        let wantAreaCounts = false;
+        const areaFilter = mapCtl.areaFilterSpec();
+        // An area selection may outlive area mode (dots/heat, or a link); it needs the polygons too.
+        if (mode === "areas" || areaFilter.areaFilter) await ensureAreasInEngine(signal);
+        if (mode === "areas") {
+          areaKey = buildAreaKeyObj();
+          wantAreaCounts = mapCtl.areaCountsNeeded(areaKey);
+        }
 
-    if (!filtered.length) {
-      mapCtl.clearMapLayers();
-      setStatus("No incidents match the current filters.");
-      return;
-    }
+        const spec = {
+          region: mapCtl.regionSpec,
+          ...areaFilter,
+          ...trendsCtl.filterSpec(),
+          ...searchFilter.filterSpec(),
+          ...dimensionFilters.filterSpec(),
+          ...qualityPanel.filterSpec(),
+          timeZone: zone.timeZone,
+          areaCounts: wantAreaCounts,
+          areaShareCategory: wantAreaCounts ? shareCategory() : null,
+        };
+        const res = await queryEngine.query({ ...spec, minTime, maxTime }, { signal });
+
+        // Comparison: the same filters over the baseline window, with the current window's top
+        // categories so the legend filter selects the same incidents in both.
+        let base = null;
+        if (baseline?.loaded) {
+          base = await queryEngine.query({
+            ...spec,
+            minTime: baseline.min,
+            maxTime: baseline.max,
+            legend: { ...spec.legend, topCategories: res.legendSlice.topCategories },
+            kpiType: res.kpi.topType,
+          }, { signal });
+        }
 
-    // MAP RENDER (fix: ZIP mode uses drawZipsWithKey + a stable cache key)
+        // 1) legend from the slice counts (may initialize the selection) + extra-field filter lists
+        trendsCtl.renderLegend(res.legendSlice);
+        dimensionFilters.render(res.dimValues);
+        renderQualityPanel();
+
+        // 2) KPIs + charts from the filtered aggregates
+        trendsCtl.updateKPIs({
+          kpi: res.kpi,
+          currentMinTime: minTime,
+          currentMaxTime: maxTime,
+          regionLabel: mapCtl.regionSummary(),
+          legendIsNarrowed: trendsCtl.legendIsNarrowed(),
+          comparison: baseline && {
+            label: baseline.label,
+            loaded: baseline.loaded,
+            measure: mapCtl.areaComparison.measure,
+            kpi: base?.kpi || null,
+          },
+          extraFilters: [
+            ...searchFilter.activeLabels(),
+            ...dimensionFilters.activeLabels(),
+            ...qualityPanel.activeLabels(),
+          ],
+        });
+
+        trendsCtl.renderAllCharts({
+          timeline: res.timeline,
+          dowTotals: res.dowTotals,
+          hourTotals: res.hourTotals,
+          currentMinTime: minTime,
+          currentMaxTime: maxTime,
+        });
+
+        const filtered = Array.from(res.filteredIdx, (i) => snapshot[i]);
+        lastFiltered = filtered;
+        if (!filtered.length) {
+          mapCtl.clearMapLayers();
+          setStatus("No incidents match the current filters.");
+          return;
+        }
 
-// Rendering happens in an async IIFE so the main redraw can complete quickly.
-// If you ever add cancellation (recommended), pass an AbortSignal down to mapCtl.draw*.
-    (async () => {
-      try {
-        if (viewMode === "zips") {
-          const zipKey = {
-            min: currentMinTime,
-            max: currentMaxTime,
-            dow: trendsCtl.selectedDOW,
-            hour: trendsCtl.selectedHour,
-            regionKey: mapCtl.regionKey,
-            legendKey: trendsCtl.showAllTypes ? trendsCtl.activeTypeKey : trendsCtl.activeCategoryKey,
-            showAllTypes: trendsCtl.showAllTypes,
-          };
-          await mapCtl.drawZipsWithKey(filtered, zipKey);
+        setStatus(
+          `Loaded ${snapshot.length.toLocaleString()} incidents. Showing ${filtered.length.toLocaleString()} in view.${cancelledNote}`
+        );
+
+        // 3) map (area mode uses drawAreasWithKey + a stable cache key)
+        if (mode === "areas") {
+          await mapCtl.drawAreasWithKey(filtered, areaKey, {
+            signal,
+            counts: res.areaCounts,
+            shareCounts: res.areaShareCounts,
+            baseline: baseline && {
+              label: baseline.label,
+              loaded: baseline.loaded,
+              counts: base?.areaCounts || null,
+              shareCounts: base?.areaShareCounts || null,
+            },
+          });
         } else {
-          await mapCtl.draw(viewMode, filtered, heatOpacity);
+          await mapCtl.draw(mode, filtered, heatOpacity, { signal });
+        }
+
+        // Live mode: ring the new arrivals that made it through the filters (dots mode only).
+        if (pendingFlash.size) {
+          if (mode === "dots") mapCtl.flashPoints(filtered.filter((p) => pendingFlash.has(p)));
+          pendingFlash.clear();
         }
       } catch (e) {
+        if (isAbortError(e)) return; // superseded; the newer redraw reports status
         console.error(e);
-        setStatus(`${viewMode.toUpperCase()} mode failed: ${e.message}`);
+        setStatus(`${mode.toUpperCase()} mode failed: ${e.message}`);
+      } finally {
+        if (renderCtl === ctl) renderCtl = null;
       }
     })();
-
-    setStatus(
-      `Loaded ${pointsSorted.length.toLocaleString()} incidents. Showing ${filtered.length.toLocaleString()} in view.`
-    );
   }
 
   // allow modules to trigger redraw
   mapCtl.onRegionChanged = () => {
-    mapCtl.invalidateZipCache();
-    redrawAll();
+    mapCtl.invalidateAreaCache();
+    userChanged();
   };
-  trendsCtl.onFiltersChanged = () => redrawAll();
+  mapCtl.onAreaStyleChanged = () => userChanged(); // classing: restyles from the cached counts
+  trendsCtl.onFiltersChanged = () => userChanged();
+  mapCtl.onViewChanged = () => syncUrl();
+
+  // ------------------ URL state ------------------
+  /**
+   * The dashboard state lives in the query string (encoding in url-state.js), so a copied URL
+   * reproduces the view and back/forward step through filter changes.
+   *
+   * - User actions (filters, region, slider, mode) go through `userChanged()` and push a history entry.
+   * - Everything else that redraws (background loading, live polls) and map pans/zooms only replace
+   *   the current entry, so history isn't flooded.
+   * - popstate re-applies the entry's state and redraws without writing a new one.
+   */
+  function currentUrlState() {
+    return {
+      timeZone: zone.timeZone,
+      range: pendingRange || (currentMinTime == null ? null : { min: currentMinTime, max: currentMaxTime }),
+      mode: viewMode,
+      grid: mapCtl.grid,
+      map: mapCtl.getView(),
+      regions: mapCtl.regionShapes,
+      boundary: mapCtl.boundarySet,
+      areas: mapCtl.areaSelection,
+      norm: mapCtl.areaNormalization.mode,
+      normCategory: mapCtl.areaNormalization.category,
+      classing: mapCtl.areaClassing,
+      compare: mapCtl.areaComparison.kind,
+      changeMeasure: mapCtl.areaComparison.measure,
+      ...trendsCtl.viewState(),
+      ...searchFilter.filterSpec(),
+      dims: dimensionFilters.filterSpec().dims,
+      excludeFlags: qualityPanel.filterSpec().excludeFlags,
+    };
+  }
+
+  function syncUrl() {
+    if (!appReadyToRender || applyingUrlState) return;
+    const push = urlPushPending;
+    urlPushPending = false;
+
+    const qs = encodeUrlState(currentUrlState(), zone);
+    if (qs === location.search.replace(/^\?/, "")) return;
+    const url = `${location.pathname}${qs ? `?${qs}` : ""}${location.hash}`;
+    if (push) history.pushState(null, "", url);
+    else history.replaceState(null, "", url);
+  }
+
+  function userChanged() {
+    urlPushPending = true;
+    redrawAll();
+  }
+
+  // Apply a decoded link (decodeUrlState). Anything the link leaves out goes back to its default,
+  // except the map view, which stays where it is. A link in another time zone can only be applied
+  // by a reload (see "Analysis time zone"): navigate to it and return false.
+  function applyUrlState(state) {
+    if (state.timeZone && state.timeZone !== zone.timeZone) {
+      const qs = encodeUrlState(state, getTimeZone(state.timeZone));
+      if (qs === location.search.replace(/^\?/, "")) location.reload();
+      else location.assign(`${location.pathname}?${qs}${location.hash}`);
+      return false;
+    }
+    applyingUrlState = true;
+    try {
+      viewMode = state.mode || "dots";
+      mapCtl.setModeUI(viewMode);
+      mapCtl.setGrid(state.grid || DEFAULT_GRID);
+      if (state.map) mapCtl.setView(state.map);
+      mapCtl.setRegionShapes(state.regions || []);
+      mapCtl.setBoundarySet(state.boundary || DEFAULT_BOUNDARY_SET);
+      boundaryPicker.render(mapCtl.boundarySet);
+      mapCtl.setAreaSelection(state.areas || []);
+      mapCtl.setAreaNormalization({
+        mode: state.norm || DEFAULT_NORMALIZATION,
+        category: state.normCategory || (state.norm === "share" ? taxonomy.categoryNames()[0] : null),
+      });
+      mapCtl.setAreaClassing(state.classing || DEFAULT_CLASSING);
+      mapCtl.setAreaComparison({
+        kind: state.compare || DEFAULT_COMPARISON,
+        measure: state.changeMeasure || DEFAULT_CHANGE_MEASURE,
+      });
+      trendsCtl.applyViewState(state);
+      searchFilter.setSearch(state.search);
+      dimensionFilters.setSelection(state.dims);
+      qualityPanel.setExcluded(state.excludeFlags || 0);
+      if (state.range) applyTimeRange(state.range);
+      else {
+        pendingRange = null;
+        setDefaultMonthView();
+      }
+    } finally {
+      applyingUrlState = false;
+    }
+    return true;
+  }
+
+  // ------------------ Saved views ------------------
+  function readSavedViews() {
+    try {
+      const raw = localStorage.getItem(VIEWS_STORAGE_KEY);
+      return raw ? parseSavedViews(JSON.parse(raw)) : [];
+    } catch (e) {
+      console.warn("Saved views ignored:", e);
+      return [];
+    }
+  }
+
+  // End of the newest day with data; relative views ("last N days") count back from here.
+  function newestDataDayEnd() {
+    const newest = pointsSorted.length ? pointsSorted[pointsSorted.length - 1].ts : loadedMaxTime;
+    return newest == null ? null : endOfDay(newest);
+  }
+
+  // Calendar days in [minMs, maxMs], counted in the analysis zone.
+  function daysInWindow(minMs, maxMs) {
+    const a = zone.parts(minMs);
+    const b = zone.parts(maxMs);
+    return Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / DAY_MS) + 1;
+  }
+
+  const viewsPanelEl = requireEl("views-panel");
+  const savedViews = createSavedViews({
+    listEl: requireEl("views-list"),
+    nameEl: requireEl("view-name"),
+    relativeEl: requireEl("view-relative"),
+    relativeLabelEl: requireEl("view-relative-label"),
+    saveBtn: requireEl("view-save"),
+    importBtn: requireEl("views-import"),
+    exportBtn: requireEl("views-export"),
+    fileInput: requireEl("views-file-input"),
+    errorEl: requireEl("views-error"),
+    initialViews: readSavedViews(),
+    getCurrent: () => {
+      const newestEnd = newestDataDayEnd();
+      return {
+        state: encodeUrlState(currentUrlState(), zone),
+        days: currentMinTime == null ? DEFAULT_VIEW_DAYS : daysInWindow(currentMinTime, currentMaxTime),
+        followingLatest: newestEnd != null && currentMaxTime != null && currentMaxTime >= newestEnd,
+      };
+    },
+    describeTime: (view) => {
+      if (view.time.kind === "relative") return `Last ${view.time.days.toLocaleString()} days`;
+      const range = decodeUrlState(view.state, zone).range;
+      return range ? formatRange(range.min, range.max) : "";
+    },
+    onOpen: (view) => {
+      const state = decodeUrlState(view.state, zone);
+      const end = newestDataDayEnd();
+      if (view.time.kind === "relative" && end != null) {
+        state.range = { min: zone.addDays(end, -(view.time.days - 1)), max: end };
+      }
+      if (!applyUrlState(state)) return;
+      setStatus(`Opened view “${view.name}”.`);
+      userChanged();
+    },
+    onViewsChanged: () => {
+      try { localStorage.setItem(VIEWS_STORAGE_KEY, JSON.stringify(savedViews.toJSON())); } catch {}
+    },
+  });
+
+  viewsPanelEl.addEventListener("toggle", () => {
+    if (viewsPanelEl.open) savedViews.syncSaveControls();
+  });
+
+  window.addEventListener("popstate", () => {
+    if (!appReadyToRender) return;
+    if (applyUrlState(decodeUrlState(location.search, zone))) redrawAll();
+  });
+
+  copyLinkBtn.addEventListener("click", async () => {
+    syncUrl();
+    try {
+      await navigator.clipboard.writeText(location.href);
+      setStatus("Link to this view copied.");
+    } catch (e) {
+      console.warn("Clipboard write failed:", e);
+      setStatus("Could not copy the link; copy it from the address bar instead.");
+    }
+  });
 
   // ------------------ UI events ------------------
   heatOpacityEl.addEventListener("input", (e) => {
@@ -1078,60 +1872,290 @@ window.addEventListener("DOMContentLoaded", () => {
     if (viewMode === "heat") mapCtl.applyHeatOpacity(heatOpacity);
   });
 
-  modeDotsBtn.addEventListener("click", () => { viewMode = "dots"; mapCtl.setModeUI(viewMode); redrawAll(); });
-  modeHeatBtn.addEventListener("click", () => { viewMode = "heat"; mapCtl.setModeUI(viewMode); redrawAll(); });
-  modeZipBtn.addEventListener("click", () => { viewMode = "zips"; mapCtl.setModeUI(viewMode); redrawAll(); });
+  modeDotsBtn.addEventListener("click", () => { viewMode = "dots"; mapCtl.setModeUI(viewMode); userChanged(); });
+  modeHeatBtn.addEventListener("click", () => { viewMode = "heat"; mapCtl.setModeUI(viewMode); userChanged(); });
+  modeAreasBtn.addEventListener("click", () => { viewMode = "areas"; mapCtl.setModeUI(viewMode); userChanged(); });
+  modeGridBtn.addEventListener("click", () => { viewMode = "grid"; mapCtl.setModeUI(viewMode); userChanged(); });
 
-  // ------------------ Boot ------------------
-  (async () => {
-    try {
-      setStatus("Initializing…");
+  // Grid cells (grid-bins.js): shape and size in meters. The panel only shows in grid mode.
+  gridShapeEl.replaceChildren(...GRID_SHAPES.map((s) => new Option(s.label, s.id)));
 
-      mapCtl.initMap();
+  function renderGridControls() {
+    const { shape, size } = mapCtl.grid;
+    gridShapeEl.value = shape;
+    if (document.activeElement !== gridSizeEl) gridSizeEl.value = String(size);
+  }
 
-      await fetchLayerInfo();
+  function gridChanged() {
+    mapCtl.setGrid({ shape: gridShapeEl.value, size: gridSizeEl.value });
+    gridSizeEl.value = String(mapCtl.grid.size); // clamped / rounded
+    userChanged();
+  }
+
+  gridShapeEl.addEventListener("change", gridChanged);
+  gridSizeEl.addEventListener("change", gridChanged);
+
+  pauseLoadingBtn.addEventListener("click", () => {
+    loadingPaused = !loadingPaused;
+    updatePauseLoadingBtn();
+
+    if (loadingPaused) {
+      if (!abortLoading("paused")) setStatus("History loading paused.");
+    } else {
+      setStatus("Resuming history loading…");
+      loadAllHistoryInBackground();
+    }
+  });
+
+  // Don't keep hammering the service from a background tab; pick up again when it's visible.
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      if (abortLoading("tab hidden")) resumeOnVisible = true;
+      return;
+    }
+    if (resumeOnVisible && !loadingPaused && appReadyToRender) {
+      resumeOnVisible = false;
+      setStatus("Resuming history loading…");
+      loadAllHistoryInBackground();
+    }
+    // Polls are skipped while hidden; catch up right away.
+    pollLatest();
+  });
 
+  liveBtn.addEventListener("click", () => setLiveEnabled(!liveEnabled));
+
+  // Dismissing the badge also jumps to the latest window (keeping its width) if we weren't there.
+  areaFilterChip.addEventListener("click", () => mapCtl.clearAreaSelection());
+  newIncidentsBadge.addEventListener("click", () => {
+    newSinceLook = 0;
+    updateNewIncidentsBadge();
+    if (slider && currentMaxTime < loadedMaxTime - DAY_MS / 2) {
+      slider.set([currentMinTime + (loadedMaxTime - currentMaxTime), loadedMaxTime]);
+      redrawAll();
+    }
+  });
+
+  // Failed ranges are still unsynced, so a fresh background pass re-fetches exactly those (and any other gaps).
+  retryMissingBtn.addEventListener("click", () => {
+    if (loadingPaused) {
+      setStatus("History loading is paused. Resume it to retry missing ranges.");
+      return;
+    }
+    if (backgroundPreloadRunning) {
+      setStatus("History is still loading. Retry once it finishes.");
+      return;
+    }
+    setStatus("Retrying missing ranges…");
+    loadAllHistoryInBackground();
+  });
+
+  // Clearing only drops the persisted copy; what's already in memory stays on screen.
+  clearCacheBtn.addEventListener("click", async () => {
+    try {
+      await historyCache.clear();
+      setStatus("Cached history cleared. It will be re-fetched on the next load.");
+    } catch (e) {
+      console.error(e);
+      setStatus(`Clear cache failed: ${e.message}`);
+    }
+    updateCacheChip();
+  });
+
+  // ------------------ Data source loading ------------------
+  // Resolve history bounds for `dataSource`, restore cached days, and fetch the initial window.
+  // Used at boot and after every source switch; background history is started by the caller.
+  async function loadDataSource() {
+    const source = dataSource;
+    updateSourceLine();
+
+    const extent = await source.getTimeExtent();
+    dimensionFilters.setDimensions(source.extraFields);
+    if (source.live) {
       absoluteMaxAllowed = Date.now();
       absoluteMinAllowed = yearsBackMs(MAX_YEARS_BACK);
-
       // clamp to layer time extent (if present)
-      if (Number.isFinite(layerTimeExtentStart)) absoluteMinAllowed = Math.max(absoluteMinAllowed, layerTimeExtentStart);
-      console.log("timeExtentEnd:", new Date(layerTimeExtentEnd).toISOString(), "now:", new Date().toISOString());
+      if (extent && Number.isFinite(extent[0])) absoluteMinAllowed = Math.max(absoluteMinAllowed, extent[0]);
+    } else {
+      // A file is a fixed extract: its own extent is the whole history, however old.
+      if (!extent) throw new Error(`${source.label} has no incidents with a readable date.`);
+      [absoluteMinAllowed, absoluteMaxAllowed] = extent;
+    }
+    // Day-aligned so every fetch maps cleanly onto cached day records
+    absoluteMinAllowed = startOfDay(absoluteMinAllowed);
+
+    // Cached days first, so a warm reload can render without touching the network
+    if (source.cacheable) await restoreFromCache();
+    updateCacheChip();
+
+    // Initial load (30 days), minus whatever the cache already settled
+    const initialEnd = endOfDay(absoluteMaxAllowed);
+    const initialStart = Math.max(absoluteMinAllowed, zone.addDays(initialEnd, -(INITIAL_DAYS - 1)));
+
+    // A failed run is recorded (see failedRanges) and shown on the loaded-range chip; keep going.
+    for (const run of unsyncedRuns(initialStart, initialEnd, INITIAL_DAYS)) {
+      try {
+        await fetchDaysAndCache(run.start, run.end, "Loading initial range…");
+      } catch (e) {
+        console.error(e);
+        setStatus(`Initial load failed for ${formatRange(run.start, run.end)}: ${e.message}`);
+      }
+    }
 
+    loadedMinTime = loadedMinTime == null ? initialStart : Math.min(loadedMinTime, initialStart);
+    loadedMaxTime = loadedMaxTime == null ? initialEnd : Math.max(loadedMaxTime, initialEnd);
 
-      // Initial load (30 days)
-      const initialEnd = endOfDay(absoluteMaxAllowed);
-      const initialStart = startOfDay(initialEnd - (INITIAL_DAYS - 1) * DAY_MS);
+    updateLoadedRangeChip();
+  }
 
-      const feats = await fetchRange(initialStart, initialEnd, "Loading initial range…");
-      const pts = normalizeFeatures(feats);
-      pointsSorted = pts.sort((a, b) => a.ts - b.ts);
+  /**
+   * Replace the dashboard's data with `source` (an imported file, or the ArcGIS layer again).
+   * In-flight loaders are aborted and awaited first so nothing from the old source lands in the
+   * new `pointsSorted`. Filters (region, DOW/hour, mode) are kept; the legend selection is reset
+   * because the set of call types changes.
+   */
+  async function switchDataSource(source) {
+    if (!appReadyToRender) {
+      setStatus("Still loading the current source. Try again in a moment.");
+      return;
+    }
 
-      loadedMinTime = initialStart;
-      loadedMaxTime = initialEnd;
+    abortLoading("switching data source");
+    liveCtl?.abort();
+    // Aborted loaders unwind asynchronously; wait for them so they can't write into the new source's state.
+    while (backgroundPreloadRunning || currentlyFetchingOlder || liveCtl) await sleep(25);
+
+    dataSource = source;
+    pointsSorted = [];
+    pointsVersion++;
+    pointKeys.clear();
+    dataQuality.reset();
+    // File sources drop rows without a readable date (and GeoJSON features without a point) up front;
+    // count them like normalizeFeatures would.
+    for (const r of source.skippedRecords || []) dataQuality.recordDrop("bad-date", r);
+    for (const r of source.unlocatedRecords || []) dataQuality.recordDrop("no-coords", r);
+    syncedDays = new Set();
+    loadedDays = new Set();
+    failedRanges = [];
+    loadedMinTime = null;
+    loadedMaxTime = null;
+    newSinceLook = 0;
+    pendingFlash.clear();
+    pendingRange = null;
+    updateNewIncidentsBadge();
 
-      updateLoadedRangeChip();
+    try {
+      setStatus(`Loading ${source.label}…`);
+      await loadDataSource();
 
-      // Ready UI
-      appReadyToRender = true;
-      initSlider();
+      updateSliderRange(loadedMinTime, loadedMaxTime, false);
       setDefaultMonthView();
 
-      // Defaults: legend checked by default (after legend has visible lists)
-      showAllTypesEl.checked = false;
+      // The old source's legend entries mean nothing here; the first render selects the new ones.
+      trendsCtl.clearLegendSelection();
+      redrawAll();
 
-      mapCtl.setModeUI(viewMode);
-      await ensureIconFontReady();
+      loadAllHistoryInBackground();
+    } catch (e) {
+      console.error(e);
+      setStatus(`Could not load ${source.label}: ${e.message}`);
+    }
+  }
 
-      // First render builds visible legend lists
-      redrawAll();
+  function updateSourceLine() {
+    sourceLinkEl.textContent = dataSource.label;
+    if (dataSource.link) sourceLinkEl.href = dataSource.link;
+    else sourceLinkEl.removeAttribute("href");
+    useArcgisBtn.hidden = dataSource === arcgisSource;
+    fieldSettingsBtn.hidden = typeof dataSource.schema !== "function";
+    liveBtn.disabled = !dataSource.live;
+  }
 
-      // Now ensure everything in the legend is selected (checked) by default
-      trendsCtl.resetLegendSelection();
+  // ------------------ Field mapping override ------------------
+  function readFieldOverride(sourceId) {
+    try { return JSON.parse(localStorage.getItem(`${FIELD_OVERRIDE_KEY}:${sourceId}`) || "null"); }
+    catch { return null; }
+  }
+
+  function writeFieldOverride(sourceId, override) {
+    try {
+      if (override) localStorage.setItem(`${FIELD_OVERRIDE_KEY}:${sourceId}`, JSON.stringify(override));
+      else localStorage.removeItem(`${FIELD_OVERRIDE_KEY}:${sourceId}`);
+    } catch {}
+  }
+
+  const fieldSettings = createFieldSettings({
+    dialogEl: requireEl("fields-dialog"),
+    rolesEl: requireEl("fields-roles"),
+    extrasEl: requireEl("fields-extras"),
+    errorEl: requireEl("fields-error"),
+    saveBtn: requireEl("fields-save"),
+    resetBtn: requireEl("fields-reset"),
+    cancelBtn: requireEl("fields-cancel"),
+    // Cached points were normalized with the old mapping, so drop them and reload from the layer.
+    onSave: async (override) => {
+      const source = dataSource;
+      writeFieldOverride(source.id, override);
+      source.setFieldOverride(override);
+      if (source.cacheable) {
+        try { await historyCache.clear(); }
+        catch (e) { console.warn("History cache clear failed (continuing):", e); }
+      }
+      setStatus("Field mapping saved. Reloading incidents…");
+      switchDataSource(source);
+    },
+  });
+
+  fieldSettingsBtn.addEventListener("click", () => fieldSettings.open(dataSource.schema()));
+
+  const sourceImporter = createSourceImporter({
+    dialogEl: importDialog,
+    titleEl: requireEl("import-title"),
+    subEl: requireEl("import-sub"),
+    fieldsEl: requireEl("import-fields"),
+    previewEl: requireEl("import-preview"),
+    errorEl: requireEl("import-error"),
+    confirmBtn: requireEl("import-confirm"),
+    cancelBtn: requireEl("import-cancel"),
+    fileInput: requireEl("import-file-input"),
+    dropTarget: document.body,
+    zone,
+    setStatus,
+    onSource: (source) => switchDataSource(source),
+  });
+
+  importFileBtn.addEventListener("click", () => sourceImporter.pickFile());
+  useArcgisBtn.addEventListener("click", () => switchDataSource(arcgisSource));
+  initTimeZoneSelect(requireEl("tz-select"));
+
+  // ------------------ Boot ------------------
+  (async () => {
+    try {
+      setStatus("Initializing…");
+
+      mapCtl.initMap();
+
+      // A shared link: move the map right away; the rest is applied once data is in.
+      const linkState = decodeUrlState(location.search, zone);
+      if (linkState.map) mapCtl.setView(linkState.map);
+
+      arcgisSource.setFieldOverride(readFieldOverride(arcgisSource.id));
+      await loadDataSource();
+
+      // Ready UI
+      appReadyToRender = true;
+      initSlider();
+
+      // Link state (or the defaults: last month, dots). Unless the link chose a legend selection, the
+      // first render selects every visible legend entry.
+      applyUrlState(linkState);
+      if (!linkState.legend.categories && !linkState.legend.types) trendsCtl.clearLegendSelection();
+      await ensureIconFontReady();
       redrawAll();
 
       // Start loading full history immediately (while default view stays 30 days)
       loadAllHistoryInBackground();
+
+      if (readLiveSetting()) setLiveEnabled(true);
     } catch (e) {
       console.error(e);
       setStatus(`Error: ${e.message}`);
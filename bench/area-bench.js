@@ -0,0 +1,169 @@
+// bench/area-bench.js
+// Benchmark for area counting and polygon filters in query-core.js, on the shipped abq-zips.json.
+//
+// Compares the old approach (every point tested against every ZIP's bounding boxes, then a ray cast
+// over every edge of the candidate polygon) with the indexed one (uniform grid over the boundary
+// set, latitude-banded rings, and each point's ZIP located once and reused as a group-by). Run it
+// either way:
+// - browser: open bench/area-bench.html from a local server
+// - node:    node --experimental-default-type=module bench/area-bench.js [points]
+
+import { areaAssignment, buildColumns, runQuery } from "../query-core.js";
+import { areaPolygons, BOUNDARY_SETS } from "../boundaries.js";
+import { makeSyntheticPoints } from "./query-bench.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ------------------ Legacy implementation ------------------
+
+function pointInRing(lat, lon, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0], yi = ring[i][1];
+    const xj = ring[j][0], yj = ring[j][1];
+
+    const intersect =
+      yi > lat !== yj > lat &&
+      lon < ((xj - xi) * (lat - yi)) / ((yj - yi) || 1e-9) + xi;
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+function pointInPolygonRings(lat, lon, rings) {
+  if (!pointInRing(lat, lon, rings[0])) return false;
+  for (let i = 1; i < rings.length; i++) {
+    if (pointInRing(lat, lon, rings[i])) return false;
+  }
+  return true;
+}
+
+function areaContains(meta, lat, lon) {
+  for (let r = 0; r < meta.ringsList.length; r++) {
+    const bb = meta.bboxes[r];
+    if (lat < bb.minLat || lat > bb.maxLat || lon < bb.minLon || lon > bb.maxLon) continue;
+    if (pointInPolygonRings(lat, lon, meta.ringsList[r])) return true;
+  }
+  return false;
+}
+
+function legacyCountAreas(cols, indices, areas) {
+  const counts = new Map();
+  for (let k = 0; k < indices.length; k++) {
+    const i = indices[k];
+    for (const meta of areas) {
+      if (areaContains(meta, cols.lat[i], cols.lon[i])) {
+        counts.set(meta.id, (counts.get(meta.id) || 0) + 1);
+        break;
+      }
+    }
+  }
+  return counts;
+}
+
+function legacyFilter(cols, indices, test) {
+  const out = [];
+  for (let k = 0; k < indices.length; k++) {
+    const i = indices[k];
+    if (test(cols.lat[i], cols.lon[i])) out.push(i);
+  }
+  return out;
+}
+
+// ------------------ Benchmark ------------------
+
+function time(fn, reps) {
+  fn(); // warm up
+  const t0 = performance.now();
+  for (let r = 0; r < reps; r++) fn();
+  return (performance.now() - t0) / reps;
+}
+
+function sameCounts(a, b) {
+  if (a.size !== b.size) return false;
+  for (const [k, v] of a) if (b.get(k) !== v) return false;
+  return true;
+}
+
+/**
+ * Run the benchmark and return a printable report.
+ * @param {Object} opts
+ * @param {Object} opts.geojson - abq-zips.json
+ * @param {number} [opts.points=200000]
+ * @param {number} [opts.reps=3]
+ * @returns {string}
+ */
+export function runAreaBenchmark({ geojson, points: n = 200000, reps = 3 }) {
+  const lines = [];
+  const areas = areaPolygons(BOUNDARY_SETS[0], geojson);
+  const points = makeSyntheticPoints(n);
+  const cols = buildColumns(points);
+  const all = Int32Array.from({ length: n }, (_, i) => i);
+  const last = points[points.length - 1].ts;
+  const base = { region: null, dows: [], hours: [], legend: { all: true }, timeline: { grouping: "day" }, minTime: 0, maxTime: last };
+
+  // The ZIP with the most vertices, used as a selected area and as a drawn-region polygon.
+  const vertices = (meta) => meta.ringsList.reduce((s, rings) => s + rings.reduce((t, r) => t + r.length, 0), 0);
+  const big = areas.reduce((a, b) => (vertices(b) > vertices(a) ? b : a));
+  const bigRings = big.ringsList[0];
+  const region = { hasInclude: true, shapes: [{ exclude: false, bounds: big.bboxes[0], polygons: [bigRings], circle: null }] };
+
+  const legacyAll = legacyCountAreas(cols, all, areas);
+  const indexedAll = runQuery(cols, { ...base, areaCounts: true }, areas).areaCounts;
+
+  const cases = [
+    {
+      // A fresh areas array defeats the cache: grid + ring index build, then every point located.
+      label: "first count (cold)",
+      legacy: () => legacyCountAreas(cols, all, areas),
+      indexed: () => areaAssignment(cols, areas.slice()),
+    },
+    {
+      label: "recount, last 30 days",
+      legacy: () => {
+        const idx = runQuery(cols, { ...base, minTime: last - 30 * DAY_MS }).filteredIdx;
+        return legacyCountAreas(cols, idx, areas);
+      },
+      indexed: () => runQuery(cols, { ...base, minTime: last - 30 * DAY_MS, areaCounts: true }, areas),
+    },
+    {
+      label: "recount, full year",
+      legacy: () => legacyCountAreas(cols, runQuery(cols, base).filteredIdx, areas),
+      indexed: () => runQuery(cols, { ...base, areaCounts: true }, areas),
+    },
+    {
+      label: `filter ZIP ${big.id}`,
+      legacy: () => legacyFilter(cols, runQuery(cols, base).filteredIdx, (lat, lon) => areaContains(big, lat, lon)),
+      indexed: () => runQuery(cols, { ...base, areaFilter: [big.id] }, areas),
+    },
+    {
+      label: `region = ZIP ${big.id}`,
+      legacy: () => legacyFilter(cols, runQuery(cols, base).filteredIdx, (lat, lon) => pointInPolygonRings(lat, lon, bigRings)),
+      indexed: () => runQuery(cols, { ...base, region }),
+    },
+  ];
+
+  lines.push(`${n.toLocaleString()} synthetic points, ${areas.length} ZIPs (${vertices(big).toLocaleString()} vertices in ${big.id}), ${reps} reps each (ms)`);
+  lines.push(`counts match legacy: ${sameCounts(legacyAll, indexedAll) ? "yes" : "NO"}`);
+  lines.push("");
+  lines.push(["case".padEnd(24), "legacy".padStart(10), "indexed".padStart(10), "speedup".padStart(9)].join(""));
+  for (const { label, legacy, indexed } of cases) {
+    const legacyMs = time(legacy, reps);
+    const newMs = time(indexed, reps);
+    lines.push([
+      label.padEnd(24),
+      legacyMs.toFixed(1).padStart(10),
+      newMs.toFixed(1).padStart(10),
+      `${(legacyMs / newMs).toFixed(1)}x`.padStart(9),
+    ].join(""));
+  }
+  return lines.join("\n");
+}
+
+// Only auto-run when executed directly with node (importing the module just exposes runAreaBenchmark).
+if (typeof process !== "undefined" && /area-bench\.js$/.test(process.argv?.[1] || "")) {
+  const { readFile } = await import("node:fs/promises");
+  const geojson = JSON.parse(await readFile(new URL("../abq-zips.json", import.meta.url), "utf8"));
+  const arg = Number(process.argv[2]);
+  console.log(runAreaBenchmark({ geojson, ...(Number.isFinite(arg) && arg > 0 ? { points: arg } : {}) }));
+}
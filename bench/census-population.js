@@ -0,0 +1,38 @@
+// bench/census-population.js
+// Regenerates abq-zip-population.json from a Census Bureau download of ACS 5-year table B01003
+// (total population) by ZCTA, read with parseCensusPopulation (population.js). Keeps the table's
+// ZIP list; a ZIP the download doesn't cover stays null. Not loaded by the app.
+//
+//   node --experimental-default-type=module bench/census-population.js <download> <ACS year>
+//
+// The download: data.census.gov table B01003, "ACS 5-Year Estimates Detailed Tables", geography
+// "Zip Code Tabulation Area" (CSV in either layout), or the Census API:
+//   https://api.census.gov/data/<year>/acs/acs5?get=NAME,B01003_001E&for=zip%20code%20tabulation%20area:*
+
+import { readFileSync, writeFileSync } from "node:fs";
+
+import { parseCensusPopulation } from "../population.js";
+
+const TABLE = new URL("../abq-zip-population.json", import.meta.url);
+
+const [file, yearArg] = process.argv.slice(2);
+const year = Number(yearArg);
+if (!file || !Number.isInteger(year)) {
+  console.error("usage: census-population.js <B01003 download> <ACS 5-year end year>");
+  process.exit(1);
+}
+
+const figures = parseCensusPopulation(readFileSync(file, "utf8"));
+const table = JSON.parse(readFileSync(TABLE, "utf8"));
+
+const missing = [];
+for (const zip of Object.keys(table.population)) {
+  const n = figures.get(zip);
+  if (n == null) missing.push(zip);
+  table.population[zip] = n ?? null;
+}
+table.year = year;
+table.source = `U.S. Census Bureau, American Community Survey ${year - 4}–${year} 5-year estimates, table B01003 (total population), by ZIP Code Tabulation Area`;
+
+writeFileSync(TABLE, JSON.stringify(table, null, 2) + "\n");
+console.log(`${Object.keys(table.population).length - missing.length} ZIPs filled${missing.length ? `; no figure for ${missing.join(", ")}` : ""}.`);
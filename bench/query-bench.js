@@ -0,0 +1,123 @@
+// bench/query-bench.js
+// Synthetic benchmark for the filter/aggregate pipeline in query-core.js.
+//
+// Compares the old approach (four full scans over point objects, each re-checking the time window and
+// allocating a Date per point) with `runQuery()` (binary-searched index range + single pass over
+// typed-array columns). Run it either way:
+// - browser: open bench/query-bench.html from a local server
+// - node:    node --experimental-default-type=module bench/query-bench.js [points]
+
+import { buildColumns, runQuery } from "../query-core.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CATEGORIES = ["Traffic", "Disturbance", "Alarm", "Welfare", "Theft", "Suspicious", "Medical",
+  "Noise", "Animal", "Fire", "Assist", "Parking", "Fraud", "Vandalism"];
+
+// Small deterministic PRNG so runs are comparable.
+function mulberry32(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Points shaped like app.js normalizes them, sorted by ts, spread over `days` days around Albuquerque.
+export function makeSyntheticPoints(n, { days = 365, seed = 42 } = {}) {
+  const rand = mulberry32(seed);
+  const end = Date.now();
+  const start = end - days * DAY_MS;
+  const points = new Array(n);
+  for (let i = 0; i < n; i++) {
+    const category = CATEGORIES[Math.floor(Math.pow(rand(), 2) * CATEGORIES.length)];
+    points[i] = {
+      ts: start + rand() * (end - start),
+      lat: 35.0 + rand() * 0.25,
+      lon: -106.75 + rand() * 0.3,
+      type: `${category.toUpperCase()} ${1 + Math.floor(rand() * 6)}`,
+      category,
+    };
+  }
+  points.sort((a, b) => a.ts - b.ts);
+  return points;
+}
+
+// The pre-query-core pipeline: independent scans for the legend slice, the filtered set and the
+// DOW-ignored / hour-ignored chart sets, each testing every point against every filter.
+function legacyPipeline(points, spec) {
+  const { minTime, maxTime, dows, hours } = spec;
+  const passesTime = (p) => p.ts >= minTime && p.ts <= maxTime;
+  const passesDow = (p) => !dows.length || dows.includes(new Date(p.ts).getDay());
+  const passesHour = (p) => !hours.length || hours.includes(new Date(p.ts).getHours());
+
+  const slice = points.filter((p) => passesTime(p) && passesDow(p) && passesHour(p));
+  const counts = new Map();
+  for (const p of slice) counts.set(p.category, (counts.get(p.category) || 0) + 1);
+  const top = new Set(Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).slice(0, 10).map((e) => e[0]));
+  const legendOk = (p) => top.has(p.category);
+
+  const filtered = points.filter((p) => passesTime(p) && passesDow(p) && passesHour(p) && legendOk(p));
+  const dowTotals = new Array(7).fill(0);
+  for (const p of points) {
+    if (passesTime(p) && passesHour(p) && legendOk(p)) dowTotals[new Date(p.ts).getDay()] += 1;
+  }
+  const hourTotals = new Array(24).fill(0);
+  for (const p of points) {
+    if (passesTime(p) && passesDow(p) && legendOk(p)) hourTotals[new Date(p.ts).getHours()] += 1;
+  }
+  return { filtered, dowTotals, hourTotals };
+}
+
+function time(fn, reps) {
+  fn(); // warm up
+  const t0 = performance.now();
+  for (let r = 0; r < reps; r++) fn();
+  return (performance.now() - t0) / reps;
+}
+
+/**
+ * Run the benchmark and return a printable report.
+ * @param {Object} [opts]
+ * @param {number} [opts.points=500000]
+ * @param {number} [opts.reps=5]
+ * @returns {string}
+ */
+export function runBenchmark({ points: n = 500000, reps = 5 } = {}) {
+  const lines = [];
+  const points = makeSyntheticPoints(n);
+  const cols = buildColumns(points);
+  const last = points[points.length - 1].ts;
+
+  const cases = [
+    { label: "last 30 days", spec: { minTime: last - 30 * DAY_MS, maxTime: last } },
+    { label: "last 30 days, Fri", spec: { minTime: last - 30 * DAY_MS, maxTime: last, dows: [5] } },
+    { label: "full year", spec: { minTime: 0, maxTime: last } },
+    { label: "full year, Fri 22:00", spec: { minTime: 0, maxTime: last, dows: [5], hours: [22] } },
+    { label: "full year, Fri+Sat 22-04", spec: { minTime: 0, maxTime: last, dows: [5, 6], hours: [22, 23, 0, 1, 2, 3] } },
+  ];
+
+  lines.push(`${n.toLocaleString()} synthetic points, ${reps} reps each (ms per query)`);
+  lines.push("");
+  lines.push(["case".padEnd(24), "legacy".padStart(10), "runQuery".padStart(10), "speedup".padStart(9)].join(""));
+  for (const { label, spec } of cases) {
+    const full = { region: null, dows: [], hours: [], legend: { all: true }, timeline: { grouping: "day" }, ...spec };
+    const legacyMs = time(() => legacyPipeline(points, full), reps);
+    const newMs = time(() => runQuery(cols, full), reps);
+    lines.push([
+      label.padEnd(24),
+      legacyMs.toFixed(1).padStart(10),
+      newMs.toFixed(1).padStart(10),
+      `${(legacyMs / newMs).toFixed(1)}x`.padStart(9),
+    ].join(""));
+  }
+  return lines.join("\n");
+}
+
+// Only auto-run when executed directly with node (importing the module just exposes runBenchmark).
+if (typeof process !== "undefined" && /query-bench\.js$/.test(process.argv?.[1] || "")) {
+  const arg = Number(process.argv[2]);
+  console.log(runBenchmark(Number.isFinite(arg) && arg > 0 ? { points: arg } : undefined));
+}
@@ -0,0 +1,179 @@
+// boundaries.js
+// Owns: the registry of boundary sets the choropleth can aggregate into (ZIP codes, council
+// districts, area commands, …): where each set's GeoJSON comes from and which properties identify
+// and label its areas. Also turns a set's GeoJSON into the plain polygons the query pipeline tests.
+//
+// Pure module: no DOM, no fetching (map-module.js loads the GeoJSON).
+//
+// Design notes:
+// - Built-in sets are the BOUNDARY_SETS entries; supporting another published layer is one more
+//   entry here. Sets added from a file (boundary-picker.js) carry their GeoJSON inline and last for
+//   the session only: boundary files run to megabytes, which is no fit for localStorage.
+// - Area ids are compared as strings everywhere (GeoJSON properties may be numbers; links are text).
+
+export const DEFAULT_BOUNDARY_SET = "zip";
+
+/**
+ * Built-in boundary sets.
+ *   id            - stable key, used in links (`boundary=`)
+ *   label         - selector text
+ *   singular      - one area, for popups and chips ("ZIP 87102")
+ *   url           - GeoJSON source; with `arcgis: true` it's an ArcGIS layer `query` endpoint (or a
+ *                   static export of one) and the usual query parameters are appended
+ *   idProperty    - feature property that identifies an area
+ *   labelProperty - feature property shown as its name, or null to show the id
+ *   populationUrl - optional bundled resident counts by area id (population.js), for the
+ *                   per-capita normalization
+ */
+export const BOUNDARY_SETS = [
+  {
+    id: "zip",
+    label: "ZIP codes",
+    singular: "ZIP",
+    url: "./abq-zips.json",
+    arcgis: true,
+    idProperty: "ZIP_CODE",
+    labelProperty: null,
+    populationUrl: "./abq-zip-population.json",
+  },
+  {
+    id: "council",
+    label: "Council districts",
+    singular: "District",
+    url: "https://coageo.cabq.gov/cabqgeo/rest/services/public/CouncilDistricts/MapServer/0/query",
+    arcgis: true,
+    idProperty: "DISTRICT",
+    labelProperty: null,
+  },
+  {
+    id: "area-command",
+    label: "APD area commands",
+    singular: "Area command",
+    url: "https://coageo.cabq.gov/cabqgeo/rest/services/public/APDAreaCommands/MapServer/0/query",
+    arcgis: true,
+    idProperty: "AREA_CMD",
+    labelProperty: "AREA_CMD_NAME",
+  },
+  {
+    id: "neighborhood",
+    label: "Neighborhood associations",
+    singular: "Neighborhood",
+    url: "https://coageo.cabq.gov/cabqgeo/rest/services/public/NeighborhoodAssociations/MapServer/0/query",
+    arcgis: true,
+    idProperty: "NA_ID",
+    labelProperty: "NA_NAME",
+  },
+];
+
+function bboxForRing(ring) {
+  let minLat = 90, minLon = 180, maxLat = -90, maxLon = -180;
+  for (const pt of ring) {
+    const lon = pt[0], lat = pt[1];
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+    if (lon < minLon) minLon = lon;
+    if (lon > maxLon) maxLon = lon;
+  }
+  return { minLat, minLon, maxLat, maxLon };
+}
+
+const EARTH_RADIUS_MI = 3958.8;
+const DEG = Math.PI / 180;
+
+// Shoelace area of a [lon, lat] ring in square miles, projected equirectangularly at `refLat`;
+// exact enough at city scale.
+function ringAreaSqMi(ring, refLat) {
+  const kx = Math.cos(refLat * DEG) * DEG * EARTH_RADIUS_MI;
+  const ky = DEG * EARTH_RADIUS_MI;
+  let twice = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    twice += ring[j][0] * kx * (ring[i][1] * ky) - ring[i][0] * kx * (ring[j][1] * ky);
+  }
+  return Math.abs(twice) / 2;
+}
+
+/** Area of a polygon (outer ring + holes, [lon, lat]) in square miles. */
+export function polygonAreaSqMi(rings) {
+  if (!rings?.length) return 0;
+  const bb = bboxForRing(rings[0]);
+  const refLat = (bb.minLat + bb.maxLat) / 2;
+  let area = ringAreaSqMi(rings[0], refLat);
+  for (let i = 1; i < rings.length; i++) area -= ringAreaSqMi(rings[i], refLat);
+  return Math.max(0, area);
+}
+
+/**
+ * Area id and display label of one feature of `set`.
+ * @returns {{id:string, label:string}}
+ */
+export function areaOf(set, feature) {
+  const props = feature?.properties || {};
+  const raw = props[set.idProperty];
+  const id = raw == null || raw === "" ? "—" : String(raw);
+  const name = set.labelProperty ? props[set.labelProperty] : null;
+  return { id, label: name == null || name === "" ? id : String(name) };
+}
+
+/**
+ * A set's GeoJSON -> plain polygons for the query pipeline (query-core.js countAreas):
+ * [{ id, label, ringsList, bboxes, areaSqMi }] where ringsList[i] is a polygon (outer ring + holes,
+ * [lon, lat]) and bboxes[i] its outer-ring bbox. Features without polygons are skipped.
+ */
+export function areaPolygons(set, geojson) {
+  const out = [];
+  for (const f of geojson?.features || []) {
+    const geom = f.geometry;
+    const ringsList = geom?.type === "Polygon" ? [geom.coordinates]
+      : geom?.type === "MultiPolygon" ? geom.coordinates
+      : [];
+    if (!ringsList.length) continue;
+    out.push({
+      ...areaOf(set, f),
+      ringsList,
+      bboxes: ringsList.map((rings) => bboxForRing(rings[0])),
+      areaSqMi: ringsList.reduce((sum, rings) => sum + polygonAreaSqMi(rings), 0),
+    });
+  }
+  return out;
+}
+
+/**
+ * @param {Array} [builtIns] - BOUNDARY_SETS
+ * @returns {Object} registry API
+ */
+export function createBoundaryRegistry(builtIns = BOUNDARY_SETS) {
+  const sets = builtIns.map((s) => ({ ...s }));
+  let fileSeq = 0;
+
+  function get(id) {
+    return sets.find((s) => s.id === id) || null;
+  }
+
+  /**
+   * Register a set loaded from a file for this session.
+   * @param {{label:string, singular?:string, geojson:Object, idProperty:string, labelProperty?:string|null}} entry
+   * @returns {Object} the registered set (with its generated id)
+   */
+  function addFromFile({ label, singular, geojson, idProperty, labelProperty = null }) {
+    if (!geojson?.features?.length) throw new Error("The file has no polygon features.");
+    if (!idProperty) throw new Error("Choose the property that identifies each area.");
+    const set = {
+      id: `file${++fileSeq}`,
+      label: label || `Boundary file ${fileSeq}`,
+      singular: singular || label || "Area",
+      geojson,
+      idProperty,
+      labelProperty: labelProperty || null,
+      fromFile: true,
+    };
+    sets.push(set);
+    return set;
+  }
+
+  return {
+    get list() { return sets.slice(); },
+    get,
+    has: (id) => !!get(id),
+    addFromFile,
+  };
+}
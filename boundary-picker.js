@@ -0,0 +1,137 @@
+// boundary-picker.js
+// Owns: the boundary-set selector of the area (choropleth) mode, and "Add boundary file…", which
+// registers a GeoJSON/KML/shapefile as another set for this session after asking which properties
+// identify and name its areas.
+//
+// The sets themselves are the boundaries.js registry; loading and drawing them is map-module.js.
+
+import { featuresToGeoJSON, guessNameField, readRegionFiles, REGION_FILE_ACCEPT } from "./region-files.js";
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.registry - boundaries.js createBoundaryRegistry()
+ * @param {HTMLSelectElement} deps.selectEl - one option per set
+ * @param {HTMLButtonElement} deps.addBtn
+ * @param {HTMLInputElement} deps.fileInput
+ * @param {HTMLDialogElement} deps.dialogEl
+ * @param {HTMLElement} deps.subEl
+ * @param {HTMLInputElement} deps.nameEl - set name shown in the selector
+ * @param {HTMLSelectElement} deps.idFieldEl - property that identifies an area
+ * @param {HTMLSelectElement} deps.labelFieldEl - property that names an area ("" = the id)
+ * @param {HTMLElement} deps.errorEl
+ * @param {HTMLButtonElement} deps.confirmBtn
+ * @param {HTMLButtonElement} deps.cancelBtn
+ * @param {(msg:string)=>void} deps.setStatus
+ * @param {(id:string)=>void} deps.onSelect - a set was picked (or added)
+ * @returns {Object} picker API
+ */
+export function createBoundaryPicker({
+  registry,
+  selectEl,
+  addBtn,
+  fileInput,
+  dialogEl,
+  subEl,
+  nameEl,
+  idFieldEl,
+  labelFieldEl,
+  errorEl,
+  confirmBtn,
+  cancelBtn,
+  setStatus,
+  onSelect,
+}) {
+  let pending = null; // readRegionFiles() result waiting in the dialog
+
+  function render(activeId) {
+    selectEl.replaceChildren(...registry.list.map((s) => new Option(s.fromFile ? `${s.label} (file)` : s.label, s.id)));
+    selectEl.value = activeId;
+  }
+
+  // ------------------ Add from file ------------------
+
+  function fieldOptions(el, fields, { none } = {}) {
+    el.replaceChildren();
+    if (none) el.append(new Option(none, ""));
+    for (const k of fields) el.append(new Option(k, k));
+  }
+
+  async function openFiles(files) {
+    if (!files.length) return;
+    setStatus("Reading boundary file…");
+    try {
+      pending = await readRegionFiles(files);
+    } catch (e) {
+      console.error(e);
+      setStatus(`Could not read boundary file: ${e.message}`);
+      return;
+    }
+    setStatus("");
+
+    const { label, features, fields, warnings } = pending;
+    if (!fields.length) {
+      pending = null;
+      setStatus(`${label} has no attributes to tell its areas apart.`);
+      return;
+    }
+    subEl.textContent = [
+      `${features.length.toLocaleString()} area${features.length === 1 ? "" : "s"} in ${label}.`,
+      "Available until the page is reloaded.",
+      ...warnings,
+    ].join(" ");
+    nameEl.value = label.replace(/\.[^.]+$/, "").replace(/[_-]+/g, " ");
+    fieldOptions(idFieldEl, fields);
+    fieldOptions(labelFieldEl, fields, { none: "— same as id —" });
+    idFieldEl.value = guessNameField(features, fields);
+    labelFieldEl.value = "";
+    errorEl.textContent = "";
+    if (!dialogEl.open) dialogEl.showModal();
+  }
+
+  function confirm() {
+    if (!pending) return;
+    const name = nameEl.value.trim();
+    if (!name) {
+      errorEl.textContent = "Give the boundary set a name.";
+      return;
+    }
+    let set;
+    try {
+      set = registry.addFromFile({
+        label: name,
+        singular: name,
+        geojson: featuresToGeoJSON(pending.features),
+        idProperty: idFieldEl.value,
+        labelProperty: labelFieldEl.value || null,
+      });
+    } catch (e) {
+      errorEl.textContent = e.message;
+      return;
+    }
+    pending = null;
+    dialogEl.close();
+    render(set.id);
+    onSelect(set.id);
+  }
+
+  // ------------------ Wiring ------------------
+
+  selectEl.addEventListener("change", () => onSelect(selectEl.value));
+  fileInput.accept = REGION_FILE_ACCEPT;
+  addBtn.addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    const files = Array.from(fileInput.files || []);
+    fileInput.value = ""; // picking the same file again should still fire "change"
+    openFiles(files);
+  });
+  confirmBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    confirm();
+  });
+  cancelBtn.addEventListener("click", () => {
+    pending = null;
+    dialogEl.close();
+  });
+
+  return { render };
+}
@@ -0,0 +1,310 @@
+// choropleth.js
+// Owns: what an area's color stands for: the normalization modes of the Areas map (raw count, per
+// 1,000 residents, per square mile, share of one category), the value each area gets under them and
+// how those values are written in popups and the map legend.
+//
+// Pure module: no DOM, no Leaflet (map-module.js paints, app.js wires the selectors).
+//
+// Design notes:
+// - An area whose value can't be computed (no population figure, zero area, no incidents to take a
+//   share of) gets null, and is drawn as "no data" rather than as the bottom of the scale.
+// - Share of a category is taken among the incidents the filters keep, so a category switched off in
+//   the legend has a share of 0 everywhere.
+
+export const DEFAULT_NORMALIZATION = "count";
+
+/**
+ * Normalization modes, in selector order.
+ *   id    - stable key, used in links (`norm=`)
+ *   label - selector text
+ */
+export const NORMALIZATIONS = [
+  { id: "count", label: "Incidents" },
+  { id: "per1k", label: "Per 1,000 residents" },
+  { id: "perSqMi", label: "Per square mile" },
+  { id: "share", label: "Share of a category" },
+];
+
+const NORMALIZATION_IDS = new Set(NORMALIZATIONS.map((n) => n.id));
+
+export function isNormalization(id) {
+  return NORMALIZATION_IDS.has(id);
+}
+
+/**
+ * Value of one area under `mode`, or null when it can't be computed.
+ * @param {string} mode
+ * @param {{count:number, population?:number|null, areaSqMi?:number, shareCount?:number}} a
+ * @returns {number|null}
+ */
+export function normalizedValue(mode, { count, population, areaSqMi, shareCount }) {
+  switch (mode) {
+    case "per1k":
+      return population > 0 ? (count / population) * 1000 : null;
+    case "perSqMi":
+      return areaSqMi > 0 ? count / areaSqMi : null;
+    case "share":
+      return count > 0 ? (shareCount || 0) / count : null;
+    default:
+      return count;
+  }
+}
+
+/** Legend title: "Incidents per 1,000 residents", "Share of incidents that are Theft", … */
+export function normalizationTitle(mode, category) {
+  switch (mode) {
+    case "per1k": return "Incidents per 1,000 residents";
+    case "perSqMi": return "Incidents per square mile";
+    case "share": return `Share of incidents that are ${category || "—"}`;
+    default: return "Incidents";
+  }
+}
+
+/** Popup caption under the value ("PER 1,000 RESIDENTS"). */
+export function normalizationUnit(mode, category) {
+  switch (mode) {
+    case "per1k": return "PER 1,000 RESIDENTS";
+    case "perSqMi": return "PER SQUARE MILE";
+    case "share": return `ARE ${String(category || "—").toUpperCase()}`;
+    default: return "INCIDENTS";
+  }
+}
+
+/** Value as shown in popups and legend breaks; null -> "no data". */
+export function formatNormalized(mode, v) {
+  if (v == null) return "no data";
+  if (mode === "share") return `${(v * 100).toLocaleString(undefined, { maximumFractionDigits: 1 })}%`;
+  if (mode === "count") return Math.round(v).toLocaleString();
+  return v.toLocaleString(undefined, { maximumFractionDigits: v < 10 ? 2 : 1 });
+}
+
+// ------------------ Classification ------------------
+
+// Classing
+// --------
+// Values are split into classes by `classBreaks` (class i holds values in (breaks[i-1], breaks[i]])
+// and each class gets one color of a palette. Schemes:
+//   equal    - equal-width classes between the lowest and highest value
+//   quantile - about the same number of areas per class
+//   jenks    - natural breaks (Fisher-Jenks): minimizes the variance within classes
+//   stddev   - classes one standard deviation wide, centered on the mean (pairs with a diverging
+//              palette); the outer classes are open-ended
+// Ties can leave quantile/jenks with fewer distinct breaks than asked for; the palette is then
+// sampled for the classes that remain.
+
+export const DEFAULT_CLASSING = { scheme: "equal", classes: 5, palette: "ylorrd" };
+
+export const CLASS_SCHEMES = [
+  { id: "equal", label: "Equal interval" },
+  { id: "quantile", label: "Quantile" },
+  { id: "jenks", label: "Natural breaks (Jenks)" },
+  { id: "stddev", label: "Standard deviation" },
+];
+
+export const CLASS_COUNTS = [3, 4, 5, 6, 7];
+
+/**
+ * Colorblind-safe palettes (ColorBrewer / viridis), low to high. `stops` are sampled evenly for the
+ * number of classes, so 5 classes of a 9-stop palette land exactly on every other stop.
+ */
+export const PALETTES = [
+  { id: "ylorrd", label: "Yellow–red", kind: "sequential",
+    stops: ["#ffffcc", "#ffeda0", "#fed976", "#feb24c", "#fd8d3c", "#fc4e2a", "#e31a1c", "#bd0026", "#800026"] },
+  { id: "blues", label: "Blues", kind: "sequential",
+    stops: ["#f7fbff", "#deebf7", "#c6dbef", "#9ecae1", "#6baed6", "#4292c6", "#2171b5", "#08519c", "#08306b"] },
+  { id: "viridis", label: "Viridis", kind: "sequential",
+    stops: ["#440154", "#482878", "#3e4989", "#31688e", "#26828e", "#1f9e89", "#35b779", "#6ece58", "#b5de2b", "#fde725"] },
+  { id: "rdylbu", label: "Blue–yellow–red", kind: "diverging",
+    stops: ["#313695", "#4575b4", "#74add1", "#abd9e9", "#e0f3f8", "#ffffbf", "#fee090", "#fdae61", "#f46d43", "#d73027", "#a50026"] },
+  { id: "puor", label: "Purple–orange", kind: "diverging",
+    stops: ["#2d004b", "#542788", "#8073ac", "#b2abd2", "#d8daeb", "#f7f7f7", "#fee0b6", "#fdb863", "#e08214", "#b35806", "#7f3b08"] },
+];
+
+const DEFAULT_CHANGE_PALETTE = "rdylbu"; // classifyChange() with a sequential palette picked
+const JENKS_MAX_VALUES = 1000; // above this, natural breaks are computed on an even sample
+
+const byId = (list) => new Map(list.map((x) => [x.id, x]));
+const SCHEMES_BY_ID = byId(CLASS_SCHEMES);
+const PALETTES_BY_ID = byId(PALETTES);
+
+/** Classing settings from a link or saved state, with anything unknown back at its default. */
+export function parseClassing({ scheme, classes, palette } = {}) {
+  const n = Number(classes);
+  return {
+    scheme: SCHEMES_BY_ID.has(scheme) ? scheme : DEFAULT_CLASSING.scheme,
+    classes: CLASS_COUNTS.includes(n) ? n : DEFAULT_CLASSING.classes,
+    palette: PALETTES_BY_ID.has(palette) ? palette : DEFAULT_CLASSING.palette,
+  };
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function rgbToHex(rgb) {
+  return `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, "0")).join("")}`;
+}
+
+/** `n` colors of a palette, low to high. */
+export function paletteColors(paletteId, n) {
+  const stops = (PALETTES_BY_ID.get(paletteId) || PALETTES_BY_ID.get(DEFAULT_CLASSING.palette)).stops;
+  if (n <= 1) return [stops[Math.floor((stops.length - 1) / 2)]];
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const t = (i / (n - 1)) * (stops.length - 1);
+    const lo = Math.floor(t);
+    const hi = Math.min(stops.length - 1, lo + 1);
+    const a = hexToRgb(stops[lo]);
+    const b = hexToRgb(stops[hi]);
+    out.push(rgbToHex(a.map((c, k) => c + (b[k] - c) * (t - lo))));
+  }
+  return out;
+}
+
+// Fisher-Jenks natural breaks over sorted values: upper bounds of the first k-1 classes.
+function jenksBreaks(sorted, k) {
+  const n = sorted.length;
+  const w = k + 1;
+  const lower = new Int32Array((n + 1) * w); // lower[l][j]: first value (1-based) of class j when l values are in j classes
+  const cost = new Float64Array((n + 1) * w).fill(Infinity);
+  for (let j = 1; j <= k; j++) {
+    lower[w + j] = 1;
+    cost[w + j] = 0;
+  }
+  for (let l = 2; l <= n; l++) {
+    let s1 = 0, s2 = 0, v = 0;
+    for (let m = 1; m <= l; m++) {
+      const i3 = l - m + 1;
+      const val = sorted[i3 - 1];
+      s1 += val;
+      s2 += val * val;
+      v = s2 - (s1 * s1) / m;
+      const i4 = i3 - 1;
+      if (i4 === 0) continue;
+      for (let j = 2; j <= k; j++) {
+        const c = v + cost[i4 * w + j - 1];
+        if (cost[l * w + j] >= c) {
+          lower[l * w + j] = i3;
+          cost[l * w + j] = c;
+        }
+      }
+    }
+    lower[l * w + 1] = 1;
+    cost[l * w + 1] = v;
+  }
+  const breaks = [];
+  let end = n;
+  for (let j = k; j >= 2; j--) {
+    const first = lower[end * w + j];
+    breaks.unshift(sorted[first - 2]);
+    end = first - 1;
+  }
+  return breaks;
+}
+
+function evenSample(sorted, max) {
+  if (sorted.length <= max) return sorted;
+  const out = [];
+  for (let i = 0; i < max; i++) out.push(sorted[Math.round((i * (sorted.length - 1)) / (max - 1))]);
+  return out;
+}
+
+/**
+ * Class breaks (ascending upper bounds of every class but the last) for `values` (nulls ignored).
+ * @param {Array<number|null>} values
+ * @param {{scheme:string, classes:number}} classing
+ * @returns {number[]}
+ */
+export function classBreaks(values, { scheme, classes }) {
+  const sorted = values.filter((v) => v != null && Number.isFinite(v)).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n < 2 || sorted[0] === sorted[n - 1] || classes < 2) return [];
+  const min = sorted[0];
+  const max = sorted[n - 1];
+
+  let breaks;
+  if (scheme === "stddev") {
+    const mean = sorted.reduce((s, v) => s + v, 0) / n;
+    const sd = Math.sqrt(sorted.reduce((s, v) => s + (v - mean) ** 2, 0) / n);
+    // Outer classes are open-ended, so breaks may fall outside [min, max]; keep them all so the
+    // palette stays centered on the mean.
+    return Array.from({ length: classes - 1 }, (_, i) => mean + (i + 1 - classes / 2) * sd);
+  }
+  if (scheme === "quantile") {
+    breaks = Array.from({ length: classes - 1 }, (_, i) => sorted[Math.ceil(((i + 1) * n) / classes) - 1]);
+  } else if (scheme === "jenks") {
+    const sample = evenSample(sorted, JENKS_MAX_VALUES);
+    breaks = jenksBreaks(sample, Math.min(classes, sample.length));
+  } else {
+    breaks = Array.from({ length: classes - 1 }, (_, i) => min + ((i + 1) * (max - min)) / classes);
+  }
+  return Array.from(new Set(breaks)).filter((b) => b >= min && b < max);
+}
+
+/** Class of a value: the number of breaks below it. */
+export function classIndex(v, breaks) {
+  let i = 0;
+  while (i < breaks.length && v > breaks[i]) i++;
+  return i;
+}
+
+// Breaks + palette -> the classify() result.
+function classesFor(values, breaks, paletteId) {
+  const colors = paletteColors(paletteId, breaks.length + 1);
+  let min = Infinity, max = -Infinity, present = 0;
+  for (const v of values) {
+    if (v == null || !Number.isFinite(v)) continue;
+    present++;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+
+  const classes = colors.map((color, i) => ({
+    from: i === 0 ? (present && min <= (breaks[0] ?? Infinity) ? min : null) : breaks[i - 1],
+    to: i === breaks.length ? (present && max >= (breaks[i - 1] ?? -Infinity) ? max : null) : breaks[i],
+    color,
+    count: 0,
+  }));
+  for (const v of values) {
+    if (v != null && Number.isFinite(v)) classes[classIndex(v, breaks)].count += 1;
+  }
+
+  return {
+    breaks,
+    classes,
+    noData: values.length - present,
+    colorOf: (v) => (v == null || !Number.isFinite(v) ? null : colors[classIndex(v, breaks)]),
+  };
+}
+
+/**
+ * Classify values for a map: breaks, one color per class and each class's range and count.
+ * @param {Array<number|null>} values
+ * @param {{scheme:string, classes:number, palette:string}} classing
+ * @returns {{breaks:number[], classes:Array<{from:number|null, to:number|null, color:string, count:number}>, noData:number, colorOf:(v:number|null)=>string|null}}
+ *   `from` null = open below, `to` null = open above; colorOf(null) is null ("no data").
+ */
+export function classify(values, classing) {
+  return classesFor(values, classBreaks(values, classing), classing.palette);
+}
+
+/**
+ * Classify changes (period-over-period) on a diverging scale centered on zero: the scheme splits
+ * the sizes of the changes, and falls and rises mirror each other. An odd class count gets a
+ * middle "about the same" class; an even one splits at zero. A sequential palette is swapped for
+ * the default diverging one. Same result shape as classify().
+ */
+export function classifyChange(values, classing) {
+  const side = Math.floor(classing.classes / 2);
+  const odd = classing.classes % 2 === 1;
+  const sizes = values.filter((v) => v != null && Number.isFinite(v)).map(Math.abs);
+  // Odd: the first size break bounds the middle class, so each side needs one more.
+  const mags = classBreaks([0, ...sizes], { scheme: classing.scheme, classes: odd ? side + 1 : side })
+    .filter((b) => b > 0);
+  const breaks = [...mags.map((b) => -b).reverse(), ...(odd ? [] : [0]), ...mags];
+  if (odd && !mags.length && sizes.some((v) => v > 0)) breaks.push(0); // all one size: split at zero
+
+  const palette = PALETTES_BY_ID.get(classing.palette)?.kind === "diverging" ? classing.palette : DEFAULT_CHANGE_PALETTE;
+  return classesFor(values, breaks, palette);
+}
@@ -0,0 +1,113 @@
+// comparison.js
+// Owns: period-over-period comparison: which earlier window the current slider window is compared
+// with (the equal-length window just before it, or the same days a year earlier), and how a change
+// is measured and written.
+//
+// Pure module: no DOM. app.js runs the baseline query; map-module.js colors areas by the change and
+// trends-module.js adds it to the KPI cards.
+//
+// Design notes:
+// - Windows are whole days in the analysis zone (tz.js), like the slider: "previous" is the same
+//   number of calendar days immediately before, so DST days don't shift it by an hour.
+// - A comparison only means something when the baseline window is fully loaded; callers check
+//   `windowLoaded` and say so instead of comparing against a partly loaded period.
+// - Percent change from zero is 0 when the value stays at zero; a rise from zero has no value
+//   (null) and is shown as "new" rather than as an infinite rise.
+
+export const DEFAULT_COMPARISON = "none";
+export const DEFAULT_CHANGE_MEASURE = "abs";
+
+/**
+ * Comparison modes, in selector order.
+ *   id    - stable key, used in links (`cmp=`)
+ *   label - selector text
+ */
+export const COMPARISONS = [
+  { id: "none", label: "No comparison" },
+  { id: "prev", label: "vs previous period" },
+  { id: "year", label: "vs a year earlier" },
+];
+
+export const CHANGE_MEASURES = [
+  { id: "abs", label: "Change" },
+  { id: "pct", label: "% change" },
+];
+
+const COMPARISON_IDS = new Set(COMPARISONS.map((c) => c.id));
+const MEASURE_IDS = new Set(CHANGE_MEASURES.map((m) => m.id));
+
+export function isComparison(id) {
+  return COMPARISON_IDS.has(id);
+}
+
+export function isChangeMeasure(id) {
+  return MEASURE_IDS.has(id);
+}
+
+/**
+ * Baseline window for [min, max] (epoch ms, day-aligned in `zone`), or null for "none".
+ * @param {number} min
+ * @param {number} max
+ * @param {string} kind - prev | year
+ * @param {Object} zone - tz.js zone
+ * @returns {{min:number, max:number}|null}
+ */
+export function baselineWindow(min, max, kind, zone) {
+  if (kind === "prev") {
+    const start = zone.startOfDay(min);
+    let days = 0;
+    for (let d = start; d <= max; d = zone.nextDay(d)) days++;
+    return { min: zone.addDays(start, -days), max: start - 1 };
+  }
+  if (kind === "year") {
+    const a = zone.parts(min);
+    const b = zone.parts(max);
+    return {
+      min: yearEarlier(a, zone),
+      max: zone.endOfDay(yearEarlier(b, zone)),
+    };
+  }
+  return null;
+}
+
+// Start of the same calendar day a year before `p` (zone parts); Feb 29 maps to Feb 28 rather than
+// rolling over into March.
+function yearEarlier(p, zone) {
+  const year = p.year - 1;
+  const monthDays = new Date(Date.UTC(year, p.month, 0)).getUTCDate();
+  return zone.fromLocal(year, p.month, Math.min(p.day, monthDays));
+}
+
+/** Whether [win.min, win.max] lies inside the loaded history. */
+export function windowLoaded(win, loadedMin, loadedMax) {
+  return !!win && loadedMin != null && loadedMax != null && win.min >= loadedMin && win.max <= loadedMax;
+}
+
+/**
+ * Change from `before` to `now`, or null when it can't be computed (a missing value, or a percent
+ * change from zero to a non-zero value).
+ */
+export function changeValue(measure, now, before) {
+  if (now == null || before == null) return null;
+  if (measure === "pct") {
+    if (before > 0) return (now - before) / before;
+    return before === 0 && now === 0 ? 0 : null;
+  }
+  return now - before;
+}
+
+function signed(v, text) {
+  return v > 0 ? `+${text}` : v < 0 ? `−${text}` : text;
+}
+
+/**
+ * A change as text: "+12", "−3.5%", "+4.2 pts" (a change of a share). `format` writes the
+ * magnitude of an absolute change (choropleth.js formatNormalized for the active normalization).
+ * A change without a value reads "new" when `before` was zero and `now` is above it, "—" otherwise.
+ */
+export function formatChange(measure, v, { format = (x) => x.toLocaleString(), share = false, now, before } = {}) {
+  if (v == null) return before === 0 && now > 0 ? "new" : "—";
+  if (measure === "pct") return signed(v, `${Math.abs(v * 100).toLocaleString(undefined, { maximumFractionDigits: 1 })}%`);
+  if (share) return signed(v, `${Math.abs(v * 100).toLocaleString(undefined, { maximumFractionDigits: 1 })} pts`);
+  return signed(v, format(Math.abs(v)));
+}
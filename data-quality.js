@@ -0,0 +1,177 @@
+// data-quality.js
+// Owns: data-quality bookkeeping — records dropped during normalization (by reason) and per-point
+// quality flags for suspicious points that are kept: outside the analysis area, "stacked" on a
+// geocoder-default location, or a call type the taxonomy leaves under "Other".
+//
+// Design notes:
+// - Flags live on the point as a bitmask (`point.q`, see QUALITY_FLAGS); buildColumns copies it into
+//   a column and runQuery drops points whose flags intersect `spec.excludeFlags`.
+// - A location only counts as stacked once many points with many *different* addresses share the exact
+//   same coordinate. A busy store gets many calls at one spot, but under one address; a geocoder
+//   fallback collects unrelated addresses.
+// - Tracking is incremental (`track` per merged chunk). When a coordinate becomes stacked, points
+//   merged earlier at that spot need the flag too, so `needsRetag` asks the app for one `tagAll` pass.
+//   `untrack` takes back points the app replaced; a spot that falls below the thresholds again is
+//   un-stacked the same way.
+// - No DOM here; quality-panel.js renders `summarize()`.
+
+import { OTHER_CATEGORY } from "./taxonomy.js";
+
+export const QUALITY_FLAGS = {
+  OUT_OF_BOUNDS: 1,
+  STACKED: 2,
+  OTHER_TYPE: 4,
+};
+
+export const DROP_REASONS = {
+  "no-coords": "No usable coordinates",
+  "bad-date": "Date could not be read",
+};
+
+const MAX_DROP_SAMPLES = 5;      // example records kept per drop reason
+const MAX_TRACKED_ADDRESSES = 64; // distinct addresses remembered (with their counts) per coordinate
+
+/**
+ * @param {Object} opts
+ * @param {{south:number, west:number, north:number, east:number}} opts.bounds - analysis area
+ * @param {number} opts.stackMinPoints - points at one exact coordinate before it can count as stacked
+ * @param {number} opts.stackMinAddresses - distinct addresses at that coordinate before it does
+ * @returns {Object} quality tracker API
+ */
+export function createDataQuality({ bounds, stackMinPoints, stackMinAddresses }) {
+  let drops = new Map();     // reason -> { count, ids:Set, samples:[] }
+  let coords = new Map();    // "lat,lon" -> { lat, lon, count, addrs:Map<addr, count> }
+  let stacked = new Set();   // coordinate keys judged stacked
+  let needsRetag = false;
+  let revision = 0;          // bumped on every change, so callers know when to re-summarize
+
+  const coordKey = (p) => `${p.lat},${p.lon}`;
+
+  function inBounds(p) {
+    return p.lat >= bounds.south && p.lat <= bounds.north && p.lon >= bounds.west && p.lon <= bounds.east;
+  }
+
+  function flagsFor(p, key = coordKey(p)) {
+    let q = 0;
+    if (!inBounds(p)) q |= QUALITY_FLAGS.OUT_OF_BOUNDS;
+    if (stacked.has(key)) q |= QUALITY_FLAGS.STACKED;
+    if (p.category === OTHER_CATEGORY) q |= QUALITY_FLAGS.OTHER_TYPE;
+    return q;
+  }
+
+  // A record normalizeFeatures couldn't use. Records with an id are counted once, so live polls and
+  // retried ranges that return the same bad record don't inflate the count.
+  function recordDrop(reason, record) {
+    let d = drops.get(reason);
+    if (!d) drops.set(reason, (d = { count: 0, ids: new Set(), samples: [] }));
+    const id = record?.id;
+    if (id != null && id !== "") {
+      if (d.ids.has(id)) return;
+      d.ids.add(id);
+    }
+    d.count++;
+    revision++;
+    if (d.samples.length < MAX_DROP_SAMPLES) d.samples.push(record);
+  }
+
+  // Points newly merged into the dataset: update coordinate stats and flag them.
+  function track(points) {
+    for (const p of points) {
+      const key = coordKey(p);
+      let c = coords.get(key);
+      if (!c) coords.set(key, (c = { lat: p.lat, lon: p.lon, count: 0, addrs: new Map() }));
+      c.count++;
+      if (p.addr && (c.addrs.has(p.addr) || c.addrs.size < MAX_TRACKED_ADDRESSES)) {
+        c.addrs.set(p.addr, (c.addrs.get(p.addr) || 0) + 1);
+      }
+
+      if (!stacked.has(key) && c.count >= stackMinPoints && c.addrs.size >= stackMinAddresses) {
+        stacked.add(key);
+        needsRetag = true;
+      }
+      p.q = flagsFor(p, key);
+    }
+    revision++;
+  }
+
+  // Points removed from the dataset (replaced by a changed copy): take them out of the coordinate stats.
+  function untrack(points) {
+    for (const p of points) {
+      const key = coordKey(p);
+      const c = coords.get(key);
+      if (!c) continue;
+      c.count--;
+      const n = c.addrs.get(p.addr);
+      if (n > 1) c.addrs.set(p.addr, n - 1);
+      else if (n) c.addrs.delete(p.addr);
+
+      if (stacked.has(key) && (c.count < stackMinPoints || c.addrs.size < stackMinAddresses)) {
+        stacked.delete(key);
+        needsRetag = true;
+      }
+      if (c.count <= 0) coords.delete(key);
+    }
+    revision++;
+  }
+
+  // Recompute every point's flags (after a coordinate became stacked, or a taxonomy edit).
+  function tagAll(points) {
+    for (const p of points) p.q = flagsFor(p);
+    needsRetag = false;
+    revision++;
+  }
+
+  function reset() {
+    drops = new Map();
+    coords = new Map();
+    stacked = new Set();
+    needsRetag = false;
+    revision++;
+  }
+
+  /**
+   * Counts for the quality panel.
+   * @param {Array} points - the current dataset (flags must be up to date)
+   * @returns {{drops:Array, flagged:Object<number,number>, stackedSpots:Array, otherTypes:Array<[string,number]>, total:number}}
+   */
+  function summarize(points) {
+    const flagged = {};
+    for (const f of Object.values(QUALITY_FLAGS)) flagged[f] = 0;
+    const otherTypes = new Map();
+    for (const p of points) {
+      const q = p.q || 0;
+      if (!q) continue;
+      for (const f of Object.values(QUALITY_FLAGS)) if (q & f) flagged[f]++;
+      if (q & QUALITY_FLAGS.OTHER_TYPE) otherTypes.set(p.type, (otherTypes.get(p.type) || 0) + 1);
+    }
+
+    const stackedSpots = Array.from(stacked, (key) => {
+      const c = coords.get(key);
+      return { lat: c.lat, lon: c.lon, count: c.count, addresses: c.addrs.size };
+    }).sort((a, b) => b.count - a.count);
+
+    return {
+      total: points.length,
+      drops: Array.from(drops, ([reason, d]) => ({
+        reason,
+        label: DROP_REASONS[reason] || reason,
+        count: d.count,
+        samples: d.samples,
+      })),
+      flagged,
+      stackedSpots,
+      otherTypes: Array.from(otherTypes.entries()).sort((a, b) => b[1] - a[1]),
+    };
+  }
+
+  return {
+    recordDrop,
+    track,
+    untrack,
+    tagAll,
+    reset,
+    summarize,
+    get needsRetag() { return needsRetag; },
+    get revision() { return revision; },
+  };
+}
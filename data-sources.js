@@ -0,0 +1,524 @@
+// data-sources.js
+// Owns: the data-source interface app.js loads incidents through, plus adapters for the CABQ ArcGIS
+// layer and for locally imported CSV / GeoJSON files.
+//
+// DataSource shape (every adapter returns this):
+//   id          stable key (the ArcGIS source's history cache is named after it)
+//   label       human-readable name for the source line
+//   link        URL for the source line, or null
+//   live        true if new records can show up later (enables live polling)
+//   cacheable   true if fetched days should be persisted in IndexedDB
+//   getTimeExtent(signal)                    -> Promise<[minMs, maxMs] | null>
+//   fetchRange(startMs, endMs, label, signal) -> Promise<IncidentRecord[]>
+//   extraFields  [{ key, label }] extra attributes carried on records as filter dimensions
+// Optional (sources with editable field mapping, i.e. ArcGIS):
+//   schema()                 -> { fields, detected, override, effective } for the settings panel
+//   setFieldOverride(o|null) -> replace the saved override ({ date, type, addr, extras })
+//
+// IncidentRecord: { id, date, type, addr, lat, lon, extra? } holding *raw* values: `date` may be epoch
+// ms or a string, `lat`/`lon` may be strings, `extra` maps extraFields keys to values. app.js
+// normalizeFeatures() validates and parses them, so every source goes through the same checks
+// before anything reaches `pointsSorted`.
+
+// Candidate names per mapped field, best first. Exact (case-insensitive) matches win over substrings.
+export const FIELD_CANDIDATES = {
+  date: ["ReportDateTime", "reportdate", "datetime", "date", "Date_", "incidentdate", "cvincidentdate", "time"],
+  type: ["IncidentType", "calltype", "type", "offense", "cvincidenttype", "nature", "description"],
+  addr: ["BlockAddress", "address", "location", "street"],
+  lat: ["lat", "latitude", "y"],
+  lon: ["lon", "lng", "long", "longitude", "x"],
+  id: ["OBJECTID", "id", "incidentid", "incident_id", "case", "casenumber"],
+};
+
+// The fields a mapping can assign. File imports ask for lat/lon only when there's no geometry.
+export const MAPPED_FIELDS = [
+  { key: "date", label: "Date / time", required: true },
+  { key: "type", label: "Incident type", required: true },
+  { key: "addr", label: "Address", required: false },
+  { key: "lat", label: "Latitude", required: true, tabularOnly: true },
+  { key: "lon", label: "Longitude", required: true, tabularOnly: true },
+  { key: "id", label: "Unique id (for de-duplication)", required: false },
+];
+
+// Names are compared lowercased with punctuation/spaces stripped, so "Incident ID" == "incident_id".
+const squash = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+export function findField(names, candidates) {
+  const keys = Array.from(names || []);
+  for (const c of candidates) {
+    const exact = keys.find((k) => squash(k) === squash(c));
+    if (exact) return exact;
+  }
+  for (const c of candidates) {
+    // Very short candidates ("x", "y", "id") only ever match exactly: "id" is inside "incident".
+    if (squash(c).length < 3) continue;
+    const partial = keys.find((k) => squash(k).includes(squash(c)));
+    if (partial) return partial;
+  }
+  return null;
+}
+
+// Best-guess { date, type, addr, lat, lon, id } -> column name (or null) for a list of column names.
+export function guessMapping(columns, { hasGeometry = false } = {}) {
+  const mapping = {};
+  for (const f of MAPPED_FIELDS) {
+    mapping[f.key] = hasGeometry && f.tabularOnly ? null : findField(columns, FIELD_CANDIDATES[f.key]);
+  }
+  return mapping;
+}
+
+const ISO_WALL_CLOCK = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/;
+const US_WALL_CLOCK = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]M)?)?$/i;
+
+// Epoch ms from a raw date value. Numbers are taken as ms (ArcGIS). Digit-only strings are epoch
+// seconds or ms (CSV exports). Date strings without a zone ("2024-03-10 14:30", "3/10/2024 2:30 PM")
+// are wall-clock times in `zone` (tz.js; the app's analysis zone) when given; anything else goes
+// through Date.parse.
+export function parseTimestamp(raw, zone = null) {
+  if (typeof raw === "number") return raw;
+  const s = String(raw ?? "").trim();
+  if (!s) return NaN;
+  if (/^\d{9,13}$/.test(s)) {
+    const n = Number(s);
+    return n < 1e11 ? n * 1000 : n;
+  }
+  if (zone) {
+    let m = ISO_WALL_CLOCK.exec(s);
+    if (m) {
+      const [, y, mo, d, h = 0, mi = 0, sec = 0, ms = "0"] = m;
+      return zone.fromLocal(+y, +mo, +d, +h, +mi, +sec, Number(ms.padEnd(3, "0")));
+    }
+    m = US_WALL_CLOCK.exec(s);
+    if (m) {
+      const [, mo, d, y, h = 0, mi = 0, sec = 0, ampm] = m;
+      let hour = +h;
+      if (ampm) hour = (hour % 12) + (/pm/i.test(ampm) ? 12 : 0);
+      return zone.fromLocal(+y, +mo, +d, hour, +mi, +sec);
+    }
+  }
+  return Date.parse(s);
+}
+
+// ------------------ ArcGIS MapServer layer ------------------
+
+const ESRI_DATE = "esriFieldTypeDate";
+const ESRI_STRING = "esriFieldTypeString";
+const ESRI_OID = "esriFieldTypeOID";
+// Field types offered as extra filter dimensions (categorical-ish; no dates, geometry or blobs).
+export const ESRI_DIMENSION_TYPES = [
+  ESRI_STRING, "esriFieldTypeSmallInteger", "esriFieldTypeInteger", "esriFieldTypeGUID",
+];
+
+// findField over layer field metadata: names first, then aliases ("Incident Type" for CVINCTYPE).
+function pickField(fields, candidates) {
+  const byName = findField(fields.map((f) => f.name), candidates);
+  if (byName) return byName;
+  const alias = findField(fields.map((f) => f.alias || ""), candidates);
+  return alias ? fields.find((f) => f.alias === alias).name : null;
+}
+
+function isFiniteNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+function getLatLon(feature) {
+  const g = feature?.geometry;
+  if (!g) return null;
+  if (isFiniteNum(g.x) && isFiniteNum(g.y)) return { lon: g.x, lat: g.y };
+  if (Array.isArray(g.points) && g.points[0]?.length >= 2) {
+    return { lon: g.points[0][0], lat: g.points[0][1] };
+  }
+  return null;
+}
+
+/**
+ * Adapter for an ArcGIS MapServer/FeatureServer layer queried by time window.
+ *
+ * @param {Object} deps
+ * @param {string} deps.id
+ * @param {string} deps.label
+ * @param {string} deps.serviceBase - layer URL (…/MapServer/0)
+ * @param {number} deps.pageSize - resultRecordCount per page
+ * @param {Function} deps.arcgisFetch - (url, label, {signal}) => JSON; single attempt
+ * @param {Function} deps.arcgisFetchWithRetry - same signature, with retries (used for data pages)
+ * @returns {Object} DataSource
+ */
+export function createArcGISSource({ id, label, serviceBase, pageSize, arcgisFetch, arcgisFetchWithRetry }) {
+  let layerInfo = null; // layer metadata (?f=json), once read
+  let detected = null;  // { id, date, type, addr } picked from metadata (or a sampled feature)
+  let override = null;  // { date, type, addr, extras:[] } chosen in the settings panel
+  let fields = null;    // effective mapping: detected + override, plus extras
+
+  async function getTimeExtent(signal) {
+
+/**
+ * Reads ArcGIS layer metadata (best-effort).
+ * If the service publishes `timeInfo.timeExtent`, the app uses it to clamp history bounds so
+ * the slider doesn't offer ranges the service can't satisfy. The `fields` array is kept for
+ * schema discovery and the field settings panel.
+ */
+    try {
+      layerInfo = await arcgisFetch(`${serviceBase}?f=json`, "Reading layer metadata…", { signal });
+      const extent = layerInfo?.timeInfo?.timeExtent;
+      if (Array.isArray(extent) && extent.length >= 2) return [extent[0], extent[1]];
+    } catch (e) {
+      if (e?.name === "AbortError") throw e;
+      console.warn("Layer metadata read failed (continuing):", e);
+    }
+    return null;
+  }
+
+  function layerFields() {
+    return Array.isArray(layerInfo?.fields) ? layerInfo.fields : [];
+  }
+
+  // Discovery from the layer's `fields` metadata: the date field must be esriFieldTypeDate, type and
+  // address must be strings, and the id is the layer's OID field. Names are only used to choose
+  // *among* fields of the right type, so a new "IncidentTypeCode" integer can't win over the text.
+  function detectFromMetadata() {
+    const all = layerFields();
+    if (!all.length) return null;
+    const ofType = (t) => all.filter((f) => f.type === t);
+
+    const dateFields = ofType(ESRI_DATE);
+    const stringFields = ofType(ESRI_STRING);
+    return {
+      id: layerInfo.objectIdField || ofType(ESRI_OID)[0]?.name || "OBJECTID",
+      // Some layers keep dates/types as text or coded ints; only then fall back to any field by name.
+      date: pickField(dateFields, FIELD_CANDIDATES.date) || dateFields[0]?.name || pickField(stringFields, FIELD_CANDIDATES.date),
+      type: pickField(stringFields, FIELD_CANDIDATES.type) || pickField(all, FIELD_CANDIDATES.type),
+      addr: pickField(stringFields, FIELD_CANDIDATES.addr),
+    };
+  }
+
+  // Fallback when the layer publishes no field metadata: name-match the attributes of one feature.
+  async function detectFromSample(signal) {
+    const url = `${serviceBase}/query?` + new URLSearchParams({
+      where: "1=1",
+      outFields: "*",
+      returnGeometry: "false",
+      resultRecordCount: "1",
+      f: "json",
+    }).toString();
+
+    const data = await arcgisFetch(url, "Discovering fields…", { signal });
+    const first = data?.features?.[0];
+    if (!first?.attributes) throw new Error("Could not discover fields (no features returned).");
+
+    const names = Object.keys(first.attributes);
+    return {
+      id: "OBJECTID",
+      date: findField(names, FIELD_CANDIDATES.date),
+      type: findField(names, FIELD_CANDIDATES.type),
+      addr: findField(names, FIELD_CANDIDATES.addr),
+    };
+  }
+
+  async function discoverFieldsIfNeeded(signal) {
+
+/**
+ * Schema discovery.
+ * Prefers the layer's `fields` metadata (typed, see detectFromMetadata) and only samples a feature
+ * when the service doesn't publish it. A saved override (settings panel) wins over detection for
+ * each field it sets; `extras` are carried on records as filter dimensions.
+ */
+    if (fields) return;
+    if (!layerInfo) await getTimeExtent(signal);
+    if (!detected) detected = detectFromMetadata() || (await detectFromSample(signal));
+
+    const date = override?.date || detected.date;
+    const type = override?.type || detected.type;
+    const addr = override?.addr || detected.addr;
+    if (!date) throw new Error("Could not detect a date field. Pick one under “Fields…”.");
+    if (!type) throw new Error("Could not detect an incident type field. Pick one under “Fields…”.");
+
+    const known = new Set(layerFields().map((f) => f.name));
+    const extras = (override?.extras || []).filter((name) => !known.size || known.has(name));
+    fields = { id: detected.id, date, type, addr, extras };
+  }
+
+  function setFieldOverride(next) {
+    override = next || null;
+    fields = null; // re-resolved on the next fetch
+  }
+
+  function schema() {
+    return {
+      fields: layerFields().map(({ name, alias, type }) => ({ name, alias: alias || name, type })),
+      detected: detected || detectFromMetadata(),
+      override,
+      effective: fields,
+    };
+  }
+
+  function extraFields() {
+    const byName = new Map(layerFields().map((f) => [f.name, f.alias || f.name]));
+    return (override?.extras || [])
+      .filter((name) => !byName.size || byName.has(name))
+      .map((name) => ({ key: name, label: byName.get(name) || name }));
+  }
+
+  async function queryPaged(paramsBase, labelPrefix, signal) {
+
+/**
+ * Paged query helper.
+ *
+ * Why this exists:
+ * - ArcGIS services often cap `resultRecordCount`.
+ * - We page with `resultOffset` and merge results client-side.
+ *
+ * Paging rules:
+ * - Each page is retried on its own (arcgisFetchWithRetry), so one flaky page doesn't lose the range.
+ * - `exceededTransferLimit: true` means more records exist even if the page came back short (the
+ *   service's maxRecordCount can be below pageSize). Services that omit the flag stop on a short page.
+ * - The offset advances by the records actually returned, never by pageSize.
+ *
+ * Safeguards:
+ * - The `page > 600` break is a circuit breaker against infinite loops if the service
+ *   ignores offsets or always returns pageSize records.
+ */
+    let resultOffset = 0;
+    let merged = [];
+    let page = 1;
+
+    while (true) {
+      const params = new URLSearchParams({
+        ...paramsBase,
+        resultRecordCount: String(pageSize),
+        resultOffset: String(resultOffset),
+        orderByFields: fields.id,
+      });
+
+      const url = `${serviceBase}/query?${params.toString()}`;
+      const data = await arcgisFetchWithRetry(url, `${labelPrefix} (page ${page})`, { signal });
+
+      const feats = data.features || [];
+      merged = merged.concat(feats);
+
+      const more = data.exceededTransferLimit === undefined
+        ? feats.length >= pageSize
+        : data.exceededTransferLimit === true;
+      if (!more || !feats.length) break;
+      resultOffset += feats.length;
+      page += 1;
+      if (page > 600) break;
+    }
+
+    return merged;
+  }
+
+  function toRecord(feature) {
+    const attrs = feature.attributes || {};
+    const ll = getLatLon(feature);
+    const record = {
+      id: attrs[fields.id] ?? null,
+      date: attrs[fields.date],
+      type: attrs[fields.type],
+      addr: fields.addr ? attrs[fields.addr] : "",
+      lat: ll?.lat,
+      lon: ll?.lon,
+    };
+    if (fields.extras.length) {
+      record.extra = {};
+      for (const name of fields.extras) record.extra[name] = attrs[name] ?? null;
+    }
+    return record;
+  }
+
+  async function fetchRange(startMs, endMs, label, signal) {
+    await discoverFieldsIfNeeded(signal);
+
+    const outFields = Array.from(new Set([fields.id, fields.date, fields.type, fields.addr, ...fields.extras]))
+      .filter(Boolean)
+      .join(",");
+
+    const feats = await queryPaged(
+      {
+        where: "1=1",
+        time: `${startMs},${endMs}`,
+        outFields,
+        returnGeometry: "true",
+        outSR: "4326",
+        f: "json",
+      },
+      label,
+      signal
+    );
+    return feats.map(toRecord);
+  }
+
+  return {
+    id,
+    label,
+    link: serviceBase,
+    live: true,
+    cacheable: true,
+    getTimeExtent,
+    fetchRange,
+    get extraFields() { return extraFields(); },
+    schema,
+    setFieldOverride,
+  };
+}
+
+// ------------------ Local files (CSV / GeoJSON) ------------------
+
+// In-memory source over records that are all known up front. Dates are parsed once here (zone-less
+// strings in the analysis `zone`) so fetchRange() can binary search; rows without a usable date are
+// dropped here and handed over as `skippedRecords`, for the data-quality panel. `unlocated` are
+// records the adapter already knows have no point geometry; they are only handed over, as
+// `unlocatedRecords`.
+function createRecordsSource({ id, label, records, zone, unlocated = [] }) {
+  const usable = [];
+  const skipped = [];
+  for (const r of records) {
+    const date = parseTimestamp(r.date, zone);
+    if (Number.isFinite(date)) usable.push({ ...r, date });
+    else skipped.push(r);
+  }
+  usable.sort((a, b) => a.date - b.date);
+
+  function lowerBound(t) {
+    let lo = 0, hi = usable.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (usable[mid].date < t) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  return {
+    id,
+    label,
+    link: null,
+    live: false,
+    cacheable: false,
+    extraFields: [],
+    rowCount: records.length,
+    skippedRows: skipped.length,
+    skippedRecords: skipped,
+    unlocatedRecords: unlocated,
+    async getTimeExtent() {
+      return usable.length ? [usable[0].date, usable[usable.length - 1].date] : null;
+    },
+    async fetchRange(startMs, endMs, label, signal) {
+      if (signal?.aborted) throw new DOMException("Cancelled", "AbortError");
+      const lo = lowerBound(startMs);
+      const hi = lowerBound(endMs + 1);
+      return usable.slice(lo, hi);
+    },
+  };
+}
+
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, "" escapes, CRLF/LF line ends, a leading BOM.
+ * The delimiter (comma, semicolon or tab) is picked from the header line.
+ * @returns {{ columns: string[], rows: string[][] }}
+ */
+export function parseCsv(text) {
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const headerLine = src.slice(0, src.search(/\r?\n|$/));
+  const delim = [",", ";", "\t"]
+    .map((d) => [d, headerLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; }
+        else quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') quoted = true;
+    else if (ch === delim) { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      field = "";
+      if (row.length > 1 || row[0] !== "") rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== "") rows.push(row);
+
+  const columns = (rows.shift() || []).map((c) => c.trim());
+  return { columns, rows };
+}
+
+// mapping: { date, type, addr, lat, lon, id } -> column name (or null)
+export function createCsvSource({ name, columns, rows, mapping, zone = null }) {
+  const col = (key) => (mapping[key] ? columns.indexOf(mapping[key]) : -1);
+  const idx = { date: col("date"), type: col("type"), addr: col("addr"), lat: col("lat"), lon: col("lon"), id: col("id") };
+  const at = (row, i) => (i >= 0 ? row[i] : undefined);
+
+  const records = rows.map((row) => ({
+    id: idx.id >= 0 && row[idx.id] !== "" ? row[idx.id] : null,
+    date: at(row, idx.date),
+    type: at(row, idx.type),
+    addr: at(row, idx.addr) ?? "",
+    lat: at(row, idx.lat),
+    lon: at(row, idx.lon),
+  }));
+  return createRecordsSource({ id: `csv:${name}`, label: name, records, zone });
+}
+
+/**
+ * Pull Point features (MultiPoint: first point) out of a GeoJSON FeatureCollection / Feature.
+ * `columns` is the union of property names over the first 500 features, for the mapping dialog.
+ * `skipped` are the features with no geometry or another geometry type.
+ * @returns {{ columns: string[], features: Object[], skipped: Object[] }}
+ */
+export function readGeoJSONPoints(geojson) {
+  const all = geojson?.type === "FeatureCollection" ? geojson.features || []
+    : geojson?.type === "Feature" ? [geojson]
+    : null;
+  if (!all) throw new Error("Not a GeoJSON Feature or FeatureCollection.");
+
+  const isPoint = (f) => f?.geometry?.type === "Point" || f?.geometry?.type === "MultiPoint";
+  const features = all.filter(isPoint);
+  const names = new Set();
+  for (const f of features.slice(0, 500)) {
+    for (const k of Object.keys(f.properties || {})) names.add(k);
+  }
+  return { columns: Array.from(names), features, skipped: all.filter((f) => f && !isPoint(f)) };
+}
+
+// `skipped` (from readGeoJSONPoints) become records without coordinates, so the data-quality panel
+// can list them under "No usable coordinates".
+export function createGeoJSONSource({ name, features, skipped = [], mapping, zone = null }) {
+  const prop = (f, key) => (mapping[key] ? f.properties?.[mapping[key]] : undefined);
+  const unlocated = skipped.map((f) => ({
+    id: prop(f, "id") ?? f.id ?? null,
+    date: prop(f, "date"),
+    type: prop(f, "type"),
+    addr: prop(f, "addr") ?? "",
+    lat: null,
+    lon: null,
+  }));
+
+  const records = features.map((f) => {
+    const c = f.geometry.type === "Point" ? f.geometry.coordinates : f.geometry.coordinates?.[0];
+    return {
+      id: prop(f, "id") ?? f.id ?? null,
+      date: prop(f, "date"),
+      type: prop(f, "type"),
+      addr: prop(f, "addr") ?? "",
+      lat: c?.[1],
+      lon: c?.[0],
+    };
+  });
+  return createRecordsSource({ id: `geojson:${name}`, label: name, records, zone, unlocated });
+}
@@ -0,0 +1,133 @@
+// dimension-filters.js
+// Owns: the filter lists for extra dimensions (layer fields such as beat or disposition that the
+// user added under "Fields…"). Values and counts come from the query result (`dimValues`).
+//
+// Semantics: per dimension, an empty selection means "no filter"; checking values keeps only those.
+// The selection is contributed to pipeline queries via `filterSpec()` (see query-core.js runQuery).
+
+const MAX_VALUES_SHOWN = 40; // per dimension, by count; selected values are always listed
+
+/**
+ * @param {Object} deps
+ * @param {HTMLElement} deps.panelEl - wrapper, hidden while there are no dimensions
+ * @param {HTMLElement} deps.listEl - where the per-dimension groups are rendered
+ * @param {()=>void} deps.onFiltersChanged
+ * @returns {Object} controller API
+ */
+export function createDimensionFilters({ panelEl, listEl, onFiltersChanged }) {
+  let dims = [];               // [{ key, label }]
+  let selected = new Map();    // key -> Set(values)
+
+  // Replace the available dimensions. Selections for dimensions that remain are kept.
+  function setDimensions(list) {
+    dims = Array.isArray(list) ? list : [];
+    const keep = new Map();
+    for (const d of dims) keep.set(d.key, selected.get(d.key) || new Set());
+    selected = keep;
+    panelEl.hidden = !dims.length;
+    listEl.replaceChildren();
+  }
+
+  function displayValue(v) {
+    return v === "" ? "(blank)" : v;
+  }
+
+  function render(dimValues) {
+    listEl.replaceChildren();
+    for (const d of dims) {
+      const set = selected.get(d.key);
+      const counts = dimValues?.[d.key] || [];
+
+      const shown = counts.slice(0, MAX_VALUES_SHOWN);
+      const shownKeys = new Set(shown.map(([v]) => v));
+      for (const v of set) if (!shownKeys.has(v)) shown.push([v, 0]);
+
+      const group = document.createElement("div");
+      group.className = "legend-group";
+
+      const header = document.createElement("div");
+      header.className = "legend-header";
+      const title = document.createElement("h4");
+      title.textContent = d.label;
+      header.append(title);
+
+      if (set.size) {
+        const clear = document.createElement("button");
+        clear.type = "button";
+        clear.className = "btn";
+        clear.textContent = `Clear (${set.size})`;
+        clear.addEventListener("click", () => {
+          set.clear();
+          onFiltersChanged();
+        });
+        header.append(clear);
+      } else if (counts.length > MAX_VALUES_SHOWN) {
+        const hint = document.createElement("span");
+        hint.className = "legend-hint";
+        hint.textContent = `Top ${MAX_VALUES_SHOWN} of ${counts.length}`;
+        header.append(hint);
+      }
+      group.append(header);
+
+      const items = document.createElement("div");
+      items.className = "legend-subitems";
+      for (const [value, count] of shown) {
+        const row = document.createElement("label");
+        row.className = "legend-item legend-item--type";
+
+        const cb = document.createElement("input");
+        cb.type = "checkbox";
+        cb.checked = set.has(value);
+        cb.addEventListener("change", () => {
+          if (cb.checked) set.add(value);
+          else set.delete(value);
+          onFiltersChanged();
+        });
+
+        const text = document.createElement("span");
+        text.textContent = `${displayValue(value)} (${count.toLocaleString()})`;
+
+        row.append(cb, text);
+        items.append(row);
+      }
+      if (!shown.length) items.textContent = "No values in range.";
+      group.append(items);
+
+      listEl.append(group);
+    }
+  }
+
+  function filterSpec() {
+    const out = {};
+    for (const [key, set] of selected) {
+      if (set.size) out[key] = Array.from(set);
+    }
+    return { dims: out };
+  }
+
+  // Labels of dimensions with an active selection (for the KPI "active filters" card).
+  function activeLabels() {
+    return dims.filter((d) => selected.get(d.key)?.size).map((d) => d.label);
+  }
+
+  function clearAll() {
+    for (const set of selected.values()) set.clear();
+  }
+
+  // Replace every selection (e.g. from a shared link): { key: [values] }. Unknown keys are ignored.
+  function setSelection(dimsSpec) {
+    for (const [key, set] of selected) {
+      set.clear();
+      for (const v of dimsSpec?.[key] || []) set.add(v);
+    }
+  }
+
+  return {
+    setDimensions,
+    setSelection,
+    render,
+    filterSpec,
+    activeLabels,
+    clearAll,
+  };
+}
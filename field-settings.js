@@ -0,0 +1,137 @@
+// field-settings.js
+// Owns: the "Fields" settings dialog — shows which layer fields the data source detected for date,
+// type and address, lets the user override them, and pick extra fields as filter dimensions.
+//
+// Design notes:
+// - Works off the plain `schema()` object a data source exposes (see data-sources.js); saving hands
+//   an override { date, type, addr, extras } back through `onSave`. Persisting it and reloading the
+//   data is the app's job.
+// - "Auto" (empty) keeps the detected field, so a saved override survives harmless schema changes.
+
+import { ESRI_DIMENSION_TYPES } from "./data-sources.js";
+
+const ROLES = [
+  { key: "date", label: "Date / time", types: ["esriFieldTypeDate", "esriFieldTypeString"] },
+  { key: "type", label: "Incident type", types: ["esriFieldTypeString", "esriFieldTypeSmallInteger", "esriFieldTypeInteger"] },
+  { key: "addr", label: "Address", types: ["esriFieldTypeString"] },
+];
+
+// "esriFieldTypeSmallInteger" -> "small integer"
+function typeLabel(esriType) {
+  return String(esriType || "")
+    .replace(/^esriFieldType/, "")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .toLowerCase();
+}
+
+/**
+ * @param {Object} deps
+ * @param {HTMLDialogElement} deps.dialogEl
+ * @param {HTMLElement} deps.rolesEl - container for the per-role <select>s
+ * @param {HTMLElement} deps.extrasEl - container for the extra-dimension checkboxes
+ * @param {HTMLElement} deps.errorEl
+ * @param {HTMLButtonElement} deps.saveBtn
+ * @param {HTMLButtonElement} deps.resetBtn
+ * @param {HTMLButtonElement} deps.cancelBtn
+ * @param {(override:Object|null)=>void} deps.onSave - null means "back to detected fields"
+ * @returns {Object} settings API
+ */
+export function createFieldSettings({ dialogEl, rolesEl, extrasEl, errorEl, saveBtn, resetBtn, cancelBtn, onSave }) {
+  let current = null; // schema being edited
+
+  function open(schema) {
+    current = schema;
+    errorEl.textContent = schema.fields.length
+      ? ""
+      : "This layer doesn't publish field metadata, so only the detected fields can be used.";
+
+    renderRoles(schema);
+    renderExtras(schema);
+    saveBtn.disabled = !schema.fields.length;
+    if (!dialogEl.open) dialogEl.showModal();
+  }
+
+  function renderRoles({ fields, detected, override }) {
+    rolesEl.replaceChildren();
+    for (const role of ROLES) {
+      const label = document.createElement("label");
+      label.className = "import-field";
+      label.textContent = role.label;
+
+      const select = document.createElement("select");
+      select.dataset.role = role.key;
+      const auto = detected?.[role.key];
+      select.append(new Option(auto ? `Auto (${auto})` : "Auto (not detected)", ""));
+      for (const f of fields.filter((x) => role.types.includes(x.type))) {
+        const text = f.alias && f.alias !== f.name ? `${f.alias} (${f.name})` : f.name;
+        select.append(new Option(`${text} · ${typeLabel(f.type)}`, f.name));
+      }
+      select.value = override?.[role.key] || "";
+
+      label.append(select);
+      rolesEl.append(label);
+    }
+  }
+
+  function renderExtras({ fields, detected, override }) {
+    extrasEl.replaceChildren();
+    const mapped = new Set([detected?.id, detected?.date, detected?.type, detected?.addr, override?.date, override?.type, override?.addr]);
+    const chosen = new Set(override?.extras || []);
+    const candidates = fields.filter((f) => ESRI_DIMENSION_TYPES.includes(f.type) && !mapped.has(f.name));
+
+    if (!candidates.length) {
+      extrasEl.textContent = "No other text or integer fields on this layer.";
+      return;
+    }
+    for (const f of candidates) {
+      const row = document.createElement("label");
+      row.className = "legend-item legend-item--type";
+
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.value = f.name;
+      cb.checked = chosen.has(f.name);
+
+      const text = document.createElement("span");
+      text.textContent = f.alias && f.alias !== f.name ? `${f.alias} (${f.name})` : f.name;
+
+      row.append(cb, text);
+      extrasEl.append(row);
+    }
+  }
+
+  function readOverride() {
+    const out = { date: null, type: null, addr: null, extras: [] };
+    for (const select of rolesEl.querySelectorAll("select[data-role]")) {
+      out[select.dataset.role] = select.value || null;
+    }
+    for (const cb of extrasEl.querySelectorAll("input[type=checkbox]")) {
+      if (cb.checked) out.extras.push(cb.value);
+    }
+    return out;
+  }
+
+  saveBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    if (!current) return;
+    const next = readOverride();
+    const missing = ROLES.filter((r) => r.key !== "addr" && !next[r.key] && !current.detected?.[r.key]);
+    if (missing.length) {
+      errorEl.textContent = `Please choose a field for: ${missing.map((r) => r.label).join(", ")}.`;
+      return;
+    }
+    dialogEl.close();
+    const isEmpty = !next.date && !next.type && !next.addr && !next.extras.length;
+    onSave(isEmpty ? null : next);
+  });
+
+  resetBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    dialogEl.close();
+    onSave(null);
+  });
+
+  cancelBtn.addEventListener("click", () => dialogEl.close());
+
+  return { open };
+}
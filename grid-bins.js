@@ -0,0 +1,135 @@
+// grid-bins.js
+// Owns: the cells of the Grid map mode: which hexagon or square a point falls in, and each cell's
+// outline, for a cell size given in meters.
+//
+// Pure module: no DOM, no Leaflet. map-module.js bins the filtered points with it and paints the
+// cells; app.js and url-state.js carry the settings.
+//
+// Design notes:
+// - Cells are laid out in Web Mercator (the map's projection), so hexagons and squares look regular
+//   on screen. Mercator stretches distances by 1/cos(latitude); the cell size is corrected at one
+//   reference latitude (the caller's, e.g. the view center rounded to a degree), which keeps the
+//   grid fixed while panning and the size within a percent or so across a city.
+// - The size is the distance between neighbouring cell centers: a square's side, a hexagon's width
+//   across its flat sides. Hexagons are pointy-topped, in axial coordinates.
+// - Cell keys are plain strings ("q|r" or "i|j"), stable for a given shape, size and reference.
+
+export const DEFAULT_GRID = { shape: "hex", size: 500 };
+
+/**
+ * Cell shapes, in selector order.
+ *   id    - stable key, used in links (`grid=`)
+ *   label - selector text
+ *   noun  - popup and legend wording
+ */
+export const GRID_SHAPES = [
+  { id: "hex", label: "Hexagons", noun: "hexagon" },
+  { id: "square", label: "Squares", noun: "square" },
+];
+
+export const GRID_SIZE_MIN = 50;
+export const GRID_SIZE_MAX = 10000;
+
+const EARTH_RADIUS_M = 6378137; // spherical Mercator (EPSG:3857)
+const SQRT3 = Math.sqrt(3);
+const SHAPE_IDS = new Set(GRID_SHAPES.map((s) => s.id));
+
+/**
+ * Grid settings from loose input (a link, a form) -> { shape, size }. Unknown shapes fall back to the
+ * default; sizes are rounded to whole meters and clamped to [GRID_SIZE_MIN, GRID_SIZE_MAX].
+ */
+export function parseGrid({ shape, size } = {}) {
+  const n = Number(size);
+  return {
+    shape: SHAPE_IDS.has(shape) ? shape : DEFAULT_GRID.shape,
+    size: Number.isFinite(n) && n > 0
+      ? Math.min(GRID_SIZE_MAX, Math.max(GRID_SIZE_MIN, Math.round(n)))
+      : DEFAULT_GRID.size,
+  };
+}
+
+export function gridShapeNoun(shape) {
+  return (GRID_SHAPES.find((s) => s.id === shape) || GRID_SHAPES[0]).noun;
+}
+
+/** "500 m", "1.5 km". */
+export function formatCellSize(meters) {
+  return meters >= 1000
+    ? `${(meters / 1000).toLocaleString(undefined, { maximumFractionDigits: 2 })} km`
+    : `${meters.toLocaleString()} m`;
+}
+
+function project(lat, lon) {
+  const y = Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI) / 360));
+  return [EARTH_RADIUS_M * ((lon * Math.PI) / 180), EARTH_RADIUS_M * y];
+}
+
+function unproject(x, y) {
+  const lat = (2 * Math.atan(Math.exp(y / EARTH_RADIUS_M)) - Math.PI / 2) * (180 / Math.PI);
+  return [lat, (x / EARTH_RADIUS_M) * (180 / Math.PI)];
+}
+
+// Nearest hexagon to fractional axial coordinates (cube rounding).
+function roundAxial(q, r) {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+  return [rq, rr];
+}
+
+/**
+ * A grid for { shape, size } (see parseGrid) at reference latitude `refLat`.
+ * @returns {{
+ *   cellOf: (lat:number, lon:number) => string,
+ *   outline: (key:string) => Array<[number, number]>,  // [lat, lon] corners
+ *   center: (key:string) => [number, number],          // [lat, lon]
+ * }}
+ */
+export function createGrid({ shape, size }, refLat) {
+  const step = size / Math.max(Math.cos((refLat * Math.PI) / 180), 1e-6); // size in Mercator units
+
+  if (shape === "square") {
+    const cellOf = (lat, lon) => {
+      const [x, y] = project(lat, lon);
+      return `${Math.floor(x / step)}|${Math.floor(y / step)}`;
+    };
+    const origin = (key) => key.split("|").map((v) => Number(v) * step);
+    const outline = (key) => {
+      const [x, y] = origin(key);
+      return [[x, y], [x + step, y], [x + step, y + step], [x, y + step]].map(([px, py]) => unproject(px, py));
+    };
+    const center = (key) => {
+      const [x, y] = origin(key);
+      return unproject(x + step / 2, y + step / 2);
+    };
+    return { cellOf, outline, center };
+  }
+
+  const radius = step / SQRT3; // center to corner
+  const cellOf = (lat, lon) => {
+    const [x, y] = project(lat, lon);
+    const [q, r] = roundAxial(((SQRT3 / 3) * x - y / 3) / radius, ((2 / 3) * y) / radius);
+    return `${q}|${r}`;
+  };
+  const centerXY = (key) => {
+    const [q, r] = key.split("|").map(Number);
+    return [radius * SQRT3 * (q + r / 2), radius * 1.5 * r];
+  };
+  const outline = (key) => {
+    const [cx, cy] = centerXY(key);
+    const corners = [];
+    for (let k = 0; k < 6; k++) {
+      const a = (Math.PI / 180) * (60 * k - 30);
+      corners.push(unproject(cx + radius * Math.cos(a), cy + radius * Math.sin(a)));
+    }
+    return corners;
+  };
+  const center = (key) => unproject(...centerXY(key));
+  return { cellOf, outline, center };
+}
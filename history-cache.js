@@ -0,0 +1,198 @@
+// history-cache.js
+// Owns: IndexedDB persistence of normalized incidents, bucketed by day, so reloads can skip re-fetching history.
+//
+// Storage layout:
+// - "days" store, keyPath "day": { day: <startOfDay ms>, points: [...normalized points], syncedAt: <ms> }
+//   One record per calendar day that has been fetched, *including empty days* (points: []), so
+//   "nothing happened" is distinguishable from "never fetched".
+// - "meta" store, keyed by name: "lastSyncAt" (ms), "dayCounts" ([[day, count], …]) and "dayBytes"
+//   ([[day, bytes], …], each day's points as JSON) so the "Cached: …" summary never has to
+//   deserialize every day's points.
+//
+// Design notes:
+// - Everything is best-effort. If IndexedDB is unavailable (private mode, quota, old browser) `open()`
+//   resolves false and every other method becomes a cheap no-op, so the app keeps working uncached.
+// - Day keys come from the injected `startOfDay` helper so the cache buckets match the app's slicing.
+//   They only make sense in the time zone they were cut in, so the zone is stored in "meta" and a
+//   cache written under another zone is cleared on open.
+
+// v2: points carry their ArcGIS OBJECTID (`id`), which mergePoints dedups on.
+const DB_VERSION = 2;
+const DAYS_STORE = "days";
+const META_STORE = "meta";
+
+function reqToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Factory for the incident history cache.
+ *
+ * @param {Object} deps
+ * @param {string} deps.dbName - IndexedDB database name (one per data source).
+ * @param {(ms:number)=>number} deps.startOfDay - day-bucketing helper shared with the app.
+ * @param {number} deps.DAY_MS
+ * @param {string} deps.timeZone - analysis time zone the day keys are cut in
+ * @returns {Object} cache API (all methods async).
+ */
+export function createHistoryCache({ dbName, startOfDay, DAY_MS, timeZone }) {
+  let db = null;
+  let dayCounts = new Map(); // day -> incidents stored (mirrors the "dayCounts" meta entry)
+  let dayBytes = new Map();  // day -> approximate size of its points (mirrors "dayBytes")
+
+  async function open() {
+    if (db) return true;
+    if (typeof indexedDB === "undefined") return false;
+
+    try {
+      const req = indexedDB.open(dbName, DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        const upgradeDb = req.result;
+        if (!upgradeDb.objectStoreNames.contains(DAYS_STORE)) {
+          upgradeDb.createObjectStore(DAYS_STORE, { keyPath: "day" });
+        }
+        if (!upgradeDb.objectStoreNames.contains(META_STORE)) {
+          upgradeDb.createObjectStore(META_STORE);
+        }
+        // v1 points have no ids and would duplicate their re-fetched copies; start over.
+        if (e.oldVersion > 0 && e.oldVersion < 2) {
+          req.transaction.objectStore(DAYS_STORE).clear();
+          req.transaction.objectStore(META_STORE).clear();
+        }
+      };
+      db = await reqToPromise(req);
+
+      // Caches from before zone tracking were cut in the browser's zone; treat them as foreign too.
+      const tx = db.transaction(META_STORE, "readonly");
+      const meta = tx.objectStore(META_STORE);
+      const [savedZone, saved, savedBytes] = await Promise.all([
+        reqToPromise(meta.get("timeZone")),
+        reqToPromise(meta.get("dayCounts")),
+        reqToPromise(meta.get("dayBytes")),
+      ]);
+      dayCounts = new Map(Array.isArray(saved) ? saved : []);
+      dayBytes = new Map(Array.isArray(savedBytes) ? savedBytes : []);
+      if (savedZone !== timeZone) await clear(); // also records the current zone
+      return true;
+    } catch (e) {
+      console.warn("History cache unavailable (continuing without it):", e);
+      db = null;
+      return false;
+    }
+  }
+
+  // Read every cached day record whose day key falls inside [startMs, endMs].
+  // Returns records sorted by day (IndexedDB key order).
+  async function readRange(startMs, endMs) {
+    if (!db) return [];
+    const tx = db.transaction(DAYS_STORE, "readonly");
+    const range = IDBKeyRange.bound(startOfDay(startMs), startOfDay(endMs));
+    const records = await reqToPromise(tx.objectStore(DAYS_STORE).getAll(range));
+    return records || [];
+  }
+
+  // Persist a fetched range as per-day records. `points` must cover the whole range: any day in
+  // [startMs, endMs] with no points is written as an empty day so it counts as fetched.
+  async function writeRange(startMs, endMs, points, syncedAt = Date.now()) {
+    if (!db) return;
+
+    const byDay = new Map();
+    for (let day = startOfDay(startMs); day <= endMs; day = startOfDay(day + DAY_MS + DAY_MS / 2)) {
+      byDay.set(day, []);
+    }
+    for (const p of points || []) {
+      const bucket = byDay.get(startOfDay(p.ts));
+      if (bucket) bucket.push(p);
+    }
+
+    const tx = db.transaction([DAYS_STORE, META_STORE], "readwrite");
+    const days = tx.objectStore(DAYS_STORE);
+    for (const [day, dayPoints] of byDay.entries()) {
+      days.put({ day, points: dayPoints, syncedAt });
+      dayCounts.set(day, dayPoints.length);
+      dayBytes.set(day, recordBytes(dayPoints));
+    }
+    const meta = tx.objectStore(META_STORE);
+    meta.put(syncedAt, "lastSyncAt");
+    meta.put(Array.from(dayCounts.entries()), "dayCounts");
+    meta.put(Array.from(dayBytes.entries()), "dayBytes");
+    await txDone(tx);
+  }
+
+  // Approximate stored size of a day's points: their JSON length. IndexedDB's own encoding differs
+  // per browser, but this tracks it closely enough for a summary.
+  function recordBytes(points) {
+    return JSON.stringify(points).length;
+  }
+
+  // Caches written before "dayBytes" existed: measure the days it lacks once, and remember them.
+  async function measureMissingDays() {
+    const missing = Array.from(dayCounts.keys()).filter((day) => !dayBytes.has(day));
+    if (!missing.length) return;
+    const tx = db.transaction([DAYS_STORE, META_STORE], "readwrite");
+    const days = tx.objectStore(DAYS_STORE);
+    const records = await Promise.all(missing.map((day) => reqToPromise(days.get(day))));
+    records.forEach((r, i) => dayBytes.set(missing[i], recordBytes(r?.points || [])));
+    tx.objectStore(META_STORE).put(Array.from(dayBytes.entries()), "dayBytes");
+    await txDone(tx);
+  }
+
+  async function getLastSyncAt() {
+    if (!db) return null;
+    const tx = db.transaction(META_STORE, "readonly");
+    const v = await reqToPromise(tx.objectStore(META_STORE).get("lastSyncAt"));
+    return Number.isFinite(v) ? v : null;
+  }
+
+  // Summary for the "Cached: …" chip. `bytes` is this cache's estimated size (see recordBytes), not
+  // the origin's storage usage.
+  async function stats() {
+    if (!db) return { available: false, days: 0, incidents: 0, bytes: null, lastSyncAt: null };
+
+    let incidents = 0;
+    for (const c of dayCounts.values()) incidents += c;
+
+    let bytes = null;
+    try {
+      await measureMissingDays();
+      bytes = 0;
+      for (const day of dayCounts.keys()) bytes += dayBytes.get(day) || 0;
+    } catch (e) {
+      console.warn("History cache size unavailable:", e);
+    }
+
+    return { available: true, days: dayCounts.size, incidents, bytes, lastSyncAt: await getLastSyncAt() };
+  }
+
+  async function clear() {
+    if (!db) return;
+    const tx = db.transaction([DAYS_STORE, META_STORE], "readwrite");
+    tx.objectStore(DAYS_STORE).clear();
+    tx.objectStore(META_STORE).clear();
+    tx.objectStore(META_STORE).put(timeZone, "timeZone");
+    await txDone(tx);
+    dayCounts = new Map();
+    dayBytes = new Map();
+  }
+
+  return {
+    open,
+    readRange,
+    writeRange,
+    getLastSyncAt,
+    stats,
+    clear,
+    get isAvailable() { return !!db; },
+  };
+}
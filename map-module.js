@@ -1,18 +1,53 @@
 // map-module.js
-// Owns: Leaflet map, fast dots canvas layer, heat layer, ZIP choropleth, region draw, pie-chart clusters, click popups with scrollable event lists.
+// Owns: Leaflet map, fast dots canvas layer, heat layer, area (ZIP/boundary) choropleth, hexagon/square grid, region draw, pie-chart clusters, click popups with scrollable event lists.
+
+import { DEFAULT_BOUNDARY_SET, areaOf, areaPolygons } from "./boundaries.js";
+import {
+  CLASS_COUNTS,
+  CLASS_SCHEMES,
+  DEFAULT_CLASSING,
+  DEFAULT_NORMALIZATION,
+  PALETTES,
+  classify,
+  classifyChange,
+  formatNormalized,
+  isNormalization,
+  normalizationTitle,
+  normalizationUnit,
+  normalizedValue,
+  parseClassing,
+} from "./choropleth.js";
+import { effectivePopulation, parsePopulationTable } from "./population.js";
+import {
+  DEFAULT_CHANGE_MEASURE,
+  DEFAULT_COMPARISON,
+  changeValue,
+  formatChange,
+  isChangeMeasure,
+  isComparison,
+} from "./comparison.js";
+import { DEFAULT_GRID, createGrid, formatCellSize, gridShapeNoun, parseGrid } from "./grid-bins.js";
 
 export function createMapController({
   /**
    * MapController responsibilities / architecture
    * -------------------------------------------
-   * This module owns the Leaflet map instance and three mutually-exclusive render modes:
+   * This module owns the Leaflet map instance and four mutually-exclusive render modes:
    *   1) Dots: a custom Canvas overlay (fast for many points) with optional cluster/pie rendering.
    *   2) Heat: Leaflet.heat layer.
-   *   3) ZIPs: a choropleth layer (ArcGIS GeoJSON ZIP polygons) with point-in-polygon counting.
+   *   3) Areas: a choropleth over one boundary set (ZIP codes, or any set in the boundaries.js
+   *      registry). Counting happens in the query pipeline (query-core.js); we hand out the
+   *      polygons via loadAreaPolygons() and paint counts, raw or normalized and then classed
+   *      (choropleth.js), with an on-map legend of the classes. With a comparison set
+   *      (comparison.js) areas are colored by their change from a baseline window instead.
+   *   4) Grid: filtered points binned into hexagons or squares of a set size in meters
+   *      (grid-bins.js), painted on a canvas layer in the same classes and legend as Areas.
    *
    * Design notes:
-   * - "drawGen" is a generation counter used to invalidate in-flight async work (future-proofing).
-   * - We keep caches (zipGeoJSON/zipFeatureMeta + lastZipKey/lastZipCounts) to avoid expensive
+   * - draw()/drawAreasWithKey() accept an AbortSignal. Long-running work (boundary fetch, heat point
+   *   building) yields between chunks and checks the signal, so stale renders stop early and
+   *   reject with an AbortError instead of painting over newer results.
+   * - We keep caches (loadedBoundarySets + lastAreaKey/lastAreaCounts) to avoid expensive
    *   recomputation when only styles/UI change.
    * - All DOM inputs are injected so this controller can be unit-tested with stubs.
    */
@@ -22,44 +57,69 @@ export function createMapController({
   topCardEl,
   modeDotsBtn,
   modeHeatBtn,
-  modeZipBtn,
+  modeAreasBtn,
+  modeGridBtn,
   heatOpacityPanel,
+  gridPanel, // grid shape/size controls, shown in grid mode
   heatOpacityEl,
   heatOpacityValEl,
   drawRegionBtn,
   clearRegionBtn,
   setStatus,
-  ZIP_QUERY_URL,
+  boundaries, // boundaries.js registry
+  getPopulationEdits, // (setId) => { areaId: residents } edited on top of the bundled table
   arcgisFetch,
   iconFontReadyRef,
   ensureIconFontReady,
   colorForCategory,
   spriteForCategory,
   shadeForType,
+  formatDateTime, // popup timestamps, in the app's analysis time zone
 }) {
   let map = null;
   let heatLayer = null;
-  let zipLayer = null;
   let dotsCanvasLayer = null;
+  let gridCanvasLayer = null;
+
+  // Grid mode (see "Grid drawing")
+  let grid = { ...DEFAULT_GRID }; // { shape, size } (grid-bins.js)
+  let lastGrid = null; // createGrid() the last draw binned with
+  let lastGridCells = new Map(); // cell key -> { lat, lon, total, breakdown, events, corners, bounds, color }
 
   // Leaflet draw
   let drawnItems = null;
   let drawControl = null;
-  let drawGen = 0;
-
-  // Region filter
-  let regionLayer = null;
-  let regionBounds = null;
-  let regionLatLngs = null;
-
-  // ZIP caches
-  let zipGeoJSON = null;
-  let zipFeatureMeta = null; // [{zip, ringsList, bboxes, leafletLayer}]
-  let lastZipKey = null;
-  let lastZipCounts = null;
-
-  // external hook
+  let drawToolActive = false;
+
+  // Region filter: [{ id, name, op: "include"|"exclude", layer }] (see "Region helpers")
+  let regions = [];
+  let regionSeq = 0;
+
+  // Area filter: ids picked by clicking the choropleth (see "Area selection")
+  let selectedAreas = new Set();
+
+  // Area caches (see "Area (choropleth) mode")
+  let boundarySetId = DEFAULT_BOUNDARY_SET;
+  const loadedBoundarySets = new Map(); // set id -> { set, polygons, layer, layersById, population }
+  let lastAreaKey = null;
+  let lastAreaCounts = null;
+  let lastAreaShareCounts = null; // per-area counts of the share category (normalization "share")
+  let areaNorm = { mode: DEFAULT_NORMALIZATION, category: null };
+  let areaComparison = { kind: DEFAULT_COMPARISON, measure: DEFAULT_CHANGE_MEASURE };
+  let lastAreaBaseline = null; // { label, loaded, counts, shareCounts } cached with lastAreaCounts
+  let areaClassing = { ...DEFAULT_CLASSING }; // { scheme, classes, palette } (choropleth.js)
+  let areaLegend = null; // Leaflet control, on the map in area mode only (see "Area values + legend")
+  let areaLegendBody = null;
+  let areaLegendControls = null; // { scheme, classes, palette } <select>s in the legend
+
+  // Live-mode highlight of new incidents (see flashPoints)
+  let flashLayer = null;
+  let flashTimer = null;
+
+  // external hooks
   let onRegionChanged = null;
+  let onAreaStyleChanged = null; // classing changed from the legend (restyle only; the app updates the link)
+  let onViewChanged = null; // pan/zoom finished (the app keeps the link's map view current)
 
   // --- Click / tooltip support (dots mode) ---
   let currentMode = "dots";
@@ -72,6 +132,21 @@ export function createMapController({
   const ZOOM_MID_MIN = 14;
   const ZOOM_IN_MIN = 15;
   const SMALL_POINT_COUNT = 100;
+  const ABORT_CHECK_CHUNK = 5000; // points processed between yields / abort checks
+  const FLASH_MS = 6000;          // how long new-incident rings stay up (matches the CSS pulse)
+  const FLASH_MAX = 200;          // cap on rings per batch (they're DOM markers)
+
+
+  // Cancellation helpers. We always throw a DOMException named "AbortError" so callers can tell
+  // "superseded" apart from real failures.
+  function throwIfAborted(signal) {
+    if (signal?.aborted) throw new DOMException("Render cancelled", "AbortError");
+  }
+
+  // Give the event loop a turn (input, newer redraws) between chunks of heavy work.
+  function yieldToMain() {
+    return new Promise((r) => setTimeout(r, 0));
+  }
 
 
   // Visual size heuristic for a clustered location-group.
@@ -111,13 +186,7 @@ export function createMapController({
   // Time formatting helper used in popups. Defensive: timestamps may be missing/invalid.
   function formatTime(ts) {
     try {
-      return new Date(ts).toLocaleString(undefined, {
-        year: "numeric",
-        month: "short",
-        day: "numeric",
-        hour: "numeric",
-        minute: "2-digit",
-      });
+      return formatDateTime(ts);
     } catch {
       return String(ts);
     }
@@ -182,7 +251,8 @@ export function createMapController({
   // Popup renderer for a location-group.
   // - Shows a breakdown (top N types) + a scrollable, time-sorted event list.
   // - Limits output to keep DOM lightweight and avoid massive popups for dense locations.
-  function buildPopupHtmlForGroup(g) {
+  // `opts.title` replaces the "N calls at this location" heading (grid cells).
+  function buildPopupHtmlForGroup(g, { title } = {}) {
     const total = g.total ?? g.count ?? 1;
     const breakdown = g.breakdown instanceof Map ? g.breakdown : null;
 
@@ -243,7 +313,7 @@ export function createMapController({
     return `
       <div style="min-width:260px;max-width:360px;">
         <div style="font-weight:950;font-size:14px;margin-bottom:6px;">
-          ${total.toLocaleString()} call${total === 1 ? "" : "s"} at this location
+          ${title ? escapeHtml(title) : `${total.toLocaleString()} call${total === 1 ? "" : "s"} at this location`}
         </div>
 
         ${summaryRows ? `<div style="margin-bottom:10px;">${summaryRows}</div>` : ""}
@@ -536,46 +606,307 @@ export function createMapController({
     },
   });
 
+  // Canvas overlay for grid mode: one filled hexagon or square per non-empty cell, with its count
+  // once cells are big enough on screen to hold it. Shares the canvas plumbing (sizing, pan/zoom
+  // redraws) with IncidentCanvasLayer; only what is painted differs. Pointer events stay off here
+  // too: clicks are resolved by cell (gridCellAt).
+  const GRID_LABEL_MIN_PX = 30;
+
+  const GridCanvasLayer = IncidentCanvasLayer.extend({
+    initialize() {
+      IncidentCanvasLayer.prototype.initialize.call(this);
+      this._cells = [];
+    },
+
+    setCells(cells) {
+      this._cells = cells || [];
+      this._queueRedraw();
+    },
+
+    _redraw() {
+      if (!this._map || !this._canvas) return;
+      const ctx = this._canvas.getContext("2d");
+      if (!ctx) return;
+
+      ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
+
+      const bounds = this._map.getBounds();
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.font = "800 11px system-ui, -apple-system, Segoe UI, sans-serif";
+
+      for (const c of this._cells) {
+        if (!bounds.intersects(c.bounds)) continue;
+
+        const pts = c.corners.map((ll) => this._map.latLngToContainerPoint(ll));
+        ctx.beginPath();
+        ctx.moveTo(pts[0].x, pts[0].y);
+        for (let k = 1; k < pts.length; k++) ctx.lineTo(pts[k].x, pts[k].y);
+        ctx.closePath();
+        ctx.fillStyle = c.color;
+        ctx.globalAlpha = 0.6;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.lineWidth = 0.75;
+        ctx.strokeStyle = "rgba(255,255,255,0.8)";
+        ctx.stroke();
+
+        const width = Math.abs(pts[0].x - pts[pts.length === 4 ? 1 : 3].x); // side or across the flats
+        if (width < GRID_LABEL_MIN_PX) continue;
+        const center = this._map.latLngToContainerPoint([c.lat, c.lon]);
+        const label = c.total.toLocaleString();
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = "rgba(255,255,255,0.85)";
+        ctx.strokeText(label, center.x, center.y);
+        ctx.fillStyle = "#2b2622";
+        ctx.fillText(label, center.x, center.y);
+      }
+    },
+  });
+
   // ------------------ Region helpers ------------------
 
-  // Region helpers
-  // --------------
-  // We support a single active region shape (rectangle or polygon) used as a filter predicate.
-  // For polygons, we use a ray-casting point-in-polygon test on the outer ring.
-  function pointInPolygon(lat, lon, latlngs) {
-    // ray casting
-    let inside = false;
-    for (let i = 0, j = latlngs.length - 1; i < latlngs.length; j = i++) {
-      const xi = latlngs[i].lng, yi = latlngs[i].lat;
-      const xj = latlngs[j].lng, yj = latlngs[j].lat;
-
-      const intersect =
-        yi > lat !== yj > lat &&
-        lon < ((xj - xi) * (lat - yi)) / ((yj - yi) || 1e-9) + xi;
-      if (intersect) inside = !inside;
+  // Regions
+  // -------
+  // Any number of named shapes (rectangle, polygon with optional holes, circle), each either
+  // included or excluded. A point passes when it lies inside at least one included shape (or there
+  // are none) and inside no excluded shape, so a lone excluded shape means "everything except this".
+  // The predicate runs in the query pipeline (query-core.js regionContains); shapes leave this
+  // module as plain data, via regionShapes() for links and regionSpec() for queries.
+  const REGION_STYLES = {
+    include: { color: "#3388ff", weight: 3, opacity: 0.5, fillOpacity: 0.2, dashArray: null },
+    exclude: { color: "#b42318", weight: 3, opacity: 0.7, fillOpacity: 0.25, dashArray: "6 6" },
+  };
+  const EARTH_RADIUS_M = 6371000; // same as Leaflet's L.CRS.Earth
+
+  function regionName(n) {
+    return `Region ${n}`;
+  }
+
+  // Next unused "Region N".
+  function nextRegionName() {
+    const taken = new Set(regions.map((r) => r.name));
+    let n = regions.length + 1;
+    while (taken.has(regionName(n))) n++;
+    return regionName(n);
+  }
+
+  // Leaflet layer -> plain geometry:
+  //   { kind: "rect", bounds: {south,west,north,east} }
+  //   { kind: "poly", polygons: [[[[lat,lon],…] outer, …holes], …] }  one entry per part
+  //   { kind: "circle", center: [lat,lon], radius: meters }
+  function layerGeometry(layer) {
+    if (layer instanceof L.Circle) {
+      const c = layer.getLatLng();
+      return { kind: "circle", center: [c.lat, c.lng], radius: layer.getRadius() };
+    }
+    if (layer instanceof L.Rectangle) {
+      const b = layer.getBounds();
+      return { kind: "rect", bounds: { south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() } };
     }
-    return inside;
+    // Polygon latlngs are a ring, [ring, …holes], or [[ring, …holes], …] for a multi-polygon.
+    let parts = layer.getLatLngs();
+    if (L.LineUtil.isFlat(parts)) parts = [[parts]];
+    else if (L.LineUtil.isFlat(parts[0])) parts = [parts];
+    return { kind: "poly", polygons: parts.map((rings) => rings.map((ring) => ring.map((ll) => [ll.lat, ll.lng]))) };
   }
 
+  function geometryLayer(shape) {
+    if (shape.kind === "rect") {
+      const b = shape.bounds;
+      return L.rectangle([[b.south, b.west], [b.north, b.east]]);
+    }
+    if (shape.kind === "circle") return L.circle(shape.center, { radius: shape.radius });
+    if (shape.kind === "poly") return L.polygon(shape.polygons.length === 1 ? shape.polygons[0] : shape.polygons);
+    return null;
+  }
 
-  // Fast predicate used by higher-level app filtering:
-  // - bounds check first (cheap)
-  // - rectangles short-circuit to bounds (since rectangle == its bounds)
-  // - polygons fall back to point-in-polygon for the outer ring
-  function passesRegionFilter(p) {
-    if (!regionLayer || !regionBounds) return true;
-    if (!regionBounds.contains([p.lat, p.lon])) return false;
+  function styleRegion(region) {
+    const label = region.op === "exclude" ? `${region.name} (excluded)` : region.name;
+    region.layer.setStyle(REGION_STYLES[region.op]);
+    if (region.layer.getTooltip()) region.layer.setTooltipContent(label);
+    else region.layer.bindTooltip(label, { sticky: true });
+  }
 
-    if (regionLayer instanceof L.Rectangle) return true;
+  function addRegion(layer, { name, op = "include" } = {}) {
+    const region = { id: ++regionSeq, name: name || nextRegionName(), op, layer };
+    regions.push(region);
+    styleRegion(region);
+    drawnItems?.addLayer(layer);
+    return region;
+  }
 
-    if (Array.isArray(regionLatLngs) && regionLatLngs.length >= 3) {
-      return pointInPolygon(p.lat, p.lon, regionLatLngs);
-    }
-    return true;
+  function clearRegions() {
+    drawnItems?.clearLayers();
+    regions = [];
+  }
+
+  function regionsChanged() {
+    invalidateAreaCache();
+    if (typeof onRegionChanged === "function") onRegionChanged();
+  }
+
+  // Query-side region spec (query-core.js regionContains):
+  //   { hasInclude, shapes: [{ exclude, bounds:{minLat,minLon,maxLat,maxLon}, polygons, circle }] }
+  // `polygons` are the parts of a polygon region, each [[lon,lat],…] rings (outer ring first, then
+  // holes), or null for rectangles and circles; `circle` is { lat, lon, radius } or null.
+  // `bounds` cover every part.
+  function regionSpec() {
+    if (!regions.length) return null;
+    const shapes = regions.map((r) => {
+      const g = layerGeometry(r.layer);
+      const shape = { exclude: r.op === "exclude", bounds: null, polygons: null, circle: null };
+      if (g.kind === "rect") {
+        shape.bounds = { minLat: g.bounds.south, minLon: g.bounds.west, maxLat: g.bounds.north, maxLon: g.bounds.east };
+      } else if (g.kind === "circle") {
+        const [lat, lon] = g.center;
+        const dLat = (g.radius / EARTH_RADIUS_M) * (180 / Math.PI);
+        const dLon = dLat / Math.max(Math.cos((lat * Math.PI) / 180), 1e-6);
+        shape.bounds = { minLat: lat - dLat, minLon: lon - dLon, maxLat: lat + dLat, maxLon: lon + dLon };
+        shape.circle = { lat, lon, radius: g.radius };
+      } else {
+        const b = { minLat: Infinity, minLon: Infinity, maxLat: -Infinity, maxLon: -Infinity };
+        for (const [lat, lon] of g.polygons.flatMap((rings) => rings[0])) {
+          if (lat < b.minLat) b.minLat = lat;
+          if (lat > b.maxLat) b.maxLat = lat;
+          if (lon < b.minLon) b.minLon = lon;
+          if (lon > b.maxLon) b.maxLon = lon;
+        }
+        shape.bounds = b;
+        shape.polygons = g.polygons.map((rings) => rings.map((ring) => ring.map(([lat, lon]) => [lon, lat])));
+      }
+      return shape;
+    });
+    return { hasInclude: shapes.some((s) => !s.exclude), shapes };
   }
 
   function hasRegion() {
-    return !!regionLayer;
+    return regions.length > 0;
+  }
+
+  // Short description for the KPI "active filters" card, or null.
+  function regionSummary() {
+    const areas = areaSummary();
+    const shapes = shapeSummary();
+    if (areas && shapes) return `${areas}, ${shapes}`;
+    return areas || shapes;
+  }
+
+  function shapeSummary() {
+    if (!regions.length) return null;
+    const inc = regions.filter((r) => r.op === "include").length;
+    const exc = regions.length - inc;
+    const n = (k) => (k === 1 ? "1 region" : `${k} regions`);
+    if (!exc) return inc === 1 ? "region" : n(inc);
+    if (!inc) return `outside ${n(exc)}`;
+    return `${n(inc)} minus ${n(exc)}`;
+  }
+
+  // The regions as plain data for links (url-state.js): [{ name, op, ...geometry }] (see layerGeometry).
+  function regionShapes() {
+    return regions.map((r) => ({ name: r.name, op: r.op, ...layerGeometry(r.layer) }));
+  }
+
+  // Inverse of regionShapes(). Doesn't fire onRegionChanged: the caller redraws once it has applied
+  // the rest of the restored state.
+  function setRegionShapes(shapes) {
+    clearRegions();
+    for (const shape of shapes || []) {
+      const layer = geometryLayer(shape);
+      if (layer) addRegion(layer, { name: shape.name, op: shape.op === "exclude" ? "exclude" : "include" });
+    }
+    invalidateAreaCache();
+  }
+
+  // Append shapes (e.g. imported from a boundary file), fly to them, and report the change.
+  function addRegionShapes(shapes) {
+    const added = [];
+    for (const shape of shapes || []) {
+      const layer = geometryLayer(shape);
+      if (layer) added.push(addRegion(layer, { name: shape.name, op: shape.op === "exclude" ? "exclude" : "include" }));
+    }
+    if (!added.length) return;
+    if (map) {
+      const bounds = L.latLngBounds([]);
+      for (const r of added) bounds.extend(r.layer.getBounds());
+      map.flyToBounds(bounds, { padding: [30, 30], duration: 0.8 });
+    }
+    regionsChanged();
+  }
+
+  // Cache key over every shape's geometry and mode (names don't change counts).
+  function regionKey() {
+    const areas = selectedAreas.size ? `|A:${boundarySetId}:${areaSelection().join(",")}` : "";
+    if (!regions.length) return `R:0${areas}`;
+    const round = (x) => (typeof x === "number" ? Number(x.toFixed(5)) : x);
+    return `R:${JSON.stringify(regionShapes().map(({ name, ...shape }) => shape), (k, v) => round(v))}${areas}`;
+  }
+
+  // For the region list: [{ id, name, op, kind, parts, holes, radius }].
+  function regionList() {
+    return regions.map((r) => {
+      const g = layerGeometry(r.layer);
+      return {
+        id: r.id,
+        name: r.name,
+        op: r.op,
+        kind: g.kind,
+        parts: g.kind === "poly" ? g.polygons.length : 0,
+        holes: g.kind === "poly" ? g.polygons.reduce((n, rings) => n + rings.length - 1, 0) : 0,
+        radius: g.kind === "circle" ? g.radius : null,
+      };
+    });
+  }
+
+  // Rename a region or switch it between include/exclude: patch = { name?, op? }.
+  function updateRegion(id, patch) {
+    const region = regions.find((r) => r.id === id);
+    if (!region) return;
+    if (patch.name) region.name = patch.name;
+    const opChanged = patch.op && patch.op !== region.op;
+    if (opChanged) region.op = patch.op;
+    styleRegion(region);
+    // Names are only labels, but they're part of the link, so renames are reported too.
+    if (opChanged) invalidateAreaCache();
+    if (typeof onRegionChanged === "function") onRegionChanged();
+  }
+
+  function removeRegion(id) {
+    const region = regions.find((r) => r.id === id);
+    if (!region) return;
+    drawnItems?.removeLayer(region.layer);
+    regions = regions.filter((r) => r !== region);
+    regionsChanged();
+  }
+
+  function zoomToRegion(id) {
+    const region = regions.find((r) => r.id === id);
+    if (region && map) map.flyToBounds(region.layer.getBounds(), { padding: [30, 30], duration: 0.8 });
+  }
+
+  // ------------------ Map view ------------------
+  function getView() {
+    if (!map) return null;
+    const c = map.getCenter();
+    return { lat: c.lat, lon: c.lng, zoom: map.getZoom() };
+  }
+
+  function setView(view) {
+    map?.setView([view.lat, view.lon], view.zoom, { animate: false });
+  }
+
+  // Fly to the extent of `points` (e.g. the current search matches). Returns false when there are none.
+  function fitToPoints(points) {
+    if (!map || !points.length) return false;
+    let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+    for (const p of points) {
+      if (p.lat < south) south = p.lat;
+      if (p.lat > north) north = p.lat;
+      if (p.lon < west) west = p.lon;
+      if (p.lon > east) east = p.lon;
+    }
+    map.flyToBounds([[south, west], [north, east]], { padding: [30, 30], maxZoom: 17, duration: 0.8 });
+    return true;
   }
 
   // ------------------ Map init ------------------
@@ -593,56 +924,60 @@ export function createMapController({
     dotsCanvasLayer = new IncidentCanvasLayer();
     dotsCanvasLayer.addTo(map);
 
+    gridCanvasLayer = new GridCanvasLayer();
+
     heatLayer = L.heatLayer([], { radius: 18, blur: 14, maxZoom: 17 });
 
+    areaLegend = L.control({ position: "bottomright" });
+    areaLegend.onAdd = buildAreaLegend;
+
     // Leaflet Draw (region filter)
     drawnItems = new L.FeatureGroup();
     map.addLayer(drawnItems);
 
     drawControl = new L.Control.Draw({
-      edit: { featureGroup: drawnItems, edit: false, remove: false },
+      edit: { featureGroup: drawnItems, edit: true, remove: true },
       draw: {
-        polygon: { allowIntersection: false, showArea: true },
-        rectangle: true,
+        polygon: { allowIntersection: false, showArea: true, shapeOptions: REGION_STYLES.include },
+        rectangle: { shapeOptions: REGION_STYLES.include },
         polyline: false,
-        circle: false,
+        circle: { shapeOptions: REGION_STYLES.include },
         marker: false,
         circlemarker: false,
       },
     });
     map.addControl(drawControl);
 
+    // New shapes are added as included regions; the region list switches them to excluded.
     map.on(L.Draw.Event.CREATED, (e) => {
-      drawnItems.clearLayers();
-      drawnItems.addLayer(e.layer);
-
-      regionLayer = e.layer;
-      regionBounds = e.layer.getBounds ? e.layer.getBounds() : null;
-
-      if (e.layer instanceof L.Polygon && !(e.layer instanceof L.Rectangle)) {
-        regionLatLngs = e.layer.getLatLngs()?.[0] || null;
-      } else {
-        regionLatLngs = null;
-      }
-
+      addRegion(e.layer);
       closeMapOverlay();
-      if (typeof onRegionChanged === "function") onRegionChanged();
+      regionsChanged();
+    });
+    map.on(L.Draw.Event.EDITED, () => regionsChanged());
+    // While a draw/edit tool is active, clicks on the area layer are vertices, not area picks.
+    map.on(`${L.Draw.Event.DRAWSTART} ${L.Draw.Event.EDITSTART} ${L.Draw.Event.DELETESTART}`, () => { drawToolActive = true; });
+    map.on(`${L.Draw.Event.DRAWSTOP} ${L.Draw.Event.EDITSTOP} ${L.Draw.Event.DELETESTOP}`, () => { drawToolActive = false; });
+    map.on(L.Draw.Event.DELETED, (e) => {
+      const deleted = new Set(e.layers.getLayers());
+      regions = regions.filter((r) => !deleted.has(r.layer));
+      regionsChanged();
+    });
+
+    map.on("moveend", () => {
+      if (typeof onViewChanged === "function") onViewChanged();
     });
 
     overlayEl?.addEventListener("click", closeMapOverlay);
 
     drawRegionBtn?.addEventListener("click", () => {
       openMapOverlay();
-      setStatus("Draw a region using the map draw tools (polygon/rectangle).");
+      setStatus("Draw a region using the map draw tools (polygon/rectangle/circle).");
     });
 
     clearRegionBtn?.addEventListener("click", () => {
-      regionLayer = null;
-      regionBounds = null;
-      regionLatLngs = null;
-      drawnItems?.clearLayers();
-      invalidateZipCache();
-      if (typeof onRegionChanged === "function") onRegionChanged();
+      clearRegions();
+      regionsChanged();
     });
 
     // Rebuild hit-test grid when map moves/zooms (screen-space cells shift)
@@ -652,6 +987,18 @@ export function createMapController({
       }
     });
 
+    // Click popups for grid cells: the clicked point's cell, if it holds any incidents
+    map.on("click", (e) => {
+      if (currentMode !== "grid" || drawToolActive) return;
+      const cell = gridCellAt(e.latlng);
+      if (!cell) return;
+
+      L.popup({ maxWidth: 380, closeButton: true, autoPan: true })
+        .setLatLng([cell.lat, cell.lon])
+        .setContent(buildPopupHtmlForGroup(cell, { title: gridCellTitle(cell) }))
+        .openOn(map);
+    });
+
     // Click popups for dots/pies
     map.on("click", (e) => {
       if (currentMode !== "dots") return;
@@ -690,13 +1037,42 @@ export function createMapController({
   // Caller is responsible for re-drawing after data/filter changes.
   function clearMapLayers() {
     if (map && heatLayer && map.hasLayer(heatLayer)) map.removeLayer(heatLayer);
-    if (map && zipLayer && map.hasLayer(zipLayer)) map.removeLayer(zipLayer);
+    removeAreaLayers();
+    removeGridLayer();
     dotsCanvasLayer?.setGroups([]);
+    clearFlash();
 
     lastDotGroups = [];
     lastDotGroupsGrid = null;
   }
 
+  // ------------------ New-incident highlight ------------------
+
+  // Briefly ring freshly arrived incidents (live mode). Batches are small, so plain non-interactive
+  // DOM markers are fine; the pulse itself is CSS (.new-incident-flash). The ring sits on an inner
+  // span because Leaflet positions the icon element with `transform`.
+  function flashPoints(points) {
+    clearFlash();
+    if (!map || !points?.length || currentMode !== "dots") return;
+
+    const icon = L.divIcon({
+      className: "new-incident-flash-icon",
+      html: '<span class="new-incident-flash"></span>',
+      iconSize: [26, 26],
+    });
+    flashLayer = L.layerGroup(
+      points.slice(-FLASH_MAX).map((p) => L.marker([p.lat, p.lon], { icon, interactive: false, keyboard: false }))
+    ).addTo(map);
+    flashTimer = setTimeout(clearFlash, FLASH_MS);
+  }
+
+  function clearFlash() {
+    clearTimeout(flashTimer);
+    flashTimer = null;
+    if (flashLayer && map) map.removeLayer(flashLayer);
+    flashLayer = null;
+  }
+
 
   // Leaflet.heat does not expose an official opacity API, so we adjust the underlying canvas.
   // This relies on internal properties (_heat/_canvas) and may need updating on plugin upgrades.
@@ -710,16 +1086,19 @@ export function createMapController({
   // ------------------ Mode UI ------------------
 
   // Keeps UI buttons/panels in sync with the current mode.
-  // Also increments drawGen so any pending async work can be treated as stale by future guards.
+  // In-flight renders for the previous mode are cancelled by the caller's AbortSignal; the
+  // `currentMode` checks after each await are a second guard.
   function setModeUI(mode) {
     currentMode = mode;
-    drawGen++;
 
     modeDotsBtn?.classList.toggle("btn-on", mode === "dots");
     modeHeatBtn?.classList.toggle("btn-on", mode === "heat");
-    modeZipBtn?.classList.toggle("btn-on", mode === "zips");
+    modeAreasBtn?.classList.toggle("btn-on", mode === "areas");
+    modeGridBtn?.classList.toggle("btn-on", mode === "grid");
+    if (mode !== "dots") clearFlash();
 
     if (heatOpacityPanel) heatOpacityPanel.style.display = mode === "heat" ? "block" : "none";
+    if (gridPanel) gridPanel.style.display = mode === "grid" ? "block" : "none";
     if (mode === "heat" && heatOpacityEl && heatOpacityValEl) {
       heatOpacityValEl.textContent = `${Math.round(+heatOpacityEl.value || 75)}%`;
     }
@@ -768,7 +1147,8 @@ export function createMapController({
   // At higher zoom we aggregate into location-groups to enable pie rendering and detailed popups.
   function drawDots(filteredPoints) {
     if (map && heatLayer && map.hasLayer(heatLayer)) map.removeLayer(heatLayer);
-    if (map && zipLayer && map.hasLayer(zipLayer)) map.removeLayer(zipLayer);
+    removeAreaLayers();
+    removeGridLayer();
 
     dotsCanvasLayer?.setVisible(true);
 
@@ -809,8 +1189,19 @@ export function createMapController({
 
   // Heat mode: delegates rendering to Leaflet.heat.
   // Note that weights are currently uniform (=1); adjust the 3rd element to use per-point intensity.
-  function drawHeat(filteredPoints, heatOpacity) {
-    const myGen = ++drawGen;
+  // The tuple array is built in chunks so a superseded render can bail out before setLatLngs().
+  async function drawHeat(filteredPoints, heatOpacity, signal) {
+    const latlngs = new Array(filteredPoints.length);
+    for (let i = 0; i < filteredPoints.length; i++) {
+      const p = filteredPoints[i];
+      latlngs[i] = [p.lat, p.lon, 1];
+      if ((i + 1) % ABORT_CHECK_CHUNK === 0) {
+        await yieldToMain();
+        throwIfAborted(signal);
+      }
+    }
+    throwIfAborted(signal);
+    if (currentMode !== "heat") return;
 
     // Ensure the heat layer exists
     if (!heatLayer) {
@@ -825,145 +1216,230 @@ export function createMapController({
     }
 
     
-    if (map && zipLayer && map.hasLayer(zipLayer)) map.removeLayer(zipLayer);
+    removeAreaLayers();
+    removeGridLayer();
 
     dotsCanvasLayer?.setVisible(false);
 
 
-    const latlngs = filteredPoints.map((p) => [p.lat, p.lon, 1]);
     heatLayer.setLatLngs(latlngs);
     if (map && !map.hasLayer(heatLayer)) heatLayer.addTo(map);
 
     applyHeatOpacity(heatOpacity);
   }
 
-  // ------------------ ZIP mode ------------------
+  // ------------------ Grid drawing ------------------
 
-  // ZIP mode notes
-  // --------------
-  // We compute counts by testing each point against each ZIP polygon until a match is found.
-  // Complexity is roughly O(points * zips) but reduced by per-ring bounding boxes + early breaks.
-  // Caching via lastZipKey/lastZipCounts avoids recomputation when filters haven't changed.
-  function clamp(v, min, max) {
-    return Math.max(min, Math.min(max, v));
-  }
-
-  function bboxForRing(ring) {
-    let minLat = 90, minLon = 180, maxLat = -90, maxLon = -180;
-    for (const pt of ring) {
-      const lon = pt[0], lat = pt[1];
-      if (lat < minLat) minLat = lat;
-      if (lat > maxLat) maxLat = lat;
-      if (lon < minLon) minLon = lon;
-      if (lon > maxLon) maxLon = lon;
-    }
-    return { minLat, minLon, maxLat, maxLon };
-  }
+  // Grid mode bins the filtered points into hexagons or squares of `grid.size` meters (grid-bins.js)
+  // and colors the non-empty cells by count, classed like the Areas map (choropleth.js classify,
+  // the same legend and "Classes" fold). Each cell keeps a per-type breakdown and a capped event
+  // list, like the dot groups, for its popup. Binning runs here rather than in the query pipeline
+  // because the popups need the points themselves; it yields between chunks like drawHeat.
+  // The grid's reference latitude is the view center's, rounded to a degree (see grid-bins.js).
+  const GRID_DETAILS_PER_CELL = 120;
 
-  function pointInRing(lat, lon, ring) {
-    let inside = false;
-    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-      const xi = ring[i][0], yi = ring[i][1];
-      const xj = ring[j][0], yj = ring[j][1];
+  // { shape, size } of the grid. Setting it doesn't redraw.
+  function getGrid() {
+    return { ...grid };
+  }
 
-      const intersect =
-        yi > lat !== yj > lat &&
-        lon < ((xj - xi) * (lat - yi)) / ((yj - yi) || 1e-9) + xi;
-      if (intersect) inside = !inside;
-    }
-    return inside;
+  function setGrid(settings) {
+    grid = parseGrid(settings);
   }
 
-  function pointInPolygonRings(lat, lon, rings) {
-    if (!rings?.length) return false;
-    if (!pointInRing(lat, lon, rings[0])) return false;
-    for (let i = 1; i < rings.length; i++) {
-      if (pointInRing(lat, lon, rings[i])) return false;
-    }
-    return true;
+  function removeGridLayer() {
+    if (map && gridCanvasLayer && map.hasLayer(gridCanvasLayer)) map.removeLayer(gridCanvasLayer);
+    gridCanvasLayer?.setCells([]);
+    lastGridCells = new Map();
+    lastGrid = null;
   }
 
+  async function drawGrid(filteredPoints, signal) {
+    const g = createGrid(grid, Math.round(map?.getCenter().lat ?? 0));
+    const cells = new Map();
+
+    for (let i = 0; i < filteredPoints.length; i++) {
+      const p = filteredPoints[i];
+      const key = g.cellOf(p.lat, p.lon);
+      let c = cells.get(key);
+      if (!c) {
+        c = { key, total: 0, breakdown: new Map(), events: [] };
+        cells.set(key, c);
+      }
+      c.total += 1;
+
+      const cur = c.breakdown.get(p.type);
+      if (!cur) c.breakdown.set(p.type, { count: 1, category: p.category });
+      else cur.count += 1;
 
-  // Fetches ZIP boundary GeoJSON from an ArcGIS REST endpoint.
-  // Assumes properties include ZIP_CODE and geometry is in WGS84 (outSR=4326).
-  async function fetchZipGeoJSONIfNeeded() {
-    if (zipGeoJSON && zipFeatureMeta) return;
+      if (c.events.length < GRID_DETAILS_PER_CELL) c.events.push({ ts: p.ts, type: p.type, addr: p.addr || "" });
 
-    const url =
-      ZIP_QUERY_URL +
-      "?" +
-      new URLSearchParams({
-        where: "1=1",
-        outFields: "ZIP_CODE,PO_NAME",
-        returnGeometry: "true",
-        outSR: "4326",
-        f: "geojson",
-        resultRecordCount: "2000",
-      }).toString();
+      if ((i + 1) % ABORT_CHECK_CHUNK === 0) {
+        await yieldToMain();
+        throwIfAborted(signal);
+      }
+    }
+    throwIfAborted(signal);
+    if (currentMode !== "grid") return;
+
+    const classed = classify(Array.from(cells.values(), (c) => c.total), areaClassing);
+    for (const c of cells.values()) {
+      [c.lat, c.lon] = g.center(c.key);
+      c.corners = g.outline(c.key);
+      c.bounds = L.latLngBounds(c.corners);
+      c.color = classed.colorOf(c.total) ?? NO_DATA_FILL;
+    }
 
-    const data = await arcgisFetch(url, "Loading ZIP code boundaries…");
+    if (map && heatLayer && map.hasLayer(heatLayer)) map.removeLayer(heatLayer);
+    removeAreaLayers();
+    dotsCanvasLayer?.setVisible(false);
+    lastDotGroups = [];
+    lastDotGroupsGrid = null;
 
-    zipGeoJSON = data;
-    zipFeatureMeta = [];
+    lastGrid = g;
+    lastGridCells = cells;
+    if (map && !map.hasLayer(gridCanvasLayer)) gridCanvasLayer.addTo(map);
+    gridCanvasLayer?.setCells(Array.from(cells.values()));
+
+    const noun = gridShapeNoun(grid.shape);
+    renderClassLegend({
+      title: `Incidents per ${formatCellSize(grid.size)} ${noun}`,
+      classed,
+      rangeText: (c) => classRangeText(c, (v) => v.toLocaleString(undefined, { maximumFractionDigits: 1 })),
+      countTitle: `${noun[0].toUpperCase()}${noun.slice(1)}s in this class`,
+    });
+  }
 
-    for (const f of zipGeoJSON.features || []) {
-      const zip = f.properties?.ZIP_CODE ?? "—";
-      const geom = f.geometry;
-      const ringsList = [];
+  function gridCellAt(latlng) {
+    return lastGrid ? lastGridCells.get(lastGrid.cellOf(latlng.lat, latlng.lng)) || null : null;
+  }
 
-      if (geom?.type === "Polygon") {
-        ringsList.push(geom.coordinates);
-      } else if (geom?.type === "MultiPolygon") {
-        for (const poly of geom.coordinates) ringsList.push(poly);
-      }
+  function gridCellTitle(cell) {
+    const calls = `${cell.total.toLocaleString()} call${cell.total === 1 ? "" : "s"}`;
+    return `${calls} in this ${formatCellSize(grid.size)} ${gridShapeNoun(grid.shape)}`;
+  }
 
-      const bboxes = ringsList.map((rings) => bboxForRing(rings[0]));
+  // ------------------ Area (choropleth) mode ------------------
+
+  // Area mode notes
+  // ---------------
+  // The choropleth aggregates into one boundary set at a time, picked from the registry
+  // (boundaries.js): ZIP codes by default, or any other set with a GeoJSON source and id/label
+  // properties. Counts come from the query pipeline (query-core.js countAreas), which locates each
+  // point in the polygons from loadAreaPolygons() once through a grid index and then groups by area.
+  // Caching via lastAreaKey/lastAreaCounts lets the app skip asking for counts when filters haven't
+  // changed (see areaCountsNeeded). Loaded sets stay cached, so switching back is free.
+  function currentBoundarySet() {
+    return boundaries.get(boundarySetId) || boundaries.get(DEFAULT_BOUNDARY_SET);
+  }
 
-      zipFeatureMeta.push({
-        zip,
-        ringsList,
-        bboxes,
-        leafletLayer: null,
+  // Fetches a set's GeoJSON: inline for sets added from a file, otherwise from its `url` (an ArcGIS
+  // layer query with `arcgis: true`). Geometry is expected in WGS84.
+  // ArcGIS caps each response at the layer's maxRecordCount (neighborhood associations run past it),
+  // so queries page with `resultOffset` while the response reports `exceededTransferLimit` (top level,
+  // or under `properties` in GeoJSON output). A static export never sets it and is read in one go.
+  async function fetchBoundaryGeoJSON(set, signal) {
+    if (set.geojson) return set.geojson;
+    if (!set.arcgis) return arcgisFetch(set.url, `Loading ${set.label} boundaries…`, { signal });
+
+    let features = [];
+    let first = null;
+    for (let page = 1; page <= 100; page++) {
+      const params = new URLSearchParams({
+        where: "1=1",
+        outFields: "*",
+        returnGeometry: "true",
+        outSR: "4326",
+        f: "geojson",
+        orderByFields: set.idProperty,
+        resultOffset: String(features.length),
       });
+      const label = page === 1 ? `Loading ${set.label} boundaries…` : `Loading ${set.label} boundaries (page ${page})…`;
+      const data = await arcgisFetch(`${set.url}?${params.toString()}`, label, { signal });
+      if (!first) first = data;
+      const feats = data.features || [];
+      features = features.concat(feats);
+      const more = data.exceededTransferLimit === true || data.properties?.exceededTransferLimit === true;
+      if (!more || !feats.length) break;
     }
+    return { ...first, features };
+  }
+
+  // Loads (once per set) the polygons and the Leaflet layer of the current boundary set.
+  async function loadBoundarySetIfNeeded(signal) {
+    const set = currentBoundarySet();
+    let loaded = loadedBoundarySets.get(set.id);
+    if (loaded) return loaded;
 
-    zipLayer = L.geoJSON(zipGeoJSON, {
+    const geojson = await fetchBoundaryGeoJSON(set, signal);
+    const polygons = areaPolygons(set, geojson);
+    const layersById = new Map(); // id -> [leaflet layer] (a set may split one area over features)
+
+    const layer = L.geoJSON(geojson, {
       style: () => ({
         weight: 1,
         color: "rgba(43,38,34,0.45)",
         fillColor: "rgba(42,157,143,0.12)",
         fillOpacity: 0.55,
       }),
-      onEachFeature: (feature, layer) => {
-        const zip = feature?.properties?.ZIP_CODE ?? "—";
-        layer.bindPopup(`ZIP ${zip}`);
-
-        const meta = zipFeatureMeta.find((m) => m.zip === zip);
-        if (meta) meta.leafletLayer = layer;
+      onEachFeature: (feature, featureLayer) => {
+        const { id, label } = areaOf(set, feature);
+        featureLayer.bindPopup(escapeHtml(areaTitle(set, id, label)));
+        featureLayer.on("click", (e) => {
+          if (drawToolActive) return;
+          const ev = e.originalEvent;
+          selectArea(id, !!(ev && (ev.ctrlKey || ev.metaKey)));
+        });
+        if (!layersById.has(id)) layersById.set(id, []);
+        layersById.get(id).push(featureLayer);
       },
     });
+
+    loaded = { set, polygons, layer, layersById, population: await fetchPopulationTable(set, signal) };
+    // A newer call may have loaded the same set meanwhile; keep the first so layers aren't doubled.
+    if (!loadedBoundarySets.has(set.id)) loadedBoundarySets.set(set.id, loaded);
+    return loadedBoundarySets.get(set.id);
+  }
+
+  // The set's bundled resident counts (Map id -> number), or null when it has none or they fail to
+  // load; per-capita values then come from the analyst's edits only.
+  async function fetchPopulationTable(set, signal) {
+    if (!set.populationUrl) return null;
+    try {
+      const res = await fetch(set.populationUrl, { signal });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return parsePopulationTable(await res.json()).values;
+    } catch (e) {
+      if (e?.name === "AbortError") throw e;
+      console.warn(`Population table for ${set.label} ignored:`, e);
+      return null;
+    }
   }
 
-  function zipColor(count, maxCount) {
-    if (!maxCount || maxCount <= 0) return "rgba(42,157,143,0.12)";
-    const t = clamp(count / maxCount, 0, 1);
-    const a = 0.10 + t * 0.55; // 0.10..0.65
-    return `rgba(42,157,143,${a})`;
+  function populationOf(loaded) {
+    return effectivePopulation(loaded.population, getPopulationEdits?.(loaded.set.id));
   }
 
-  function getChoroplethColor(intensity) {
-      // intensity is 0 to 1
-      // Stop colors: Green (#2a9d8f) -> Yellow (#e9c46a) -> Red (#dd1616)
-      if (intensity > 0.8) return '#dd1616'; // High (Red)
-      if (intensity > 0.6) return '#f4a261'; // Mid-High (Orange)
-      if (intensity > 0.4) return '#e9c46a'; // Mid (Yellow)
-      if (intensity > 0.2) return '#8ab17d'; // Mid-Low (Lime)
-      return '#2a9d8f';                      // Low (Green)
+  function areaTitle(set, id, label) {
+    return label && label !== id ? label : `${set.singular} ${id}`;
   }
 
-  function buildZipKey(state) {
-    // state: {min,max,dow,hour,regionKey,legendKey,showAllTypes}
+  function activeAreaLayer() {
+    return loadedBoundarySets.get(boundarySetId)?.layer || null;
+  }
+
+  function removeAreaLayers() {
+    if (!map) return;
+    for (const { layer } of loadedBoundarySets.values()) {
+      if (map.hasLayer(layer)) map.removeLayer(layer);
+    }
+    areaLegend?.remove();
+  }
+
+  function buildAreaKey(state) {
+    // state: {boundarySet,min,max,dow,hour,regionKey,legendKey,showAllTypes,dimsKey,excludeFlags,searchKey,dataVersion}
     return [
+      state.boundarySet ?? DEFAULT_BOUNDARY_SET,
       state.min,
       state.max,
       state.dow ?? "x",
@@ -971,130 +1447,470 @@ export function createMapController({
       state.regionKey ?? "R:0",
       state.legendKey ?? "L:0",
       state.showAllTypes ? "all" : "top",
+      state.dimsKey ?? "D:0",
+      state.excludeFlags ?? 0,
+      state.searchKey ?? "",
+      state.dataVersion ?? "d0",
+      state.shareCategory ?? "",
+      state.compareKey ?? "",
     ].join("::");
   }
 
+  // ------------------ Boundary set ------------------
 
-  // Compute ZIP counts for the provided points.
-  // We precompute bboxes per outer ring and do:
-  //   bbox reject -> point-in-polygon with holes -> increment -> break out.
-  // If performance becomes an issue, consider:
-  // - spatial index (R-tree) for ZIP bboxes
-  // - mapping points to ZIPs server-side
-  function computeZipCounts(points) {
-    const counts = new Map();
-    if (!zipFeatureMeta?.length) return counts;
+  function getBoundarySet() {
+    return currentBoundarySet().id;
+  }
 
-    for (const p of points) {
-      for (const meta of zipFeatureMeta) {
-        let matched = false;
-        for (let i = 0; i < meta.ringsList.length; i++) {
-          const bb = meta.bboxes[i];
-          if (
-            p.lat < bb.minLat || p.lat > bb.maxLat ||
-            p.lon < bb.minLon || p.lon > bb.maxLon
-          ) continue;
-
-          if (pointInPolygonRings(p.lat, p.lon, meta.ringsList[i])) {
-            counts.set(meta.zip, (counts.get(meta.zip) || 0) + 1);
-            matched = true;
-            break;
-          }
-        }
-        if (matched) break;
+  // Switch the set the choropleth aggregates into. The area selection belongs to the old set and is
+  // dropped. Doesn't fire onRegionChanged: the caller redraws.
+  function setBoundarySet(id) {
+    const next = boundaries.has(id) ? id : DEFAULT_BOUNDARY_SET;
+    if (next === boundarySetId) return;
+    removeAreaLayers();
+    boundarySetId = next;
+    selectedAreas = new Set();
+    invalidateAreaCache();
+  }
+
+  // ------------------ Area selection ------------------
+
+  // Area selection
+  // --------------
+  // Clicking an area of the choropleth filters to it; Ctrl/Cmd+click adds it to (or removes it from)
+  // a multi-area selection, and clicking the only selected area again clears it. The selection
+  // narrows the drawn regions rather than replacing them, and is tested in the query pipeline against
+  // the same polygons that drive the counts (query-core.js `spec.areaFilter`).
+  const AREA_SELECTED_STYLE = { color: "#264653", weight: 3.5, opacity: 1 };
+  const AREA_DEFAULT_STYLE = { color: "white", weight: 1.5, opacity: 0.8 };
+
+  function selectArea(id, additive) {
+    if (additive) {
+      if (selectedAreas.has(id)) selectedAreas.delete(id);
+      else selectedAreas.add(id);
+    } else if (selectedAreas.size === 1 && selectedAreas.has(id)) {
+      selectedAreas.clear();
+    } else {
+      selectedAreas = new Set([id]);
+    }
+    areaSelectionChanged();
+  }
+
+  function areaSelectionChanged() {
+    styleAreaSelection();
+    regionsChanged();
+  }
+
+  function styleAreaSelection() {
+    const loaded = loadedBoundarySets.get(boundarySetId);
+    if (!loaded) return;
+    for (const [id, layers] of loaded.layersById) {
+      const selected = selectedAreas.has(id);
+      for (const l of layers) {
+        l.setStyle(selected ? AREA_SELECTED_STYLE : AREA_DEFAULT_STYLE);
+        if (selected) l.bringToFront();
       }
     }
-    return counts;
   }
 
-  function invalidateZipCache() {
-    lastZipKey = null;
-    lastZipCounts = null;
+  function areaSelection() {
+    return Array.from(selectedAreas).sort();
   }
 
+  // Restore a selection (e.g. from a link) without firing onRegionChanged, like setRegionShapes().
+  function setAreaSelection(ids) {
+    selectedAreas = new Set((ids || []).map(String));
+    styleAreaSelection();
+    invalidateAreaCache();
+  }
 
-  // ------------------ Public draw() ------------------
-  async function draw(mode, filteredPoints, heatOpacity) {
-    if (mode === "dots") await ensureIconFontReady();
+  function clearAreaSelection() {
+    if (!selectedAreas.size) return;
+    selectedAreas.clear();
+    areaSelectionChanged();
+  }
 
-    if (mode === "dots") return drawDots(filteredPoints);
-    if (mode === "heat") return drawHeat(filteredPoints, heatOpacity);
+  // Chip / KPI text for the selection ("ZIP 87102, 87110", "4 ZIP codes"), or null.
+  function areaSummary() {
+    const ids = areaSelection();
+    if (!ids.length) return null;
+    const set = currentBoundarySet();
+    if (ids.length > 3) return `${ids.length} ${set.label}`;
+    const labels = loadedBoundarySets.get(set.id)?.polygons;
+    const labelOf = (id) => labels?.find((p) => p.id === id)?.label ?? id;
+    if (!set.labelProperty) return `${set.singular} ${ids.join(", ")}`;
+    return ids.map(labelOf).join(", ");
+  }
 
-    // For zips, caller provides cache key parts via getZipStateKeyObj()
-    throw new Error("ZIP mode requires drawZipswithKey(filteredPoints, zipStateKeyObj)");
+  // Query spec fragment: { areaFilter: ["87102", …] | null }.
+  function areaFilterSpec() {
+    return { areaFilter: selectedAreas.size ? areaSelection() : null };
   }
 
-  // ZIP draw is separate so app can provide a stable cache-key object
 
-  // ZIP draw is exposed separately so the caller can supply a stable cache-key object.
-  async function drawZipsWithKey(filteredPoints, zipStateKeyObj) {
-    const myGen = ++drawGen;
-    // If we ever add async cancellation, compare a captured generation value (myGen) to drawGen
-    // before applying results. For now we keep myGen as a placeholder for that pattern.
-    await fetchZipGeoJSONIfNeeded();
+  // Plain-data polygons of the current boundary set for the query pipeline:
+  // { setId, polygons: [{ id, ringsList, bboxes }] }.
+  async function loadAreaPolygons(signal) {
+    const { set, polygons } = await loadBoundarySetIfNeeded(signal);
+    return { setId: set.id, polygons: polygons.map(({ id, ringsList, bboxes }) => ({ id, ringsList, bboxes })) };
+  }
+
+  // Whether counts for this filter state still have to be computed (cache miss).
+  function areaCountsNeeded(areaStateKeyObj) {
+    return buildAreaKey(areaStateKeyObj) !== lastAreaKey;
+  }
 
-    if (myGen !== drawGen || currentMode !== "zips") return;
+  function invalidateAreaCache() {
+    lastAreaKey = null;
+    lastAreaCounts = null;
+    lastAreaShareCounts = null;
+    lastAreaBaseline = null;
+  }
+
+  // ------------------ Normalization ------------------
+
+  // What the choropleth colors by (choropleth.js): { mode, category } where `category` is the
+  // share-of-category target. Like setBoundarySet(), setting it doesn't redraw; a share category
+  // is part of the area cache key (buildAreaKey `shareCategory`), the other modes only restyle.
+  function getAreaNormalization() {
+    return { ...areaNorm };
+  }
+
+  function setAreaNormalization({ mode, category = null } = {}) {
+    areaNorm = { mode: isNormalization(mode) ? mode : DEFAULT_NORMALIZATION, category: category || null };
+  }
+
+  // Rows for the population editor: the current set's areas with their bundled figures.
+  // { set, rows: [{ id, label, bundled: number|null }] }
+  async function loadAreaPopulation(signal) {
+    const loaded = await loadBoundarySetIfNeeded(signal);
+    const seen = new Set();
+    const rows = [];
+    for (const { id, label } of loaded.polygons) {
+      if (seen.has(id)) continue;
+      seen.add(id);
+      rows.push({ id, label: areaTitle(loaded.set, id, label), bundled: loaded.population?.get(id) ?? null });
+    }
+    rows.sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+    return { set: loaded.set, rows };
+  }
+
+  // ------------------ Comparison ------------------
+
+  // Period-over-period (comparison.js): { kind: none|prev|year, measure: abs|pct }. Like the
+  // normalization, setting it doesn't redraw. The baseline window's counts arrive with the current
+  // ones (drawAreasWithKey `opts.baseline`); the app puts the baseline window in the cache key.
+  function getAreaComparison() {
+    return { ...areaComparison };
+  }
+
+  function setAreaComparison({ kind, measure } = {}) {
+    areaComparison = {
+      kind: isComparison(kind) ? kind : DEFAULT_COMPARISON,
+      measure: isChangeMeasure(measure) ? measure : DEFAULT_CHANGE_MEASURE,
+    };
+  }
+
+  function comparing() {
+    return areaComparison.kind !== "none" && !!lastAreaBaseline?.counts;
+  }
+
+
+  // ------------------ Public draw() ------------------
+  // `opts.signal` (AbortSignal) cancels the render; a cancelled draw rejects with an AbortError.
+  async function draw(mode, filteredPoints, heatOpacity, { signal } = {}) {
+    if (mode === "dots") {
+      await ensureIconFontReady();
+      throwIfAborted(signal);
+      return drawDots(filteredPoints);
+    }
+    if (mode === "heat") return drawHeat(filteredPoints, heatOpacity, signal);
+    if (mode === "grid") return drawGrid(filteredPoints, signal);
+
+    // For areas, caller provides cache key parts via buildAreaKeyObj()
+    throw new Error("Area mode requires drawAreasWithKey(filteredPoints, areaStateKeyObj, opts)");
+  }
+
+  // Area draw is exposed separately so the caller can supply a stable cache-key object.
+  // `opts.counts` (Map area id -> count) is required whenever areaCountsNeeded(key) was true;
+  // otherwise the cached counts for this key are reused. `opts.shareCounts` are the share
+  // category's counts, for the "share" normalization. `opts.baseline` ({ label, loaded, counts,
+  // shareCounts }) is the comparison window's, or null without a comparison.
+  async function drawAreasWithKey(filteredPoints, areaStateKeyObj, { signal, counts, shareCounts, baseline = null } = {}) {
+    const loaded = await loadBoundarySetIfNeeded(signal);
+    throwIfAborted(signal);
+    if (currentMode !== "areas" || loaded.set.id !== boundarySetId) return;
+
+    if (counts) {
+      lastAreaKey = buildAreaKey(areaStateKeyObj);
+      lastAreaCounts = counts;
+      lastAreaShareCounts = shareCounts || null;
+      lastAreaBaseline = baseline;
+    }
 
 
     if (map && heatLayer && map.hasLayer(heatLayer)) map.removeLayer(heatLayer);
     dotsCanvasLayer?.setVisible(false);
+    removeGridLayer();
 
-    if (zipLayer && map && !map.hasLayer(zipLayer)) zipLayer.addTo(map);
+    if (map && !map.hasLayer(loaded.layer)) loaded.layer.addTo(map);
 
-    const key = buildZipKey(zipStateKeyObj);
-    if (key !== lastZipKey) {
-      lastZipKey = key;
-      lastZipCounts = computeZipCounts(filteredPoints);
-    }
+    const values = areaValues(loaded);
+    const change = comparing();
+    const classed = change
+      ? classifyChange(Array.from(values.values(), (v) => v.change), areaClassing)
+      : classify(Array.from(values.values(), (v) => v.value), areaClassing);
 
-    const counts = lastZipCounts || new Map();
-    let maxCount = 0;
-    for (const c of counts.values()) maxCount = Math.max(maxCount, c);
+    for (const meta of loaded.polygons) {
+        const v = values.get(meta.id);
 
-    for (const meta of zipFeatureMeta) {
-        const c = counts.get(meta.zip) || 0;
-        
-        // Normalize count to a 0.0 - 1.0 scale
-        const intensity = maxCount > 0 ? c / maxCount : 0;
-        const fill = getChoroplethColor(intensity);
+        // One color per class; areas without a value get the "no data" fill
+        const fill = classed.colorOf(change ? v.change : v.value) ?? NO_DATA_FILL;
+        const selected = selectedAreas.has(meta.id);
 
-        if (meta.leafletLayer) {
-            meta.leafletLayer.setStyle({
+        for (const layer of loaded.layersById.get(meta.id) || []) {
+            layer.setStyle({
                 fillColor: fill,
                 fillOpacity: 0.5,      // Semi-transparent as requested
-                color: "white",       // Border color
-                weight: 1.5,          // Border thickness
-                opacity: 0.8          // Border opacity
+                ...(selected ? AREA_SELECTED_STYLE : AREA_DEFAULT_STYLE),
             });
+            if (selected) layer.bringToFront();
             
             // Update the popup with more detail
-            meta.leafletLayer.setPopupContent(`
+            layer.setPopupContent(change ? areaChangePopupHtml(loaded, meta, v) : `
                 <div style="text-align:center;">
-                    <strong style="font-size:14px;">ZIP ${meta.zip}</strong><br/>
-                    <span style="font-size:18px; font-weight:900;">${c.toLocaleString()}</span><br/>
-                    <span style="color:var(--muted); font-size:11px;">INCIDENTS</span>
+                    <strong style="font-size:14px;">${escapeHtml(areaTitle(loaded.set, meta.id, meta.label))}</strong><br/>
+                    <span style="font-size:18px; font-weight:900;">${escapeHtml(formatNormalized(areaNorm.mode, v.value))}</span><br/>
+                    <span style="color:var(--muted); font-size:11px;">${escapeHtml(normalizationUnit(areaNorm.mode, areaNorm.category))}</span>
+                    ${areaNorm.mode === "count" ? "" : `<br/><span style="font-size:12px;">${escapeHtml(areaValueDetail(v))}</span>`}
                 </div>
             `);
         }
     }
-}
+
+    renderAreaLegend(values, classed);
+  }
+
+  // ------------------ Area values + legend ------------------
+
+  const NO_DATA_FILL = "#bdbdbd";
+
+  // Map area id -> { count, population, areaSqMi, shareCount, value } under the current
+  // normalization, plus { baseCount, baseValue, change } when comparing. A set may split one area
+  // over several features; their square miles add up.
+  function areaValues(loaded) {
+    const counts = lastAreaCounts || new Map();
+    const base = comparing() ? lastAreaBaseline : null;
+    const population = areaNorm.mode === "per1k" ? populationOf(loaded) : null;
+    const out = new Map();
+    for (const meta of loaded.polygons) {
+      const v = out.get(meta.id);
+      if (v) v.areaSqMi += meta.areaSqMi || 0;
+      else {
+        out.set(meta.id, {
+          count: counts.get(meta.id) || 0,
+          population: population?.get(meta.id) ?? null,
+          areaSqMi: meta.areaSqMi || 0,
+          shareCount: lastAreaShareCounts?.get(meta.id) || 0,
+          baseCount: base?.counts.get(meta.id) || 0,
+          baseShareCount: base?.shareCounts?.get(meta.id) || 0,
+        });
+      }
+    }
+    for (const v of out.values()) {
+      v.value = normalizedValue(areaNorm.mode, v);
+      if (!base) continue;
+      v.baseValue = normalizedValue(areaNorm.mode, { ...v, count: v.baseCount, shareCount: v.baseShareCount });
+      v.change = changeValue(areaComparison.measure, v.value, v.baseValue);
+    }
+    return out;
+  }
+
+  // `v` (an areaValues entry) tells a rise from zero ("new") from a missing value ("—").
+  function formatAreaChange(d, v) {
+    return formatChange(areaComparison.measure, d, {
+      format: (x) => formatNormalized(areaNorm.mode, x),
+      share: areaNorm.mode === "share",
+      now: v?.value,
+      before: v?.baseValue,
+    });
+  }
+
+  // Popup in comparison mode: the change, then the value (and incidents) now and before.
+  function areaChangePopupHtml(loaded, meta, v) {
+    const incidents = areaNorm.mode === "count"
+      ? ""
+      : `<br/><span style="font-size:12px;">${v.count.toLocaleString()} incidents now · ${v.baseCount.toLocaleString()} before</span>`;
+    return `
+                <div style="text-align:center;">
+                    <strong style="font-size:14px;">${escapeHtml(areaTitle(loaded.set, meta.id, meta.label))}</strong><br/>
+                    <span style="font-size:18px; font-weight:900;">${escapeHtml(formatAreaChange(v.change, v))}</span><br/>
+                    <span style="color:var(--muted); font-size:11px;">${escapeHtml(`${normalizationUnit(areaNorm.mode, areaNorm.category)} vs ${lastAreaBaseline.label}`)}</span><br/>
+                    <span style="font-size:12px;">${escapeHtml(`${formatNormalized(areaNorm.mode, v.value)} now · ${formatNormalized(areaNorm.mode, v.baseValue)} before`)}</span>
+                    ${incidents}
+                </div>
+            `;
+  }
+
+  // Popup line under the value: what it was computed from.
+  function areaValueDetail(v) {
+    const incidents = `${v.count.toLocaleString()} incident${v.count === 1 ? "" : "s"}`;
+    switch (areaNorm.mode) {
+      case "per1k":
+        return v.population > 0 ? `${incidents} · ${v.population.toLocaleString()} residents` : `${incidents} · no population figure`;
+      case "perSqMi":
+        return `${incidents} · ${v.areaSqMi.toLocaleString(undefined, { maximumFractionDigits: 1 })} sq mi`;
+      case "share":
+        return `${v.shareCount.toLocaleString()} of ${incidents}`;
+      default:
+        return incidents;
+    }
+  }
+
+  // Area legend
+  // -----------
+  // A Leaflet control in area and grid mode: the active normalization, each class's value range and
+  // number of areas or cells (highest class on top), and a "Classes" fold with the scheme, class
+  // count and palette (choropleth.js), shared by both modes. The fold is built once; only the body is
+  // re-rendered per draw.
+  function buildAreaLegend() {
+    const div = L.DomUtil.create("div", "map-legend");
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+
+    areaLegendBody = L.DomUtil.create("div", "map-legend-body", div);
+
+    const fold = L.DomUtil.create("details", "map-legend-classing", div);
+    L.DomUtil.create("summary", "", fold).textContent = "Classes";
+    const select = (label, key, options) => {
+      const row = L.DomUtil.create("label", "", fold);
+      row.append(`${label} `);
+      const el = L.DomUtil.create("select", "", row);
+      el.append(...options.map(([value, text]) => new Option(text, value)));
+      el.addEventListener("change", () => {
+        setAreaClassing({ ...areaClassing, [key]: el.value });
+        if (typeof onAreaStyleChanged === "function") onAreaStyleChanged();
+      });
+      return el;
+    };
+    areaLegendControls = {
+      scheme: select("Scheme", "scheme", CLASS_SCHEMES.map((c) => [c.id, c.label])),
+      classes: select("Classes", "classes", CLASS_COUNTS.map((n) => [String(n), String(n)])),
+      palette: select("Palette", "palette", PALETTES.map((p) => [p.id, `${p.label} (${p.kind})`])),
+    };
+    syncAreaLegendControls();
+    return div;
+  }
+
+  function syncAreaLegendControls() {
+    if (!areaLegendControls) return;
+    for (const [key, el] of Object.entries(areaLegendControls)) el.value = String(areaClassing[key]);
+  }
+
+  // How the choropleth is classed: { scheme, classes, palette }. Setting it doesn't redraw.
+  function getAreaClassing() {
+    return { ...areaClassing };
+  }
+
+  function setAreaClassing(classing) {
+    areaClassing = parseClassing(classing);
+    syncAreaLegendControls();
+  }
+
+  function classRangeText({ from, to }, f) {
+    if (from == null) return `≤ ${f(to)}`;
+    if (to == null) return `> ${f(from)}`;
+    return from === to ? f(from) : `${f(from)} – ${f(to)}`;
+  }
+
+  function renderAreaLegend(values, classed) {
+    const hasValues = classed.noData < values.size;
+
+    const hint = areaNorm.mode === "per1k" && !hasValues
+      ? "No population figures for these areas yet; enter them under Population…"
+      : areaComparison.kind !== "none" && lastAreaBaseline && !lastAreaBaseline.loaded
+        ? `Comparison needs ${lastAreaBaseline.label}, which isn't loaded yet.`
+        : "";
+    const title = comparing()
+      ? `${areaComparison.measure === "pct" ? "% change" : "Change"} in ${normalizationTitle(areaNorm.mode, areaNorm.category).toLowerCase()} vs ${lastAreaBaseline.label}`
+      : normalizationTitle(areaNorm.mode, areaNorm.category);
+    const format = comparing() ? formatAreaChange : (v) => formatNormalized(areaNorm.mode, v);
+
+    renderClassLegend({
+      title,
+      classed: hasValues ? classed : { ...classed, classes: [] },
+      rangeText: (c) => classRangeText(c, format),
+      countTitle: "Areas in this class",
+      hint,
+    });
+  }
+
+  // Legend body shared by the Areas and Grid maps: a title, one row per class (highest on top) with
+  // its range and how many areas or cells it holds, the "No data" row and an optional hint.
+  function renderClassLegend({ title, classed, rangeText, countTitle, hint = "" }) {
+    if (!map || !areaLegend) return;
+    if (!areaLegend.getContainer()?.parentNode) areaLegend.addTo(map);
+
+    const rows = classed.classes.map((c) => ({ color: c.color, text: rangeText(c), count: c.count })).reverse();
+    if (classed.noData) rows.push({ color: NO_DATA_FILL, text: "No data", count: classed.noData });
+
+    areaLegendBody.innerHTML = `
+      <div class="map-legend-title">${escapeHtml(title)}</div>
+      ${rows.map((r) => `
+        <div class="map-legend-row">
+          <span class="map-legend-swatch" style="background:${r.color}"></span>
+          <span class="map-legend-range">${escapeHtml(r.text)}</span>
+          <span class="map-legend-count" title="${escapeHtml(countTitle)}">${r.count.toLocaleString()}</span>
+        </div>`).join("")}
+      ${hint ? `<div class="map-legend-hint">${escapeHtml(hint)}</div>` : ""}
+    `;
+  }
 
   return {
     initMap,
     clearMapLayers,
     setModeUI,
     applyHeatOpacity,
-    passesRegionFilter,
     hasRegion,
-    invalidateZipCache,
+    regionSummary,
+    get regionSpec() { return regionSpec(); },
+    invalidateAreaCache,
+    loadAreaPolygons,
+    areaCountsNeeded,
     draw,
-    drawZipsWithKey,
-    get regionKey() {
-      if (!regionBounds) return "R:0";
-      return `R:${regionBounds.getSouthWest().lat.toFixed(3)},${regionBounds.getSouthWest().lng.toFixed(3)}:${regionBounds.getNorthEast().lat.toFixed(3)},${regionBounds.getNorthEast().lng.toFixed(3)}`;
-    },
+    drawAreasWithKey,
+    flashPoints,
+    get regionKey() { return regionKey(); },
     set onRegionChanged(fn) { onRegionChanged = fn; },
     get onRegionChanged() { return onRegionChanged; },
+    set onAreaStyleChanged(fn) { onAreaStyleChanged = fn; },
+    get regionShapes() { return regionShapes(); },
+    setRegionShapes,
+    addRegionShapes,
+    get boundarySet() { return getBoundarySet(); },
+    setBoundarySet,
+    get areaSelection() { return areaSelection(); },
+    areaSummary,
+    setAreaSelection,
+    clearAreaSelection,
+    areaFilterSpec,
+    get areaNormalization() { return getAreaNormalization(); },
+    setAreaNormalization,
+    get areaClassing() { return getAreaClassing(); },
+    setAreaClassing,
+    get areaComparison() { return getAreaComparison(); },
+    setAreaComparison,
+    get grid() { return getGrid(); },
+    setGrid,
+    loadAreaPopulation,
+    get regions() { return regionList(); },
+    updateRegion,
+    removeRegion,
+    zoomToRegion,
+    getView,
+    setView,
+    fitToPoints,
+    set onViewChanged(fn) { onViewChanged = fn; },
     openMapOverlay,
     closeMapOverlay,
   };
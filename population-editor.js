@@ -0,0 +1,156 @@
+// population-editor.js
+// Owns: the "Population" dialog — resident counts per area of the current boundary set, for the
+// per-capita normalization of the Areas map. Bundled figures (population.js) show as placeholders;
+// whatever is typed over them is an edit.
+//
+// Design notes:
+// - Every valid edit fires `onChange(setId, edits)` straight away, so the map follows while the
+//   dialog is open. Persisting the edits is the app's job (localStorage, like the taxonomy).
+// - Clearing a field drops the edit and the bundled figure applies again.
+// - "Import Census figures…" reads a Census Bureau B01003 download (population.js
+//   parseCensusPopulation) and enters its figures as edits, for the areas of this set it covers.
+
+import { parseCensusPopulation, parsePopulationInput } from "./population.js";
+
+/**
+ * @param {Object} deps
+ * @param {HTMLDialogElement} deps.dialogEl
+ * @param {HTMLElement} deps.subEl
+ * @param {HTMLElement} deps.listEl - one row per area
+ * @param {HTMLElement} deps.errorEl
+ * @param {HTMLButtonElement} deps.resetBtn - drops this set's edits
+ * @param {HTMLButtonElement} deps.importBtn
+ * @param {HTMLInputElement} deps.fileInput - hidden <input type=file> used by Import
+ * @param {HTMLButtonElement} deps.closeBtn
+ * @param {(signal?:AbortSignal)=>Promise<{set:Object, rows:Array}>} deps.loadAreas - mapCtl.loadAreaPopulation
+ * @param {(setId:string)=>Object<string,number>} deps.getEdits
+ * @param {(setId:string, edits:Object<string,number>)=>void} deps.onChange
+ * @param {(msg:string)=>void} deps.setStatus
+ * @returns {Object} editor API
+ */
+export function createPopulationEditor({
+  dialogEl,
+  subEl,
+  listEl,
+  errorEl,
+  resetBtn,
+  importBtn,
+  fileInput,
+  closeBtn,
+  loadAreas,
+  getEdits,
+  onChange,
+  setStatus,
+}) {
+  let current = null; // { set, rows } of the set being edited
+
+  async function open() {
+    try {
+      current = await loadAreas();
+    } catch (e) {
+      console.error(e);
+      setStatus(`Could not load the areas: ${e.message}`);
+      return;
+    }
+    errorEl.textContent = "";
+    render();
+    if (!dialogEl.open) dialogEl.showModal();
+  }
+
+  function render() {
+    const { set, rows } = current;
+    const edits = getEdits(set.id);
+    const bundled = rows.filter((r) => r.bundled != null).length;
+    subEl.textContent =
+      `Residents per area of ${set.label}, for "Per 1,000 residents". ` +
+      (bundled
+        ? `${bundled.toLocaleString()} of ${rows.length.toLocaleString()} areas have a bundled figure (shown greyed); type over it to change it.`
+        : "No figures are bundled for this set; areas left empty show as “no data”.") +
+      " Edits are kept in this browser." +
+      " “Import Census figures…” reads ACS table B01003 (total population) by ZCTA, as downloaded from data.census.gov.";
+
+    listEl.replaceChildren(...rows.map((r) => {
+      const row = document.createElement("label");
+      row.className = "population-row";
+
+      const name = document.createElement("span");
+      name.textContent = r.label;
+
+      const input = document.createElement("input");
+      input.type = "text";
+      input.inputMode = "numeric";
+      input.placeholder = r.bundled == null ? "—" : r.bundled.toLocaleString();
+      input.value = edits[r.id] == null ? "" : String(edits[r.id]);
+      input.addEventListener("change", () => commit(r, input));
+
+      row.append(name, input);
+      return row;
+    }));
+  }
+
+  function commit(row, input) {
+    let n;
+    try {
+      n = parsePopulationInput(input.value);
+    } catch (e) {
+      errorEl.textContent = `${row.label}: ${e.message}`;
+      return;
+    }
+    errorEl.textContent = "";
+    const edits = { ...getEdits(current.set.id) };
+    if (n == null) delete edits[row.id];
+    else edits[row.id] = n;
+    input.value = n == null ? "" : String(n);
+    onChange(current.set.id, edits);
+  }
+
+  // ------------------ Import ------------------
+
+  async function importFile(file) {
+    if (!file || !current) return;
+    let figures;
+    try {
+      figures = parseCensusPopulation(await file.text());
+    } catch (e) {
+      errorEl.textContent = `Could not import ${file.name}: ${e.message}`;
+      return;
+    }
+    const edits = { ...getEdits(current.set.id) };
+    let matched = 0;
+    for (const r of current.rows) {
+      if (!figures.has(r.id)) continue;
+      edits[r.id] = figures.get(r.id);
+      matched++;
+    }
+    if (!matched) {
+      errorEl.textContent = `${file.name} has no figures for the areas of ${current.set.label}.`;
+      return;
+    }
+    errorEl.textContent = "";
+    onChange(current.set.id, edits);
+    render();
+    const missing = current.rows.length - matched;
+    setStatus(
+      `Imported ${matched.toLocaleString()} population figure${matched === 1 ? "" : "s"} from ${file.name}` +
+      (missing ? `; ${missing.toLocaleString()} area${missing === 1 ? " isn't" : "s aren't"} in the file.` : ".")
+    );
+  }
+
+  // ------------------ Wiring ------------------
+
+  resetBtn.addEventListener("click", () => {
+    if (!current) return;
+    onChange(current.set.id, {});
+    errorEl.textContent = "";
+    render();
+  });
+  importBtn.addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = "";
+    importFile(file);
+  });
+  closeBtn.addEventListener("click", () => dialogEl.close());
+
+  return { open };
+}
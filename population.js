@@ -0,0 +1,156 @@
+// population.js
+// Owns: the resident counts behind the per-capita choropleth: a boundary set's bundled table, the
+// analyst's edits laid over it, and reading Census Bureau population downloads into edits.
+//
+// Pure module: no DOM, no fetching, no storage (map-module.js loads the table; app.js keeps the edits
+// in localStorage; population-editor.js edits and imports them).
+//
+// Design notes:
+// - A bundled table is a JSON file named by the set's `populationUrl` (boundaries.js):
+//     { format: "area-population", boundary, source, year, population: { "<area id>": number|null } }
+//   Null figures are allowed and left out.
+// - parseCensusPopulation reads ACS table B01003 (total population) by ZCTA as the Census Bureau
+//   hands it out, so ZIP figures can be loaded from the download instead of typed in.
+// - An area without a figure has no per-capita rate; the map shows it as "no data", not as zero.
+
+import { parseCsv } from "./data-sources.js";
+
+export const POPULATION_FORMAT = "area-population";
+
+function validFigure(v) {
+  const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+  return typeof n === "number" && Number.isFinite(n) && n >= 0 ? Math.round(n) : null;
+}
+
+/**
+ * Bundled table JSON -> { source, year, values: Map<area id, number> }. Null and invalid figures are
+ * left out.
+ */
+export function parsePopulationTable(json) {
+  if (!json || typeof json !== "object" || json.format !== POPULATION_FORMAT) {
+    throw new Error("Not an area population table.");
+  }
+  const values = new Map();
+  for (const [id, v] of Object.entries(json.population || {})) {
+    const n = validFigure(v);
+    if (n != null) values.set(String(id), n);
+  }
+  return { source: json.source || "", year: json.year ?? null, values };
+}
+
+/**
+ * Saved edits (localStorage JSON) -> { [setId]: { [areaId]: number } }, dropping anything invalid.
+ */
+export function parsePopulationEdits(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  for (const [setId, edits] of Object.entries(raw)) {
+    if (!edits || typeof edits !== "object") continue;
+    const clean = {};
+    for (const [id, v] of Object.entries(edits)) {
+      const n = validFigure(v);
+      if (n != null) clean[id] = n;
+    }
+    if (Object.keys(clean).length) out[setId] = clean;
+  }
+  return out;
+}
+
+/**
+ * Figures in effect for one set: the bundled values with the edits on top.
+ * @param {Map<string,number>|null} bundled
+ * @param {Object<string,number>|null} edits
+ * @returns {Map<string,number>}
+ */
+export function effectivePopulation(bundled, edits) {
+  const out = new Map(bundled || []);
+  for (const [id, n] of Object.entries(edits || {})) out.set(id, n);
+  return out;
+}
+
+/**
+ * One edited figure: text from an input -> number, or null to fall back to the bundled value.
+ * Throws on anything that isn't a whole, non-negative number.
+ */
+export function parsePopulationInput(text) {
+  const s = String(text ?? "").replace(/[,\s]/g, "");
+  if (!s) return null;
+  if (!/^\d+$/.test(s)) throw new Error(`"${text}" is not a whole number of residents.`);
+  return Number(s);
+}
+
+// ------------------ Census downloads ------------------
+
+const ESTIMATE_COLUMN = "B01003_001E";
+const GEO_ID_RE = /^860Z200US(\d{5})$/;   // ZCTA GEO_ID, e.g. 860Z200US87102
+const ZCTA_NAME_RE = /\bZCTA5 (\d{5})\b/; // "ZCTA5 87102"
+
+function censusFigure(v) {
+  return validFigure(typeof v === "string" ? v.replace(/[,\s]/g, "") : v);
+}
+
+// The ZCTA of one row: GEO_ID, NAME or a bare five-digit id column (the API's last column).
+function zctaOf(cells) {
+  for (const c of cells) {
+    const s = String(c ?? "").trim();
+    const m = GEO_ID_RE.exec(s) || ZCTA_NAME_RE.exec(s);
+    if (m) return m[1];
+  }
+  for (const c of cells) {
+    if (/^\d{5}$/.test(String(c ?? "").trim())) return String(c).trim();
+  }
+  return null;
+}
+
+// One row per ZCTA with a B01003_001E column: the data.census.gov CSV and the Census API's JSON
+// ([[header…], [row…], …]). The CSV's second row repeats the headers as labels and is skipped.
+function readRows(columns, rows) {
+  const col = columns.indexOf(ESTIMATE_COLUMN);
+  const out = new Map();
+  if (col < 0) return out;
+  for (const row of rows) {
+    const id = zctaOf(row.filter((_, i) => i !== col));
+    const n = censusFigure(row[col]);
+    if (id && n != null) out.set(id, n);
+  }
+  return out;
+}
+
+// One column per ZCTA ("ZCTA5 87102!!Estimate"), one row per line of the table: the data.census.gov
+// "table" CSV. The total is the row labelled "Total".
+function readColumns(columns, rows) {
+  const out = new Map();
+  const total = rows.find((r) => /^total\b/i.test(String(r[0] ?? "").trim()));
+  if (!total) return out;
+  columns.forEach((name, i) => {
+    const m = ZCTA_NAME_RE.exec(name);
+    if (!m || !/estimate/i.test(name)) return;
+    const n = censusFigure(total[i]);
+    if (n != null) out.set(m[1], n);
+  });
+  return out;
+}
+
+/**
+ * A Census Bureau download of ACS table B01003 (total population) by ZCTA -> Map<ZIP, residents>.
+ * Reads the data.census.gov CSV (one row per ZCTA, or the table layout with one column per ZCTA)
+ * and the Census API's JSON (`get=NAME,B01003_001E&for=zip code tabulation area:…`).
+ * Throws when the text holds no ZCTA figures.
+ * @param {string} text
+ * @returns {Map<string, number>}
+ */
+export function parseCensusPopulation(text) {
+  const src = String(text ?? "").trim();
+  let values;
+  if (src.startsWith("[")) {
+    const [columns = [], ...rows] = JSON.parse(src);
+    values = readRows(columns.map(String), rows);
+  } else {
+    const { columns, rows } = parseCsv(src);
+    values = columns.includes(ESTIMATE_COLUMN) ? readRows(columns, rows) : readColumns(columns, rows);
+  }
+  if (!values.size) {
+    throw new Error(`No ZCTA population figures found; expected ACS table B01003 (${ESTIMATE_COLUMN}) by ZCTA.`);
+  }
+  return values;
+}
@@ -0,0 +1,219 @@
+// projections.js
+// Owns: reading a shapefile `.prj` (ESRI or OGC WKT) and converting its coordinates back to WGS84
+// longitude/latitude, so imported boundaries line up with the incident points.
+//
+// Pure module: no DOM.
+//
+// Design notes:
+// - Supported: geographic coordinates (no conversion), Transverse Mercator (UTM and most State Plane
+//   zones, e.g. New Mexico Central), Lambert Conformal Conic (1SP/2SP, the other State Plane family)
+//   and Web Mercator. Anything else is rejected with a readable error rather than guessed.
+// - Only the projection is inverted; there is no datum transformation. NAD83 (and its HARN/NSRS
+//   realizations) is within about a meter of WGS84, which is below what a region filter can resolve.
+//   Other datums (NAD27, …) are converted anyway and reported in `warnings`.
+
+const DEG = Math.PI / 180;
+
+// Datum names that are close enough to WGS84 to skip a datum shift.
+const WGS84_LIKE_DATUM = /WGS.?84|North_American_1983|NAD.?83|GRS.?1980/i;
+
+// ------------------ WKT parsing ------------------
+
+// `NAME["text", 1.5, CHILD[...]]` -> { name, args: [string|number|node] }
+function parseWkt(text) {
+  let i = 0;
+  const src = String(text).trim();
+
+  function skipSpace() {
+    while (i < src.length && /\s/.test(src[i])) i++;
+  }
+
+  function node() {
+    skipSpace();
+    const start = i;
+    while (i < src.length && /[A-Za-z0-9_]/.test(src[i])) i++;
+    const name = src.slice(start, i);
+    if (!name) throw new Error(`Unexpected "${src[i] ?? "end of file"}" in .prj`);
+    skipSpace();
+    const open = src[i];
+    if (open !== "[" && open !== "(") throw new Error(`Expected "[" after ${name} in .prj`);
+    const close = open === "[" ? "]" : ")";
+    i++;
+
+    const args = [];
+    for (;;) {
+      skipSpace();
+      if (src[i] === close) { i++; break; }
+      if (src[i] === '"') {
+        const end = src.indexOf('"', i + 1);
+        if (end < 0) throw new Error("Unterminated string in .prj");
+        args.push(src.slice(i + 1, end));
+        i = end + 1;
+      } else if (/[-+.\d]/.test(src[i])) {
+        const start = i;
+        while (i < src.length && /[-+.\deE]/.test(src[i])) i++;
+        args.push(Number(src.slice(start, i)));
+      } else {
+        args.push(node());
+      }
+      skipSpace();
+      if (src[i] === ",") i++;
+      else if (src[i] !== close) throw new Error(`Unexpected "${src[i] ?? "end of file"}" in .prj`);
+    }
+    return { name: name.toUpperCase(), args };
+  }
+
+  return node();
+}
+
+const children = (n, name) => n.args.filter((a) => typeof a === "object" && a.name === name);
+const child = (n, name) => children(n, name)[0] || null;
+
+// ------------------ Projections (inverse only) ------------------
+
+function ellipsoid(spheroid) {
+  const a = spheroid?.args[1];
+  const invF = spheroid?.args[2];
+  if (!(a > 0)) throw new Error(".prj has no usable SPHEROID");
+  const f = invF ? 1 / invF : 0;
+  const e2 = 2 * f - f * f;
+  return { a, e2, e: Math.sqrt(e2) };
+}
+
+// Snyder, "Map Projections: A Working Manual" (USGS PP 1395), eqs. 3-21 and 8-18..8-25.
+function transverseMercator({ a, e2 }, p) {
+  const e4 = e2 * e2;
+  const e6 = e4 * e2;
+  const ep2 = e2 / (1 - e2);
+  const k0 = p.scale_factor ?? 1;
+  const lon0 = (p.central_meridian ?? 0) * DEG;
+  const m1 = 1 - e2 / 4 - (3 * e4) / 64 - (5 * e6) / 256;
+  const meridian = (phi) => a * (
+    m1 * phi
+    - ((3 * e2) / 8 + (3 * e4) / 32 + (45 * e6) / 1024) * Math.sin(2 * phi)
+    + ((15 * e4) / 256 + (45 * e6) / 1024) * Math.sin(4 * phi)
+    - ((35 * e6) / 3072) * Math.sin(6 * phi)
+  );
+  const M0 = meridian((p.latitude_of_origin ?? 0) * DEG);
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+  return (x, y) => {
+    const mu = (M0 + y / k0) / (a * m1);
+    const phi1 = mu
+      + ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu)
+      + ((21 * e1 ** 2) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu)
+      + ((151 * e1 ** 3) / 96) * Math.sin(6 * mu)
+      + ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+    const sin1 = Math.sin(phi1);
+    const cos1 = Math.cos(phi1);
+    const tan1 = Math.tan(phi1);
+    const C1 = ep2 * cos1 * cos1;
+    const T1 = tan1 * tan1;
+    const N1 = a / Math.sqrt(1 - e2 * sin1 * sin1);
+    const R1 = (a * (1 - e2)) / Math.pow(1 - e2 * sin1 * sin1, 1.5);
+    const D = x / (N1 * k0);
+
+    const lat = phi1 - ((N1 * tan1) / R1) * (
+      (D * D) / 2
+      - ((5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * D ** 4) / 24
+      + ((61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * D ** 6) / 720
+    );
+    const lon = lon0 + (
+      D
+      - ((1 + 2 * T1 + C1) * D ** 3) / 6
+      + ((5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * D ** 5) / 120
+    ) / cos1;
+    return [lon / DEG, lat / DEG];
+  };
+}
+
+// Snyder eqs. 15-1..15-11 and 7-9 (inverse by iteration).
+function lambertConformalConic({ a, e }, p) {
+  const m = (phi) => Math.cos(phi) / Math.sqrt(1 - e * e * Math.sin(phi) ** 2);
+  const t = (phi) => Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi)), e / 2);
+
+  const lat0 = (p.latitude_of_origin ?? 0) * DEG;
+  const lat1 = (p.standard_parallel_1 ?? p.latitude_of_origin ?? 0) * DEG;
+  const lat2 = (p.standard_parallel_2 ?? p.standard_parallel_1 ?? p.latitude_of_origin ?? 0) * DEG;
+  const lon0 = (p.central_meridian ?? 0) * DEG;
+  const k0 = p.scale_factor ?? 1;
+
+  const n = Math.abs(lat1 - lat2) < 1e-10
+    ? Math.sin(lat1)
+    : (Math.log(m(lat1)) - Math.log(m(lat2))) / (Math.log(t(lat1)) - Math.log(t(lat2)));
+  const F = m(lat1) / (n * Math.pow(t(lat1), n));
+  const aF = a * F * k0;
+  const rho0 = aF * Math.pow(t(lat0), n);
+  const sign = n < 0 ? -1 : 1;
+
+  return (x, y) => {
+    const dy = rho0 - y;
+    const rho = sign * Math.sqrt(x * x + dy * dy);
+    const theta = Math.atan2(sign * x, sign * dy);
+    const tt = Math.pow(rho / aF, 1 / n);
+    let phi = Math.PI / 2 - 2 * Math.atan(tt);
+    for (let k = 0; k < 15; k++) {
+      const s = e * Math.sin(phi);
+      const next = Math.PI / 2 - 2 * Math.atan(tt * Math.pow((1 - s) / (1 + s), e / 2));
+      if (Math.abs(next - phi) < 1e-12) { phi = next; break; }
+      phi = next;
+    }
+    return [(theta / n + lon0) / DEG, phi / DEG];
+  };
+}
+
+function webMercator({ a }) {
+  return (x, y) => [(x / a) / DEG, (2 * Math.atan(Math.exp(y / a)) - Math.PI / 2) / DEG];
+}
+
+const PROJECTIONS = [
+  { match: /^transverse_mercator$|^gauss_kruger$/i, build: transverseMercator },
+  { match: /^lambert_conformal_conic/i, build: lambertConformalConic },
+  { match: /mercator_auxiliary_sphere|pseudo_mercator|popular_visuali[sz]ation/i, build: webMercator },
+];
+
+// ------------------ Public API ------------------
+
+/**
+ * Coordinate converter for a `.prj`.
+ * @param {string} wkt - contents of the .prj file
+ * @returns {{name:string, geographic:boolean, warnings:string[], toLonLat:(x:number, y:number)=>[number, number]}}
+ * @throws {Error} for unreadable WKT or a projection this module doesn't implement
+ */
+export function projectionFromPrj(wkt) {
+  const root = parseWkt(wkt);
+  const warnings = [];
+
+  const geogcs = root.name === "GEOGCS" ? root : child(root, "GEOGCS");
+  const datum = geogcs && child(geogcs, "DATUM");
+  const datumName = datum?.args[0] || "";
+  if (datumName && !WGS84_LIKE_DATUM.test(datumName)) {
+    warnings.push(`Datum ${datumName} is not converted to WGS84; boundaries may be off by tens of meters.`);
+  }
+
+  if (root.name === "GEOGCS") {
+    return { name: root.args[0] || "Geographic", geographic: true, warnings, toLonLat: (x, y) => [x, y] };
+  }
+  if (root.name !== "PROJCS") throw new Error(`Unsupported coordinate system (${root.name}) in .prj`);
+
+  const projName = child(root, "PROJECTION")?.args[0] || "";
+  const proj = PROJECTIONS.find((p) => p.match.test(projName));
+  if (!proj) throw new Error(`Projection "${projName || "unknown"}" is not supported`);
+
+  // Linear unit of the projected system (the PROJCS's own UNIT, not the GEOGCS's degrees).
+  const unit = child(root, "UNIT");
+  const toMeters = Number(unit?.args[1]) || 1;
+
+  const params = {};
+  for (const p of children(root, "PARAMETER")) params[String(p.args[0]).toLowerCase()] = Number(p.args[1]);
+  const falseEasting = (params.false_easting ?? 0) * toMeters;
+  const falseNorthing = (params.false_northing ?? 0) * toMeters;
+
+  const inverse = proj.build(ellipsoid(datum && child(datum, "SPHEROID")), params);
+  return {
+    name: root.args[0] || projName,
+    geographic: false,
+    warnings,
+    toLonLat: (x, y) => inverse(x * toMeters - falseEasting, y * toMeters - falseNorthing),
+  };
+}
@@ -0,0 +1,150 @@
+// quality-panel.js
+// Owns: the "Data quality" panel — dropped-record counts by reason, the flagged point groups from
+// data-quality.js, and one "Exclude" toggle per group.
+//
+// The exclusions are contributed to pipeline queries via `filterSpec()` (runQuery `spec.excludeFlags`).
+
+import { QUALITY_FLAGS } from "./data-quality.js";
+
+const MAX_SPOTS_SHOWN = 5;
+const MAX_TYPES_SHOWN = 8;
+
+const GROUPS = [
+  {
+    flag: QUALITY_FLAGS.OUT_OF_BOUNDS,
+    label: "Outside the Albuquerque area",
+    short: "out-of-area points",
+    hint: "Coordinates outside the analysis bounds, e.g. 0,0 placeholders or mistyped locations.",
+  },
+  {
+    flag: QUALITY_FLAGS.STACKED,
+    label: "Stacked on geocoder-default spots",
+    short: "stacked points",
+    hint: "Many incidents with different addresses sharing one exact coordinate, usually a geocoding fallback.",
+  },
+  {
+    flag: QUALITY_FLAGS.OTHER_TYPE,
+    label: "Call types under “Other”",
+    short: "“Other” call types",
+    hint: "Call types the taxonomy doesn't map to a category (see “Edit categories…”).",
+  },
+];
+
+/**
+ * @param {Object} deps
+ * @param {HTMLElement} deps.bodyEl - panel content
+ * @param {HTMLElement} deps.chipEl - count shown in the panel header
+ * @param {()=>void} deps.onExcludeChanged
+ * @returns {Object} panel API
+ */
+export function createQualityPanel({ bodyEl, chipEl, onExcludeChanged }) {
+  let excluded = 0; // bitmask of QUALITY_FLAGS
+  let lastSummary = null;
+
+  function fmtCoord(x) {
+    return x.toFixed(5);
+  }
+
+  function section(title) {
+    const h = document.createElement("h4");
+    h.className = "quality-section";
+    h.textContent = title;
+    return h;
+  }
+
+  function detailList(lines) {
+    const ul = document.createElement("ul");
+    ul.className = "quality-details";
+    for (const line of lines) {
+      const li = document.createElement("li");
+      li.textContent = line;
+      ul.append(li);
+    }
+    return ul;
+  }
+
+  function render(summary) {
+    lastSummary = summary;
+    const dropped = summary.drops.reduce((s, d) => s + d.count, 0);
+    const flaggedTotal = GROUPS.reduce((s, g) => s + summary.flagged[g.flag], 0);
+    chipEl.textContent = (dropped + flaggedTotal).toLocaleString();
+    chipEl.classList.toggle("chip-warn", dropped + flaggedTotal > 0);
+
+    bodyEl.replaceChildren();
+
+    // Dropped records
+    bodyEl.append(section("Dropped while loading"));
+    if (!summary.drops.length) {
+      const p = document.createElement("p");
+      p.className = "legend-hint quality-empty";
+      p.textContent = "Nothing dropped.";
+      bodyEl.append(p);
+    } else {
+      bodyEl.append(detailList(summary.drops.map((d) => `${d.label}: ${d.count.toLocaleString()}`)));
+      bodyEl.lastChild.title = summary.drops
+        .flatMap((d) => d.samples.map((r) => `${d.label} — ${[r.id, r.type, r.date].filter((x) => x != null).join(" · ")}`))
+        .join("\n");
+    }
+    const note = document.createElement("p");
+    note.className = "legend-hint quality-empty";
+    note.textContent = "Counts cover records fetched in this session; cached days were checked when first loaded.";
+    bodyEl.append(note);
+
+    // Flagged groups
+    bodyEl.append(section("Flagged incidents"));
+    for (const g of GROUPS) {
+      const count = summary.flagged[g.flag];
+
+      const row = document.createElement("label");
+      row.className = "legend-item quality-group";
+      row.title = g.hint;
+
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = !!(excluded & g.flag);
+      cb.addEventListener("change", () => {
+        excluded = cb.checked ? excluded | g.flag : excluded & ~g.flag;
+        onExcludeChanged();
+      });
+
+      const text = document.createElement("span");
+      text.textContent = `Exclude ${g.label.charAt(0).toLowerCase()}${g.label.slice(1)} (${count.toLocaleString()})`;
+
+      row.append(cb, text);
+      bodyEl.append(row);
+
+      if (g.flag === QUALITY_FLAGS.STACKED && summary.stackedSpots.length) {
+        bodyEl.append(detailList(summary.stackedSpots.slice(0, MAX_SPOTS_SHOWN).map((s) =>
+          `${fmtCoord(s.lat)}, ${fmtCoord(s.lon)} — ${s.count.toLocaleString()} incidents, ${s.addresses}+ addresses`)));
+      }
+      if (g.flag === QUALITY_FLAGS.OTHER_TYPE && summary.otherTypes.length) {
+        const more = summary.otherTypes.length - MAX_TYPES_SHOWN;
+        const lines = summary.otherTypes.slice(0, MAX_TYPES_SHOWN).map(([t, c]) => `${t} (${c.toLocaleString()})`);
+        if (more > 0) lines.push(`+${more} more types`);
+        bodyEl.append(detailList(lines));
+      }
+    }
+  }
+
+  function filterSpec() {
+    return { excludeFlags: excluded };
+  }
+
+  // Restore exclusions (e.g. from a shared link); the checkboxes follow right away.
+  function setExcluded(mask) {
+    excluded = mask & GROUPS.reduce((m, g) => m | g.flag, 0);
+    if (lastSummary) render(lastSummary);
+  }
+
+  // Short labels of the excluded groups (for the KPI "active filters" card).
+  function activeLabels() {
+    return GROUPS.filter((g) => excluded & g.flag).map((g) => `no ${g.short}`);
+  }
+
+  return {
+    render,
+    filterSpec,
+    setExcluded,
+    activeLabels,
+  };
+}
@@ -0,0 +1,765 @@
+// query-core.js
+// Owns: the filter + aggregation pipeline over columnar incident data (legend counts, filtered set,
+// chart buckets, KPIs, per-area counts).
+//
+// Pure module: no DOM, no globals. It runs inside query-worker.js, on the main thread as a
+// fallback when workers are unavailable, and can be imported by benchmarks.
+//
+// Column layout (index-aligned with the app's `pointsSorted`, ascending by ts):
+//   ts: Float64Array (epoch ms)   lat/lon: Float64Array
+//   typeId: Uint32Array -> types[typeId]   catId: Uint16Array -> categories[catId]
+//   addrId: Uint32Array -> addrs[addrId]   (free-text search matches addresses via this dictionary)
+//   dims: [{ key, ids: Uint32Array, values }]  optional extra filter dimensions (from `point.extra`)
+//   flags: Uint8Array   data-quality bitmask (`point.q`, see data-quality.js QUALITY_FLAGS)
+//
+// Time bucketing (day-of-week, hour, day/week/month keys) happens in the analysis time zone named
+// by `spec.timeZone` (tz.js, default America/Denver), never the runtime's local zone, so the worker,
+// the main-thread fallback and every viewer agree.
+
+import { getTimeZone } from "./tz.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const LEGEND_TOP_N = 10;
+const TIMELINE_MAX_SERIES = 12;
+
+// ------------------ Columns ------------------
+
+/**
+ * Convert normalized points into typed-array columns with dictionary-encoded strings.
+ *
+ * @param {Array<{ts:number, lat:number, lon:number, type:string, category:string, addr?:string, extra?:Object, q?:number}>} points
+ * @param {string[]} [dimKeys] - `point.extra` keys to encode as filter dimensions
+ * @returns {Object} columns (see module header)
+ */
+export function buildColumns(points, dimKeys = []) {
+  const n = points.length;
+  const ts = new Float64Array(n);
+  const lat = new Float64Array(n);
+  const lon = new Float64Array(n);
+  const typeId = new Uint32Array(n);
+  const catId = new Uint16Array(n);
+  const addrId = new Uint32Array(n);
+  const flags = new Uint8Array(n);
+
+  const types = [];
+  const typeIndex = new Map();
+  const categories = [];
+  const catIndex = new Map();
+  const addrs = [];
+  const addrIndex = new Map();
+
+  const dims = dimKeys.map((key) => ({ key, ids: new Uint32Array(n), values: [], index: new Map() }));
+
+  for (let i = 0; i < n; i++) {
+    const p = points[i];
+    ts[i] = p.ts;
+    lat[i] = p.lat;
+    lon[i] = p.lon;
+    flags[i] = p.q || 0;
+
+    let t = typeIndex.get(p.type);
+    if (t === undefined) {
+      t = types.length;
+      types.push(p.type);
+      typeIndex.set(p.type, t);
+    }
+    typeId[i] = t;
+
+    let c = catIndex.get(p.category);
+    if (c === undefined) {
+      c = categories.length;
+      categories.push(p.category);
+      catIndex.set(p.category, c);
+    }
+    catId[i] = c;
+
+    const addr = p.addr || "";
+    let a = addrIndex.get(addr);
+    if (a === undefined) {
+      a = addrs.length;
+      addrs.push(addr);
+      addrIndex.set(addr, a);
+    }
+    addrId[i] = a;
+
+    for (const d of dims) {
+      const v = p.extra?.[d.key] == null ? "" : String(p.extra[d.key]);
+      let id = d.index.get(v);
+      if (id === undefined) {
+        id = d.values.length;
+        d.values.push(v);
+        d.index.set(v, id);
+      }
+      d.ids[i] = id;
+    }
+  }
+
+  return {
+    n, ts, lat, lon, typeId, catId, addrId, flags, types, categories, addrs,
+    dims: dims.map(({ key, ids, values }) => ({ key, ids, values })),
+  };
+}
+
+// ArrayBuffers that can be transferred (not copied) to a worker.
+export function columnsTransferList(cols) {
+  return [
+    cols.ts.buffer, cols.lat.buffer, cols.lon.buffer, cols.typeId.buffer, cols.catId.buffer, cols.addrId.buffer,
+    cols.flags.buffer,
+    ...(cols.dims || []).map((d) => d.ids.buffer),
+  ];
+}
+
+// ------------------ Free-text search ------------------
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Matcher for a free-text search, shared by the pipeline and the search box's suggestions.
+ * All modes are case-insensitive:
+ * - "substring": the text appears anywhere ("CENTRAL AV" matches "1000 CENTRAL AV SE")
+ * - "prefix":    the value or one of its words starts with the text ("CENT" matches "1000 CENTRAL AV")
+ * - "regex":     a JavaScript regular expression, tested against the whole value
+ * @param {{text:string, mode:string}|null} search
+ * @returns {((value:string)=>boolean)|null} null when there is nothing to search for
+ * @throws {SyntaxError} for an invalid regex
+ */
+export function compileSearch(search) {
+  const text = (search?.text || "").trim();
+  if (!text) return null;
+  if (search.mode === "regex") {
+    const re = new RegExp(text, "i");
+    return (v) => re.test(v);
+  }
+  if (search.mode === "prefix") {
+    const re = new RegExp(`(?:^|[^\\p{L}\\p{N}])${escapeRegExp(text)}`, "iu");
+    return (v) => re.test(v);
+  }
+  const needle = text.toUpperCase();
+  return (v) => v.toUpperCase().includes(needle);
+}
+
+// Per-dictionary match tables for `spec.search`: { typeOk, addrOk } (Uint8Array by id), or null.
+// Matching runs over distinct types/addresses, not points; the last result is kept per column set
+// since consecutive queries (slider drags, legend clicks) usually share the same search.
+const searchMemo = new WeakMap(); // cols -> { key, tables }
+function searchTables(cols, search) {
+  const match = compileSearch(search);
+  if (!match) return null;
+  const field = search.field || "all";
+  const key = `${field}|${search.mode}|${search.text.trim()}`;
+  const memo = searchMemo.get(cols);
+  if (memo?.key === key) return memo.tables;
+
+  const typeOk = new Uint8Array(cols.types.length);
+  const addrOk = new Uint8Array(cols.addrs.length);
+  if (field !== "addr") cols.types.forEach((t, id) => { if (match(t)) typeOk[id] = 1; });
+  if (field !== "type") cols.addrs.forEach((a, id) => { if (a && match(a)) addrOk[id] = 1; });
+  const tables = { typeOk, addrOk };
+  searchMemo.set(cols, { key, tables });
+  return tables;
+}
+
+// ------------------ Time helpers ------------------
+
+// Index of the first element >= value in an ascending Float64Array (first `n` elements).
+export function lowerBound(arr, value, n = arr.length) {
+  let lo = 0, hi = n;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (arr[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Index of the first element > value in an ascending Float64Array (first `n` elements).
+export function upperBound(arr, value, n = arr.length) {
+  let lo = 0, hi = n;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (arr[mid] <= value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Walks (mostly ascending) timestamps and caches the current day in the analysis zone, so
+// day-of-week, hour and day keys cost one zone lookup per *day* instead of per point. DST
+// transition days aren't 24h long, so on those we ask the zone for the hour.
+function createDayCursor(zone) {
+  const cursor = {
+    start: Infinity,
+    end: -Infinity,
+    dow: 0,
+    regular: true,
+    seek(t) {
+      if (t >= cursor.start && t < cursor.end) return;
+      const d = zone.dayOf(t);
+      cursor.start = d.start;
+      cursor.end = d.end;
+      cursor.dow = d.dow;
+      cursor.regular = cursor.end - cursor.start === 24 * HOUR_MS;
+    },
+    hourOf(t) {
+      return cursor.regular ? Math.floor((t - cursor.start) / HOUR_MS) : zone.parts(t).hour;
+    },
+  };
+  return cursor;
+}
+
+// Normalize a timestamp into a bucket key based on the selected grouping, in the analysis zone.
+// Keys are stable strings that sort chronologically; the trends controller turns them into labels.
+export function groupKey(ts, grouping, zone = getTimeZone()) {
+  if (grouping === "month") {
+    return zone.dateKey(ts).slice(0, 7);
+  }
+  if (grouping === "week") {
+    const diffToMon = (zone.dayOfWeek(ts) + 6) % 7;
+    return `Wk ${zone.dateKey(zone.addDays(ts, -diffToMon))}`;
+  }
+  return zone.dateKey(ts);
+}
+
+// ------------------ Geometry ------------------
+function pointInRing(lat, lon, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0], yi = ring[i][1];
+    const xj = ring[j][0], yj = ring[j][1];
+
+    const intersect =
+      yi > lat !== yj > lat &&
+      lon < ((xj - xi) * (lat - yi)) / ((yj - yi) || 1e-9) + xi;
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+// Ring index
+// ----------
+// Ray casting visits every edge of a ring, and boundary files have rings of thousands of vertices.
+// Edges are bucketed into latitude bands (about EDGES_PER_BAND each): a point only visits the edges
+// of its own band, which are the only ones its horizontal ray can cross.
+const RING_INDEX_MIN_EDGES = 32; // below this a plain scan is as fast
+const EDGES_PER_BAND = 8;
+
+// ring: [[lon,lat],…] -> { ring, minLat, maxLat, bandH, offsets, edges } (offsets/edges null = plain scan)
+function indexRing(ring) {
+  let minLat = Infinity, maxLat = -Infinity;
+  for (const pt of ring) {
+    if (pt[1] < minLat) minLat = pt[1];
+    if (pt[1] > maxLat) maxLat = pt[1];
+  }
+  const n = ring.length;
+  if (n < RING_INDEX_MIN_EDGES || !(maxLat > minLat)) return { ring, minLat, maxLat, bandH: 0, offsets: null, edges: null };
+
+  const bandCount = Math.ceil(n / EDGES_PER_BAND);
+  const bandH = (maxLat - minLat) / bandCount;
+  const band = (lat) => Math.min(bandCount - 1, Math.floor((lat - minLat) / bandH));
+
+  // Edge i joins ring[i] and ring[i - 1] (ring[n - 1] for i = 0), as in pointInRing.
+  const offsets = new Uint32Array(bandCount + 1);
+  for (let i = 0, j = n - 1; i < n; j = i++) {
+    const lo = band(Math.min(ring[i][1], ring[j][1]));
+    const hi = band(Math.max(ring[i][1], ring[j][1]));
+    for (let b = lo; b <= hi; b++) offsets[b + 1] += 1;
+  }
+  for (let b = 0; b < bandCount; b++) offsets[b + 1] += offsets[b];
+  const edges = new Uint32Array(offsets[bandCount]);
+  const fill = offsets.slice(0, bandCount);
+  for (let i = 0, j = n - 1; i < n; j = i++) {
+    const lo = band(Math.min(ring[i][1], ring[j][1]));
+    const hi = band(Math.max(ring[i][1], ring[j][1]));
+    for (let b = lo; b <= hi; b++) edges[fill[b]++] = i;
+  }
+  return { ring, minLat, maxLat, bandH, offsets, edges };
+}
+
+function pointInIndexedRing(lat, lon, r) {
+  if (lat < r.minLat || lat > r.maxLat) return false;
+  if (!r.edges) return pointInRing(lat, lon, r.ring);
+
+  const ring = r.ring;
+  const n = ring.length;
+  const b = Math.min(r.offsets.length - 2, Math.floor((lat - r.minLat) / r.bandH));
+  let inside = false;
+  for (let k = r.offsets[b], end = r.offsets[b + 1]; k < end; k++) {
+    const i = r.edges[k];
+    const j = i === 0 ? n - 1 : i - 1;
+    const xi = ring[i][0], yi = ring[i][1];
+    const xj = ring[j][0], yj = ring[j][1];
+
+    const intersect =
+      yi > lat !== yj > lat &&
+      lon < ((xj - xi) * (lat - yi)) / ((yj - yi) || 1e-9) + xi;
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+// rings: [outer, …holes] -> indexed rings
+function indexPolygon(rings) {
+  return rings.map(indexRing);
+}
+
+function pointInIndexedPolygon(lat, lon, poly) {
+  if (!poly.length || !pointInIndexedRing(lat, lon, poly[0])) return false;
+  for (let i = 1; i < poly.length; i++) {
+    if (pointInIndexedRing(lat, lon, poly[i])) return false;
+  }
+  return true;
+}
+
+const EARTH_RADIUS_M = 6371000;
+const DEG = Math.PI / 180;
+
+// Equirectangular distance check; exact enough at city scale.
+function pointInCircle(lat, lon, c) {
+  const x = (lon - c.lon) * DEG * Math.cos(c.lat * DEG);
+  const y = (lat - c.lat) * DEG;
+  return Math.sqrt(x * x + y * y) * EARTH_RADIUS_M <= c.radius;
+}
+
+function shapeContains(shape, lat, lon) {
+  const b = shape.bounds;
+  if (lat < b.minLat || lat > b.maxLat || lon < b.minLon || lon > b.maxLon) return false;
+  if (shape.circle) return pointInCircle(lat, lon, shape.circle);
+  if (shape.polys) {
+    for (const poly of shape.polys) {
+      if (pointInIndexedPolygon(lat, lon, poly)) return true;
+    }
+    return false;
+  }
+  return true; // rectangle == its bounds
+}
+
+// Region spec (from the map controller):
+//   { hasInclude, shapes: [{ exclude, bounds:{minLat,minLon,maxLat,maxLon}, polygons:[[[[lon,lat],…],…],…]|null, circle:{lat,lon,radius}|null }] }
+// A point passes when it is inside some included shape (or none are included) and inside no excluded
+// shape. A polygon shape has one entry per part (a point inside any part is inside the shape); each
+// part's rings are outer ring first, then holes.
+// The spec arrives fresh with every query, so its rings are indexed per query (linear in vertices).
+function compileRegion(region) {
+  if (!region) return null;
+  return {
+    hasInclude: region.hasInclude,
+    shapes: region.shapes.map((s) => ({ ...s, polys: s.polygons ? s.polygons.map(indexPolygon) : null })),
+  };
+}
+
+function regionContains(region, lat, lon) {
+  let included = !region.hasInclude;
+  for (const shape of region.shapes) {
+    if (shape.exclude) {
+      if (shapeContains(shape, lat, lon)) return false;
+    } else if (!included && shapeContains(shape, lat, lon)) {
+      included = true;
+    }
+  }
+  return included;
+}
+
+// ------------------ Area counting ------------------
+
+// areas: [{ id, ringsList, bboxes }] (boundaries.js areaPolygons) where ringsList[i] is a polygon
+// (outer ring + holes) and bboxes[i] its outer-ring bbox.
+//
+// Area index
+// ----------
+// A uniform grid over the set's extent; each cell lists the polygons whose bbox overlaps it, in area
+// order, and each polygon's rings are band-indexed (see "Ring index"). Locating a point is one cell
+// lookup plus a few short ray casts, instead of a bbox test against every polygon of every area.
+//
+// Each point's area is located once per (data, boundary set) and kept as a column (areaAssignment),
+// so per-area counts are a group-by over the filtered indices and the area filter a table lookup.
+// A point belongs to the first area containing it, for counts and filter alike.
+const AREA_GRID_MAX = 256; // cells per side
+
+function buildAreaIndex(areas) {
+  const polys = []; // { area, bbox, poly }
+  (areas || []).forEach((meta, area) => {
+    meta.ringsList.forEach((rings, r) => polys.push({ area, bbox: meta.bboxes[r], poly: indexPolygon(rings) }));
+  });
+  if (!polys.length) return { count: 0, polys, grid: null };
+
+  let minLat = Infinity, minLon = Infinity, maxLat = -Infinity, maxLon = -Infinity;
+  for (const { bbox } of polys) {
+    if (bbox.minLat < minLat) minLat = bbox.minLat;
+    if (bbox.minLon < minLon) minLon = bbox.minLon;
+    if (bbox.maxLat > maxLat) maxLat = bbox.maxLat;
+    if (bbox.maxLon > maxLon) maxLon = bbox.maxLon;
+  }
+  // About 16 cells per polygon, so a cell overlaps only a handful of bboxes.
+  const side = Math.max(1, Math.min(AREA_GRID_MAX, Math.ceil(Math.sqrt(polys.length * 16))));
+  const cellLat = (maxLat - minLat) / side || 1;
+  const cellLon = (maxLon - minLon) / side || 1;
+  const row = (lat) => Math.min(side - 1, Math.max(0, Math.floor((lat - minLat) / cellLat)));
+  const col = (lon) => Math.min(side - 1, Math.max(0, Math.floor((lon - minLon) / cellLon)));
+
+  const cells = Array.from({ length: side * side }, () => []);
+  polys.forEach(({ bbox }, p) => {
+    for (let y = row(bbox.minLat); y <= row(bbox.maxLat); y++) {
+      for (let x = col(bbox.minLon); x <= col(bbox.maxLon); x++) cells[y * side + x].push(p);
+    }
+  });
+
+  return { count: areas.length, polys, grid: { minLat, minLon, maxLat, maxLon, side, cellLat, cellLon, cells } };
+}
+
+// Index of the first area containing the point, or -1.
+function locateArea(index, lat, lon) {
+  const g = index.grid;
+  if (!g || lat < g.minLat || lat > g.maxLat || lon < g.minLon || lon > g.maxLon) return -1;
+  const y = Math.min(g.side - 1, Math.floor((lat - g.minLat) / g.cellLat));
+  const x = Math.min(g.side - 1, Math.floor((lon - g.minLon) / g.cellLon));
+  for (const p of g.cells[y * g.side + x]) {
+    const { bbox, poly, area } = index.polys[p];
+    if (lat < bbox.minLat || lat > bbox.maxLat || lon < bbox.minLon || lon > bbox.maxLon) continue;
+    if (pointInIndexedPolygon(lat, lon, poly)) return area;
+  }
+  return -1;
+}
+
+const areaIndexCache = new WeakMap(); // areas array -> buildAreaIndex()
+const areaAssignmentCache = new WeakMap(); // cols -> { index, assign }
+
+/**
+ * Area of every point (Int32Array, index into `areas`, -1 = none), computed once per columns +
+ * boundary set and reused by every later query.
+ * @returns {Int32Array}
+ */
+export function areaAssignment(cols, areas) {
+  let index = areaIndexCache.get(areas);
+  if (!index) {
+    index = buildAreaIndex(areas);
+    areaIndexCache.set(areas, index);
+  }
+  const hit = areaAssignmentCache.get(cols);
+  if (hit?.index === index) return hit.assign;
+
+  const assign = new Int32Array(cols.n);
+  for (let i = 0; i < cols.n; i++) assign[i] = locateArea(index, cols.lat[i], cols.lon[i]);
+  areaAssignmentCache.set(cols, { index, assign });
+  return assign;
+}
+
+// Per-area counts for the given point indices: Map id -> count. With `catId`, only points of that
+// category (index into cols.categories; -1 = none) are counted.
+export function countAreas(cols, indices, areas, { catId = null } = {}) {
+  const counts = new Map();
+  if (!areas?.length) return counts;
+
+  const assign = areaAssignment(cols, areas);
+  const byArea = new Uint32Array(areas.length);
+  for (let k = 0; k < indices.length; k++) {
+    const i = indices[k];
+    if (catId != null && cols.catId[i] !== catId) continue;
+    const a = assign[i];
+    if (a >= 0) byArea[a] += 1;
+  }
+  byArea.forEach((c, a) => {
+    if (c) counts.set(areas[a].id, (counts.get(areas[a].id) || 0) + c);
+  });
+  return counts;
+}
+
+// spec.areaFilter -> { assign, ok: Uint8Array by area index }, or null for no filter. A selected id
+// without a polygon matches nothing (rather than silently dropping the filter).
+function areaFilterTable(cols, areas, areaFilter) {
+  if (!areaFilter?.length) return null;
+  const wanted = new Set(areaFilter.map(String));
+  const list = areas || [];
+  const ok = new Uint8Array(list.length);
+  list.forEach((meta, a) => { if (wanted.has(String(meta.id))) ok[a] = 1; });
+  return { assign: list.length ? areaAssignment(cols, list) : new Int32Array(cols.n).fill(-1), ok };
+}
+
+// ------------------ Query ------------------
+
+// Small integer sets (weekdays, hours) as a bitmask for the hot loop; 0 = no filter.
+function bitMask(values) {
+  let mask = 0;
+  for (const v of values || []) mask |= 1 << v;
+  return mask >>> 0;
+}
+
+function topNKeys(counts, n) {
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, n)
+    .map(([k]) => k);
+}
+
+/**
+ * Run the whole dashboard pipeline for one filter state.
+ *
+ * spec = {
+ *   minTime, maxTime,                       // inclusive window (ms)
+ *   region,                                 // see regionContains(), or null
+ *   areaFilter: ["87102", …] | null,        // keep points inside any of these areas (needs `areas`)
+ *   timeZone,                               // IANA zone for DOW/hour/day buckets (tz.js)
+ *   dows, hours,                            // selected days of week (0=Sun) / hours (0..23); empty = all
+ *   dims: { [key]: [allowed values] },      // extra-dimension filters; missing/empty = no filter
+ *   excludeFlags: number,                   // drop points whose quality flags intersect this mask
+ *   search: { text, mode, field } | null,   // free-text filter, see compileSearch(); field: all | type | addr
+ *   legend: { showAllTypes, all, activeCategories:[], activeTypes:[], topCategories? },
+ *   timeline: { grouping, aggregate },
+ *   areaCounts: boolean,                    // also count filtered points per area (needs `areas`)
+ *   areaShareCategory: string | null,       // with areaCounts: also count that category's filtered points per area
+ *   kpiType: string | null,                 // also count this call type in the KPIs
+ * }
+ *
+ * `areas` are the current boundary set's polygons ([{ id, ringsList, bboxes }], see countAreas) for
+ * `areaFilter` and `areaCounts`. The area filter narrows the region filter: a point has to pass both.
+ *
+ * Legend semantics mirror the trends controller: counts come from a slice that ignores the legend
+ * itself; in category mode only the top N categories keep their own key and the rest collapse into
+ * "Other". `legend.all` means "selection not initialized yet: allow everything". `legend.topCategories`
+ * fixes the top N instead (a comparison's baseline query groups categories like the current window).
+ * `kpiType` also counts that call type among the filtered points (`kpi.kpiTypeCount`).
+ *
+ * How it stays cheap:
+ * - The time window is resolved to an index range [lo, hi) by binary search (ts is sorted).
+ * - One pass over that range builds the legend slice *and* the DOW-ignored / hour-ignored chart
+ *   totals. The legend selection can't be applied during the pass (the top-N categories come from
+ *   the slice counts), so chart totals are tallied per legend group (category or type id) and the
+ *   allowed groups are summed afterwards.
+ * - The filtered set is the slice minus legend-excluded groups, a second walk over the (much
+ *   smaller) slice only.
+ *
+ * Excluded quality flags remove points before anything is counted, as if they weren't loaded.
+ * The free-text search filters like the region does: legend counts and charts only see matches.
+ * Extra dimensions filter like the region does (every view respects them). `dimValues` counts each
+ * dimension's values over time window + region + areas + search only, so the filter UI can list values it hides.
+ *
+ * @returns {{legendSlice, filteredIdx:Uint32Array, kpi, timeline, dowTotals:number[], hourTotals:number[], areaCounts:Map|null, areaShareCounts:Map|null, dimValues:Object}}
+ */
+export function runQuery(cols, spec, areas = null) {
+  const { ts, lat, lon, typeId, catId, addrId, flags, types, categories } = cols;
+  const { minTime, maxTime } = spec;
+  const dowMask = bitMask(spec.dows);
+  const hourMask = bitMask(spec.hours);
+  const excludeFlags = spec.excludeFlags || 0;
+  const zone = getTimeZone(spec.timeZone);
+  const legend = spec.legend || { all: true };
+  const byType = !!legend.showAllTypes;
+
+  // 1) Time window -> index range.
+  const lo = lowerBound(ts, minTime, cols.n);
+  const hi = Math.max(lo, upperBound(ts, maxTime, cols.n));
+
+  // 2) Single pass: legend slice (time + region + DOW/hour) and per-group chart tallies.
+  const catCounts = new Uint32Array(categories.length);
+  const typeCounts = new Uint32Array(types.length);
+  const groupCount = byType ? types.length : categories.length;
+  const dowByGroup = new Uint32Array(groupCount * 7);
+  const hourByGroup = new Uint32Array(groupCount * 24);
+  const slice = new Uint32Array(hi - lo);
+  let sliceLen = 0;
+  const day = createDayCursor(zone);
+
+  const dims = cols.dims || [];
+  const dimTallies = dims.map((d) => new Uint32Array(d.values.length));
+  const dimFilters = dimensionFilters(dims, spec.dims);
+  const search = searchTables(cols, spec.search);
+  const areaFilter = areaFilterTable(cols, areas, spec.areaFilter);
+  const region = compileRegion(spec.region);
+
+  for (let i = lo; i < hi; i++) {
+    if (excludeFlags && (flags[i] & excludeFlags)) continue;
+    if (region && !regionContains(region, lat[i], lon[i])) continue;
+    if (areaFilter) {
+      const a = areaFilter.assign[i];
+      if (a < 0 || !areaFilter.ok[a]) continue;
+    }
+    if (search && !search.typeOk[typeId[i]] && !search.addrOk[addrId[i]]) continue;
+
+    for (let k = 0; k < dims.length; k++) dimTallies[k][dims[k].ids[i]] += 1;
+    if (dimFilters.length && !passesDimensions(dimFilters, i)) continue;
+
+    const t = ts[i];
+    day.seek(t);
+    const d = day.dow;
+    const h = day.hourOf(t);
+    const dowOk = !dowMask || ((dowMask >>> d) & 1) === 1;
+    const hourOk = !hourMask || ((hourMask >>> h) & 1) === 1;
+    if (!dowOk && !hourOk) continue;
+
+    const g = byType ? typeId[i] : catId[i];
+    if (hourOk) dowByGroup[g * 7 + d] += 1;   // DOW chart ignores the DOW filter
+    if (dowOk) hourByGroup[g * 24 + h] += 1;  // hour chart ignores the hour filter
+
+    if (dowOk && hourOk) {
+      catCounts[catId[i]] += 1;
+      typeCounts[typeId[i]] += 1;
+      slice[sliceLen++] = i;
+    }
+  }
+
+  const categoryCounts = new Map();
+  catCounts.forEach((c, id) => { if (c) categoryCounts.set(categories[id], c); });
+  const typeCountMap = new Map();
+  typeCounts.forEach((c, id) => { if (c) typeCountMap.set(types[id], c); });
+
+  const topCategories = legend.topCategories || topNKeys(categoryCounts, LEGEND_TOP_N);
+  const topSet = new Set(topCategories);
+  const effectiveCat = categories.map((c) => (topSet.has(c) ? c : "Other"));
+
+  // 3) Legend selection -> per-group allow table, then reduce the chart tallies.
+  const activeCats = new Set(legend.activeCategories || []);
+  const activeTypes = new Set(legend.activeTypes || []);
+  const groupAllowed = byType
+    ? types.map((t) => legend.all || activeTypes.has(t))
+    : effectiveCat.map((k) => legend.all || activeCats.has(k));
+
+  const dowTotals = new Array(7).fill(0);
+  const hourTotals = new Array(24).fill(0);
+  for (let g = 0; g < groupCount; g++) {
+    if (!groupAllowed[g]) continue;
+    for (let d = 0; d < 7; d++) dowTotals[d] += dowByGroup[g * 7 + d];
+    for (let h = 0; h < 24; h++) hourTotals[h] += hourByGroup[g * 24 + h];
+  }
+
+  // 4) Filtered set = slice minus legend-excluded groups.
+  const kept = new Uint32Array(sliceLen);
+  let keptLen = 0;
+  for (let k = 0; k < sliceLen; k++) {
+    const i = slice[k];
+    if (groupAllowed[byType ? typeId[i] : catId[i]]) kept[keptLen++] = i;
+  }
+  const filteredIdx = kept.slice(0, keptLen); // own, tight buffer so it can be transferred
+
+  return {
+    legendSlice: { total: sliceLen, categoryCounts, typeCounts: typeCountMap, topCategories },
+    filteredIdx,
+    kpi: computeKpis(cols, filteredIdx, zone, spec.kpiType),
+    timeline: computeTimeline(cols, filteredIdx, spec.timeline, byType, effectiveCat, zone),
+    dowTotals,
+    hourTotals,
+    areaCounts: spec.areaCounts ? countAreas(cols, filteredIdx, areas) : null,
+    areaShareCounts: spec.areaCounts && spec.areaShareCategory != null
+      ? countAreas(cols, filteredIdx, areas, { catId: categories.indexOf(spec.areaShareCategory) })
+      : null,
+    dimValues: dimensionValueCounts(dims, dimTallies),
+  };
+}
+
+// [{ ids, allowed: Uint8Array by value id }] for each dimension with a non-empty selection.
+function dimensionFilters(dims, wantedByKey) {
+  const out = [];
+  for (const d of dims) {
+    const wanted = wantedByKey?.[d.key];
+    if (!wanted?.length) continue;
+    const set = new Set(wanted);
+    const allowed = new Uint8Array(d.values.length);
+    d.values.forEach((v, id) => { if (set.has(v)) allowed[id] = 1; });
+    out.push({ ids: d.ids, allowed });
+  }
+  return out;
+}
+
+function passesDimensions(filters, i) {
+  for (const f of filters) {
+    if (!f.allowed[f.ids[i]]) return false;
+  }
+  return true;
+}
+
+// { [key]: [[value, count], …] } sorted by count, zero counts dropped.
+function dimensionValueCounts(dims, tallies) {
+  const out = {};
+  dims.forEach((d, k) => {
+    const entries = [];
+    tallies[k].forEach((c, id) => { if (c) entries.push([d.values[id], c]); });
+    entries.sort((a, b) => b[1] - a[1]);
+    out[d.key] = entries;
+  });
+  return out;
+}
+
+// Total, top call type and peak day over the filtered set.
+function computeKpis(cols, idx, zone, kpiType = null) {
+  const typeCounts = new Map();
+  const dayCounts = new Map();
+  const day = createDayCursor(zone);
+  for (let k = 0; k < idx.length; k++) {
+    const i = idx[k];
+    const t = cols.typeId[i];
+    typeCounts.set(t, (typeCounts.get(t) || 0) + 1);
+    day.seek(cols.ts[i]);
+    dayCounts.set(day.start, (dayCounts.get(day.start) || 0) + 1);
+  }
+
+  let topType = null;
+  let topTypeCount = 0;
+  for (const [t, c] of typeCounts.entries()) {
+    if (c > topTypeCount) {
+      topType = cols.types[t];
+      topTypeCount = c;
+    }
+  }
+
+  let peakDay = null;
+  let peakCount = 0;
+  for (const [d, c] of dayCounts.entries()) {
+    if (c > peakCount) {
+      peakDay = d;
+      peakCount = c;
+    }
+  }
+
+  const kpiTypeId = kpiType == null ? -1 : cols.types.indexOf(kpiType);
+  const kpiTypeCount = kpiTypeId < 0 ? 0 : typeCounts.get(kpiTypeId) || 0;
+
+  return { total: idx.length, topType, topTypeCount, peakDay, peakCount, kpiTypeCount };
+}
+
+// Timeline buckets:
+// - aggregate=true: { keys, aggregate:number[] }
+// - aggregate=false: { keys, series:[{ key, data:number[] }] } for the top categories/types.
+function computeTimeline(cols, idx, timelineSpec, showAllTypes, effectiveCat, zone) {
+  const grouping = timelineSpec?.grouping || "day";
+  const aggregate = timelineSpec?.aggregate !== false;
+  const seriesKeyOf = (i) => (showAllTypes ? cols.types[cols.typeId[i]] : effectiveCat[cols.catId[i]]);
+
+  // groupKey() asks the zone for calendar fields; memoize per day since every grouping is day-granular.
+  const keyByDay = new Map();
+  const day = createDayCursor(zone);
+  const bucketKey = (t) => {
+    day.seek(t);
+    let k = keyByDay.get(day.start);
+    if (k === undefined) {
+      k = groupKey(t, grouping, zone);
+      keyByDay.set(day.start, k);
+    }
+    return k;
+  };
+
+  const buckets = new Map();
+  const seriesTotals = new Map();
+
+  for (let k = 0; k < idx.length; k++) {
+    const i = idx[k];
+    const b = bucketKey(cols.ts[i]);
+    if (aggregate) {
+      buckets.set(b, (buckets.get(b) || 0) + 1);
+      continue;
+    }
+    if (!buckets.has(b)) buckets.set(b, new Map());
+    const m = buckets.get(b);
+    const s = seriesKeyOf(i);
+    m.set(s, (m.get(s) || 0) + 1);
+    seriesTotals.set(s, (seriesTotals.get(s) || 0) + 1);
+  }
+
+  const keys = Array.from(buckets.keys()).sort((a, b) => (a < b ? -1 : 1));
+  if (aggregate) return { keys, aggregate: keys.map((k) => buckets.get(k) || 0) };
+
+  const seriesKeys = topNKeys(seriesTotals, TIMELINE_MAX_SERIES);
+  return {
+    keys,
+    series: seriesKeys.map((s) => ({ key: s, data: keys.map((k) => buckets.get(k)?.get(s) || 0) })),
+  };
+}
@@ -0,0 +1,138 @@
+// query-engine.js
+// Owns: the main-thread handle to the query worker (query-worker.js) that runs the filter/aggregate
+// pipeline from query-core.js.
+//
+// Design notes:
+// - `setPoints()` converts `pointsSorted` to typed-array columns and *transfers* them to the worker,
+//   so the worker always holds an index-aligned copy. Query results refer to points by index into
+//   the array passed to the most recent `setPoints()`; callers must keep that array immutable.
+//   `dimensions` names the `point.extra` keys to encode as filter dimensions.
+// - Messages are processed in order, so a query posted after `setPoints()` always sees the new data.
+// - If the worker can't start (file:// pages, old browsers) or crashes, we fall back to running
+//   query-core on the main thread with the same async API. Slower, but the UI keeps working.
+// - `query(spec, { signal })`: the worker can't be interrupted mid-scan, but an aborted query's
+//   result is dropped and its promise rejects with an AbortError right away.
+
+import { buildColumns, columnsTransferList, runQuery } from "./query-core.js";
+
+/**
+ * @param {Object} deps
+ * @param {URL|string} deps.workerUrl - URL of query-worker.js (loaded as a module worker).
+ * @param {(reason:string)=>void} [deps.onFallback] - called once if we switch to main-thread mode.
+ * @returns {Object} engine API
+ */
+export function createQueryEngine({ workerUrl, onFallback }) {
+  let worker = null;
+  let nextId = 1;
+  const pending = new Map(); // id -> { op, payload, resolve, reject }
+
+  // Main-thread fallback state (also lets us replay pending work if the worker dies).
+  let lastPoints = [];
+  let lastDimensions = [];
+  let lastAreas = null;
+  let localCols = null;
+
+  function abortError() {
+    return new DOMException("Query cancelled", "AbortError");
+  }
+
+  function fallBackToMainThread(reason) {
+    if (!worker) return;
+    try { worker.terminate(); } catch {}
+    worker = null;
+    console.warn("Query worker unavailable, running queries on the main thread:", reason);
+    if (typeof onFallback === "function") onFallback(reason);
+
+    // Replay anything the worker never answered.
+    const stranded = Array.from(pending.values());
+    pending.clear();
+    for (const job of stranded) {
+      if (job.op !== "query") {
+        job.resolve(null);
+        continue;
+      }
+      try { job.resolve(runLocal(job.payload)); }
+      catch (e) { job.reject(e); }
+    }
+  }
+
+  try {
+    worker = new Worker(workerUrl, { type: "module" });
+    worker.onmessage = (e) => {
+      const { id, ok, result, error } = e.data || {};
+      const job = pending.get(id);
+      if (!job) return;
+      pending.delete(id);
+      if (ok) job.resolve(result);
+      else job.reject(new Error(error || "Query worker error"));
+    };
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      fallBackToMainThread(e.message || "worker error");
+    };
+  } catch (e) {
+    worker = null;
+    console.warn("Query worker could not start, running queries on the main thread:", e);
+  }
+
+  function post(op, payload, transfer = []) {
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { op, payload, resolve, reject });
+      worker.postMessage({ id, op, payload }, transfer);
+    });
+  }
+
+  function runLocal(spec) {
+    if (!localCols) localCols = buildColumns(lastPoints, lastDimensions);
+    return runQuery(localCols, spec, lastAreas);
+  }
+
+  // Replace the worker's data with `points` (must be sorted ascending by ts).
+  function setPoints(points, { dimensions = [] } = {}) {
+    lastPoints = points;
+    lastDimensions = dimensions;
+    localCols = null;
+    if (!worker) return;
+
+    const cols = buildColumns(points, dimensions);
+    post("setColumns", cols, columnsTransferList(cols)).catch((e) => fallBackToMainThread(e.message));
+  }
+
+  // Boundary-set polygons for `spec.areaCounts` / `spec.areaFilter` queries: [{ id, ringsList, bboxes }].
+  function setAreaPolygons(areas) {
+    lastAreas = areas;
+    if (!worker) return;
+    post("setAreas", areas).catch((e) => fallBackToMainThread(e.message));
+  }
+
+  async function query(spec, { signal } = {}) {
+    if (signal?.aborted) throw abortError();
+
+    let result;
+    if (worker) {
+      const job = post("query", spec);
+      result = signal
+        ? await Promise.race([
+            job,
+            new Promise((_, reject) => signal.addEventListener("abort", () => reject(abortError()), { once: true })),
+          ])
+        : await job;
+    } else {
+      // Yield first so callers get the same async behaviour (and a chance to abort) as with the worker.
+      await new Promise((r) => setTimeout(r, 0));
+      if (signal?.aborted) throw abortError();
+      result = runLocal(spec);
+    }
+
+    if (signal?.aborted) throw abortError();
+    return result;
+  }
+
+  return {
+    setPoints,
+    setAreaPolygons,
+    query,
+    get mode() { return worker ? "worker" : "main-thread"; },
+  };
+}
@@ -0,0 +1,41 @@
+// query-worker.js
+// Module worker that owns the columnar copy of the incident data and answers pipeline queries
+// (see query-core.js) off the main thread. Driven by query-engine.js.
+//
+// Protocol: every message is { id, op, payload }; every reply is { id, ok, result | error }.
+//   op "setColumns": payload = columns from buildColumns() (buffers are transferred)
+//   op "setAreas":   payload = [{ id, ringsList, bboxes }] (current boundary set)
+//   op "query":      payload = spec for runQuery(); result.filteredIdx is transferred back
+
+import { runQuery } from "./query-core.js";
+
+let cols = null;
+let areas = null;
+
+self.onmessage = (e) => {
+  const { id, op, payload } = e.data || {};
+  try {
+    if (op === "setColumns") {
+      cols = payload;
+      self.postMessage({ id, ok: true, result: { n: cols.n } });
+      return;
+    }
+
+    if (op === "setAreas") {
+      areas = payload || null;
+      self.postMessage({ id, ok: true, result: { count: areas?.length || 0 } });
+      return;
+    }
+
+    if (op === "query") {
+      if (!cols) throw new Error("Query worker has no data yet.");
+      const result = runQuery(cols, payload, areas);
+      self.postMessage({ id, ok: true, result }, [result.filteredIdx.buffer]);
+      return;
+    }
+
+    throw new Error(`Unknown query worker op: ${op}`);
+  } catch (err) {
+    self.postMessage({ id, ok: false, error: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,461 @@
+// region-files.js
+// Owns: reading boundary files into region shapes (GeoJSON, KML/KMZ, shapefiles) and writing the
+// current regions back out as GeoJSON.
+//
+// Design notes:
+// - Every format is reduced to the same candidate list: { name, properties, polygons } where each
+//   polygon is [outer ring, …holes] of [lat, lon]. region-import.js lets the user pick from it and
+//   map-module.js turns the picked polygons into regions (one region per polygon part).
+// - Shapefiles come either zipped or as the loose .shp/.dbf/.prj/.cpg files selected together.
+//   Coordinates go through the .prj (projections.js); without one they must already be lon/lat.
+// - Zip archives are read with the browser's DecompressionStream; there is no zip library.
+// - Rings are simplified to ~1 m on import, so links to imported regions stay a reasonable length.
+// - KML needs DOMParser, so that part only works in the browser. Everything else is DOM-free.
+
+import { projectionFromPrj } from "./projections.js";
+
+export const REGION_FILE_ACCEPT = ".geojson,.json,.kml,.kmz,.zip,.shp,.dbf,.prj,.cpg";
+export const REGIONS_GEOJSON_NAME = "abq-incidents-regions.geojson";
+
+const SIMPLIFY_TOLERANCE_DEG = 0.00001; // ~1 m
+const CIRCLE_EXPORT_SEGMENTS = 64;
+const EARTH_RADIUS_M = 6371000;
+
+// ------------------ Geometry helpers ------------------
+
+// Drop the closing vertex GeoJSON/KML/shapefile rings repeat.
+function openRing(ring) {
+  const n = ring.length;
+  if (n > 1 && ring[0][0] === ring[n - 1][0] && ring[0][1] === ring[n - 1][1]) return ring.slice(0, -1);
+  return ring;
+}
+
+// Douglas-Peucker on [lat, lon] pairs (planar; fine at this tolerance).
+function simplifyRing(ring, tolerance = SIMPLIFY_TOLERANCE_DEG) {
+  if (ring.length <= 4) return ring;
+  const keep = new Uint8Array(ring.length);
+  keep[0] = keep[ring.length - 1] = 1;
+  const stack = [[0, ring.length - 1]];
+  const tol2 = tolerance * tolerance;
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    const [ay, ax] = ring[a];
+    const [by, bx] = ring[b];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    let maxD = -1;
+    let maxI = -1;
+    for (let i = a + 1; i < b; i++) {
+      const [py, px] = ring[i];
+      let t = len2 ? ((px - ax) * dx + (py - ay) * dy) / len2 : 0;
+      t = Math.max(0, Math.min(1, t));
+      const ex = px - (ax + t * dx);
+      const ey = py - (ay + t * dy);
+      const d = ex * ex + ey * ey;
+      if (d > maxD) { maxD = d; maxI = i; }
+    }
+    if (maxD > tol2) {
+      keep[maxI] = 1;
+      stack.push([a, maxI], [maxI, b]);
+    }
+  }
+  const out = ring.filter((_, i) => keep[i]);
+  return out.length >= 3 ? out : ring;
+}
+
+function cleanRing(ring) {
+  const r = openRing(ring.filter((p) => Number.isFinite(p[0]) && Number.isFinite(p[1])));
+  return r.length >= 3 ? simplifyRing(r) : null;
+}
+
+// [outer, …holes] with the outer ring required; holes that don't survive cleaning are dropped.
+function cleanPolygon(rings) {
+  const outer = cleanRing(rings[0] || []);
+  if (!outer) return null;
+  return [outer, ...rings.slice(1).map(cleanRing).filter(Boolean)];
+}
+
+// Shoelace area on [x, y]; negative = clockwise.
+function signedArea(ring) {
+  let s = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    s += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return s / 2;
+}
+
+function ringContains(ring, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / ((yj - yi) || 1e-12) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Shapefile polygons list all rings flat: outer rings are clockwise, holes counter-clockwise.
+// Group them into [outer, …holes]; a hole that fits no outer ring is kept as its own polygon.
+function groupShapefileRings(rings) {
+  const outers = [];
+  const holes = [];
+  for (const ring of rings) (signedArea(ring) <= 0 ? outers : holes).push(ring);
+  const polygons = outers.map((r) => [r]);
+  for (const hole of holes) {
+    const owner = polygons.find((p) => ringContains(p[0], hole[0]));
+    if (owner) owner.push(hole);
+    else polygons.push([hole]);
+  }
+  return polygons;
+}
+
+const lonLatToLatLon = (ring) => ring.map(([x, y]) => [y, x]);
+
+// ------------------ GeoJSON ------------------
+
+function geometryPolygons(geom) {
+  if (!geom) return [];
+  if (geom.type === "Polygon") return [geom.coordinates];
+  if (geom.type === "MultiPolygon") return geom.coordinates;
+  if (geom.type === "GeometryCollection") return (geom.geometries || []).flatMap(geometryPolygons);
+  return [];
+}
+
+function readGeoJSON(obj) {
+  const crs = obj?.crs?.properties?.name;
+  if (crs && !/CRS84|EPSG:?:?4326|WGS ?84/i.test(crs)) {
+    throw new Error(`GeoJSON in ${crs} is not supported; export it as WGS84 (EPSG:4326).`);
+  }
+  const features = obj?.type === "FeatureCollection" ? obj.features || []
+    : obj?.type === "Feature" ? [obj]
+    : obj?.type ? [{ type: "Feature", properties: {}, geometry: obj }]
+    : [];
+
+  return features.map((f) => {
+    const properties = f.properties || {};
+    // Our own export writes circles as polygons plus their center/radius; restore them as circles.
+    const circle = properties.shape === "circle" && Array.isArray(properties.center) && properties.radius > 0
+      ? { center: [Number(properties.center[1]), Number(properties.center[0])], radius: Number(properties.radius) }
+      : null;
+    return {
+      properties,
+      circle,
+      polygons: geometryPolygons(f.geometry).map((rings) => rings.map(lonLatToLatLon)),
+    };
+  });
+}
+
+// ------------------ KML ------------------
+
+function kmlCoordinates(el) {
+  return (el?.textContent || "").trim().split(/\s+/).filter(Boolean).map((t) => {
+    const [lon, lat] = t.split(",").map(Number);
+    return [lat, lon];
+  });
+}
+
+function readKml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("KML is not valid XML.");
+  const byTag = (el, tag) => Array.from(el.getElementsByTagNameNS("*", tag));
+  const direct = (el, tag) => Array.from(el.children).filter((c) => c.localName === tag);
+
+  return byTag(doc, "Placemark").map((pm) => {
+    const properties = {};
+    const name = direct(pm, "name")[0]?.textContent.trim();
+    if (name) properties.name = name;
+    for (const d of byTag(pm, "Data")) {
+      const key = d.getAttribute("name");
+      if (key) properties[key] = direct(d, "value")[0]?.textContent.trim() ?? "";
+    }
+    for (const d of byTag(pm, "SimpleData")) {
+      const key = d.getAttribute("name");
+      if (key) properties[key] = d.textContent.trim();
+    }
+    const polygons = byTag(pm, "Polygon").map((poly) => {
+      const ring = (tag) => byTag(poly, tag).map((b) => kmlCoordinates(byTag(b, "coordinates")[0]));
+      return [...ring("outerBoundaryIs").slice(0, 1), ...ring("innerBoundaryIs")];
+    });
+    return { properties, circle: null, polygons };
+  });
+}
+
+// ------------------ Shapefile ------------------
+
+const SHP_POLYGON_TYPES = new Set([5, 15, 25]); // Polygon, PolygonZ, PolygonM
+
+// One entry per record (null for null/non-polygon shapes), in record order so it lines up with the .dbf.
+function readShp(buffer, toLonLat) {
+  const dv = new DataView(buffer);
+  if (buffer.byteLength < 100 || dv.getInt32(0) !== 9994) throw new Error("The .shp file is not a shapefile.");
+  const fileType = dv.getInt32(32, true);
+  if (!SHP_POLYGON_TYPES.has(fileType)) {
+    throw new Error(`The shapefile holds ${fileType === 1 || fileType === 8 ? "points" : fileType === 3 ? "lines" : "non-polygon shapes"}, not polygons.`);
+  }
+
+  const out = [];
+  let off = 100;
+  while (off + 8 <= buffer.byteLength) {
+    const contentBytes = dv.getInt32(off + 4) * 2; // big-endian, in 16-bit words
+    const start = off + 8;
+    off = start + contentBytes;
+    const type = contentBytes >= 4 ? dv.getInt32(start, true) : 0;
+    if (!SHP_POLYGON_TYPES.has(type)) {
+      out.push(null);
+      continue;
+    }
+    const numParts = dv.getInt32(start + 36, true);
+    const numPoints = dv.getInt32(start + 40, true);
+    const partsAt = start + 44;
+    const pointsAt = partsAt + 4 * numParts;
+    const rings = [];
+    for (let p = 0; p < numParts; p++) {
+      const from = dv.getInt32(partsAt + 4 * p, true);
+      const to = p + 1 < numParts ? dv.getInt32(partsAt + 4 * (p + 1), true) : numPoints;
+      const ring = [];
+      for (let k = from; k < to; k++) {
+        ring.push(toLonLat(dv.getFloat64(pointsAt + 16 * k, true), dv.getFloat64(pointsAt + 16 * k + 8, true)));
+      }
+      rings.push(ring);
+    }
+    out.push(groupShapefileRings(rings).map((rings) => rings.map(lonLatToLatLon)));
+  }
+  return out;
+}
+
+function readDbf(buffer, encoding) {
+  const dv = new DataView(buffer);
+  const count = dv.getUint32(4, true);
+  const headerLen = dv.getUint16(8, true);
+  const recordLen = dv.getUint16(10, true);
+  let decoder;
+  try { decoder = new TextDecoder(encoding || "windows-1252"); }
+  catch { decoder = new TextDecoder("windows-1252"); }
+
+  const fields = [];
+  for (let off = 32; off + 32 <= headerLen && dv.getUint8(off) !== 0x0d; off += 32) {
+    const name = decoder.decode(new Uint8Array(buffer, off, 11)).replace(/\0.*$/s, "").trim();
+    fields.push({ name, type: String.fromCharCode(dv.getUint8(off + 11)), length: dv.getUint8(off + 16) });
+  }
+
+  const rows = [];
+  for (let r = 0; r < count; r++) {
+    const start = headerLen + r * recordLen;
+    if (start + recordLen > buffer.byteLength) break;
+    const row = {};
+    let off = start + 1; // deletion flag
+    for (const f of fields) {
+      const raw = decoder.decode(new Uint8Array(buffer, off, f.length)).trim();
+      off += f.length;
+      row[f.name] = (f.type === "N" || f.type === "F") && raw !== "" && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+    }
+    rows.push(dv.getUint8(start) === 0x2a ? null : row); // "*" = deleted record
+  }
+  return rows;
+}
+
+// .cpg holds the dbf's code page, e.g. "UTF-8" or "1252".
+function dbfEncoding(cpg) {
+  const v = (cpg || "").trim();
+  if (!v) return null;
+  return /^\d+$/.test(v) ? `windows-${v}` : v;
+}
+
+// files: { shp, dbf?, prj?, cpg? } as ArrayBuffers (cpg/prj decoded as text by the caller).
+function readShapefile({ shp, dbf, prj, cpg }, warnings) {
+  let toLonLat = (x, y) => [x, y];
+  if (prj) {
+    const proj = projectionFromPrj(prj);
+    toLonLat = proj.toLonLat;
+    warnings.push(...proj.warnings);
+  } else {
+    warnings.push("No .prj file: coordinates are assumed to be longitude/latitude.");
+  }
+
+  const shapes = readShp(shp, toLonLat);
+  const rows = dbf ? readDbf(dbf, dbfEncoding(cpg)) : [];
+  if (!dbf) warnings.push("No .dbf file: features have no attributes.");
+  return shapes
+    .map((polygons, i) => (polygons && rows[i] !== null ? { properties: rows[i] || {}, circle: null, polygons } : null))
+    .filter(Boolean);
+}
+
+// ------------------ Zip ------------------
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).arrayBuffer();
+}
+
+// Entries of a zip archive: Map<lower-cased base name, ArrayBuffer>. No zip64, no encryption.
+async function unzip(buffer) {
+  const dv = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 65535); i--) {
+    if (dv.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Not a zip archive.");
+
+  const entries = new Map();
+  const count = dv.getUint16(eocd + 10, true);
+  let off = dv.getUint32(eocd + 16, true);
+  for (let n = 0; n < count; n++) {
+    if (dv.getUint32(off, true) !== 0x02014b50) throw new Error("Damaged zip archive.");
+    const method = dv.getUint16(off + 10, true);
+    const compressedSize = dv.getUint32(off + 20, true);
+    const nameLen = dv.getUint16(off + 28, true);
+    const extraLen = dv.getUint16(off + 30, true);
+    const commentLen = dv.getUint16(off + 32, true);
+    const localOff = dv.getUint32(off + 42, true);
+    const name = new TextDecoder().decode(new Uint8Array(buffer, off + 46, nameLen));
+    off += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith("/") || /(^|\/)(__MACOSX|\.)/.test(name)) continue;
+    const dataAt = localOff + 30 + dv.getUint16(localOff + 26, true) + dv.getUint16(localOff + 28, true);
+    const data = new Uint8Array(buffer, dataAt, compressedSize);
+    if (method === 0) entries.set(name.split("/").pop().toLowerCase(), data.slice().buffer);
+    else if (method === 8) entries.set(name.split("/").pop().toLowerCase(), await inflateRaw(data));
+    else throw new Error(`${name} uses an unsupported zip compression method.`);
+  }
+  return entries;
+}
+
+// ------------------ Public API ------------------
+
+const extOf = (name) => (/\.([^.]+)$/.exec(name)?.[1] || "").toLowerCase();
+const text = (buffer) => (buffer ? new TextDecoder().decode(buffer) : null);
+
+// Pick a shapefile set out of name -> ArrayBuffer entries (first .shp; siblings matched by base name).
+function shapefileSet(entries) {
+  const shpName = Array.from(entries.keys()).find((n) => extOf(n) === "shp");
+  if (!shpName) return null;
+  const base = shpName.slice(0, -4);
+  const sibling = (ext) => entries.get(`${base}.${ext}`) || Array.from(entries).find(([n]) => extOf(n) === ext)?.[1];
+  return { shp: entries.get(shpName), dbf: sibling("dbf"), prj: text(sibling("prj")), cpg: text(sibling("cpg")) };
+}
+
+/**
+ * Read boundary files into region candidates.
+ * @param {File[]} files - one GeoJSON/KML/KMZ/zip file, or the loose parts of a shapefile
+ * @returns {Promise<{label:string, features:Array<{properties:Object, polygons:Array, circle:Object|null}>, fields:string[], warnings:string[]}>}
+ *   polygons: [[outer, …holes]] of [lat, lon] rings (open, simplified)
+ * @throws {Error} with a user-facing message
+ */
+export async function readRegionFiles(files) {
+  const list = Array.from(files || []);
+  if (!list.length) throw new Error("No file selected.");
+  const warnings = [];
+  let raw;
+
+  const byExt = (ext) => list.find((f) => extOf(f.name) === ext);
+  const label = list.length === 1 ? list[0].name : (byExt("shp")?.name || list[0].name);
+
+  if (byExt("shp")) {
+    const entries = new Map();
+    for (const f of list) entries.set(f.name.toLowerCase(), await f.arrayBuffer());
+    raw = readShapefile(shapefileSet(entries), warnings);
+  } else if (list.length > 1) {
+    throw new Error("Pick one file, or the .shp/.dbf/.prj files of a single shapefile.");
+  } else {
+    const file = list[0];
+    const ext = extOf(file.name);
+    if (ext === "zip" || ext === "kmz") {
+      const entries = await unzip(await file.arrayBuffer());
+      const set = shapefileSet(entries);
+      const kml = Array.from(entries.keys()).find((n) => extOf(n) === "kml");
+      if (set) raw = readShapefile(set, warnings);
+      else if (kml) raw = readKml(text(entries.get(kml)));
+      else throw new Error(`${file.name} has no .shp or .kml file inside.`);
+    } else if (ext === "kml") {
+      raw = readKml(await file.text());
+    } else {
+      let obj;
+      try { obj = JSON.parse(await file.text()); }
+      catch { throw new Error(`${file.name} is not GeoJSON, KML or a zipped shapefile.`); }
+      raw = readGeoJSON(obj);
+    }
+  }
+
+  const features = raw
+    .map((f) => ({ ...f, polygons: f.polygons.map(cleanPolygon).filter(Boolean) }))
+    .filter((f) => f.polygons.length || f.circle);
+  if (!features.length) throw new Error(`${label} has no polygon features.`);
+  const skipped = raw.length - features.length;
+  if (skipped) warnings.push(`${skipped.toLocaleString()} feature${skipped === 1 ? "" : "s"} without polygons skipped.`);
+
+  const fields = Array.from(new Set(features.flatMap((f) => Object.keys(f.properties))));
+  return { label, features, fields, warnings };
+}
+
+// Property that best names features: "name"-like and mostly distinct, else the first mostly-distinct one.
+export function guessNameField(features, fields) {
+  const distinct = (k) => new Set(features.map((f) => f.properties[k])).size;
+  const ranked = fields.filter((k) => distinct(k) >= Math.min(features.length, 2) * 0.8);
+  return ranked.find((k) => /name|label|title|zip|beat|area|district/i.test(k)) || ranked[0] || fields[0] || "";
+}
+
+function closedLonLat(ring) {
+  const out = ring.map(([lat, lon]) => [lon, lat]);
+  out.push(out[0]);
+  return out;
+}
+
+function circleRing([lat, lon], radius) {
+  const dLat = (radius / EARTH_RADIUS_M) * (180 / Math.PI);
+  const dLon = dLat / Math.cos(lat * (Math.PI / 180));
+  const ring = [];
+  for (let i = 0; i < CIRCLE_EXPORT_SEGMENTS; i++) {
+    const a = (2 * Math.PI * i) / CIRCLE_EXPORT_SEGMENTS;
+    ring.push([lat + dLat * Math.sin(a), lon + dLon * Math.cos(a)]);
+  }
+  return ring;
+}
+
+/**
+ * Regions (mapCtl.regionShapes) -> GeoJSON FeatureCollection. Circles are written as 64-gons with
+ * `shape`, `center` and `radius` properties, which readRegionFiles turns back into circles.
+ * @param {Array} shapes
+ * @returns {Object}
+ */
+export function regionsToGeoJSON(shapes) {
+  return {
+    type: "FeatureCollection",
+    features: shapes.map((s) => {
+      const properties = { name: s.name, op: s.op };
+      let polygons;
+      if (s.kind === "rect") {
+        const { south, west, north, east } = s.bounds;
+        polygons = [[[[south, west], [south, east], [north, east], [north, west]]]];
+      } else if (s.kind === "circle") {
+        polygons = [[circleRing(s.center, s.radius)]];
+        Object.assign(properties, { shape: "circle", center: [s.center[1], s.center[0]], radius: s.radius });
+      } else {
+        polygons = s.polygons;
+      }
+      const geometry = polygons.length === 1
+        ? { type: "Polygon", coordinates: polygons[0].map(closedLonLat) }
+        : { type: "MultiPolygon", coordinates: polygons.map((rings) => rings.map(closedLonLat)) };
+      return { type: "Feature", properties, geometry };
+    }),
+  };
+}
+
+/**
+ * readRegionFiles features -> GeoJSON FeatureCollection (one MultiPolygon per feature, properties
+ * kept), e.g. to use a boundary file as a choropleth layer. Circle-only features are dropped.
+ * @param {Array<{properties:Object, polygons:Array}>} features
+ * @returns {Object}
+ */
+export function featuresToGeoJSON(features) {
+  return {
+    type: "FeatureCollection",
+    features: features
+      .filter((f) => f.polygons.length)
+      .map((f) => ({
+        type: "Feature",
+        properties: { ...f.properties },
+        geometry: { type: "MultiPolygon", coordinates: f.polygons.map((rings) => rings.map(closedLonLat)) },
+      })),
+  };
+}
@@ -0,0 +1,238 @@
+// region-import.js
+// Owns: "Import regions…" (file picker + a dialog to choose which polygons become regions and how
+// they are named) and "Export regions" (the current regions as a GeoJSON download).
+//
+// File parsing and the GeoJSON writer live in region-files.js; turning shapes into map regions is
+// map-module.js (`addRegionShapes`). Nothing here touches app state.
+
+import {
+  REGION_FILE_ACCEPT,
+  REGIONS_GEOJSON_NAME,
+  guessNameField,
+  readRegionFiles,
+  regionsToGeoJSON,
+} from "./region-files.js";
+
+const MAX_LISTED = 500; // features listed in the dialog (filtering still covers all of them)
+
+/**
+ * @param {Object} deps
+ * @param {HTMLDialogElement} deps.dialogEl
+ * @param {HTMLElement} deps.titleEl
+ * @param {HTMLElement} deps.subEl
+ * @param {HTMLSelectElement} deps.nameFieldEl - property used to name the regions
+ * @param {HTMLSelectElement} deps.opEl - include | exclude
+ * @param {HTMLInputElement} deps.filterEl - narrows the feature list
+ * @param {HTMLButtonElement} deps.selectAllBtn
+ * @param {HTMLButtonElement} deps.selectNoneBtn
+ * @param {HTMLElement} deps.listEl - one checkbox per feature
+ * @param {HTMLElement} deps.warningsEl
+ * @param {HTMLButtonElement} deps.confirmBtn
+ * @param {HTMLButtonElement} deps.cancelBtn
+ * @param {HTMLInputElement} deps.fileInput
+ * @param {HTMLButtonElement} deps.importBtn
+ * @param {HTMLButtonElement} deps.exportBtn
+ * @param {(msg:string)=>void} deps.setStatus
+ * @param {()=>Array} deps.getShapes - current regions as plain data (mapCtl.regionShapes)
+ * @param {(shapes:Array)=>void} deps.onRegions - shapes to add as regions
+ * @returns {Object} importer API
+ */
+export function createRegionImport({
+  dialogEl,
+  titleEl,
+  subEl,
+  nameFieldEl,
+  opEl,
+  filterEl,
+  selectAllBtn,
+  selectNoneBtn,
+  listEl,
+  warningsEl,
+  confirmBtn,
+  cancelBtn,
+  fileInput,
+  importBtn,
+  exportBtn,
+  setStatus,
+  getShapes,
+  onRegions,
+}) {
+  // The file waiting in the dialog: { label, features, fields, warnings } (readRegionFiles)
+  let pending = null;
+  let selected = new Set(); // feature indices
+
+  function featureName(f, i) {
+    const v = f.properties[nameFieldEl.value];
+    return v == null || v === "" ? `Feature ${i + 1}` : String(v);
+  }
+
+  // ------------------ File reading ------------------
+
+  async function openFiles(files) {
+    if (!files?.length) return;
+    setStatus("Reading boundary file…");
+    try {
+      pending = await readRegionFiles(files);
+    } catch (e) {
+      console.error(e);
+      setStatus(`Could not import regions: ${e.message}`);
+      return;
+    }
+    setStatus("");
+    showDialog();
+  }
+
+  // ------------------ Dialog ------------------
+
+  function showDialog() {
+    const { label, features, fields, warnings } = pending;
+    titleEl.textContent = `Import regions from ${label}`;
+    subEl.textContent =
+      `${features.length.toLocaleString()} polygon feature${features.length === 1 ? "" : "s"}. ` +
+      "Each checked feature is added as one region, with all its polygon parts.";
+    warningsEl.textContent = warnings.join(" ");
+
+    nameFieldEl.replaceChildren(new Option("— number them —", ""));
+    for (const k of fields) nameFieldEl.append(new Option(k, k));
+    nameFieldEl.value = guessNameField(features, fields);
+    opEl.value = "include";
+    filterEl.value = "";
+    // Small files are usually meant whole; for big ones (all beats, all ZIPs) start empty.
+    selected = new Set(features.length <= 10 ? features.map((_, i) => i) : []);
+
+    renderList();
+    if (!dialogEl.open) dialogEl.showModal();
+  }
+
+  function visibleIndices() {
+    const q = filterEl.value.trim().toUpperCase();
+    const out = [];
+    pending.features.forEach((f, i) => {
+      if (!q || featureName(f, i).toUpperCase().includes(q)) out.push(i);
+    });
+    return out;
+  }
+
+  function renderList() {
+    listEl.replaceChildren();
+    const shown = visibleIndices();
+    for (const i of shown.slice(0, MAX_LISTED)) {
+      const f = pending.features[i];
+      const row = document.createElement("label");
+      row.className = "legend-item";
+
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = selected.has(i);
+      cb.addEventListener("change", () => {
+        if (cb.checked) selected.add(i);
+        else selected.delete(i);
+        syncConfirm();
+      });
+
+      const text = document.createElement("span");
+      const holes = f.polygons.reduce((s, p) => s + p.length - 1, 0);
+      const detail = [
+        f.circle ? "circle" : null,
+        f.polygons.length > 1 ? `${f.polygons.length} parts` : null,
+        holes ? `${holes} hole${holes === 1 ? "" : "s"}` : null,
+      ].filter(Boolean);
+      text.textContent = detail.length ? `${featureName(f, i)} (${detail.join(", ")})` : featureName(f, i);
+
+      row.append(cb, text);
+      listEl.append(row);
+    }
+    if (shown.length > MAX_LISTED) {
+      const more = document.createElement("p");
+      more.className = "legend-hint";
+      more.textContent = `${(shown.length - MAX_LISTED).toLocaleString()} more; filter to narrow the list.`;
+      listEl.append(more);
+    }
+    syncConfirm();
+  }
+
+  function syncConfirm() {
+    confirmBtn.textContent = selected.size ? `Add ${selected.size.toLocaleString()} region${selected.size === 1 ? "" : "s"}` : "Add regions";
+    confirmBtn.disabled = !selected.size;
+  }
+
+  // Checked features -> region shapes (map-module.js / url-state.js plain data).
+  function buildShapes() {
+    const op = opEl.value === "exclude" ? "exclude" : "include";
+    const shapes = [];
+    for (const i of Array.from(selected).sort((a, b) => a - b)) {
+      const f = pending.features[i];
+      const name = featureName(f, i);
+      const fileOp = f.properties.op === "exclude" || f.properties.op === "include" ? f.properties.op : null;
+      if (f.circle) {
+        shapes.push({ name, op: fileOp || op, kind: "circle", center: f.circle.center, radius: f.circle.radius });
+        continue;
+      }
+      shapes.push({ name, op: fileOp || op, kind: "poly", polygons: f.polygons });
+    }
+    return shapes;
+  }
+
+  function confirm() {
+    if (!pending || !selected.size) return;
+    const shapes = buildShapes();
+    dialogEl.close();
+    setStatus(`Added ${shapes.length.toLocaleString()} region${shapes.length === 1 ? "" : "s"} from ${pending.label}.`);
+    pending = null;
+    onRegions(shapes);
+  }
+
+  // ------------------ Export ------------------
+
+  function exportRegions() {
+    const shapes = getShapes();
+    if (!shapes.length) {
+      setStatus("There are no regions to export; draw or import one first.");
+      return;
+    }
+    const blob = new Blob([JSON.stringify(regionsToGeoJSON(shapes), null, 2)], { type: "application/geo+json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = REGIONS_GEOJSON_NAME;
+    document.body.append(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // ------------------ Wiring ------------------
+
+  fileInput.accept = REGION_FILE_ACCEPT;
+  importBtn.addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    const files = Array.from(fileInput.files || []);
+    fileInput.value = ""; // picking the same file again should still fire "change"
+    openFiles(files);
+  });
+  exportBtn.addEventListener("click", exportRegions);
+
+  nameFieldEl.addEventListener("change", renderList);
+  filterEl.addEventListener("input", renderList);
+  selectAllBtn.addEventListener("click", () => {
+    for (const i of visibleIndices()) selected.add(i);
+    renderList();
+  });
+  selectNoneBtn.addEventListener("click", () => {
+    for (const i of visibleIndices()) selected.delete(i);
+    renderList();
+  });
+  confirmBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    confirm();
+  });
+  cancelBtn.addEventListener("click", () => {
+    dialogEl.close();
+    pending = null;
+    setStatus("Region import cancelled.");
+  });
+
+  return {
+    openFiles,
+  };
+}
@@ -0,0 +1,98 @@
+// region-panel.js
+// Owns: the "Regions" list in the filters panel — one row per region drawn on the map, where it can
+// be renamed, switched between include and exclude, zoomed to, or deleted.
+//
+// The regions themselves (layers, geometry, the query spec) belong to map-module.js; this panel
+// renders `mapCtl.regions` and reports edits through the injected callbacks.
+
+const KIND_LABELS = {
+  rect: "Rectangle",
+  poly: "Polygon",
+  circle: "Circle",
+};
+
+function describeRegion(r) {
+  if (r.kind === "circle") {
+    const radius = r.radius >= 1000 ? `${(r.radius / 1000).toFixed(2)} km` : `${Math.round(r.radius)} m`;
+    return `Circle · ${radius}`;
+  }
+  if (r.kind === "poly") {
+    const details = [];
+    if (r.parts > 1) details.push(`${r.parts} parts`);
+    if (r.holes) details.push(`${r.holes} hole${r.holes === 1 ? "" : "s"}`);
+    return ["Polygon", ...details].join(" · ");
+  }
+  return KIND_LABELS[r.kind] || r.kind;
+}
+
+/**
+ * @param {Object} deps
+ * @param {HTMLElement} deps.panelEl - wrapper, hidden while there are no regions
+ * @param {HTMLElement} deps.listEl
+ * @param {(id:number, patch:{name?:string, op?:string})=>void} deps.onUpdate
+ * @param {(id:number)=>void} deps.onRemove
+ * @param {(id:number)=>void} deps.onZoom
+ * @returns {Object} panel API
+ */
+export function createRegionPanel({ panelEl, listEl, onUpdate, onRemove, onZoom }) {
+  let lastKey = "";
+
+  /** @param {Array<{id, name, op, kind, parts, holes, radius}>} regions - from mapCtl.regions */
+  function render(regions) {
+    // Redraws happen on every filter change; leave the rows (and a name being typed) alone if nothing moved.
+    const key = JSON.stringify(regions);
+    if (key === lastKey) return;
+    lastKey = key;
+
+    panelEl.hidden = !regions.length;
+    listEl.replaceChildren();
+
+    for (const r of regions) {
+      const row = document.createElement("div");
+      row.className = `region-row region-row--${r.op}`;
+
+      const op = document.createElement("select");
+      op.setAttribute("aria-label", "Region mode");
+      for (const [value, label] of [["include", "Include"], ["exclude", "Exclude"]]) {
+        const opt = document.createElement("option");
+        opt.value = value;
+        opt.textContent = label;
+        op.append(opt);
+      }
+      op.value = r.op;
+      op.addEventListener("change", () => onUpdate(r.id, { op: op.value }));
+
+      const name = document.createElement("input");
+      name.type = "text";
+      name.value = r.name;
+      name.setAttribute("aria-label", "Region name");
+      name.title = "Edit to rename";
+      name.addEventListener("change", () => {
+        const next = name.value.trim();
+        if (next && next !== r.name) onUpdate(r.id, { name: next });
+        else name.value = r.name;
+      });
+
+      const kind = document.createElement("span");
+      kind.className = "legend-hint";
+      kind.textContent = describeRegion(r);
+
+      const zoom = document.createElement("button");
+      zoom.type = "button";
+      zoom.className = "btn";
+      zoom.textContent = "Zoom";
+      zoom.addEventListener("click", () => onZoom(r.id));
+
+      const del = document.createElement("button");
+      del.type = "button";
+      del.className = "btn";
+      del.textContent = "Delete";
+      del.addEventListener("click", () => onRemove(r.id));
+
+      row.append(op, name, kind, zoom, del);
+      listEl.append(row);
+    }
+  }
+
+  return { render };
+}
@@ -0,0 +1,278 @@
+// saved-views.js
+// Owns: the "Saved views" panel — named snapshots of the dashboard state (filters, region, legend,
+// mode, map view) that can be reopened, renamed, deleted, and exported/imported as JSON.
+//
+// Design notes:
+// - A view stores its state as a link query string (url-state.js), so a saved view and a shared link
+//   restore exactly the same things. The app supplies the current query string and applies a view.
+// - The time window is either fixed (the dates are in the query string) or relative ("last N days"):
+//   relative views leave from/to out and the app re-resolves them against the newest loaded data
+//   each time the view is opened.
+// - Persisting the list is the app's job (`onViewsChanged`), as for the taxonomy.
+
+export const VIEWS_FORMAT = "abq-incidents-views";
+
+const TIME_KINDS = new Set(["fixed", "relative"]);
+const MAX_RELATIVE_DAYS = 3660;
+
+/**
+ * Validate a saved-views document (from localStorage or an imported file).
+ * @param {Object} raw - { format, version, views: [{ id, name, createdAt, time, state }] }
+ * @returns {Array} views, normalized
+ * @throws {Error} with a user-facing message when the document can't be used
+ */
+export function parseSavedViews(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("Saved views must be a JSON object.");
+  if (raw.format != null && raw.format !== VIEWS_FORMAT) {
+    throw new Error(`Not a saved-views file (format "${raw.format}").`);
+  }
+  if (!Array.isArray(raw.views)) throw new Error("File has no \"views\" list.");
+
+  return raw.views.map((v, i) => {
+    const name = String(v?.name ?? "").trim();
+    if (!name) throw new Error(`View ${i + 1} has no name.`);
+    if (typeof v.state !== "string") throw new Error(`View "${name}" has no state.`);
+
+    const kind = v.time?.kind;
+    if (!TIME_KINDS.has(kind)) throw new Error(`View "${name}" has an unknown time window.`);
+    const days = Number(v.time.days);
+    if (kind === "relative" && !(Number.isInteger(days) && days >= 1 && days <= MAX_RELATIVE_DAYS)) {
+      throw new Error(`View "${name}" has an invalid number of days.`);
+    }
+
+    return {
+      id: typeof v.id === "string" && v.id ? v.id : newId(),
+      name,
+      createdAt: Number.isFinite(v.createdAt) ? v.createdAt : Date.now(),
+      time: kind === "relative" ? { kind, days } : { kind },
+      state: v.state.replace(/^\?/, ""),
+    };
+  });
+}
+
+function newId() {
+  return `v${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// "Downtown" -> "Downtown (2)" while the name is taken.
+function uniqueName(name, taken) {
+  if (!taken.has(name)) return name;
+  let i = 2;
+  while (taken.has(`${name} (${i})`)) i++;
+  return `${name} (${i})`;
+}
+
+/**
+ * @param {Object} deps
+ * @param {HTMLElement} deps.listEl - saved view rows
+ * @param {HTMLInputElement} deps.nameEl - name for the next save
+ * @param {HTMLInputElement} deps.relativeEl - "keep the window relative" checkbox
+ * @param {HTMLElement} deps.relativeLabelEl - text next to relativeEl ("Last N days")
+ * @param {HTMLButtonElement} deps.saveBtn
+ * @param {HTMLButtonElement} deps.importBtn
+ * @param {HTMLButtonElement} deps.exportBtn
+ * @param {HTMLInputElement} deps.fileInput - hidden <input type=file> used by Import
+ * @param {HTMLElement} deps.errorEl
+ * @param {Array} deps.initialViews - already validated (parseSavedViews)
+ * @param {()=>{state:string, days:number, followingLatest:boolean}} deps.getCurrent - current link
+ *   query string, window length in days, and whether the window ends at the newest data
+ * @param {(view:Object)=>string} deps.describeTime - e.g. "Last 14 days" or a date range
+ * @param {(view:Object)=>void} deps.onOpen
+ * @param {()=>void} deps.onViewsChanged - persist `toJSON()`
+ * @returns {Object} panel API
+ */
+export function createSavedViews({
+  listEl,
+  nameEl,
+  relativeEl,
+  relativeLabelEl,
+  saveBtn,
+  importBtn,
+  exportBtn,
+  fileInput,
+  errorEl,
+  initialViews,
+  getCurrent,
+  describeTime,
+  onOpen,
+  onViewsChanged,
+}) {
+  let views = Array.isArray(initialViews) ? initialViews : [];
+
+  function changed() {
+    errorEl.textContent = "";
+    render();
+    onViewsChanged();
+  }
+
+  // ------------------ Save ------------------
+
+  // Refresh the "Last N days" hint and its default from the current window.
+  function syncSaveControls() {
+    const { days, followingLatest } = getCurrent();
+    relativeLabelEl.textContent = `Relative: last ${days.toLocaleString()} day${days === 1 ? "" : "s"} of data`;
+    if (!relativeEl.dataset.touched) relativeEl.checked = followingLatest;
+  }
+
+  function saveCurrent() {
+    const name = nameEl.value.trim();
+    if (!name) {
+      errorEl.textContent = "Give the view a name first.";
+      nameEl.focus();
+      return;
+    }
+
+    const { state, days } = getCurrent();
+    const relative = relativeEl.checked;
+    const q = new URLSearchParams(state);
+    if (relative) {
+      q.delete("from");
+      q.delete("to");
+    }
+
+    // Saving under an existing name replaces that view.
+    const existing = views.find((v) => v.name === name);
+    const view = {
+      id: existing?.id || newId(),
+      name,
+      createdAt: Date.now(),
+      time: relative ? { kind: "relative", days } : { kind: "fixed" },
+      state: relative ? q.toString() : state,
+    };
+    views = existing ? views.map((v) => (v === existing ? view : v)) : [...views, view];
+    nameEl.value = "";
+    changed();
+  }
+
+  // ------------------ List ------------------
+
+  function rename(view, input) {
+    const name = input.value.trim();
+    if (!name || name === view.name) {
+      input.value = view.name;
+      return;
+    }
+    if (views.some((v) => v !== view && v.name === name)) {
+      errorEl.textContent = `There is already a view named “${name}”.`;
+      input.value = view.name;
+      return;
+    }
+    views = views.map((v) => (v === view ? { ...v, name } : v));
+    changed();
+  }
+
+  function remove(view) {
+    views = views.filter((v) => v !== view);
+    changed();
+  }
+
+  function render() {
+    listEl.replaceChildren();
+    if (!views.length) {
+      const p = document.createElement("p");
+      p.className = "legend-hint saved-views-empty";
+      p.textContent = "No saved views yet.";
+      listEl.append(p);
+      return;
+    }
+
+    for (const view of views) {
+      const row = document.createElement("div");
+      row.className = "saved-view";
+
+      const open = document.createElement("button");
+      open.type = "button";
+      open.className = "btn";
+      open.textContent = "Open";
+      open.title = `Open “${view.name}”`;
+      open.addEventListener("click", () => onOpen(view));
+
+      const name = document.createElement("input");
+      name.type = "text";
+      name.value = view.name;
+      name.setAttribute("aria-label", "View name");
+      name.title = "Edit to rename";
+      name.addEventListener("change", () => rename(view, name));
+
+      const when = document.createElement("span");
+      when.className = "legend-hint";
+      when.textContent = describeTime(view);
+
+      const del = document.createElement("button");
+      del.type = "button";
+      del.className = "btn";
+      del.textContent = "Delete";
+      del.addEventListener("click", () => remove(view));
+
+      row.append(open, name, when, del);
+      listEl.append(row);
+    }
+  }
+
+  // ------------------ Import / export ------------------
+
+  // Imported views are added to the list; a name that's already taken gets a " (2)" suffix.
+  async function importFile(file) {
+    if (!file) return;
+    let imported;
+    try {
+      imported = parseSavedViews(JSON.parse(await file.text()));
+    } catch (e) {
+      errorEl.textContent = `Could not import ${file.name}: ${e.message}`;
+      return;
+    }
+    const taken = new Set(views.map((v) => v.name));
+    const ids = new Set(views.map((v) => v.id));
+    for (const v of imported) {
+      const name = uniqueName(v.name, taken);
+      const id = ids.has(v.id) ? newId() : v.id;
+      taken.add(name);
+      ids.add(id);
+      views = [...views, { ...v, name, id }];
+    }
+    changed();
+  }
+
+  function toJSON() {
+    return { format: VIEWS_FORMAT, version: 1, views };
+  }
+
+  function exportFile() {
+    const blob = new Blob([JSON.stringify(toJSON(), null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "abq-incidents-views.json";
+    document.body.append(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // ------------------ Wiring ------------------
+
+  saveBtn.addEventListener("click", saveCurrent);
+  nameEl.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      saveCurrent();
+    }
+  });
+  // Once the user picks fixed/relative themselves, stop re-defaulting it on every redraw.
+  relativeEl.addEventListener("change", () => { relativeEl.dataset.touched = "1"; });
+  importBtn.addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = "";
+    importFile(file);
+  });
+  exportBtn.addEventListener("click", exportFile);
+
+  render();
+
+  return {
+    render,
+    syncSaveControls,
+    toJSON,
+  };
+}
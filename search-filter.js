@@ -0,0 +1,186 @@
+// search-filter.js
+// Owns: the free-text search box — call types and/or addresses, matched as a substring, a word
+// prefix or a regex, with autocomplete from the values seen in the loaded data and a
+// "Zoom to matches" action.
+//
+// The search is contributed to pipeline queries via `filterSpec()` (runQuery `spec.search`); the
+// matching itself is query-core.js `compileSearch`, so suggestions and results agree.
+//
+// Design notes:
+// - Typing is debounced; Enter and the mode/field selects apply right away.
+// - An invalid regex is reported next to the box and leaves the previous search in effect, rather
+//   than failing the query.
+
+import { compileSearch } from "./query-core.js";
+
+export const SEARCH_MODES = {
+  substring: "Contains",
+  prefix: "Starts with",
+  regex: "Regex",
+};
+
+export const SEARCH_FIELDS = {
+  all: "Type or address",
+  type: "Call type",
+  addr: "Address",
+};
+
+const INPUT_DEBOUNCE_MS = 300;
+const MAX_SUGGESTIONS = 30;
+
+/**
+ * @param {Object} deps
+ * @param {HTMLInputElement} deps.inputEl
+ * @param {HTMLSelectElement} deps.modeEl - SEARCH_MODES keys
+ * @param {HTMLSelectElement} deps.fieldEl - SEARCH_FIELDS keys
+ * @param {HTMLDataListElement} deps.suggestionsEl - the input's `list`
+ * @param {HTMLElement} deps.errorEl
+ * @param {HTMLButtonElement} deps.zoomBtn
+ * @param {HTMLButtonElement} deps.clearBtn
+ * @param {(field:string)=>Map<string,number>} deps.getObservedValues - value -> count for "type" or "addr"
+ * @param {()=>void} deps.onSearchChanged
+ * @param {()=>void} deps.onZoomToMatches
+ * @returns {Object} controller API
+ */
+export function createSearchFilter({
+  inputEl,
+  modeEl,
+  fieldEl,
+  suggestionsEl,
+  errorEl,
+  zoomBtn,
+  clearBtn,
+  getObservedValues,
+  onSearchChanged,
+  onZoomToMatches,
+}) {
+  let search = null; // applied { text, mode, field }, or null
+  let debounceTimer = null;
+
+  function readControls() {
+    return {
+      text: inputEl.value.trim(),
+      mode: SEARCH_MODES[modeEl.value] ? modeEl.value : "substring",
+      field: SEARCH_FIELDS[fieldEl.value] ? fieldEl.value : "all",
+    };
+  }
+
+  function keyOf(s) {
+    return s ? `${s.field}|${s.mode}|${s.text}` : "";
+  }
+
+  function syncButtons() {
+    zoomBtn.disabled = !search;
+    clearBtn.disabled = !search && !inputEl.value;
+  }
+
+  // Matcher for the controls' current contents, or null (empty box or a bad regex, which is reported).
+  function matcher(next) {
+    try {
+      errorEl.textContent = "";
+      return compileSearch(next);
+    } catch (e) {
+      errorEl.textContent = `Invalid regex: ${e.message}`;
+      return null;
+    }
+  }
+
+  function apply() {
+    clearTimeout(debounceTimer);
+    const next = readControls();
+    if (next.text && !matcher(next)) return; // keep the last good search
+    const applied = next.text ? next : null;
+    if (keyOf(applied) === keyOf(search)) {
+      syncButtons();
+      return;
+    }
+    search = applied;
+    syncButtons();
+    onSearchChanged();
+  }
+
+  // ------------------ Autocomplete ------------------
+
+  function renderSuggestions() {
+    const next = readControls();
+    const match = next.text ? matcher(next) : null;
+    suggestionsEl.replaceChildren();
+    if (!match) return;
+
+    const fields = next.field === "all" ? ["type", "addr"] : [next.field];
+    const hits = [];
+    for (const field of fields) {
+      for (const [value, count] of getObservedValues(field)) {
+        if (value && match(value)) hits.push([value, count, field]);
+      }
+    }
+    hits.sort((a, b) => b[1] - a[1]);
+
+    for (const [value, count, field] of hits.slice(0, MAX_SUGGESTIONS)) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.label = `${SEARCH_FIELDS[field]} · ${count.toLocaleString()}`;
+      suggestionsEl.append(opt);
+    }
+  }
+
+  // ------------------ API ------------------
+
+  function filterSpec() {
+    return { search };
+  }
+
+  // Restore a search (e.g. from a shared link) without firing onSearchChanged.
+  function setSearch(next) {
+    clearTimeout(debounceTimer);
+    const text = (next?.text || "").trim();
+    inputEl.value = text;
+    modeEl.value = SEARCH_MODES[next?.mode] ? next.mode : "substring";
+    fieldEl.value = SEARCH_FIELDS[next?.field] ? next.field : "all";
+    search = text && matcher(readControls()) ? readControls() : null;
+    suggestionsEl.replaceChildren();
+    syncButtons();
+  }
+
+  // For the KPI "active filters" card.
+  function activeLabels() {
+    if (!search) return [];
+    const how = search.mode === "regex" ? "matching" : search.mode === "prefix" ? "starting with" : "containing";
+    const where = search.field === "type" ? "call type" : search.field === "addr" ? "address" : "type/address";
+    return [`${where} ${how} “${search.text}”`];
+  }
+
+  // ------------------ Wiring ------------------
+
+  inputEl.addEventListener("input", () => {
+    renderSuggestions();
+    syncButtons();
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(apply, INPUT_DEBOUNCE_MS);
+  });
+  inputEl.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      apply();
+    }
+  });
+  // type=search renders a native clear "x" that fires `search` with an empty value.
+  inputEl.addEventListener("search", apply);
+  modeEl.addEventListener("change", () => { renderSuggestions(); apply(); });
+  fieldEl.addEventListener("change", () => { renderSuggestions(); apply(); });
+  clearBtn.addEventListener("click", () => {
+    inputEl.value = "";
+    suggestionsEl.replaceChildren();
+    apply();
+  });
+  zoomBtn.addEventListener("click", () => onZoomToMatches());
+
+  syncButtons();
+
+  return {
+    filterSpec,
+    setSearch,
+    activeLabels,
+    get key() { return keyOf(search); }, // stable key for caches (ZIP counts)
+  };
+}
@@ -0,0 +1,240 @@
+// source-import.js
+// Owns: local file import — the file picker, drag-and-drop onto the page, and the column-mapping
+// dialog. Produces a DataSource (data-sources.js) and hands it to the app via `onSource`.
+//
+// Design notes:
+// - CSV and GeoJSON both go through the same dialog. GeoJSON takes coordinates from the geometry,
+//   so its lat/lon rows are hidden.
+// - The dialog is a native <dialog>; we only build its <select>s and the preview table.
+// - Nothing here touches app state: the app decides how to swap sources.
+
+import {
+  MAPPED_FIELDS,
+  guessMapping,
+  parseCsv,
+  createCsvSource,
+  readGeoJSONPoints,
+  createGeoJSONSource,
+} from "./data-sources.js";
+
+const PREVIEW_ROWS = 5;
+
+/**
+ * @param {Object} deps
+ * @param {HTMLDialogElement} deps.dialogEl
+ * @param {HTMLElement} deps.titleEl
+ * @param {HTMLElement} deps.subEl
+ * @param {HTMLElement} deps.fieldsEl - container for the per-field <select>s
+ * @param {HTMLElement} deps.previewEl - container for the sample-rows table
+ * @param {HTMLElement} deps.errorEl
+ * @param {HTMLButtonElement} deps.confirmBtn
+ * @param {HTMLButtonElement} deps.cancelBtn
+ * @param {HTMLInputElement} deps.fileInput
+ * @param {HTMLElement} deps.dropTarget - element that accepts dropped files (usually document.body)
+ * @param {Object} deps.zone - analysis time zone (tz.js) for date strings without a zone
+ * @param {(msg:string)=>void} deps.setStatus
+ * @param {(source:Object)=>void} deps.onSource
+ * @returns {Object} importer API
+ */
+export function createSourceImporter({
+  dialogEl,
+  titleEl,
+  subEl,
+  fieldsEl,
+  previewEl,
+  errorEl,
+  confirmBtn,
+  cancelBtn,
+  fileInput,
+  dropTarget,
+  zone,
+  setStatus,
+  onSource,
+}) {
+  // The file waiting in the dialog: { kind: "csv"|"geojson", name, columns, sampleRows, build(mapping) }
+  let pending = null;
+
+  // ------------------ File reading ------------------
+
+  function looksLikeGeoJSON(file, text) {
+    if (/\.(geo)?json$/i.test(file.name)) return true;
+    if (/\.csv$/i.test(file.name)) return false;
+    return /^\s*\{/.test(text);
+  }
+
+  async function openFile(file) {
+    if (!file) return;
+    setStatus(`Reading ${file.name}…`);
+
+    let text;
+    try {
+      text = await file.text();
+    } catch (e) {
+      setStatus(`Could not read ${file.name}: ${e.message}`);
+      return;
+    }
+
+    try {
+      pending = looksLikeGeoJSON(file, text) ? prepareGeoJSON(file.name, text) : prepareCsv(file.name, text);
+    } catch (e) {
+      console.error(e);
+      setStatus(`Import failed: ${e.message}`);
+      return;
+    }
+    showDialog();
+  }
+
+  function prepareCsv(name, text) {
+    const { columns, rows } = parseCsv(text);
+    if (!columns.length || !rows.length) throw new Error(`${name} has no data rows.`);
+    return {
+      kind: "csv",
+      name,
+      columns,
+      rowCount: rows.length,
+      sampleRows: rows.slice(0, PREVIEW_ROWS),
+      build: (mapping) => createCsvSource({ name, columns, rows, mapping, zone }),
+    };
+  }
+
+  function prepareGeoJSON(name, text) {
+    let geojson;
+    try { geojson = JSON.parse(text); }
+    catch { throw new Error(`${name} is not valid JSON.`); }
+
+    const { columns, features, skipped } = readGeoJSONPoints(geojson);
+    if (!features.length) throw new Error(`${name} has no Point features.`);
+    return {
+      kind: "geojson",
+      name,
+      columns,
+      rowCount: features.length,
+      sampleRows: features.slice(0, PREVIEW_ROWS).map((f) => columns.map((c) => f.properties?.[c] ?? "")),
+      build: (mapping) => createGeoJSONSource({ name, features, skipped, mapping, zone }),
+    };
+  }
+
+  // ------------------ Mapping dialog ------------------
+
+  function visibleFields() {
+    return MAPPED_FIELDS.filter((f) => !(pending.kind === "geojson" && f.tabularOnly));
+  }
+
+  function showDialog() {
+    const { kind, name, columns, rowCount, sampleRows } = pending;
+    const guess = guessMapping(columns, { hasGeometry: kind === "geojson" });
+
+    titleEl.textContent = `Import ${name}`;
+    subEl.textContent =
+      `${rowCount.toLocaleString()} ${kind === "csv" ? "rows" : "point features"}. ` +
+      "Choose which column holds each field; importing replaces the data currently shown.";
+    errorEl.textContent = "";
+
+    fieldsEl.replaceChildren();
+    for (const f of visibleFields()) {
+      const label = document.createElement("label");
+      label.className = "import-field";
+      label.textContent = f.required ? `${f.label} *` : f.label;
+
+      const select = document.createElement("select");
+      select.dataset.field = f.key;
+      select.append(new Option(f.required ? "— choose —" : "— none —", ""));
+      for (const c of columns) select.append(new Option(c, c));
+      select.value = guess[f.key] || "";
+
+      label.append(select);
+      fieldsEl.append(label);
+    }
+
+    renderPreview(columns, sampleRows);
+    if (!dialogEl.open) dialogEl.showModal();
+  }
+
+  function renderPreview(columns, sampleRows) {
+    const table = document.createElement("table");
+    const head = table.createTHead().insertRow();
+    for (const c of columns) {
+      const th = document.createElement("th");
+      th.textContent = c;
+      head.append(th);
+    }
+    const body = table.createTBody();
+    for (const row of sampleRows) {
+      const tr = body.insertRow();
+      for (let i = 0; i < columns.length; i++) tr.insertCell().textContent = String(row[i] ?? "");
+    }
+    previewEl.replaceChildren(table);
+  }
+
+  function readMapping() {
+    const mapping = {};
+    for (const f of MAPPED_FIELDS) mapping[f.key] = null;
+    for (const select of fieldsEl.querySelectorAll("select[data-field]")) {
+      mapping[select.dataset.field] = select.value || null;
+    }
+    return mapping;
+  }
+
+  function confirm() {
+    if (!pending) return;
+    const mapping = readMapping();
+
+    const missing = visibleFields().filter((f) => f.required && !mapping[f.key]).map((f) => f.label);
+    if (missing.length) {
+      errorEl.textContent = `Please choose a column for: ${missing.join(", ")}.`;
+      return;
+    }
+
+    const source = pending.build(mapping);
+    if (source.skippedRows >= source.rowCount) {
+      errorEl.textContent = "None of the rows has a date that could be read. Check the date column.";
+      return;
+    }
+
+    dialogEl.close();
+    pending = null;
+    onSource(source);
+  }
+
+  // ------------------ Wiring ------------------
+
+  confirmBtn.addEventListener("click", (e) => {
+    e.preventDefault();
+    confirm();
+  });
+  cancelBtn.addEventListener("click", () => {
+    dialogEl.close();
+    pending = null;
+    setStatus("Import cancelled.");
+  });
+
+  fileInput.addEventListener("change", () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = ""; // picking the same file again should still fire "change"
+    openFile(file);
+  });
+
+  // Only react to drags that carry files, so dragging map/slider elements is unaffected.
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes("Files");
+  dropTarget.addEventListener("dragover", (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dropTarget.classList.add("file-drag-over");
+  });
+  dropTarget.addEventListener("dragleave", (e) => {
+    if (e.target === dropTarget || !dropTarget.contains(e.relatedTarget)) {
+      dropTarget.classList.remove("file-drag-over");
+    }
+  });
+  dropTarget.addEventListener("drop", (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dropTarget.classList.remove("file-drag-over");
+    openFile(e.dataTransfer.files[0]);
+  });
+
+  return {
+    openFile,
+    pickFile: () => fileInput.click(),
+  };
+}
@@ -0,0 +1,289 @@
+// taxonomy-editor.js
+// Owns: the "Categories" dialog — edits the live taxonomy (taxonomy.js): category names, colors and
+// icons, which category each observed call code belongs to, and JSON import/export.
+//
+// Design notes:
+// - Every edit goes straight into the taxonomy and fires `onChange`, so the map, legend and charts
+//   follow along while the dialog is open. Persisting and re-categorizing points is the app's job.
+// - Codes are listed from the data actually loaded (`getObservedTypes`), not from the taxonomy, so
+//   analysts see what needs mapping. Reassigning a code writes an exact entry, which wins over a
+//   family entry such as "27-3*".
+
+import { OTHER_CATEGORY, extractCallCode, normalizeTypeString, parseTaxonomy } from "./taxonomy.js";
+
+const NEW_CATEGORY_COLORS = ["#4f46e5", "#059669", "#be185d", "#0891b2", "#65a30d", "#c2410c", "#7c3aed"];
+const MAX_SAMPLE_TYPES = 3; // type labels shown per code
+
+/**
+ * @param {Object} deps
+ * @param {HTMLDialogElement} deps.dialogEl
+ * @param {HTMLElement} deps.summaryEl - "N types still under Other" line
+ * @param {HTMLElement} deps.categoriesEl - category rows
+ * @param {HTMLElement} deps.codesEl - code rows
+ * @param {HTMLInputElement} deps.codeSearchEl - filters the code list by code or label
+ * @param {HTMLInputElement} deps.onlyOtherEl - show only codes that fall under "Other"
+ * @param {HTMLElement} deps.errorEl
+ * @param {HTMLButtonElement} deps.addCategoryBtn
+ * @param {HTMLButtonElement} deps.importBtn
+ * @param {HTMLButtonElement} deps.exportBtn
+ * @param {HTMLButtonElement} deps.resetBtn
+ * @param {HTMLButtonElement} deps.closeBtn
+ * @param {HTMLInputElement} deps.fileInput - hidden <input type=file> used by Import
+ * @param {Object} deps.taxonomy - from createTaxonomy()
+ * @param {()=>Object} deps.defaultTaxonomy
+ * @param {()=>Map<string,number>} deps.getObservedTypes - call type -> incident count, over loaded data
+ * @param {()=>void} deps.onChange
+ * @returns {Object} editor API
+ */
+export function createTaxonomyEditor({
+  dialogEl,
+  summaryEl,
+  categoriesEl,
+  codesEl,
+  codeSearchEl,
+  onlyOtherEl,
+  errorEl,
+  addCategoryBtn,
+  importBtn,
+  exportBtn,
+  resetBtn,
+  closeBtn,
+  fileInput,
+  taxonomy,
+  defaultTaxonomy,
+  getObservedTypes,
+  onChange,
+}) {
+  let observed = []; // [{ code, count, types: [label...] }] sorted by count desc
+  let uncoded = { types: 0, count: 0 }; // types without a recognizable call code
+
+  function open() {
+    collectObserved();
+    errorEl.textContent = "";
+    render();
+    if (!dialogEl.open) dialogEl.showModal();
+  }
+
+  // Group observed types by call code.
+  function collectObserved() {
+    const byCode = new Map();
+    uncoded = { types: 0, count: 0 };
+    for (const [type, count] of getObservedTypes()) {
+      const code = extractCallCode(normalizeTypeString(type));
+      if (!code) {
+        uncoded.types++;
+        uncoded.count += count;
+        continue;
+      }
+      let e = byCode.get(code);
+      if (!e) byCode.set(code, (e = { code, count: 0, types: [] }));
+      e.count += count;
+      e.types.push([type, count]);
+    }
+    observed = Array.from(byCode.values()).sort((a, b) => b.count - a.count);
+    for (const e of observed) {
+      e.types = e.types.sort((a, b) => b[1] - a[1]).map(([t]) => t);
+    }
+  }
+
+  // Apply one edit; errors are shown in the dialog instead of thrown.
+  function edit(fn) {
+    try {
+      fn();
+      errorEl.textContent = "";
+    } catch (e) {
+      errorEl.textContent = e.message;
+      render();
+      return;
+    }
+    render();
+    onChange();
+  }
+
+  function render() {
+    renderSummary();
+    renderCategories();
+    renderCodes();
+  }
+
+  // ------------------ Summary ------------------
+
+  function renderSummary() {
+    let types = 0;
+    let count = 0;
+    for (const e of observed) {
+      if (taxonomy.categoryForType(e.types[0]) !== OTHER_CATEGORY) continue;
+      types += e.types.length;
+      count += e.count;
+    }
+    types += uncoded.types;
+    count += uncoded.count;
+
+    summaryEl.textContent = types
+      ? `${types.toLocaleString()} call type${types === 1 ? "" : "s"} (${count.toLocaleString()} incidents) still fall under “${OTHER_CATEGORY}”` +
+        (uncoded.types ? `, ${uncoded.types.toLocaleString()} of them without a call code.` : ".")
+      : `Every loaded call type is mapped to a category.`;
+  }
+
+  // ------------------ Categories ------------------
+
+  function renderCategories() {
+    const codeCounts = new Map();
+    for (const e of observed) {
+      const cat = taxonomy.categoryForType(e.types[0]);
+      codeCounts.set(cat, (codeCounts.get(cat) || 0) + 1);
+    }
+
+    categoriesEl.replaceChildren();
+    for (const cat of taxonomy.categories()) {
+      const row = document.createElement("div");
+      row.className = "taxonomy-category";
+
+      const dot = document.createElement("span");
+      dot.className = `color-dot bi ${cat.icon}`;
+      dot.style.background = cat.color;
+
+      const color = document.createElement("input");
+      color.type = "color";
+      color.value = cat.color;
+      color.title = "Color";
+      color.addEventListener("change", () => edit(() => taxonomy.updateCategory(cat.name, { color: color.value })));
+
+      const name = document.createElement("input");
+      name.type = "text";
+      name.value = cat.name;
+      name.disabled = cat.name === OTHER_CATEGORY;
+      name.setAttribute("aria-label", "Category name");
+      name.addEventListener("change", () => edit(() => taxonomy.updateCategory(cat.name, { name: name.value })));
+
+      const icon = document.createElement("input");
+      icon.type = "text";
+      icon.value = cat.icon;
+      icon.className = "taxonomy-icon";
+      icon.title = "Bootstrap icon class, e.g. bi-tag";
+      icon.addEventListener("change", () => edit(() => taxonomy.updateCategory(cat.name, { icon: icon.value.trim() })));
+
+      const count = document.createElement("span");
+      count.className = "legend-hint";
+      const n = codeCounts.get(cat.name) || 0;
+      count.textContent = `${n} code${n === 1 ? "" : "s"}`;
+
+      row.append(dot, color, name, icon, count);
+
+      if (cat.name !== OTHER_CATEGORY) {
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "btn";
+        remove.textContent = "Remove";
+        remove.title = `Remove “${cat.name}”; its codes fall back to “${OTHER_CATEGORY}”`;
+        remove.addEventListener("click", () => edit(() => taxonomy.removeCategory(cat.name)));
+        row.append(remove);
+      }
+
+      categoriesEl.append(row);
+    }
+  }
+
+  function addCategory() {
+    const names = new Set(taxonomy.categoryNames());
+    let i = 1;
+    while (names.has(`New category ${i}`)) i++;
+    const color = NEW_CATEGORY_COLORS[(names.size - 1) % NEW_CATEGORY_COLORS.length];
+    edit(() => taxonomy.addCategory({ name: `New category ${i}`, color, icon: "bi-tag" }));
+  }
+
+  // ------------------ Codes ------------------
+
+  function renderCodes() {
+    const q = codeSearchEl.value.trim().toUpperCase();
+    const onlyOther = onlyOtherEl.checked;
+    const names = taxonomy.categoryNames();
+
+    codesEl.replaceChildren();
+    let shown = 0;
+    for (const e of observed) {
+      const cat = taxonomy.categoryForType(e.types[0]);
+      if (onlyOther && cat !== OTHER_CATEGORY) continue;
+      if (q && !e.code.includes(q) && !e.types.some((t) => t.toUpperCase().includes(q))) continue;
+      shown++;
+
+      const row = document.createElement("div");
+      row.className = "taxonomy-code";
+
+      const code = document.createElement("span");
+      code.className = "taxonomy-code-id";
+      code.textContent = e.code;
+
+      const label = document.createElement("span");
+      label.className = "taxonomy-code-label";
+      const more = e.types.length - MAX_SAMPLE_TYPES;
+      label.textContent = e.types.slice(0, MAX_SAMPLE_TYPES).join(" · ") + (more > 0 ? ` · +${more} more` : "");
+      label.title = e.types.join("\n");
+
+      const count = document.createElement("span");
+      count.className = "legend-hint";
+      count.textContent = e.count.toLocaleString();
+
+      const select = document.createElement("select");
+      for (const n of names) select.append(new Option(n, n));
+      select.value = cat;
+      select.addEventListener("change", () => edit(() => taxonomy.assignCode(e.code, select.value)));
+
+      // Show where the current category comes from when it's not an exact entry.
+      const rule = taxonomy.ruleForCode(e.code);
+      const via = document.createElement("span");
+      via.className = "legend-hint";
+      via.textContent = !rule ? "unmapped" : rule.key !== e.code ? `via ${rule.key}` : "";
+
+      row.append(code, label, count, select, via);
+      codesEl.append(row);
+    }
+
+    if (!shown) {
+      codesEl.textContent = observed.length ? "No codes match." : "No call codes in the loaded data yet.";
+    }
+  }
+
+  // ------------------ Import / export ------------------
+
+  async function importFile(file) {
+    if (!file) return;
+    let parsed;
+    try {
+      parsed = parseTaxonomy(JSON.parse(await file.text()));
+    } catch (e) {
+      errorEl.textContent = `Could not import ${file.name}: ${e.message}`;
+      return;
+    }
+    edit(() => taxonomy.load(parsed));
+  }
+
+  function exportFile() {
+    const blob = new Blob([JSON.stringify(taxonomy.toJSON(), null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "abq-incidents-taxonomy.json";
+    document.body.append(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // ------------------ Wiring ------------------
+
+  addCategoryBtn.addEventListener("click", addCategory);
+  codeSearchEl.addEventListener("input", renderCodes);
+  onlyOtherEl.addEventListener("change", renderCodes);
+  importBtn.addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = "";
+    importFile(file);
+  });
+  exportBtn.addEventListener("click", exportFile);
+  resetBtn.addEventListener("click", () => edit(() => taxonomy.load(defaultTaxonomy())));
+  closeBtn.addEventListener("click", () => dialogEl.close());
+
+  return { open };
+}
@@ -0,0 +1,348 @@
+// taxonomy.js
+// Owns: the call-type taxonomy — which category a call type belongs to, and each category's color
+// and Bootstrap icon. The app's categoryForType / colorForCategory / iconClassForCategory delegate here.
+//
+// Design notes:
+// - A taxonomy is plain JSON, so it can be saved, imported and exported as-is:
+//     { format, version, categories: [{ name, color, icon }], codes: { "<code>": "<category>" } }
+// - Types are matched by their leading call code (extractCallCode: "27-3I ROBBERY" -> "27-3I").
+//   A code key ending in "*" is a family: "27-3*" covers 27-3, 27-3I, 27-3C, … An exact key always
+//   wins over a family, and the longest family prefix wins over shorter ones.
+// - A hyphenated code no key or family covers falls back to its plain number: "39" covers 39-4 and
+//   39-6 unless they have keys of their own (as the old /^39\b/ rules did).
+// - "Other" always exists and is where unmatched types land; it can be restyled but not removed.
+
+export const TAXONOMY_FORMAT = "abq-incidents-taxonomy";
+export const OTHER_CATEGORY = "Other";
+
+const FALLBACK_COLOR = "#94a3b8";
+const FALLBACK_ICON = "bi-question-circle";
+
+// UNM PD call codes (e.g. "31", "39-1", "27-6C"), grouped into the dashboard's big categories.
+const DEFAULT_CATEGORIES = [
+  { name: "Violent Crime",              color: "#dd1616", icon: "bi-shield-exclamation" },
+  { name: "Property Crime",             color: "#f59e0b", icon: "bi-house-lock" },
+  { name: "Suspicious & Investigation", color: "#2a9d8f", icon: "bi-eye" },
+  { name: "Disorder / Nuisance",        color: "#a855f7", icon: "bi-megaphone" },
+  { name: "Traffic & Road Safety",      color: "#eab308", icon: "bi-car-front" },
+  { name: "Medical & Welfare",          color: "#0ea5e9", icon: "bi-heart-pulse" },
+  { name: "Fire & Life Safety",         color: "#f97316", icon: "bi-fire" },
+  { name: "Alarms & Security",          color: "#14b8a6", icon: "bi-bell" },
+  { name: "Missing / Wanted",           color: "#2e3d94", icon: "bi-search" },
+  { name: "Admin / Officer Activity",   color: "#6d5238", icon: "bi-clipboard-check" },
+  { name: "Animal",                     color: "#da0edd", icon: "bi-bug" },
+  { name: OTHER_CATEGORY,               color: FALLBACK_COLOR, icon: FALLBACK_ICON },
+];
+
+const DEFAULT_CODES = {
+  // ----- Violent Crime -----
+  "27-1": "Violent Crime",                 // HOMICIDE
+  "27-4": "Violent Crime",                 // AGGR ASSAULT/BAT
+  "27-8": "Violent Crime",                 // SHOOTING
+  "27-9": "Violent Crime",                 // STABBING
+  "39-3": "Violent Crime",                 // SHOTS FIRED
+  "27-3*": "Violent Crime",                // ROBBERY + 27-3I/27-3C/27-3R/27-3A variants
+  "65": "Violent Crime",                   // KID/ABDUCT/HOSTA
+  // ----- Property Crime -----
+  "27-0": "Property Crime",                // FORGERY/CC/CHECK
+  "27-5*": "Property Crime",               // BURGLARY + variants
+  "27-6*": "Property Crime",               // THEFT/FRAUD/EMBE + variants
+  "27-7*": "Property Crime",               // AUTO THEFT + variants
+  "7S": "Property Crime",                  // ONSITE AUTO THEFT
+  "37": "Property Crime",                  // SHOPLIFTING
+  "38": "Property Crime",                  // VANDALISM
+  "38M": "Property Crime",                 // VANDALISM
+  // ----- Suspicious & Investigation -----
+  "31S": "Suspicious & Investigation",     // ONSITE SUSPICIOUS
+  "31D": "Suspicious & Investigation",     // SUSP/INTOX PERS
+  "31": "Suspicious & Investigation",      // SUSP PERS/VEHS
+  "35": "Suspicious & Investigation",      // PROWLER
+  // ----- Disorder / Nuisance -----
+  "39-1": "Disorder / Nuisance",           // LOUD MUSIC
+  "39-2": "Disorder / Nuisance",           // LOUD PARTY
+  "39-5": "Disorder / Nuisance",           // PANHANDLERS
+  "39S": "Disorder / Nuisance",            // ONSITE DISTURBAN
+  "39": "Disorder / Nuisance",             // DISTURBANCE
+  "41": "Disorder / Nuisance",             // NEIGHBOR TROUBLE
+  "80": "Disorder / Nuisance",             // DEMONSTRATION
+  "32": "Disorder / Nuisance",             // FIGHT INPROGRESS
+  "57": "Disorder / Nuisance",             // NARCOTICS
+  // ----- Missing / Wanted -----
+  "28": "Missing / Wanted",                // MISSING PERSON
+  "29": "Missing / Wanted",                // WANTED PERSON
+  // ----- Medical & Welfare -----
+  "43": "Medical & Welfare",               // RESCUE CALL
+  "55": "Medical & Welfare",               // AMBULANCE CALL
+  // ----- Fire & Life Safety -----
+  "33": "Fire & Life Safety",              // FIRE CALL
+  // ----- Admin / Officer Activity -----
+  "14": "Admin / Officer Activity",        // ESCORT
+  "16": "Admin / Officer Activity",        // PRISONER PU/INCU
+  "SS": "Admin / Officer Activity",        // SUBJECT STOP
+  // ----- Animal -----
+  "11": "Animal",                          // ANIMAL CALL
+};
+
+export function defaultTaxonomy() {
+  return {
+    format: TAXONOMY_FORMAT,
+    version: 1,
+    categories: DEFAULT_CATEGORIES.map((c) => ({ ...c })),
+    codes: { ...DEFAULT_CODES },
+  };
+}
+
+// ------------------ Call codes ------------------
+
+export function normalizeTypeString(type) {
+  return (type ?? "")
+    .toString()
+    .replace(/^\s*ONSITE\s+/i, "")   // treat "Onsite" as context, not taxonomy
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function extractCallCode(typeStr) {
+  const s = (typeStr || "").trim().toUpperCase();
+  if (!s) return null;
+
+  // 1) Hyphenated codes FIRST (e.g., 27-4, 27-3I, 27-5A, 39-1, 27-7W)
+  let m = /^(\d{1,2}-\d{1,2}[A-Z0-9]*)\b/.exec(s);
+  if (m) return m[1];
+
+  // 2) Letter-suffix numeric codes (e.g., 31S, 31D, 39S, 7S)
+  m = /^(\d{1,2}[A-Z])\b/.exec(s);
+  if (m) return m[1];
+
+  // 3) Plain numeric codes (e.g., 31, 39, 55, 43, 33, 65, 80)
+  m = /^(\d{1,2})\b/.exec(s);
+  if (m) return m[1];
+
+  // 4) Pure alpha codes (e.g., SS)
+  m = /^([A-Z]{2,3})\b/.exec(s);
+  if (m) return m[1];
+
+  return null;
+}
+
+// "27-3*" matches 27-3 and 27-3 followed by letters/digits (same as the old /^27-3[A-Z0-9]*\b/ rules).
+function familyMatches(familyPrefix, code) {
+  return code.startsWith(familyPrefix) && /^[A-Z0-9]*$/.test(code.slice(familyPrefix.length));
+}
+
+// ------------------ Validation ------------------
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const ICON_CLASS = /^bi-[a-z0-9-]+$/;
+
+/**
+ * Validate a taxonomy read from JSON (import or localStorage) and return a clean copy.
+ * Codes pointing at unknown categories are an error rather than silently falling back to "Other",
+ * so a typo in a hand-edited file is reported.
+ * @param {any} raw
+ * @returns {{format:string, version:number, categories:Array<{name:string,color:string,icon:string}>, codes:Object<string,string>}}
+ */
+export function parseTaxonomy(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("Taxonomy must be a JSON object.");
+  if (raw.format != null && raw.format !== TAXONOMY_FORMAT) {
+    throw new Error(`Not a taxonomy file (format "${raw.format}").`);
+  }
+  if (!Array.isArray(raw.categories)) throw new Error("Taxonomy has no \"categories\" list.");
+
+  const categories = [];
+  const names = new Set();
+  for (const c of raw.categories) {
+    const name = String(c?.name ?? "").trim();
+    if (!name) throw new Error("Every category needs a name.");
+    if (names.has(name)) throw new Error(`Category "${name}" is listed twice.`);
+    names.add(name);
+    categories.push({
+      name,
+      color: HEX_COLOR.test(c.color) ? c.color.toLowerCase() : FALLBACK_COLOR,
+      icon: ICON_CLASS.test(c.icon) ? c.icon : FALLBACK_ICON,
+    });
+  }
+  if (!names.has(OTHER_CATEGORY)) {
+    categories.push({ name: OTHER_CATEGORY, color: FALLBACK_COLOR, icon: FALLBACK_ICON });
+  }
+
+  const codes = {};
+  for (const [key, cat] of Object.entries(raw.codes || {})) {
+    const code = String(key).trim().toUpperCase();
+    if (!code) continue;
+    if (!names.has(cat) && cat !== OTHER_CATEGORY) {
+      throw new Error(`Code ${code} points at unknown category "${cat}".`);
+    }
+    codes[code] = cat;
+  }
+
+  return { format: TAXONOMY_FORMAT, version: 1, categories, codes };
+}
+
+// ------------------ Taxonomy ------------------
+
+/**
+ * Factory for the live taxonomy. Lookups are memoized per type string; every edit clears the memo
+ * and bumps `revision`, which the app uses to know that point categories must be recomputed.
+ *
+ * @param {Object} [initial] - a taxonomy object (already validated); defaults to defaultTaxonomy()
+ * @returns {Object} taxonomy API
+ */
+export function createTaxonomy(initial = defaultTaxonomy()) {
+  let categories = [];        // [{ name, color, icon }]
+  let byName = new Map();     // name -> category
+  let exactCodes = new Map(); // code -> category name
+  let families = [];          // [{ prefix, key, category }] longest prefix first
+  let memo = new Map();       // type string -> category name
+  let revision = 0;
+
+  function load(tax) {
+    categories = tax.categories.map((c) => ({ ...c }));
+    if (!categories.some((c) => c.name === OTHER_CATEGORY)) {
+      categories.push({ name: OTHER_CATEGORY, color: FALLBACK_COLOR, icon: FALLBACK_ICON });
+    }
+    exactCodes = new Map();
+    families = [];
+    for (const [code, cat] of Object.entries(tax.codes || {})) setCode(code, cat);
+    reindex();
+  }
+
+  function setCode(code, cat) {
+    if (code.endsWith("*")) {
+      families = families.filter((f) => f.key !== code);
+      if (cat != null) families.push({ prefix: code.slice(0, -1), key: code, category: cat });
+      families.sort((a, b) => b.prefix.length - a.prefix.length);
+    } else if (cat == null) {
+      exactCodes.delete(code);
+    } else {
+      exactCodes.set(code, cat);
+    }
+  }
+
+  function reindex() {
+    byName = new Map(categories.map((c) => [c.name, c]));
+    memo = new Map();
+    revision++;
+  }
+
+  // Which mapping entry decides a code: { category, key } where key is the code, a family ("27-3*")
+  // or the plain number of a hyphenated code ("39" for 39-4), or null when nothing matches (the type
+  // falls under "Other").
+  function ruleForCode(code) {
+    if (!code) return null;
+    const exact = exactCodes.get(code);
+    if (exact != null) return { category: exact, key: code };
+    for (const f of families) {
+      if (familyMatches(f.prefix, code)) return { category: f.category, key: f.key };
+    }
+    const dash = code.indexOf("-");
+    if (dash > 0) {
+      const parent = code.slice(0, dash);
+      const cat = exactCodes.get(parent);
+      if (cat != null) return { category: cat, key: parent };
+    }
+    return null;
+  }
+
+  function categoryForType(type) {
+    const key = type ?? "";
+    let cat = memo.get(key);
+    if (cat !== undefined) return cat;
+
+    const rule = ruleForCode(extractCallCode(normalizeTypeString(type)));
+    cat = rule && byName.has(rule.category) ? rule.category : OTHER_CATEGORY;
+    memo.set(key, cat);
+    return cat;
+  }
+
+  function colorForCategory(cat) {
+    return (byName.get(cat) || byName.get(OTHER_CATEGORY)).color;
+  }
+
+  function iconClassForCategory(cat) {
+    return (byName.get(cat) || byName.get(OTHER_CATEGORY)).icon;
+  }
+
+  // ------------------ Edits ------------------
+
+  // Map one exact code to a category; null removes the exact entry (a family or "Other" applies again).
+  function assignCode(code, cat) {
+    if (cat != null && !byName.has(cat)) throw new Error(`Unknown category "${cat}".`);
+    setCode(String(code).toUpperCase(), cat);
+    reindex();
+  }
+
+  function addCategory({ name, color = FALLBACK_COLOR, icon = "bi-tag" }) {
+    const n = String(name || "").trim();
+    if (!n) throw new Error("Category name is empty.");
+    if (byName.has(n)) throw new Error(`Category "${n}" already exists.`);
+    const otherAt = categories.findIndex((c) => c.name === OTHER_CATEGORY);
+    categories.splice(otherAt, 0, { name: n, color, icon }); // new categories go just before "Other"
+    reindex();
+  }
+
+  function updateCategory(name, { name: newName, color, icon } = {}) {
+    const c = byName.get(name);
+    if (!c) throw new Error(`Unknown category "${name}".`);
+    if (color != null) {
+      if (!HEX_COLOR.test(color)) throw new Error(`"${color}" is not a #rrggbb color.`);
+      c.color = color.toLowerCase();
+    }
+    if (icon != null) {
+      if (!ICON_CLASS.test(icon)) throw new Error(`"${icon}" is not a Bootstrap icon class (bi-…).`);
+      c.icon = icon;
+    }
+    if (newName != null && newName.trim() !== name) {
+      const n = newName.trim();
+      if (name === OTHER_CATEGORY) throw new Error(`"${OTHER_CATEGORY}" can't be renamed.`);
+      if (!n) throw new Error("Category name is empty.");
+      if (byName.has(n)) throw new Error(`Category "${n}" already exists.`);
+      c.name = n;
+      for (const [code, cat] of exactCodes) if (cat === name) exactCodes.set(code, n);
+      for (const f of families) if (f.category === name) f.category = n;
+    }
+    reindex();
+  }
+
+  // Remove a category; its codes are dropped, so their types fall back to "Other".
+  function removeCategory(name) {
+    if (name === OTHER_CATEGORY) throw new Error(`"${OTHER_CATEGORY}" can't be removed.`);
+    categories = categories.filter((c) => c.name !== name);
+    for (const [code, cat] of Array.from(exactCodes)) if (cat === name) exactCodes.delete(code);
+    families = families.filter((f) => f.category !== name);
+    reindex();
+  }
+
+  function toJSON() {
+    const codes = {};
+    for (const f of families) codes[f.key] = f.category;
+    for (const [code, cat] of exactCodes) codes[code] = cat;
+    return {
+      format: TAXONOMY_FORMAT,
+      version: 1,
+      categories: categories.map((c) => ({ ...c })),
+      codes,
+    };
+  }
+
+  load(initial);
+
+  return {
+    categoryForType,
+    colorForCategory,
+    iconClassForCategory,
+    ruleForCode,
+
+    categories: () => categories.map((c) => ({ ...c })),
+    categoryNames: () => categories.map((c) => c.name),
+
+    assignCode,
+    addCategory,
+    updateCategory,
+    removeCategory,
+    load,
+    toJSON,
+
+    get revision() { return revision; },
+  };
+}
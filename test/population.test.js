@@ -0,0 +1,40 @@
+// test/population.test.js
+// parseCensusPopulation on the layouts the Census Bureau hands out ACS table B01003 by ZCTA in.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseCensusPopulation } from "../population.js";
+
+const EXPECTED = new Map([["87102", 15001], ["87104", 11222]]);
+
+test("data.census.gov CSV, one row per ZCTA (label row skipped)", () => {
+  const csv = [
+    '"GEO_ID","NAME","B01003_001E","B01003_001M",',
+    '"Geography","Geographic Area Name","Estimate!!Total","Margin of Error!!Total",',
+    '"860Z200US87102","ZCTA5 87102","15001","900",',
+    '"860Z200US87104","ZCTA5 87104","11,222","800",',
+  ].join("\r\n");
+  assert.deepEqual(parseCensusPopulation(csv), EXPECTED);
+});
+
+test("data.census.gov table CSV, one column per ZCTA", () => {
+  const csv = [
+    '"Label (Grouping)","ZCTA5 87102!!Estimate","ZCTA5 87102!!Margin of Error","ZCTA5 87104!!Estimate","ZCTA5 87104!!Margin of Error"',
+    '"Total","15,001","±900","11,222","±800"',
+  ].join("\n");
+  assert.deepEqual(parseCensusPopulation(csv), EXPECTED);
+});
+
+test("Census API JSON", () => {
+  const json = JSON.stringify([
+    ["NAME", "B01003_001E", "zip code tabulation area"],
+    ["ZCTA5 87102", "15001", "87102"],
+    ["ZCTA5 87104", "11222", "87104"],
+  ]);
+  assert.deepEqual(parseCensusPopulation(json), EXPECTED);
+});
+
+test("text without ZCTA figures is rejected", () => {
+  assert.throws(() => parseCensusPopulation("zip,residents\n87102,15001\n"), /No ZCTA population figures/);
+});
@@ -0,0 +1,88 @@
+// test/query-core.test.js
+// Hour and day buckets of runQuery across the 2024 US DST changes in America/Denver: one point per
+// real hour of the day, so a 23-hour day has no hour 2 and a 25-hour day counts hour 1 twice (once
+// in daylight time, once in standard time). Instants are literal UTC, independent of the process TZ.
+// Also: region filters with multi-polygon shapes.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildColumns, runQuery } from "../query-core.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// One point at the top of every UTC hour in [start, end).
+function hourlyPoints(start, end) {
+  const points = [];
+  for (let t = start; t < end; t += HOUR_MS) {
+    points.push({ ts: t, lat: 35.08, lon: -106.62, type: "31 SUSP PERS/VEHS", category: "Suspicious & Investigation", addr: "" });
+  }
+  return points;
+}
+
+function runDay(start, end) {
+  return runQuery(buildColumns(hourlyPoints(start, end)), {
+    minTime: start,
+    maxTime: end - 1,
+    timeZone: "America/Denver",
+    timeline: { grouping: "day", aggregate: true },
+  });
+}
+
+test("spring-forward day: 23 hourly buckets, hour 2 empty", () => {
+  // 2024-03-10 00:00 MST (07:00Z) to 2024-03-11 00:00 MDT (06:00Z).
+  const r = runDay(Date.UTC(2024, 2, 10, 7), Date.UTC(2024, 2, 11, 6));
+  assert.deepEqual(r.timeline, { keys: ["2024-03-10"], aggregate: [23] });
+  assert.equal(r.hourTotals[2], 0);
+  assert.deepEqual(r.hourTotals, Array.from({ length: 24 }, (_, h) => (h === 2 ? 0 : 1)));
+  assert.equal(r.dowTotals[0], 23); // a Sunday
+});
+
+test("fall-back day: 25 hourly buckets, hour 1 counted twice", () => {
+  // 2024-11-03 00:00 MDT (06:00Z) to 2024-11-04 00:00 MST (07:00Z).
+  const r = runDay(Date.UTC(2024, 10, 3, 6), Date.UTC(2024, 10, 4, 7));
+  assert.deepEqual(r.timeline, { keys: ["2024-11-03"], aggregate: [25] });
+  assert.equal(r.hourTotals[1], 2);
+  assert.deepEqual(r.hourTotals, Array.from({ length: 24 }, (_, h) => (h === 1 ? 2 : 1)));
+  assert.equal(r.dowTotals[0], 25);
+});
+
+test("points on either side of a DST day land on the right days", () => {
+  const r = runDay(Date.UTC(2024, 2, 9, 7), Date.UTC(2024, 2, 12, 6));
+  assert.deepEqual(r.timeline, { keys: ["2024-03-09", "2024-03-10", "2024-03-11"], aggregate: [24, 23, 24] });
+});
+
+test("an hour filter on 1 keeps both occurrences of the repeated fall-back hour", () => {
+  const start = Date.UTC(2024, 10, 3, 6);
+  const end = Date.UTC(2024, 10, 4, 7);
+  const r = runQuery(buildColumns(hourlyPoints(start, end)), {
+    minTime: start,
+    maxTime: end - 1,
+    timeZone: "America/Denver",
+    hours: [1],
+    timeline: { grouping: "day", aggregate: true },
+  });
+  assert.equal(r.kpi.total, 2);
+  assert.deepEqual(Array.from(r.filteredIdx), [1, 2]);
+});
+
+test("a multi-polygon region keeps points inside any of its parts", () => {
+  const t = Date.UTC(2024, 5, 1, 18);
+  const at = (lat, lon) => ({ ts: t, lat, lon, type: "31 SUSP PERS/VEHS", category: "Suspicious & Investigation", addr: "" });
+  // Two unit squares a degree apart; the first has a hole in the middle.
+  const square = (lon, lat) => [[lon, lat], [lon + 1, lat], [lon + 1, lat + 1], [lon, lat + 1]];
+  const hole = [[-106.6, 35.4], [-106.4, 35.4], [-106.4, 35.6], [-106.6, 35.6]];
+  const region = {
+    hasInclude: true,
+    shapes: [{
+      exclude: false,
+      bounds: { minLat: 35, minLon: -107, maxLat: 36, maxLon: -104 },
+      polygons: [[square(-107, 35), hole], [square(-105, 35)]],
+      circle: null,
+    }],
+  };
+  // First part, its hole, the gap between the parts, second part.
+  const points = [at(35.2, -106.8), at(35.5, -106.5), at(35.5, -105.5), at(35.5, -104.5)];
+  const r = runQuery(buildColumns(points), { minTime: t, maxTime: t, timeZone: "America/Denver", region });
+  assert.deepEqual(Array.from(r.filteredIdx), [0, 3]);
+});
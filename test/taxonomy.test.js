@@ -0,0 +1,60 @@
+// test/taxonomy.test.js
+// The default taxonomy must categorize call types the way the hard-coded rules it replaced did
+// (CODE_CATEGORY_RULES in the old app.js, copied below: first matching category wins).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createTaxonomy, extractCallCode, normalizeTypeString } from "../taxonomy.js";
+
+const LEGACY_RULES = [
+  ["Violent Crime", [/^27-1\b/, /^27-4\b/, /^27-8\b/, /^27-9\b/, /^39-3\b/, /^27-3[A-Z0-9]*\b/, /^65\b/]],
+  ["Property Crime", [/^27-0\b/, /^27-5[A-Z0-9]*\b/, /^27-6[A-Z0-9]*\b/, /^27-7[A-Z0-9]*\b/, /^7S\b/, /^37\b/, /^38\b/, /^38M\b/]],
+  ["Suspicious & Investigation", [/^31S\b/, /^31D\b/, /^31\b/, /^35\b/]],
+  ["Disorder / Nuisance", [/^39-1\b/, /^39-2\b/, /^39-5\b/, /^39S\b/, /^39\b/, /^41\b/, /^80\b/, /^32\b/, /^57\b/]],
+  ["Missing / Wanted", [/^28\b/, /^29\b/]],
+  ["Medical & Welfare", [/^43\b/, /^55\b/]],
+  ["Fire & Life Safety", [/^33\b/]],
+  ["Admin / Officer Activity", [/^14\b/, /^16\b/, /^SS\b/]],
+  ["Animal", [/^11\b/]],
+];
+
+function legacyCategory(type) {
+  const code = extractCallCode(normalizeTypeString(type));
+  if (code) {
+    for (const [category, patterns] of LEGACY_RULES) {
+      if (patterns.some((re) => re.test(code))) return category;
+    }
+  }
+  return "Other";
+}
+
+// Every code the old rules name, their variants, hyphenated sub-codes of plain codes, and codes
+// neither should match.
+const CODES = [
+  "27-1", "27-4", "27-8", "27-9", "39-3", "27-3", "27-3I", "27-3C", "27-3R", "27-3A", "65",
+  "27-0", "27-5", "27-5A", "27-5R", "27-5C", "27-6", "27-6M", "27-7", "27-7W", "7S", "37", "38", "38M",
+  "31S", "31D", "31", "35",
+  "39-1", "39-2", "39-5", "39S", "39", "41", "80", "32", "57",
+  "28", "29", "43", "55", "33", "14", "16", "SS", "11",
+  "39-4", "39-6", "31-1", "55-2", "11-3", "33-1", "43-2", "28-1", "29-2", "14-1", "16-2", "41-1",
+  "80-1", "32-1", "57-1", "65-1", "37-1", "38-1", "35-1",
+  "39-3X", "39-1A", "27-2", "27-4A", "27-10", "38X", "31X", "12", "12-1", "XYZ",
+];
+
+test("default taxonomy matches the legacy code rules", () => {
+  const taxonomy = createTaxonomy();
+  for (const code of CODES) {
+    for (const type of [code, `${code} SOME LABEL`, `ONSITE ${code} SOME LABEL`]) {
+      assert.equal(taxonomy.categoryForType(type), legacyCategory(type), type);
+    }
+  }
+});
+
+test("hyphenated sub-codes fall back to their plain number", () => {
+  const taxonomy = createTaxonomy();
+  assert.equal(taxonomy.categoryForType("39-4 DISTURBANCE"), "Disorder / Nuisance");
+  assert.deepEqual(taxonomy.ruleForCode("39-4"), { category: "Disorder / Nuisance", key: "39" });
+  assert.deepEqual(taxonomy.ruleForCode("39-3"), { category: "Violent Crime", key: "39-3" });
+  assert.equal(taxonomy.ruleForCode("27-2"), null);
+});
@@ -0,0 +1,59 @@
+// test/tz.test.js
+// Calendar math across the 2024 US DST changes in America/Denver. Every expected value is a literal
+// UTC instant, so the results don't depend on the zone the tests run in (try TZ=Asia/Tokyo).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { getTimeZone } from "../tz.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const denver = getTimeZone("America/Denver");
+
+test("fromLocal: ordinary times use the offset in effect", () => {
+  assert.equal(denver.fromLocal(2024, 1, 15, 9, 30), Date.UTC(2024, 0, 15, 16, 30)); // MST, UTC−7
+  assert.equal(denver.fromLocal(2024, 7, 15, 9, 30), Date.UTC(2024, 6, 15, 15, 30)); // MDT, UTC−6
+});
+
+test("fromLocal: a time in the spring-forward gap moves forward by the gap", () => {
+  // 2024-03-10 02:00 MST jumps to 03:00 MDT; 02:30 doesn't exist and becomes 03:30 MDT.
+  assert.equal(denver.fromLocal(2024, 3, 10, 2, 30), Date.UTC(2024, 2, 10, 9, 30));
+  assert.equal(denver.fromLocal(2024, 3, 10, 3, 30), Date.UTC(2024, 2, 10, 9, 30));
+  assert.equal(denver.fromLocal(2024, 3, 10, 1, 30), Date.UTC(2024, 2, 10, 8, 30));
+});
+
+test("fromLocal: an ambiguous fall-back time takes the first (daylight) occurrence", () => {
+  // 2024-11-03 01:30 happens at 07:30Z (MDT) and again at 08:30Z (MST).
+  assert.equal(denver.fromLocal(2024, 11, 3, 1, 30), Date.UTC(2024, 10, 3, 7, 30));
+  assert.equal(denver.fromLocal(2024, 11, 3, 2, 30), Date.UTC(2024, 10, 3, 9, 30));
+});
+
+test("startOfDay: local midnight on and around the DST days", () => {
+  assert.equal(denver.startOfDay(Date.UTC(2024, 2, 10, 12)), Date.UTC(2024, 2, 10, 7));   // MST midnight
+  assert.equal(denver.startOfDay(Date.UTC(2024, 2, 11, 12)), Date.UTC(2024, 2, 11, 6));   // MDT midnight
+  assert.equal(denver.startOfDay(Date.UTC(2024, 10, 3, 12)), Date.UTC(2024, 10, 3, 6));   // MDT midnight
+  assert.equal(denver.startOfDay(Date.UTC(2024, 10, 4, 12)), Date.UTC(2024, 10, 4, 7));   // MST midnight
+  // Just before midnight still belongs to the previous day.
+  assert.equal(denver.startOfDay(Date.UTC(2024, 10, 4, 6, 59)), Date.UTC(2024, 10, 3, 6));
+});
+
+test("nextDay: the spring-forward day has 23 hours, the fall-back day 25", () => {
+  const spring = denver.startOfDay(Date.UTC(2024, 2, 10, 12));
+  assert.equal(denver.nextDay(spring), Date.UTC(2024, 2, 11, 6));
+  assert.equal(denver.nextDay(spring) - spring, 23 * HOUR_MS);
+
+  const fall = denver.startOfDay(Date.UTC(2024, 10, 3, 12));
+  assert.equal(denver.nextDay(fall), Date.UTC(2024, 10, 4, 7));
+  assert.equal(denver.nextDay(fall) - fall, 25 * HOUR_MS);
+
+  const plain = denver.startOfDay(Date.UTC(2024, 5, 1, 12));
+  assert.equal(denver.nextDay(plain) - plain, 24 * HOUR_MS);
+});
+
+test("parts: hours of the DST days", () => {
+  assert.equal(denver.parts(Date.UTC(2024, 2, 10, 8, 59)).hour, 1);  // 01:59 MST
+  assert.equal(denver.parts(Date.UTC(2024, 2, 10, 9)).hour, 3);      // 03:00 MDT, no hour 2
+  assert.equal(denver.parts(Date.UTC(2024, 10, 3, 7)).hour, 1);      // 01:00 MDT
+  assert.equal(denver.parts(Date.UTC(2024, 10, 3, 8)).hour, 1);      // 01:00 MST, again
+  assert.equal(denver.parts(Date.UTC(2024, 10, 3, 9)).hour, 2);
+});
@@ -2,8 +2,11 @@
 // Owns: legend (category mode vs all types), charts (timeline/dow/hour), KPIs, and DOW/hour filter state.
 //
 // Data model assumptions:
-// - "points" are objects with at least: { ts: <ms epoch>, type: <string>, category: <string> }
+// - The controller never scans points itself. The app runs the pipeline (query-core.js, usually in
+//   the query worker) and hands us aggregates: legend slice counts, timeline buckets, DOW/hour totals
+//   and KPI figures. In return we describe our filter state via `filterSpec()`.
 // - categoryForType(type) must be stable (same input => same output) for legend/type mapping.
+// - Calendar math (DOW/hour averages) uses the injected `zone` (tz.js), the app's analysis time zone.
 //
 // External deps:
 // - Chart.js must be globally available as `Chart` (or imported elsewhere in the app bundle).
@@ -12,10 +15,77 @@
 // - Legend has two modes:
 //   * Category mode: shows top N categories + "Other" bucket (computed per current time slice).
 //   * All-types mode: shows all call types, grouped under their category.
-// - Selections are stored as Sets. Changing selections invalidates the ZIP cache and triggers an app redraw
+// - Selections are stored as Sets. Changing selections invalidates the area-count cache and triggers an app redraw
 //   via `onFiltersChanged`.
+// - With a period comparison (comparison.js) the app passes the baseline window's KPI figures along
+//   and the cards show the change next to each figure.
 //
 
+import { changeValue, formatChange } from "./comparison.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DOW_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Preset chips above the DOW/hour charts. Hour sets are hour-of-day buckets: 22:00–04:00 is 22..3.
+const DOW_PRESETS = [
+  { label: "Weekdays", values: [1, 2, 3, 4, 5] },
+  { label: "Weekend", values: [6, 0] },
+  { label: "Fri+Sat", values: [5, 6] },
+];
+const HOUR_PRESETS = [
+  { label: "Overnight 22–04", values: [22, 23, 0, 1, 2, 3] },
+  { label: "Business 08–17", values: [8, 9, 10, 11, 12, 13, 14, 15, 16] },
+  { label: "Evening 17–22", values: [17, 18, 19, 20, 21] },
+];
+
+// Values from `from` forward to `to` on a cycle of `size` (weekdays, hours), wrapping past the end:
+// cyclicRange(22, 3, 24) -> 22, 23, 0, 1, 2, 3.
+function cyclicRange(from, to, size) {
+  const out = [];
+  for (let v = from; ; v = (v + 1) % size) {
+    out.push(v);
+    if (v === to) return out;
+  }
+}
+
+// A set of cyclic values as runs, e.g. {22,23,0,1} on 24 -> [[22, 1]]. A run may wrap past the end.
+function cyclicRuns(set, size) {
+  if (!set.size) return [];
+  if (set.size === size) return [[0, size - 1]];
+  // Start scanning just after a gap so a wrapping run comes out whole.
+  let start = 0;
+  while (set.has(start)) start++;
+  const runs = [];
+  let run = null;
+  for (let k = 1; k <= size; k++) {
+    const v = (start + k) % size;
+    if (!set.has(v)) {
+      run = null;
+      continue;
+    }
+    if (run) run[1] = v;
+    else runs.push((run = [v, v]));
+  }
+  return runs.sort((a, b) => a[0] - b[0]);
+}
+
+function describeDows(set) {
+  if (set.size === 7) return "every day";
+  return cyclicRuns(set, 7)
+    .map(([a, b]) => (a === b ? DOW_LABELS[a] : `${DOW_LABELS[a]}–${DOW_LABELS[b]}`))
+    .join(", ");
+}
+
+// Runs of hour buckets as clock ranges: [22, 3] -> "22:00–04:00" (the end is exclusive).
+function describeHours(set) {
+  if (set.size === 24) return "all day";
+  const hh = (h) => `${String(h).padStart(2, "0")}:00`;
+  return cyclicRuns(set, 24)
+    .map(([a, b]) => (a === b ? hh(a) : `${hh(a)}–${hh((b + 1) % 24)}`))
+    .join(", ");
+}
+
 /**
  * Factory for the "Trends" UI controller.
  *
@@ -39,8 +109,11 @@ export function createTrendsController({
   hourFilterChip,
   dowClearBtn,
   hourClearBtn,
+  dowPresetsEl,
+  hourPresetsEl,
   kpiTotalEl,
   kpiRangeEl,
+  kpiChangeEl,
   kpiTopTypeEl,
   kpiTopTypeSubEl,
   kpiPeakEl,
@@ -49,7 +122,7 @@ export function createTrendsController({
   kpiFiltersSubEl,
   formatRange,
   formatDate,
-  DAY_MS,
+  zone,
   categoryForType,
   colorForCategory,
   iconClassForCategory,
@@ -58,8 +131,11 @@ export function createTrendsController({
   // ------------------ Controller state ------------------
   // Filters
   let didInitLegendSelection = false;
-  let selectedDOW = null;   // 0..6
-  let selectedHour = null;  // 0..23
+  // Empty set = no filter. Anchors are the last plainly clicked bar, where a shift-click range starts.
+  let selectedDOWs = new Set();   // 0..6 (Sun..Sat)
+  let selectedHours = new Set();  // 0..23
+  let dowAnchor = null;
+  let hourAnchor = null;
 
   // Types / legend
   // Note: In category mode, activeCategorySet stores *legend keys* (top categories + 'Other').
@@ -69,7 +145,6 @@ export function createTrendsController({
   let visibleTypes = [];
   let activeCategorySet = new Set();
   let activeTypeSet = new Set();
-  let topCategorySet = new Set();
   let didInitTypeSelection = false;
 
   // Chart.js instances
@@ -81,43 +156,29 @@ export function createTrendsController({
   // Hook for app redraw
   let onFiltersChanged = null;
 
-  // ZIP cache invalidation hook
-  // Some downstream parts of the app build expensive, derived structures (e.g. a ZIP cache key)
+  // Area-count cache invalidation hook
+  // Some downstream parts of the app build expensive, derived structures (e.g. the choropleth cache key)
   // based on current filters. When any filter changes, we call this hook to force a rebuild.
-  let invalidateZipCacheHook = null;
-  function invalidateZipCache() {
-    if (typeof invalidateZipCacheHook === "function") invalidateZipCacheHook();
+  let invalidateAreaCacheHook = null;
+  function invalidateAreaCache() {
+    if (typeof invalidateAreaCacheHook === "function") invalidateAreaCacheHook();
   }
 
   // ------------------ Legend utilities ------------------
-  // Map a point's category to a legend key. Categories outside the current top-N collapse into 'Other'.
-  // This ensures the legend stays compact while still allowing aggregate visibility.
-  function effectiveCategoryKey(p) {
-    if (topCategorySet.has(p.category)) return p.category;
-    return "Other";
-  }
-
-  // Predicate used by upstream filtering logic: does this point pass the current legend selection?
-  function legendAllowsPoint(p) {
-    if (showAllTypes) return activeTypeSet.has(p.type);
-    return activeCategorySet.has(effectiveCategoryKey(p));
-  }
-
-  // Utility: count occurrences of keyFn(point) across a list.
-  function countBy(points, keyFn) {
-    const m = new Map();
-    for (const p of points) {
-      const k = keyFn(p);
-      m.set(k, (m.get(k) || 0) + 1);
-    }
-    return m;
-  }
-
-  function topNFromCounts(counts, n) {
-    return Array.from(counts.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, n)
-      .map(([k]) => k);
+  // Legend selection as consumed by the query pipeline (query-core.js runQuery `spec.legend`).
+  // Until the first legend render has initialized a selection we ask for "all", so the very first
+  // query isn't filtered down to nothing.
+  function legendSpec() {
+    // (Mirrors the init rules in renderLegendCategoryMode / renderLegendAllTypesMode.)
+    const uninitialized = showAllTypes
+      ? !didInitTypeSelection && activeTypeSet.size === 0
+      : !didInitLegendSelection;
+    return {
+      showAllTypes,
+      all: uninitialized,
+      activeCategories: Array.from(activeCategorySet),
+      activeTypes: Array.from(activeTypeSet),
+    };
   }
 
   // Keep active selections valid as the visible legend entries change.
@@ -149,18 +210,33 @@ export function createTrendsController({
     if (typeof onFiltersChanged === "function") onFiltersChanged();
   }
 
+  // The category universe changed (taxonomy edit): forget the category selection so the next
+  // category-mode render selects every visible category again.
+  function resetCategorySelection() {
+    didInitLegendSelection = false;
+    activeCategorySet = new Set();
+  }
+
+  // The dataset changed (another data source, or the first load): forget both selections so the next
+  // render, in either mode, selects everything visible. Doesn't fire onFiltersChanged; the caller redraws.
+  function clearLegendSelection() {
+    didInitLegendSelection = false;
+    didInitTypeSelection = false;
+    activeCategorySet = new Set();
+    activeTypeSet = new Set();
+  }
+
   // Cmd/Ctrl click is treated as a 'solo' action: select only this item/group.
   function isModClick(e) {
     return !!(e && (e.metaKey || e.ctrlKey));
   }
 
-  // Build legend UI for category mode based on points currently in view.
-  // We compute top categories by count (default top 10) and bucket the rest into 'Other'.
-  function renderLegendCategoryMode(pointsInSlice) {
-    const total = pointsInSlice.length;
-    const counts = countBy(pointsInSlice, (p) => p.category);
-    const top = new Set(topNFromCounts(counts, 10));
-    topCategorySet = top;
+  // Build legend UI for category mode from the slice counts.
+  // The pipeline picks the top categories by count (top 10); we bucket the rest into 'Other'.
+  function renderLegendCategoryMode(legendSlice) {
+    const total = legendSlice.total;
+    const counts = legendSlice.categoryCounts;
+    const top = new Set(legendSlice.topCategories);
 
     const countsForLegend = new Map();
     let other = 0;
@@ -216,7 +292,7 @@ export function createTrendsController({
           else activeCategorySet.add(cat);
         }
         cb.checked = activeCategorySet.has(cat);
-        invalidateZipCache();
+        invalidateAreaCache();
         if (typeof onFiltersChanged === "function") onFiltersChanged();
       });
 
@@ -228,7 +304,7 @@ export function createTrendsController({
           if (cb.checked) activeCategorySet.add(cat);
           else activeCategorySet.delete(cat);
         }
-        invalidateZipCache();
+        invalidateAreaCache();
         if (typeof onFiltersChanged === "function") onFiltersChanged();
       });
 
@@ -238,9 +314,9 @@ export function createTrendsController({
 
   // Build legend UI for all-types mode.
   // Types are grouped under their category header and can be toggled individually.
-  function renderLegendAllTypesMode(pointsInSlice) {
-    const total = pointsInSlice.length;
-    const countsByType = countBy(pointsInSlice, (p) => p.type);
+  function renderLegendAllTypesMode(legendSlice) {
+    const total = legendSlice.total;
+    const countsByType = legendSlice.typeCounts;
     visibleTypes = Array.from(countsByType.keys()).sort(
       (a, b) => (countsByType.get(b) || 0) - (countsByType.get(a) || 0)
     );
@@ -311,7 +387,7 @@ export function createTrendsController({
             else activeTypeSet.delete(t.type);
           }
         }
-        invalidateZipCache();
+        invalidateAreaCache();
         if (typeof onFiltersChanged === "function") onFiltersChanged();
       });
 
@@ -328,7 +404,7 @@ export function createTrendsController({
             else activeTypeSet.delete(t.type);
           }
         }
-        invalidateZipCache();
+        invalidateAreaCache();
         if (typeof onFiltersChanged === "function") onFiltersChanged();
       });
 
@@ -362,7 +438,7 @@ export function createTrendsController({
             else activeTypeSet.add(item.type);
           }
           cb.checked = activeTypeSet.has(item.type);
-          invalidateZipCache();
+          invalidateAreaCache();
           if (typeof onFiltersChanged === "function") onFiltersChanged();
         });
 
@@ -374,7 +450,7 @@ export function createTrendsController({
             if (cb.checked) activeTypeSet.add(item.type);
             else activeTypeSet.delete(item.type);
           }
-          invalidateZipCache();
+          invalidateAreaCache();
           if (typeof onFiltersChanged === "function") onFiltersChanged();
         });
 
@@ -386,11 +462,13 @@ export function createTrendsController({
     }
   }
 
-  function renderLegend(pointsInSlice) {
+  // legendSlice: { total, categoryCounts: Map, typeCounts: Map, topCategories: string[] }
+  // counted over time + region + DOW/hour, ignoring the legend selection itself.
+  function renderLegend(legendSlice) {
     const hint = document.querySelector(".legend-hint");
     if (hint) hint.textContent = showAllTypes ? "All call types (grouped)" : "Top 10 categories (+ Other)";
-    if (showAllTypes) renderLegendAllTypesMode(pointsInSlice);
-    else renderLegendCategoryMode(pointsInSlice);
+    if (showAllTypes) renderLegendAllTypesMode(legendSlice);
+    else renderLegendCategoryMode(legendSlice);
   }
 
   // Whether legend selection currently excludes any visible entries.
@@ -407,40 +485,14 @@ export function createTrendsController({
     try { ch?.destroy?.(); } catch {}
   }
 
-  // Normalize a timestamp into a bucket key based on the selected grouping.
-  // Keys are stable strings used for sorting and label generation.
-  function groupKey(ts, grouping) {
-    const d = new Date(ts);
-    if (grouping === "month") {
-      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
-    }
-    if (grouping === "week") {
-      const day = d.getDay();
-      const diffToMon = (day + 6) % 7;
-      const mon = new Date(d);
-      mon.setDate(d.getDate() - diffToMon);
-      mon.setHours(0, 0, 0, 0);
-      return `Wk ${mon.getFullYear()}-${String(mon.getMonth() + 1).padStart(2, "0")}-${String(mon.getDate()).padStart(2, "0")}`;
-    }
-    const sd = new Date(d);
-    sd.setHours(0, 0, 0, 0);
-    return sd.toISOString().slice(0, 10);
-  }
-
+  // Bucket keys come from query-core.js groupKey(): "YYYY-MM-DD", "Wk YYYY-MM-DD" or "YYYY-MM".
+  // They are already calendar dates in the analysis zone, so format them as UTC dates; the viewer's
+  // own zone must not shift a label by a day.
   function keyLabel(key, grouping) {
-    if (grouping === "month") {
-      const [y, m] = key.split("-");
-      const d = new Date(Number(y), Number(m) - 1, 1);
-      return d.toLocaleDateString(undefined, { year: "numeric", month: "short" });
-    }
-    if (grouping === "week") {
-      const parts = key.split(" ");
-      const iso = parts[1];
-      const d = new Date(iso);
-      return d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
-    }
-    const d = new Date(key);
-    return d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+    const iso = grouping === "week" ? key.split(" ")[1] : grouping === "month" ? `${key}-01` : key;
+    const [y, m, d] = iso.split("-").map(Number);
+    const opts = grouping === "month" ? { year: "numeric", month: "short" } : { month: "short", day: "numeric" };
+    return new Date(Date.UTC(y, m - 1, d)).toLocaleDateString(undefined, { ...opts, timeZone: "UTC" });
   }
 
   function colorForSeriesKey(key) {
@@ -448,37 +500,19 @@ export function createTrendsController({
     return colorForCategory(key);
   }
 
-  // Convert raw points into Chart.js datasets for the timeline.
-  // - aggregate=true: a single series (total incidents)
-  // - aggregate=false: multiple series (top categories/types)
-  function buildTimeline(points, grouping, aggregate) {
-    const buckets = new Map();
-    const seriesKeyOf = (p) => (showAllTypes ? p.type : effectiveCategoryKey(p));
-
-    if (aggregate) {
-      for (const p of points) {
-        const k = groupKey(p.ts, grouping);
-        buckets.set(k, (buckets.get(k) || 0) + 1);
-      }
-    } else {
-      for (const p of points) {
-        const k = groupKey(p.ts, grouping);
-        if (!buckets.has(k)) buckets.set(k, new Map());
-        const m = buckets.get(k);
-        const s = seriesKeyOf(p);
-        m.set(s, (m.get(s) || 0) + 1);
-      }
-    }
-
-    const keys = Array.from(buckets.keys()).sort((a, b) => (a < b ? -1 : 1));
+  // Convert pipeline timeline buckets into Chart.js datasets.
+  // - aggregate: { keys, aggregate } -> a single series (total incidents)
+  // - split:     { keys, series: [{ key, data }] } -> one series per top category/type
+  function buildTimeline(timeline, grouping) {
+    const keys = timeline?.keys || [];
     const labels = keys.map((k) => keyLabel(k, grouping));
 
-    if (aggregate) {
+    if (!timeline?.series) {
       return {
         labels,
         datasets: [{
           label: "Incidents",
-          data: keys.map((k) => buckets.get(k) || 0),
+          data: timeline?.aggregate || [],
           borderColor: "#2a9d8f",
           backgroundColor: "transparent",
           pointBackgroundColor: "#2a9d8f",
@@ -489,19 +523,12 @@ export function createTrendsController({
       };
     }
 
-    const counts = countBy(points, seriesKeyOf);
-    let seriesKeys = Array.from(counts.entries())
-      .sort((a, b) => b[1] - a[1])
-      .map(([k]) => k);
-
-    if (seriesKeys.length > 12) seriesKeys = seriesKeys.slice(0, 12);
-
-    const datasets = seriesKeys.map((s) => ({
-      label: s,
-      data: keys.map((k) => (buckets.get(k)?.get(s) || 0)),
-      borderColor: colorForSeriesKey(s),
+    const datasets = timeline.series.map((s) => ({
+      label: s.key,
+      data: s.data,
+      borderColor: colorForSeriesKey(s.key),
       backgroundColor: "transparent",
-      pointBackgroundColor: colorForSeriesKey(s),
+      pointBackgroundColor: colorForSeriesKey(s.key),
       pointRadius: 0,
       tension: 0.25,
       borderWidth: 2,
@@ -510,10 +537,15 @@ export function createTrendsController({
     return { labels, datasets };
   }
 
-  function renderTimelineChart(points) {
-    const grouping = groupingEl?.value || "day";
-    const aggregate = aggregateEl ? !!aggregateEl.checked : true;
-    const data = buildTimeline(points, grouping, aggregate);
+  function timelineOptions() {
+    return {
+      grouping: groupingEl?.value || "day",
+      aggregate: aggregateEl ? !!aggregateEl.checked : true,
+    };
+  }
+
+  function renderTimelineChart(timeline) {
+    const data = buildTimeline(timeline, timelineOptions().grouping);
 
     destroyChartIfExists(timelineChart);
     timelineChart = new Chart(timelineCanvas.getContext("2d"), {
@@ -531,20 +563,15 @@ export function createTrendsController({
 
   // Day-of-week chart uses *average incidents per day* to avoid bias toward longer ranges.
   // We compute how many times each weekday occurs in the current range, then divide totals by that count.
-  function renderDowChart(pointsForDow, currentMinTime, currentMaxTime) {
+  // `totals` are raw counts per weekday (Sun..Sat) computed with the DOW filter ignored.
+  function renderDowChart(totals, currentMinTime, currentMaxTime) {
     const baseColor = '#2a9d8f';
     const fadedColor = 'rgba(42, 157, 143, 0.2)';
 
-    const totals = new Array(7).fill(0);
-    const dayCounts = new Array(7).fill(0);
-
-    for (let t = startOfDay(currentMinTime); t <= startOfDay(currentMaxTime); t += DAY_MS) {
-      dayCounts[new Date(t).getDay()] += 1;
-    }
-    for (const p of pointsForDow) totals[new Date(p.ts).getDay()] += 1;
+    const dayCounts = calendarOccurrences(currentMinTime, currentMaxTime).dow;
 
     const avg = totals.map((c, i) => (dayCounts[i] ? c / dayCounts[i] : 0));
-    const labels = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+    const labels = DOW_LABELS;
 
     destroyChartIfExists(dowChart);
     dowChart = new Chart(dowCanvas.getContext("2d"), {
@@ -552,10 +579,7 @@ export function createTrendsController({
       data: { labels, datasets: [{ 
         label: "Avg / day", 
         data: avg,
-        backgroundColor: avg.map((_, i) => {
-          if (selectedDOW === null) return baseColor;
-          return i === selectedDOW ? baseColor : fadedColor;
-        }),
+        backgroundColor: avg.map((_, i) => (!selectedDOWs.size || selectedDOWs.has(i) ? baseColor : fadedColor)),
         borderColor: baseColor,
         borderWidth: 1
       }] },
@@ -563,12 +587,10 @@ export function createTrendsController({
         responsive: true,
         maintainAspectRatio: false,
         plugins: { legend: { display: false } },
-        onClick: (_evt, els) => {
+        onClick: (evt, els) => {
           if (!els?.length) return;
-          const idx = els[0].index;
-          selectedDOW = selectedDOW === idx ? null : idx;
-          invalidateZipCache();
-          if (typeof onFiltersChanged === "function") onFiltersChanged();
+          dowAnchor = clickBar(selectedDOWs, dowAnchor, els[0].index, 7, evt.native);
+          miniFiltersChanged();
         },
         scales: { y: { beginAtZero: true } },
       },
@@ -577,19 +599,14 @@ export function createTrendsController({
 
   // Hour-of-day chart also normalizes by number of days in the range.
   // Note: numDays is inclusive of both endpoints after truncating to start-of-day.
-  function renderHourChart(pointsForHour, currentMinTime, currentMaxTime) {
+  // `totals` are raw counts per hour (0..23) computed with the hour filter ignored.
+  function renderHourChart(totals, currentMinTime, currentMaxTime) {
     const baseColor = '#2a9d8f';
     const fadedColor = 'rgba(42, 157, 143, 0.2)';
 
-    const totals = new Array(24).fill(0);
-    const numDays = Math.max(
-      1,
-      Math.round((startOfDay(currentMaxTime) - startOfDay(currentMinTime)) / DAY_MS) + 1
-    );
-
-    for (const p of pointsForHour) totals[new Date(p.ts).getHours()] += 1;
+    const hourCounts = calendarOccurrences(currentMinTime, currentMaxTime).hour;
 
-    const avg = totals.map((c) => c / numDays);
+    const avg = totals.map((c, h) => (hourCounts[h] ? c / hourCounts[h] : 0));
     const labels = Array.from({ length: 24 }, (_, i) => String(i));
 
     destroyChartIfExists(hourChart);
@@ -598,10 +615,7 @@ export function createTrendsController({
       data: { labels, datasets: [{ 
         label: "Avg / day", 
         data: avg,
-        backgroundColor: avg.map((_, i) => {
-          if (selectedHour === null) return baseColor;
-          return i === selectedHour ? baseColor : fadedColor;
-        }),
+        backgroundColor: avg.map((_, i) => (!selectedHours.size || selectedHours.has(i) ? baseColor : fadedColor)),
         borderColor: baseColor,
         borderWidth: 1
        }] },
@@ -609,90 +623,202 @@ export function createTrendsController({
         responsive: true,
         maintainAspectRatio: false,
         plugins: { legend: { display: false } },
-        onClick: (_evt, els) => {
+        onClick: (evt, els) => {
           if (!els?.length) return;
-          const idx = els[0].index;
-          selectedHour = selectedHour === idx ? null : idx;
-          invalidateZipCache();
-          if (typeof onFiltersChanged === "function") onFiltersChanged();
+          hourAnchor = clickBar(selectedHours, hourAnchor, els[0].index, 24, evt.native);
+          miniFiltersChanged();
         },
         scales: { y: { beginAtZero: true } },
       },
     });
   }
 
+  // ------------------ DOW / hour selection ------------------
+  // Bar clicks edit a selection set in place and return the new range anchor:
+  // - click toggles one bar (and becomes the anchor)
+  // - shift+click adds every bar from the anchor forward to this one, wrapping (Fri..Mon, 22..3)
+  // - Cmd/Ctrl+click selects only this bar
+  function clickBar(set, anchor, idx, size, e) {
+    if (e?.shiftKey && anchor != null) {
+      for (const v of cyclicRange(anchor, idx, size)) set.add(v);
+      return anchor;
+    }
+    if (isModClick(e)) {
+      set.clear();
+      set.add(idx);
+    } else if (set.has(idx)) {
+      set.delete(idx);
+    } else {
+      set.add(idx);
+    }
+    return idx;
+  }
+
+  function miniFiltersChanged() {
+    invalidateAreaCache();
+    if (typeof onFiltersChanged === "function") onFiltersChanged();
+  }
+
+  function sameSet(set, values) {
+    return set.size === values.length && values.every((v) => set.has(v));
+  }
+
+  // Preset chips: clicking one selects exactly its values; clicking the active preset clears.
+  function renderPresets(el, presets, getSet, setSet) {
+    if (!el) return;
+    el.replaceChildren();
+    for (const preset of presets) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "chip chip-preset";
+      btn.textContent = preset.label;
+      btn.addEventListener("click", () => {
+        setSet(sameSet(getSet(), preset.values) ? new Set() : new Set(preset.values));
+        miniFiltersChanged();
+      });
+      el.append(btn);
+    }
+  }
+
   // ------------------ KPIs + chips ------------------
-  // Small UI chips that reflect current DOW/hour filters.
+  // Small UI chips that reflect current DOW/hour filters, plus which preset (if any) is active.
   function updateMiniFilterChipsUI() {
-    dowFilterChip.textContent = selectedDOW == null ? "Filter: none" : `Filter: ${["Sun","Mon","Tue","Wed","Thu","Fri","Sat"][selectedDOW]}`;
-    hourFilterChip.textContent = selectedHour == null ? "Filter: none" : `Filter: ${selectedHour}:00`;
+    dowFilterChip.textContent = selectedDOWs.size ? `Filter: ${describeDows(selectedDOWs)}` : "Filter: none";
+    hourFilterChip.textContent = selectedHours.size ? `Filter: ${describeHours(selectedHours)}` : "Filter: none";
+
+    const mark = (el, presets, set) => {
+      if (!el) return;
+      el.querySelectorAll(".chip-preset").forEach((btn, i) => {
+        btn.classList.toggle("btn-on", sameSet(set, presets[i].values));
+      });
+    };
+    mark(dowPresetsEl, DOW_PRESETS, selectedDOWs);
+    mark(hourPresetsEl, HOUR_PRESETS, selectedHours);
   }
 
-  // KPI computation is derived from *already filtered* points.
+  // KPI figures are computed by the pipeline over the *already filtered* set:
+  // kpi = { total, topType, topTypeCount, peakDay, peakCount }.
   // Keep this side-effect-free except for updating the DOM.
-  function updateKPIs({ filtered, currentMinTime, currentMaxTime, hasRegion, legendIsNarrowed }) {
-    kpiTotalEl.textContent = filtered.length.toLocaleString();
+  // regionLabel: short description of the region filter (mapCtl.regionSummary()), or null.
+  // `comparison` is null, or { label, loaded, measure, kpi } with the baseline window's KPI figures
+  // (kpi.kpiTypeCount counts the current top type there). An unloaded baseline only gets a note.
+  function updateKPIs({ kpi, currentMinTime, currentMaxTime, regionLabel, legendIsNarrowed, extraFilters = [], comparison = null }) {
+    kpiTotalEl.textContent = kpi.total.toLocaleString();
     kpiRangeEl.textContent = formatRange(currentMinTime, currentMaxTime);
 
-    const typeCounts = countBy(filtered, (p) => p.type);
-    let topType = "—";
-    let topTypeCount = 0;
-    for (const [t, c] of typeCounts.entries()) {
-      if (c > topTypeCount) {
-        topType = t;
-        topTypeCount = c;
-      }
+    const base = comparison?.kpi || null;
+    const delta = (now, before) =>
+      formatChange(comparison.measure, changeValue(comparison.measure, now, before), { now, before });
+    kpiChangeEl.hidden = !comparison;
+    kpiChangeEl.classList.remove("up", "down");
+    if (comparison && !base) {
+      kpiChangeEl.textContent = `${comparison.label} isn't loaded yet; no comparison`;
+    } else if (base) {
+      kpiChangeEl.textContent = `${delta(kpi.total, base.total)} vs ${base.total.toLocaleString()} in ${comparison.label}`;
+      if (kpi.total !== base.total) kpiChangeEl.classList.add(kpi.total > base.total ? "up" : "down");
     }
+
+    const { topType, topTypeCount, peakDay, peakCount } = kpi;
     kpiTopTypeEl.textContent = topTypeCount ? topType : "—";
-    kpiTopTypeSubEl.textContent = topTypeCount ? `${topTypeCount.toLocaleString()} in range` : "—";
-
-    const dayCounts = new Map();
-    for (const p of filtered) {
-      const d = new Date(p.ts);
-      d.setHours(0, 0, 0, 0);
-      const k = d.getTime();
-      dayCounts.set(k, (dayCounts.get(k) || 0) + 1);
-    }
-    let peakDay = null;
-    let peakCount = 0;
-    for (const [k, c] of dayCounts.entries()) {
-      if (c > peakCount) {
-        peakCount = c;
-        peakDay = k;
-      }
-    }
+    kpiTopTypeSubEl.textContent = !topTypeCount
+      ? "—"
+      : base
+        ? `${topTypeCount.toLocaleString()} in range (${delta(topTypeCount, base.kpiTypeCount)} vs ${base.kpiTypeCount.toLocaleString()})`
+        : `${topTypeCount.toLocaleString()} in range`;
+
     kpiPeakEl.textContent = peakDay ? formatDate(peakDay) : "—";
-    kpiPeakSubEl.textContent = peakDay ? `${peakCount.toLocaleString()} incidents` : "—";
+    kpiPeakSubEl.textContent = !peakDay
+      ? "—"
+      : base?.peakDay
+        ? `${peakCount.toLocaleString()} incidents; before: ${base.peakCount.toLocaleString()} on ${formatDate(base.peakDay)}`
+        : `${peakCount.toLocaleString()} incidents`;
 
     let filterCount = 0;
     const details = [];
 
-    if (hasRegion) { filterCount++; details.push("region"); }
-    if (selectedDOW != null) { filterCount++; details.push("day-of-week"); }
-    if (selectedHour != null) { filterCount++; details.push("hour"); }
+    if (regionLabel) { filterCount++; details.push(regionLabel); }
+    if (selectedDOWs.size) { filterCount++; details.push(describeDows(selectedDOWs)); }
+    if (selectedHours.size) { filterCount++; details.push(describeHours(selectedHours)); }
     if (legendIsNarrowed) { filterCount++; details.push(showAllTypes ? "call types" : "categories"); }
+    for (const label of extraFilters) { filterCount++; details.push(label); }
 
     kpiFiltersEl.textContent = filterCount.toString();
     kpiFiltersSubEl.textContent = details.length ? details.join(", ") : "none";
   }
 
   // ------------------ Time helpers ------------------
-  function startOfDay(ms) {
-    const d = new Date(ms);
-    d.setHours(0, 0, 0, 0);
-    return d.getTime();
+  // How often each weekday and each hour of the day occurs in [minTime, maxTime] in the analysis
+  // zone, as divisors for the per-day averages. DST days have 23 or 25 hours, so the skipped or
+  // repeated hour is counted the way it actually happened.
+  function calendarOccurrences(minTime, maxTime) {
+    const dow = new Array(7).fill(0);
+    const hour = new Array(24).fill(0);
+    for (let d = zone.dayOf(minTime); d.start <= maxTime; d = zone.dayOf(d.end)) {
+      dow[d.dow] += 1;
+      if (d.end - d.start === 24 * HOUR_MS) {
+        for (let h = 0; h < 24; h++) hour[h] += 1;
+        continue;
+      }
+      for (let t = d.start; t < d.end; t += HOUR_MS) hour[zone.parts(t).hour] += 1;
+    }
+    return { dow, hour };
   }
 
   // ------------------ Filters API ------------------
-  // Stateless predicates used when building the filtered point set upstream.
-  function passesDOWFilter(ts) {
-    if (selectedDOW == null) return true;
-    return new Date(ts).getDay() === selectedDOW;
+  // Everything this controller contributes to a pipeline query (see query-core.js runQuery).
+  function filterSpec() {
+    return {
+      dows: Array.from(selectedDOWs),
+      hours: Array.from(selectedHours),
+      legend: legendSpec(),
+      timeline: timelineOptions(),
+    };
+  }
+
+  // ------------------ Link state ------------------
+  // Filter and chart state for shareable links (url-state.js). A legend selection that covers every
+  // visible entry (or isn't initialized yet) is reported as null = "all".
+  function viewState() {
+    const { grouping, aggregate } = timelineOptions();
+    const visible = showAllTypes ? visibleTypes : visibleCategories;
+    const active = showAllTypes ? activeTypeSet : activeCategorySet;
+    // Before the first legend render there is nothing visible to compare with; keep what was set.
+    const all = legendSpec().all || (visible.length > 0 && visible.every((v) => active.has(v)));
+    const selection = all ? null : Array.from(active);
+    return {
+      legend: {
+        showAllTypes,
+        categories: showAllTypes ? null : selection,
+        types: showAllTypes ? selection : null,
+      },
+      dows: Array.from(selectedDOWs).sort((a, b) => a - b),
+      hours: Array.from(selectedHours).sort((a, b) => a - b),
+      grouping,
+      aggregate,
+    };
   }
 
-  function passesHourFilter(ts) {
-    if (selectedHour == null) return true;
-    return new Date(ts).getHours() === selectedHour;
+  // Inverse of viewState(). A null selection goes back to "uninitialized", so the next legend render
+  // selects everything visible. Doesn't fire onFiltersChanged; the caller redraws.
+  function applyViewState(state) {
+    showAllTypes = !!state.legend?.showAllTypes;
+    showAllTypesEl.checked = showAllTypes;
+
+    const cats = state.legend?.categories;
+    didInitLegendSelection = !!cats;
+    activeCategorySet = new Set(cats || []);
+
+    const types = state.legend?.types;
+    didInitTypeSelection = !!types;
+    activeTypeSet = new Set(types || []);
+
+    selectedDOWs = new Set(state.dows || []);
+    selectedHours = new Set(state.hours || []);
+    dowAnchor = null;
+    hourAnchor = null;
+    if (groupingEl) groupingEl.value = state.grouping || "day";
+    if (aggregateEl) aggregateEl.checked = state.aggregate ?? true;
+    invalidateAreaCache();
   }
 
   // ------------------ UI wiring ------------------
@@ -728,7 +854,7 @@ export function createTrendsController({
         );
       }
     }
-    invalidateZipCache();
+    invalidateAreaCache();
     if (typeof onFiltersChanged === "function") onFiltersChanged();
   });
 
@@ -743,23 +869,26 @@ export function createTrendsController({
   });
 
   dowClearBtn.addEventListener("click", () => {
-    selectedDOW = null;
-    invalidateZipCache();
-    if (typeof onFiltersChanged === "function") onFiltersChanged();
+    selectedDOWs = new Set();
+    dowAnchor = null;
+    miniFiltersChanged();
   });
 
   hourClearBtn.addEventListener("click", () => {
-    selectedHour = null;
-    invalidateZipCache();
-    if (typeof onFiltersChanged === "function") onFiltersChanged();
+    selectedHours = new Set();
+    hourAnchor = null;
+    miniFiltersChanged();
   });
 
-  // Convenience wrapper called by the app whenever the data slice changes.
-  // Keeps the three charts in sync with the same filtered dataset and time range.
-  function renderAllCharts({ filtered, pointsForDow, pointsForHour, currentMinTime, currentMaxTime }) {
-    renderTimelineChart(filtered);
-    renderDowChart(pointsForDow, currentMinTime, currentMaxTime);
-    renderHourChart(pointsForHour, currentMinTime, currentMaxTime);
+  renderPresets(dowPresetsEl, DOW_PRESETS, () => selectedDOWs, (set) => { selectedDOWs = set; dowAnchor = null; });
+  renderPresets(hourPresetsEl, HOUR_PRESETS, () => selectedHours, (set) => { selectedHours = set; hourAnchor = null; });
+
+  // Convenience wrapper called by the app whenever a pipeline result arrives.
+  // Keeps the three charts in sync with the same query and time range.
+  function renderAllCharts({ timeline, dowTotals, hourTotals, currentMinTime, currentMaxTime }) {
+    renderTimelineChart(timeline);
+    renderDowChart(dowTotals, currentMinTime, currentMaxTime);
+    renderHourChart(hourTotals, currentMinTime, currentMaxTime);
   }
 
   return {
@@ -769,7 +898,8 @@ export function createTrendsController({
     // legend
     renderLegend,
     resetLegendSelection,
-    legendAllowsPoint,
+    resetCategorySelection,
+    clearLegendSelection,
     legendIsNarrowed,
 
     // charts
@@ -780,12 +910,15 @@ export function createTrendsController({
     updateMiniFilterChipsUI,
 
     // filters
-    passesDOWFilter,
-    passesHourFilter,
+    filterSpec,
+
+    // shareable links
+    viewState,
+    applyViewState,
 
-    // zip cache invalidation hook
-    invalidateZipCache,
-    set invalidateZipCacheHook(fn) { invalidateZipCacheHook = fn; },
+    // area-count cache invalidation hook
+    invalidateAreaCache,
+    set invalidateAreaCacheHook(fn) { invalidateAreaCacheHook = fn; },
 
     // app redraw hook
     set onFiltersChanged(fn) { onFiltersChanged = fn; },
@@ -793,10 +926,10 @@ export function createTrendsController({
 
     // Expose filter values for building cache keys.
     // Sort ensures stable keys regardless of insertion order.
-    get selectedDOW() { return selectedDOW; },
-    get selectedHour() { return selectedHour; },
+    get dowKey() { return Array.from(selectedDOWs).sort((a, b) => a - b).join(","); },
+    get hourKey() { return Array.from(selectedHours).sort((a, b) => a - b).join(","); },
 
-    // expose legend sets for ZIP key building
+    // expose legend sets for area-count key building
     get showAllTypes() { return showAllTypes; },
     get activeCategoryKey() { return `C:${Array.from(activeCategorySet).sort().join("|")}`; },
     get activeTypeKey() { return `T:${Array.from(activeTypeSet).sort().join("|")}`; },
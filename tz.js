@@ -0,0 +1,180 @@
+// tz.js
+// Owns: calendar math in the *analysis time zone* (default America/Denver), independent of the
+// viewer's browser zone. Day slicing, DOW/hour filters, chart buckets, KPIs and popups all go
+// through one of these objects, so everyone sees the same buckets and ArcGIS `time=` windows.
+//
+// Pure module: no DOM. Works in the query worker and under node.
+//
+// Design notes:
+// - Built on Intl.DateTimeFormat (IANA zones, including DST rules); no bundled tz database.
+// - Wall-clock -> instant (`fromLocal`) resolves DST the way Date does for the local zone: a time in
+//   the spring-forward gap moves forward by the gap, an ambiguous fall-back time takes the first
+//   (daylight) occurrence.
+// - Local midnight is never inside a US DST gap (changes happen at 02:00), so day starts are exact.
+//   Days are not always 24h: spring-forward days have 23 hours, fall-back days 25.
+
+export const DEFAULT_TIME_ZONE = "America/Denver";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The browser's own zone, e.g. for the settings menu.
+export function systemTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  } catch {
+    return "UTC";
+  }
+}
+
+const zones = new Map(); // timeZone -> zone object (formatters are expensive to build)
+
+/**
+ * Calendar helpers for one IANA time zone. Objects are shared per zone name.
+ * @param {string} [timeZone]
+ * @returns {Object} zone API (see below)
+ */
+export function getTimeZone(timeZone = DEFAULT_TIME_ZONE) {
+  let zone = zones.get(timeZone);
+  if (!zone) {
+    zone = createTimeZone(timeZone);
+    zones.set(timeZone, zone);
+  }
+  return zone;
+}
+
+function createTimeZone(timeZone) {
+  if (!isValidTimeZone(timeZone)) throw new RangeError(`Unknown time zone: ${timeZone}`);
+
+  const partsFmt = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    weekday: "short",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  });
+
+  // Wall-clock fields of an instant: { year, month (1-12), day, hour, minute, second, dow (0=Sun) }.
+  function parts(ms) {
+    const out = { year: 0, month: 0, day: 0, hour: 0, minute: 0, second: 0, dow: 0 };
+    for (const p of partsFmt.formatToParts(ms)) {
+      if (p.type === "weekday") out.dow = WEEKDAYS[p.value];
+      else if (p.type in out) out[p.type] = Number(p.value);
+    }
+    if (out.hour === 24) out.hour = 0; // some engines still emit 24 for midnight
+    return out;
+  }
+
+  // Offset (local - UTC) in ms at an instant. Whole seconds are enough for every modern zone.
+  function offsetAt(ms) {
+    const p = parts(ms);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (Math.floor(ms / 1000) * 1000);
+  }
+
+  /**
+   * Instant for a wall-clock time in this zone. Month is 1-12; out-of-range fields roll over like
+   * Date.UTC (day 32 -> next month).
+   */
+  function fromLocal(year, month, day, hour = 0, minute = 0, second = 0, millis = 0) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second, millis);
+    // Guess with the offset a day earlier, then correct once. For an ambiguous fall-back time that
+    // guess is the daylight offset, so we land on the first occurrence.
+    const guess = offsetAt(wall - DAY_MS);
+    let t = wall - guess;
+    const o2 = offsetAt(t);
+    if (o2 === guess) return t;
+    t -= o2 - guess;
+    const o3 = offsetAt(t);
+    if (o3 === o2) return t;
+    // Spring-forward gap: the wall time doesn't exist. The pre-transition offset moves it forward.
+    return wall - Math.min(o2, o3);
+  }
+
+  function startOfDay(ms) {
+    const p = parts(ms);
+    return fromLocal(p.year, p.month, p.day);
+  }
+
+  // Start of the next calendar day after the day containing `ms`.
+  function nextDay(ms) {
+    const p = parts(ms);
+    return fromLocal(p.year, p.month, p.day + 1);
+  }
+
+  function endOfDay(ms) {
+    return nextDay(ms) - 1;
+  }
+
+  // Start of the day `n` calendar days after the day containing `ms` (n may be negative).
+  function addDays(ms, n) {
+    const p = parts(ms);
+    return fromLocal(p.year, p.month, p.day + n);
+  }
+
+  // { start, end, dow, key } of the day containing `ms` (end = next day's start). Hot path for the
+  // query pipeline's day cursors, so days are memoized: one formatToParts per lookup afterwards.
+  const dayMemo = new Map();
+  function dayOf(ms) {
+    const p = parts(ms);
+    const key = `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+    let d = dayMemo.get(key);
+    if (!d) {
+      if (dayMemo.size > 20000) dayMemo.clear();
+      d = { start: fromLocal(p.year, p.month, p.day), end: fromLocal(p.year, p.month, p.day + 1), dow: p.dow, key };
+      dayMemo.set(key, d);
+    }
+    return d;
+  }
+
+  function dayOfWeek(ms) {
+    return parts(ms).dow;
+  }
+
+  // "YYYY-MM-DD" of the local day containing `ms`.
+  function dateKey(ms) {
+    const p = parts(ms);
+    return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+  }
+
+  const formatters = new Map();
+  // toLocale*String equivalent pinned to this zone.
+  function format(ms, options) {
+    const key = JSON.stringify(options);
+    let f = formatters.get(key);
+    if (!f) {
+      f = new Intl.DateTimeFormat(undefined, { ...options, timeZone });
+      formatters.set(key, f);
+    }
+    return f.format(ms);
+  }
+
+  return {
+    timeZone,
+    parts,
+    offsetAt,
+    fromLocal,
+    startOfDay,
+    endOfDay,
+    nextDay,
+    addDays,
+    dayOf,
+    dayOfWeek,
+    dateKey,
+    format,
+  };
+}
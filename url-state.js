@@ -0,0 +1,337 @@
+// url-state.js
+// Owns: the query-string encoding of the dashboard state, so a link reproduces what its sender saw:
+// analysis time zone, time window, view mode and grid cells, map view, regions, boundary set, selected areas, normalization and classing, period comparison, legend selection, DOW/hour filters, free-text search,
+// chart options, extra-field filters and data-quality exclusions.
+//
+// Pure module: no DOM, no history API. The app collects the state from its controllers, encodes it
+// here and decides between pushState/replaceState (see "URL state" in app.js).
+//
+// Design notes:
+// - Only non-default values are written, so an untouched dashboard has a bare URL.
+// - The time window is written as calendar days ("2024-05-01") in the analysis zone (tz.js), not epoch
+//   ms: links stay readable and land on whole days.
+// - The zone itself is written (`tz=`) when it isn't the default, so the days mean the same to every
+//   reader. A link without `tz` is in the default zone; only an empty query string names no zone (the
+//   viewer's own setting applies).
+// - Legend selections are omitted while everything visible is selected. An explicit empty selection
+//   is written as one empty value (`cat=`) so it survives the round trip.
+// - Decoding is lenient: a malformed parameter is dropped on its own and the rest still applies.
+
+import { DEFAULT_BOUNDARY_SET } from "./boundaries.js";
+import { DEFAULT_CLASSING, DEFAULT_NORMALIZATION, isNormalization, parseClassing } from "./choropleth.js";
+import { DEFAULT_CHANGE_MEASURE, DEFAULT_COMPARISON, isChangeMeasure, isComparison } from "./comparison.js";
+import { DEFAULT_GRID, parseGrid } from "./grid-bins.js";
+import { DEFAULT_TIME_ZONE, getTimeZone, isValidTimeZone } from "./tz.js";
+
+export const URL_DEFAULTS = {
+  mode: "dots",
+  grid: DEFAULT_GRID,
+  boundary: DEFAULT_BOUNDARY_SET,
+  norm: DEFAULT_NORMALIZATION,
+  classing: DEFAULT_CLASSING,
+  compare: DEFAULT_COMPARISON,
+  changeMeasure: DEFAULT_CHANGE_MEASURE,
+  grouping: "day",
+  aggregate: true,
+};
+
+const MODES = new Set(["dots", "heat", "areas", "grid"]);
+const LEGACY_MODES = { zips: "areas" }; // the choropleth was ZIP-only before boundary sets
+const GROUPINGS = new Set(["day", "week", "month"]);
+const SEARCH_MODES = new Set(["substring", "prefix", "regex"]);
+const SEARCH_FIELDS = new Set(["all", "type", "addr"]);
+const COORD_DIGITS = 5; // ~1 m
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const BOUNDARY_ID_RE = /^[\w-]{1,40}$/;
+
+function fmtCoord(x) {
+  return Number(x.toFixed(COORD_DIGITS)).toString();
+}
+
+function parseNumbers(str, count) {
+  const nums = String(str).split(",").map(Number);
+  if (nums.length !== count || !nums.every(Number.isFinite)) return null;
+  return nums;
+}
+
+function parseIntInRange(str, min, max) {
+  if (str == null || !/^\d+$/.test(str)) return null;
+  const n = parseInt(str, 10);
+  return n >= min && n <= max ? n : null;
+}
+
+// "22,23,0,1" -> [22, 23, 0, 1]; values outside [0, size) are dropped.
+function parseIntList(str, size) {
+  const out = new Set();
+  for (const part of String(str ?? "").split(",")) {
+    const n = parseIntInRange(part, 0, size - 1);
+    if (n != null) out.add(n);
+  }
+  return Array.from(out);
+}
+
+function parseDate(str, zone) {
+  const m = DATE_RE.exec(str || "");
+  if (!m) return null;
+  const t = zone.fromLocal(+m[1], +m[2], +m[3]);
+  // Date.UTC-style rollover would turn "2024-02-31" into March; reject it instead.
+  return zone.dateKey(t) === str ? t : null;
+}
+
+// One `region` value per shape: [!]kind:geometry[~name]. `!` marks an excluded region.
+//   rect:south,west,north,east   circle:lat,lon,radiusMeters   poly:lat,lon;lat,lon;…[/hole…][|part…]
+function encodeRegion(region) {
+  let geom;
+  if (region.kind === "rect") {
+    const { south, west, north, east } = region.bounds;
+    geom = `rect:${[south, west, north, east].map(fmtCoord).join(",")}`;
+  } else if (region.kind === "circle") {
+    geom = `circle:${fmtCoord(region.center[0])},${fmtCoord(region.center[1])},${Math.round(region.radius)}`;
+  } else {
+    const encodeRing = (ring) => ring.map(([lat, lon]) => `${fmtCoord(lat)},${fmtCoord(lon)}`).join(";");
+    geom = `poly:${region.polygons.map((rings) => rings.map(encodeRing).join("/")).join("|")}`;
+  }
+  return `${region.op === "exclude" ? "!" : ""}${geom}${region.name ? `~${region.name}` : ""}`;
+}
+
+function decodeRing(str) {
+  const ring = str.split(";").map((pair) => parseNumbers(pair, 2));
+  return ring.length >= 3 && ring.every(Boolean) ? ring : null;
+}
+
+// "outer/hole/…" -> [outer, …holes]. Holes that don't parse are dropped; the outer ring has to.
+function decodePolygon(str) {
+  const [outer, ...holes] = str.split("/").map(decodeRing);
+  return outer ? [outer, ...holes.filter(Boolean)] : null;
+}
+
+function decodeRegion(str) {
+  let rest = String(str);
+  const op = rest.startsWith("!") ? "exclude" : "include";
+  if (op === "exclude") rest = rest.slice(1);
+  const tilde = rest.indexOf("~");
+  const name = tilde >= 0 ? rest.slice(tilde + 1).trim() : "";
+  if (tilde >= 0) rest = rest.slice(0, tilde);
+
+  const [kind, body = ""] = rest.split(":", 2);
+  const out = { op };
+  if (name) out.name = name;
+  if (kind === "rect") {
+    const n = parseNumbers(body, 4);
+    if (!n || n[0] >= n[2] || n[1] >= n[3]) return null;
+    return { ...out, kind, bounds: { south: n[0], west: n[1], north: n[2], east: n[3] } };
+  }
+  if (kind === "circle") {
+    const n = parseNumbers(body, 3);
+    if (!n || Math.abs(n[0]) > 90 || Math.abs(n[1]) > 180 || !(n[2] > 0)) return null;
+    return { ...out, kind, center: [n[0], n[1]], radius: n[2] };
+  }
+  if (kind === "poly") {
+    // Parts that don't parse are dropped; one has to.
+    const polygons = body.split("|").map(decodePolygon).filter(Boolean);
+    if (!polygons.length) return null;
+    return { ...out, kind, polygons };
+  }
+  return null;
+}
+
+/**
+ * Dashboard state -> query string (without the leading "?").
+ * @param {Object} state
+ * @param {string} state.timeZone - analysis time zone (IANA name); `zone` should be this zone
+ * @param {{min:number, max:number}|null} state.range - epoch ms, day-aligned in `zone`
+ * @param {string} state.mode - dots | heat | areas | grid
+ * @param {{shape:string, size:number}} state.grid - grid-mode cells (grid-bins.js)
+ * @param {{lat:number, lon:number, zoom:number}|null} state.map
+ * @param {Array} state.regions - [{ name, op:"include"|"exclude", kind:"rect", bounds:{south,west,north,east} }
+ *   | { …, kind:"poly", polygons:[[[[lat,lon],…] outer, …holes], …] } | { …, kind:"circle", center:[lat,lon], radius }]
+ * @param {string} state.boundary - boundary set of the choropleth (boundaries.js id)
+ * @param {string[]} state.areas - area ids selected on the choropleth; empty = no area filter
+ * @param {string} state.norm - what the choropleth colors by (choropleth.js normalization id)
+ * @param {string|null} state.normCategory - category of the "share" normalization
+ * @param {{scheme:string, classes:number, palette:string}} state.classing - choropleth classes (choropleth.js)
+ * @param {string} state.compare - period comparison (comparison.js id)
+ * @param {string} state.changeMeasure - abs | pct; only written with a comparison
+ * @param {{showAllTypes:boolean, categories:string[]|null, types:string[]|null}} state.legend - null = all selected
+ * @param {number[]} state.dows - selected days of week (0 = Sunday); empty = all
+ * @param {number[]} state.hours - selected hours; empty = all
+ * @param {{text:string, mode:string, field:string}|null} state.search - free-text search
+ * @param {string} state.grouping
+ * @param {boolean} state.aggregate
+ * @param {Object<string,string[]>} state.dims - extra-field selections
+ * @param {number} state.excludeFlags - data-quality groups left out (QUALITY_FLAGS bitmask)
+ * @param {Object} zone - tz.js zone the days are counted in
+ * @returns {string}
+ */
+export function encodeUrlState(state, zone) {
+  const q = new URLSearchParams();
+
+  if (state.timeZone && state.timeZone !== DEFAULT_TIME_ZONE) q.set("tz", state.timeZone);
+  if (state.range) {
+    q.set("from", zone.dateKey(state.range.min));
+    q.set("to", zone.dateKey(state.range.max));
+  }
+  if (state.mode && state.mode !== URL_DEFAULTS.mode) q.set("mode", state.mode);
+  if (state.grid) {
+    if (state.grid.shape !== URL_DEFAULTS.grid.shape) q.set("grid", state.grid.shape);
+    if (state.grid.size !== URL_DEFAULTS.grid.size) q.set("cell", String(state.grid.size));
+  }
+  if (state.map) q.set("map", `${fmtCoord(state.map.lat)},${fmtCoord(state.map.lon)},${state.map.zoom}`);
+  for (const region of state.regions || []) q.append("region", encodeRegion(region));
+  if (state.boundary && state.boundary !== URL_DEFAULTS.boundary) q.set("boundary", state.boundary);
+  for (const id of [...(state.areas || [])].sort()) q.append("area", id);
+  if (state.norm && state.norm !== URL_DEFAULTS.norm) q.set("norm", state.norm);
+  if (state.norm === "share" && state.normCategory) q.set("normcat", state.normCategory);
+  if (state.classing) {
+    const d = URL_DEFAULTS.classing;
+    if (state.classing.scheme !== d.scheme) q.set("cls", state.classing.scheme);
+    if (state.classing.classes !== d.classes) q.set("ncls", String(state.classing.classes));
+    if (state.classing.palette !== d.palette) q.set("pal", state.classing.palette);
+  }
+  if (state.compare && state.compare !== URL_DEFAULTS.compare) {
+    q.set("cmp", state.compare);
+    if (state.changeMeasure && state.changeMeasure !== URL_DEFAULTS.changeMeasure) q.set("chg", state.changeMeasure);
+  }
+
+  const legend = state.legend;
+  if (legend?.showAllTypes) q.set("types", "1");
+  const selection = legend?.showAllTypes ? legend.types : legend?.categories;
+  const param = legend?.showAllTypes ? "type" : "cat";
+  if (selection) {
+    if (!selection.length) q.append(param, "");
+    for (const v of [...selection].sort()) q.append(param, v);
+  }
+
+  if (state.dows?.length) q.set("dow", state.dows.join(","));
+  if (state.hours?.length) q.set("hour", state.hours.join(","));
+  if (state.search?.text) {
+    q.set("q", state.search.text);
+    if (state.search.mode !== "substring") q.set("qmode", state.search.mode);
+    if (state.search.field !== "all") q.set("qfield", state.search.field);
+  }
+  if (state.grouping && state.grouping !== URL_DEFAULTS.grouping) q.set("group", state.grouping);
+  if (state.aggregate === false) q.set("agg", "0");
+
+  for (const [key, values] of Object.entries(state.dims || {})) {
+    for (const v of [...values].sort()) q.append(`dim.${key}`, v);
+  }
+  if (state.excludeFlags) q.set("exclude", String(state.excludeFlags));
+
+  return queryString(q);
+}
+
+// `,` `:` `;` `/` `!` `~` are legal in a query string and URLSearchParams reads them back either way;
+// leaving them unescaped keeps coordinates and regions readable.
+function queryString(q) {
+  return q.toString().replace(/%(2C|3A|3B|2F|21|7E)/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * The analysis time zone a link is in: its `tz`, the default zone for a link without one, or null
+ * for an empty query string.
+ * @param {string} search - location.search, with or without "?"
+ * @returns {string|null}
+ */
+export function urlTimeZone(search) {
+  const q = new URLSearchParams(search);
+  if (!q.toString()) return null;
+  const tz = q.get("tz");
+  return tz && isValidTimeZone(tz) ? tz : DEFAULT_TIME_ZONE;
+}
+
+/**
+ * The same query string in another analysis time zone: only `tz` changes, the calendar days stay.
+ * @param {string} search - location.search, with or without "?"
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export function withUrlTimeZone(search, timeZone) {
+  const q = new URLSearchParams(search);
+  q.delete("tz");
+  if (timeZone !== DEFAULT_TIME_ZONE) q.set("tz", timeZone);
+  return queryString(q);
+}
+
+/**
+ * Query string -> partial dashboard state. Keys are only present for parameters that were in the
+ * URL and parsed cleanly; `legend` is always present (categories/types null = select all).
+ * `timeZone` is the link's zone (urlTimeZone), absent for an empty query string.
+ * @param {string} search - location.search, with or without "?"
+ * @param {Object} zone - tz.js zone the days are counted in when the link names none
+ * @returns {Object} same shape as encodeUrlState's input
+ */
+export function decodeUrlState(search, zone) {
+  const q = new URLSearchParams(search);
+  const out = {};
+
+  const timeZone = urlTimeZone(search);
+  if (timeZone) {
+    out.timeZone = timeZone;
+    zone = getTimeZone(timeZone);
+  }
+  const min = parseDate(q.get("from"), zone);
+  const to = parseDate(q.get("to"), zone);
+  if (min != null && to != null && min <= to) out.range = { min, max: zone.endOfDay(to) };
+
+  const mode = LEGACY_MODES[q.get("mode")] || q.get("mode");
+  if (MODES.has(mode)) out.mode = mode;
+  if (q.has("grid") || q.has("cell")) out.grid = parseGrid({ shape: q.get("grid"), size: q.get("cell") });
+
+  if (q.has("map")) {
+    const n = parseNumbers(q.get("map"), 3);
+    if (n && Math.abs(n[0]) <= 90 && Math.abs(n[1]) <= 180) out.map = { lat: n[0], lon: n[1], zoom: n[2] };
+  }
+
+  if (q.has("region")) {
+    const regions = q.getAll("region").map(decodeRegion).filter(Boolean);
+    if (regions.length) out.regions = regions;
+  }
+  if (BOUNDARY_ID_RE.test(q.get("boundary") || "")) out.boundary = q.get("boundary");
+  // `zip=87102,87110` is the older, ZIP-only form of `area=`.
+  const areas = [...q.getAll("area"), ...(q.get("zip") || "").split(",")].map((a) => a.trim()).filter(Boolean);
+  if (areas.length) out.areas = Array.from(new Set(areas));
+  if (isNormalization(q.get("norm"))) out.norm = q.get("norm");
+  if (out.norm === "share" && q.get("normcat")?.trim()) out.normCategory = q.get("normcat").trim();
+  if (q.has("cls") || q.has("ncls") || q.has("pal")) {
+    out.classing = parseClassing({ scheme: q.get("cls"), classes: q.get("ncls"), palette: q.get("pal") });
+  }
+  if (isComparison(q.get("cmp"))) out.compare = q.get("cmp");
+  if (out.compare && isChangeMeasure(q.get("chg"))) out.changeMeasure = q.get("chg");
+
+  const showAllTypes = q.get("types") === "1";
+  const param = showAllTypes ? "type" : "cat";
+  const selection = q.has(param) ? q.getAll(param).filter(Boolean) : null;
+  out.legend = {
+    showAllTypes,
+    categories: showAllTypes ? null : selection,
+    types: showAllTypes ? selection : null,
+  };
+
+  if (q.has("dow")) out.dows = parseIntList(q.get("dow"), 7);
+  if (q.has("hour")) out.hours = parseIntList(q.get("hour"), 24);
+  if (q.get("q")?.trim()) {
+    out.search = {
+      text: q.get("q").trim(),
+      mode: SEARCH_MODES.has(q.get("qmode")) ? q.get("qmode") : "substring",
+      field: SEARCH_FIELDS.has(q.get("qfield")) ? q.get("qfield") : "all",
+    };
+  }
+
+  if (GROUPINGS.has(q.get("group"))) out.grouping = q.get("group");
+  if (q.has("agg")) out.aggregate = q.get("agg") !== "0";
+
+  const dims = {};
+  for (const [k, v] of q) {
+    if (!k.startsWith("dim.") || k.length <= 4) continue;
+    const key = k.slice(4);
+    if (!dims[key]) dims[key] = [];
+    dims[key].push(v);
+  }
+  if (Object.keys(dims).length) out.dims = dims;
+
+  const exclude = parseIntInRange(q.get("exclude"), 0, 255);
+  if (exclude) out.excludeFlags = exclude;
+
+  return out;
+}